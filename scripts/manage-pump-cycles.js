@@ -6,6 +6,7 @@
 
 require('dotenv').config();
 const { query } = require('../src/config/database');
+const { buildCycleCron } = require('../src/utils/cron');
 
 class PumpCycleManager {
   
@@ -62,107 +63,42 @@ class PumpCycleManager {
   }
   
   /**
-   * Generate cycle rules based on ON/OFF minutes
+   * Generate cycle rules based on ON/OFF minutes (one cron-scheduled rule per phase)
    */
   generateCycleRules(onMinutes, offMinutes, description) {
     const totalCycle = onMinutes + offMinutes;
-    const rules = [];
+    const schedules = buildCycleCron(onMinutes, offMinutes);
     
-    // Strategy: Create rules that work within hour boundaries
-    if (totalCycle <= 60) {
-      // Cycle fits within an hour - create simple pattern
-      rules.push({
+    const toConditions = expressions => ({
+      operator: 'OR',
+      rules: expressions.map(cron => ({ type: 'TIME', cron }))
+    });
+    
+    console.log(`   ON schedule:  ${schedules.on.join(' | ')}`);
+    console.log(`   OFF schedule: ${schedules.off.join(' | ')}`);
+    
+    return [
+      {
         name: `CICLO: Bomba ON (${onMinutes}min cada ${totalCycle}min)`,
         description: `${description} - Enciende bomba por ${onMinutes} minutos cada ${totalCycle} minutos`,
-        conditions: {
-          operator: 'AND',
-          rules: [{
-            type: 'TIME',
-            timeStart: '00:00',
-            timeEnd: this.minutesToTimeString(onMinutes)
-          }]
-        },
+        conditions: toConditions(schedules.on),
         actions: [{
           type: 'DEVICE_CONTROL',
           deviceId: '1',
           action: 'TURN_ON'
         }]
-      });
-      
-      rules.push({
+      },
+      {
         name: `CICLO: Bomba OFF (${offMinutes}min cada ${totalCycle}min)`,
         description: `${description} - Apaga bomba por ${offMinutes} minutos cada ${totalCycle} minutos`,
-        conditions: {
-          operator: 'AND',
-          rules: [{
-            type: 'TIME',
-            timeStart: this.minutesToTimeString(onMinutes),
-            timeEnd: this.minutesToTimeString(totalCycle)
-          }]
-        },
-        actions: [{
-          type: 'DEVICE_CONTROL',
-          deviceId: '1',
-          action: 'TURN_OFF'
-        }]
-      });
-      
-    } else {
-      // Cycle spans multiple hours - create multiple rules
-      console.log('   📝 Creating multi-hour cycle pattern...');
-      
-      // Create ON rule
-      rules.push({
-        name: `CICLO: Bomba ON (${onMinutes}min de ${totalCycle}min)`,
-        description: `${description} - Enciende bomba por ${onMinutes} minutos en ciclo de ${totalCycle} minutos`,
-        conditions: {
-          operator: 'AND',
-          rules: [{
-            type: 'TIME',
-            timeStart: '00:00',
-            timeEnd: this.minutesToTimeString(Math.min(onMinutes, 59))
-          }]
-        },
-        actions: [{
-          type: 'DEVICE_CONTROL',
-          deviceId: '1',
-          action: 'TURN_ON'
-        }]
-      });
-      
-      // Create OFF rule
-      rules.push({
-        name: `CICLO: Bomba OFF (${offMinutes}min de ${totalCycle}min)`,
-        description: `${description} - Apaga bomba por ${offMinutes} minutos en ciclo de ${totalCycle} minutos`,
-        conditions: {
-          operator: 'AND',
-          rules: [{
-            type: 'TIME',
-            timeStart: this.minutesToTimeString(onMinutes),
-            timeEnd: '23:59'
-          }]
-        },
+        conditions: toConditions(schedules.off),
         actions: [{
           type: 'DEVICE_CONTROL',
           deviceId: '1',
           action: 'TURN_OFF'
         }]
-      });
-    }
-    
-    return rules;
-  }
-  
-  /**
-   * Convert minutes to HH:MM format
-   */
-  minutesToTimeString(minutes) {
-    if (minutes >= 60) {
-      return '23:59'; // Cap at end of day
-    }
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+      }
+    ];
   }
   
   /**
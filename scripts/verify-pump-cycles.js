@@ -6,6 +6,7 @@
 
 require('dotenv').config();
 const { query } = require('../src/config/database');
+const { matchesCron } = require('../src/utils/cron');
 
 async function verifyPumpCycles() {
   console.log('🔍 Verifying Water Pump Cycling System...\n');
@@ -85,45 +86,43 @@ async function verifyPumpCycles() {
     console.log(`   Notifications: ${pump.enable_notifications ? 'Enabled' : 'Disabled'}`);
     console.log(`   Last Seen: ${pump.last_seen || 'Never'}`);
     
-    // 3. Test time window evaluation logic
-    console.log('\n⏰ Testing time window logic...');
+    // 3. Test cron schedule evaluation logic
+    console.log('\n⏰ Testing cron schedules...');
     const now = new Date();
-    const currentMinute = now.getMinutes();
-    
-    // Simulate the time window logic from rules engine
-    const testTimeWindows = [
-      { name: 'ON (00-15)', start: 0, end: 15, shouldBeOn: (min) => (min >= 0 && min < 15) || (min >= 30 && min < 45) },
-      { name: 'OFF (15-30)', start: 15, end: 30, shouldBeOn: (min) => (min >= 15 && min < 30) || (min >= 45 && min < 60) },
-      { name: 'ON (30-45)', start: 30, end: 45, shouldBeOn: (min) => (min >= 30 && min < 45) },
-      { name: 'OFF (45-00)', start: 45, end: 60, shouldBeOn: (min) => (min >= 45 && min < 60) }
-    ];
     
     console.log(`   Current time: ${now.toLocaleTimeString()}`);
-    console.log(`   Current minute: ${currentMinute}`);
-    console.log('\n   Time Window Analysis:');
-    console.log('   Window      | Should Trigger | Action');
-    console.log('   ------------|----------------|-------');
+    console.log('\n   Schedule Analysis:');
+    console.log('   Rule                              | Should Trigger | Action');
+    console.log('   ----------------------------------|----------------|-------');
     
     let activeWindow = null;
     let expectedAction = null;
     
-    testTimeWindows.forEach(window => {
-      const shouldTrigger = window.shouldBeOn(currentMinute);
-      const action = window.name.includes('ON') ? 'TURN_ON' : 'TURN_OFF';
+    rulesResult.rows.forEach(rule => {
+      const conditions = typeof rule.conditions === 'string' ? JSON.parse(rule.conditions) : rule.conditions;
+      const actions = typeof rule.actions === 'string' ? JSON.parse(rule.actions) : rule.actions;
+      const schedules = (conditions.rules || []).filter(condition => condition.cron);
+      const shouldTrigger = schedules.some(condition => matchesCron(condition.cron, now, condition.timezone || null));
+      const action = actions[0]?.action || 'UNKNOWN';
+      
+      if (schedules.length === 0) {
+        console.log(`   ⚠️  ${rule.name} has no cron schedule (legacy time window?)`);
+        return;
+      }
       
-      if (shouldTrigger) {
-        activeWindow = window.name;
+      if (shouldTrigger && rule.enabled) {
+        activeWindow = rule.name;
         expectedAction = action;
       }
       
-      console.log(`   ${window.name.padEnd(11)} | ${shouldTrigger ? 'Yes' : 'No'}.padEnd(14) | ${action}`);
+      console.log(`   ${rule.name.padEnd(33)} | ${(shouldTrigger ? 'Yes' : 'No').padEnd(14)} | ${action}`);
     });
     
     if (activeWindow) {
-      console.log(`\n   🎯 Active window: ${activeWindow}`);
+      console.log(`\n   🎯 Active rule: ${activeWindow}`);
       console.log(`   🔧 Expected action: ${expectedAction}`);
     } else {
-      console.log('\n   ⚠️  No active time window (this shouldn\'t happen)');
+      console.log('\n   ⚠️  No active schedule (this shouldn\'t happen)');
     }
     
     // 4. Check recent rule executions
@@ -174,13 +173,13 @@ async function verifyPumpCycles() {
     console.log(`✅ Time Logic: Working correctly`);
     console.log(`${executionsResult.rows.length > 0 ? '✅' : '⚠️'} Recent Executions: ${executionsResult.rows.length} in last hour`);
     
-    if (enabledCount === 4 && deviceResult.rows.length > 0) {
+    if (enabledCount === rulesResult.rows.length && deviceResult.rows.length > 0) {
       console.log('\n🚰 Water Pump Cycling System: OPERATIONAL');
       console.log('💡 The system will automatically cycle the pump every 15 minutes');
       console.log('📋 Pattern: 15 min ON → 15 min OFF → repeat 24/7');
     } else {
       console.log('\n⚠️  Water Pump Cycling System: NEEDS ATTENTION');
-      if (enabledCount < 4) {
+      if (enabledCount < rulesResult.rows.length) {
         console.log('💡 Some pump cycle rules are disabled');
       }
       if (deviceResult.rows.length === 0) {
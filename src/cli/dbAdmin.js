@@ -6,6 +6,7 @@ const databaseInitService = require('../services/databaseInitService');
 const auditLogService = require('../services/auditLogService');
 const encryptionService = require('../services/encryptionService');
 const readline = require('readline');
+const yaml = require('js-yaml');
 const fs = require('fs').promises;
 
 /**
@@ -40,10 +41,11 @@ class DatabaseAdminCLI {
     console.log('6. Schema Migration');
     console.log('7. Query Executor (Limited)');
     console.log('8. System Health Check');
-    console.log('9. Exit');
+    console.log('9. Rule Import/Export');
+    console.log('10. Exit');
     console.log('=====================================');
 
-    const choice = await this.prompt('Select an option (1-9): ');
+    const choice = await this.prompt('Select an option (1-10): ');
 
     switch (choice) {
     case '1':
@@ -71,6 +73,9 @@ class DatabaseAdminCLI {
       await this.systemHealthCheck();
       break;
     case '9':
+      await this.ruleBundles();
+      break;
+    case '10':
       await this.exit();
       return;
     default:
@@ -594,6 +599,134 @@ class DatabaseAdminCLI {
     await this.prompt('\nPress Enter to continue...');
   }
 
+  /**
+   * Rule import/export between installations
+   */
+  async ruleBundles() {
+    console.log('\n📦 Rule Import/Export');
+    console.log('=====================');
+    console.log('1. Export rules to file');
+    console.log('2. Import rules from file');
+    console.log('3. Back to main menu');
+
+    const choice = await this.prompt('Select an option (1-3): ');
+
+    switch (choice) {
+    case '1':
+      await this.exportRules();
+      break;
+    case '2':
+      await this.importRules();
+      break;
+    case '3':
+      return;
+    default:
+      console.log('❌ Invalid option');
+    }
+
+    await this.ruleBundles();
+  }
+
+  /**
+   * Export rules to a JSON or YAML bundle file
+   */
+  async exportRules() {
+    try {
+      // Loaded on demand: the rules services connect to Redis
+      const ruleBundleService = require('../services/ruleBundleService');
+
+      const idsInput = await this.prompt('Rule IDs (comma-separated, Enter for all): ');
+      const format = (await this.prompt('Format (json/yaml) [json]: ')).trim().toUpperCase() === 'YAML' ? 'YAML' : 'JSON';
+      const defaultFile = `rules-${new Date().toISOString().slice(0, 10)}.${format.toLowerCase()}`;
+      const file = (await this.prompt(`Output file [${defaultFile}]: `)).trim() || defaultFile;
+
+      const ids = idsInput.split(',').map(id => id.trim()).filter(Boolean);
+      const bundle = await ruleBundleService.exportRules(ids);
+      await fs.writeFile(file, ruleBundleService.serializeBundle(bundle, format), 'utf8');
+
+      console.log(`✅ Exported ${bundle.rules.length} rules to ${file}`);
+      console.log(`🔌 Device references: ${Object.keys(bundle.devices).join(', ') || 'none'}`);
+      console.log(`🌡️ Sensor references: ${Object.keys(bundle.sensors).join(', ') || 'none'}`);
+
+      await auditLogService.logSystemEvent(
+        'RULES_EXPORTED',
+        { file, rule_count: bundle.rules.length },
+        this.adminUser,
+        'localhost'
+      );
+    } catch (error) {
+      console.error('❌ Error exporting rules:', error.message);
+    }
+
+    await this.prompt('\nPress Enter to continue...');
+  }
+
+  /**
+   * Import a rule bundle: dry run first, then commit on confirmation
+   */
+  async importRules() {
+    try {
+      const ruleBundleService = require('../services/ruleBundleService');
+
+      const file = (await this.prompt('Bundle file: ')).trim();
+      const mappingFile = (await this.prompt('Mapping file (JSON/YAML { devices: {}, sensors: {} }, Enter for none): ')).trim();
+
+      const bundle = ruleBundleService.parseBundle(await fs.readFile(file, 'utf8'));
+      const mapping = mappingFile ? yaml.load(await fs.readFile(mappingFile, 'utf8')) || {} : {};
+
+      const report = await ruleBundleService.importRules(bundle, mapping, { user: this.adminUser, dryRun: true });
+      this.printImportReport(report);
+
+      const blocked = report.unresolvedReferences.length > 0 || report.rules.some(rule => !rule.valid);
+      if (blocked) {
+        console.log('\n❌ Fix the errors above (or extend the mapping) before importing');
+      } else {
+        const hasConflicts = report.rules.some(rule => rule.conflicts.length > 0);
+        const question = hasConflicts ? '\nConflicts found. Import anyway? (yes/no): ' : '\nImport these rules? (yes/no): ';
+        const confirm = await this.prompt(question);
+
+        if (confirm.toLowerCase() === 'yes') {
+          const result = await ruleBundleService.importRules(bundle, mapping, {
+            user: this.adminUser,
+            allowConflicts: hasConflicts
+          });
+          const created = result.rules.filter(rule => rule.rule);
+          console.log(result.committed ? `✅ Imported ${created.length} rules` : '❌ Import was not committed');
+
+          await auditLogService.logSystemEvent(
+            'RULES_IMPORTED',
+            { file, rule_ids: created.map(rule => rule.rule.id) },
+            this.adminUser,
+            'localhost'
+          );
+        } else {
+          console.log('❌ Import cancelled');
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error importing rules:', error.message);
+    }
+
+    await this.prompt('\nPress Enter to continue...');
+  }
+
+  /**
+   * Print the per-rule result of an import
+   * @param {Object} report - Import report
+   */
+  printImportReport(report) {
+    if (report.unresolvedReferences.length > 0) {
+      console.log(`\n⚠️ Unresolved devices: ${report.unresolvedReferences.join(', ')}`);
+    }
+
+    report.rules.forEach(rule => {
+      console.log(`\n${rule.valid ? '✅' : '❌'} ${rule.name}`);
+      rule.errors.forEach(error => console.log(`   ❌ ${error}`));
+      rule.warnings.forEach(warning => console.log(`   ⚠️ ${warning}`));
+      rule.conflicts.forEach(conflict => console.log(`   ⚖️ ${conflict}`));
+    });
+  }
+
   /**
    * Helper method to prompt user input
    */
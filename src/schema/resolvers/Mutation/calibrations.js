@@ -0,0 +1,148 @@
+const sensorCalibrationService = require('../../../services/sensorCalibrationService');
+const auditLogService = require('../../../services/auditLogService');
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+
+/**
+ * Check that the user may calibrate sensors
+ * @param {Object} context - GraphQL context
+ * @param {Array<string>} roles - Roles allowed
+ * @param {string} action - What the user tries to do (for the error)
+ */
+const requireRole = (context, roles, action) => {
+  // Authentication required
+  if (!context.user) {
+    throw new AuthenticationError(`You must be logged in to ${action}`);
+  }
+
+  if (!context.user.role || !roles.includes(context.user.role)) {
+    throw new ForbiddenError(`Insufficient permissions to ${action}`);
+  }
+};
+
+// Entering parameters directly is for editors; operators calibrate through
+// guided sessions, which measure the sensor against references
+const PROFILE_ROLES = ['admin', 'editor'];
+const SESSION_ROLES = ['admin', 'editor', 'operator'];
+
+/**
+ * Sensor Calibration Mutation Resolvers
+ * Profile changes are audited: they alter every reading stored afterwards
+ */
+const calibrationMutations = {
+  /**
+   * Create a calibration profile version
+   */
+  createSensorCalibration: async(parent, { input }, context) => {
+    try {
+      console.log('[CalibrationMutation] Creating calibration', { sensorId: input.sensorId, field: input.field, method: input.method, user: context.user?.username });
+      requireRole(context, PROFILE_ROLES, 'create sensor calibrations');
+
+      const calibration = await sensorCalibrationService.createCalibration(input, context.user);
+      await auditLogService.logSystemEvent('sensor_calibration_created', { calibration_id: calibration.id, sensor_id: calibration.sensor_id, field: calibration.field, version: calibration.version, method: calibration.method, parameters: calibration.parameters }, context.user);
+      return calibration;
+    } catch (error) {
+      console.error('[CalibrationMutation] Error creating calibration:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * End the validity of a calibration profile
+   */
+  retireSensorCalibration: async(parent, { id, validTo }, context) => {
+    try {
+      console.log(`[CalibrationMutation] Retiring calibration ${id}`, { validTo, user: context.user?.username });
+      requireRole(context, PROFILE_ROLES, 'retire sensor calibrations');
+
+      const calibration = await sensorCalibrationService.retireCalibration(id, validTo);
+      await auditLogService.logSystemEvent('sensor_calibration_retired', { calibration_id: calibration.id, sensor_id: calibration.sensor_id, field: calibration.field, valid_to: calibration.valid_to }, context.user);
+      return calibration;
+    } catch (error) {
+      console.error(`[CalibrationMutation] Error retiring calibration ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Start a guided calibration session
+   */
+  startSensorCalibration: async(parent, { input }, context) => {
+    try {
+      console.log('[CalibrationMutation] Starting calibration session', { sensorId: input.sensorId, field: input.field, method: input.method, user: context.user?.username });
+      requireRole(context, SESSION_ROLES, 'calibrate sensors');
+
+      return await sensorCalibrationService.startSession(input, context.user);
+    } catch (error) {
+      console.error('[CalibrationMutation] Error starting calibration session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Capture a reference point in a calibration session
+   */
+  captureCalibrationPoint: async(parent, { sessionId, reference, rawValue, sampleSeconds }, context) => {
+    try {
+      console.log(`[CalibrationMutation] Capturing point in calibration session ${sessionId}`, { reference, rawValue, sampleSeconds, user: context.user?.username });
+      requireRole(context, SESSION_ROLES, 'calibrate sensors');
+
+      return await sensorCalibrationService.capturePoint(sessionId, {
+        reference: reference ?? null,
+        rawValue: rawValue ?? null,
+        sampleSeconds
+      });
+    } catch (error) {
+      console.error(`[CalibrationMutation] Error capturing point in calibration session ${sessionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a captured point from a calibration session
+   */
+  removeCalibrationPoint: async(parent, { sessionId, index }, context) => {
+    try {
+      console.log(`[CalibrationMutation] Removing point ${index} of calibration session ${sessionId}`, { user: context.user?.username });
+      requireRole(context, SESSION_ROLES, 'calibrate sensors');
+
+      return await sensorCalibrationService.removePoint(sessionId, index);
+    } catch (error) {
+      console.error(`[CalibrationMutation] Error removing point of calibration session ${sessionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Complete a calibration session, creating its profile
+   */
+  completeSensorCalibration: async(parent, { sessionId, validFrom, notes }, context) => {
+    try {
+      console.log(`[CalibrationMutation] Completing calibration session ${sessionId}`, { validFrom, user: context.user?.username });
+      requireRole(context, SESSION_ROLES, 'calibrate sensors');
+
+      const calibration = await sensorCalibrationService.completeSession(sessionId, { validFrom, notes }, context.user);
+      await auditLogService.logSystemEvent('sensor_calibration_created', { calibration_id: calibration.id, session_id: sessionId, sensor_id: calibration.sensor_id, field: calibration.field, version: calibration.version, method: calibration.method, parameters: calibration.parameters }, context.user);
+      return calibration;
+    } catch (error) {
+      console.error(`[CalibrationMutation] Error completing calibration session ${sessionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cancel a calibration session
+   */
+  cancelSensorCalibration: async(parent, { sessionId }, context) => {
+    try {
+      console.log(`[CalibrationMutation] Cancelling calibration session ${sessionId}`, { user: context.user?.username });
+      requireRole(context, SESSION_ROLES, 'calibrate sensors');
+
+      return await sensorCalibrationService.cancelSession(sessionId);
+    } catch (error) {
+      console.error(`[CalibrationMutation] Error cancelling calibration session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = calibrationMutations;
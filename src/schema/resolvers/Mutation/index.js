@@ -1,11 +1,15 @@
 // Import all mutation resolvers
 const auth = require('./auth');
 const devices = require('./devices');
+const maintenance = require('./maintenance');
+const interlocks = require('./interlocks');
 const users = require('./users');
 const rules = require('./rules');
+const modes = require('./modes');
 const notifications = require('./notifications');
 const weather = require('./weather');
 const sensors = require('./sensors');
+const calibrations = require('./calibrations');
 // const pumpCycles = require('./pumpCycles'); // Temporarily disabled - schema fix needed
 
 // Combine all Mutation resolvers
@@ -19,12 +23,21 @@ const Mutation = {
   // Device mutations
   ...devices,
 
+  // Maintenance plan mutations
+  ...maintenance,
+
+  // Device interlock mutations
+  ...interlocks,
+
   // User mutations
   ...users,
 
   // Rule mutations
   ...rules,
 
+  // Rule group, scene and mode mutations
+  ...modes,
+
   // Notification mutations
   ...notifications,
 
@@ -32,7 +45,10 @@ const Mutation = {
   ...weather,
 
   // Sensor mutations
-  ...sensors
+  ...sensors,
+
+  // Sensor calibration mutations
+  ...calibrations
 
   // Pump cycle mutations - Temporarily disabled for schema fix
   // ...pumpCycles,
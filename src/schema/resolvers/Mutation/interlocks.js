@@ -0,0 +1,81 @@
+const deviceInterlockService = require('../../../services/deviceInterlockService');
+const auditLogService = require('../../../services/auditLogService');
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+
+/**
+ * Check that the user may manage interlocks
+ * @param {Object} context - GraphQL context
+ * @param {string} action - What the user tries to do (for the error)
+ */
+const requireAdmin = (context, action) => {
+  // Authentication required
+  if (!context.user) {
+    throw new AuthenticationError(`You must be logged in to ${action}`);
+  }
+
+  // Interlocks are safety constraints: admins only
+  if (context.user.role !== 'admin') {
+    throw new ForbiddenError(`Insufficient permissions to ${action}`);
+  }
+};
+
+/**
+ * Device Interlock Mutation Resolvers
+ * Changes are audited: they decide which commands devices may receive
+ */
+const interlockMutations = {
+  /**
+   * Create an interlock
+   */
+  createDeviceInterlock: async(parent, { input }, context) => {
+    try {
+      console.log('[InterlockMutation] Creating interlock', { name: input.name, type: input.type, user: context.user?.username });
+      requireAdmin(context, 'create interlocks');
+
+      const interlock = await deviceInterlockService.createInterlock(input, context.user);
+      await auditLogService.logSystemEvent('interlock_created', { interlock_id: interlock.id, name: interlock.name, type: interlock.type, device_ids: interlock.device_ids }, context.user);
+      return interlock;
+    } catch (error) {
+      console.error('[InterlockMutation] Error creating interlock:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an interlock
+   */
+  updateDeviceInterlock: async(parent, { id, input }, context) => {
+    try {
+      console.log(`[InterlockMutation] Updating interlock ${id}`, { user: context.user?.username });
+      requireAdmin(context, 'update interlocks');
+
+      const interlock = await deviceInterlockService.updateInterlock(id, input);
+      await auditLogService.logSystemEvent('interlock_updated', { interlock_id: interlock.id, changes: input }, context.user);
+      return interlock;
+    } catch (error) {
+      console.error(`[InterlockMutation] Error updating interlock ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an interlock
+   */
+  deleteDeviceInterlock: async(parent, { id }, context) => {
+    try {
+      console.log(`[InterlockMutation] Deleting interlock ${id}`, { user: context.user?.username });
+      requireAdmin(context, 'delete interlocks');
+
+      const deleted = await deviceInterlockService.deleteInterlock(id);
+      if (deleted) {
+        await auditLogService.logSystemEvent('interlock_deleted', { interlock_id: id }, context.user);
+      }
+      return deleted;
+    } catch (error) {
+      console.error(`[InterlockMutation] Error deleting interlock ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = interlockMutations;
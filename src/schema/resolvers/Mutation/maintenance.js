@@ -0,0 +1,107 @@
+const deviceMaintenanceService = require('../../../services/deviceMaintenanceService');
+const auditLogService = require('../../../services/auditLogService');
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+
+/**
+ * Check that the user may manage maintenance
+ * @param {Object} context - GraphQL context
+ * @param {string} action - What the user tries to do (for the error)
+ * @param {Array<string>} roles - Roles allowed
+ */
+const requireRole = (context, action, roles = ['admin', 'editor']) => {
+  // Authentication required
+  if (!context.user) {
+    throw new AuthenticationError(`You must be logged in to ${action}`);
+  }
+
+  if (!context.user.role || !roles.includes(context.user.role)) {
+    throw new ForbiddenError(`Insufficient permissions to ${action}`);
+  }
+};
+
+/**
+ * Device Maintenance Mutation Resolvers
+ * Maintenance plans and recording maintenance work
+ */
+const maintenanceMutations = {
+  /**
+   * Create a maintenance plan
+   */
+  createMaintenancePlan: async(parent, { input }, context) => {
+    try {
+      console.log('[MaintenanceMutation] Creating maintenance plan', { deviceId: input.deviceId, name: input.name, user: context.user?.username });
+      requireRole(context, 'create maintenance plans');
+
+      return await deviceMaintenanceService.createPlan(input, context.user);
+    } catch (error) {
+      console.error('[MaintenanceMutation] Error creating maintenance plan:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a maintenance plan
+   */
+  updateMaintenancePlan: async(parent, { id, input }, context) => {
+    try {
+      console.log(`[MaintenanceMutation] Updating maintenance plan ${id}`, { user: context.user?.username });
+      requireRole(context, 'update maintenance plans');
+
+      return await deviceMaintenanceService.updatePlan(id, input);
+    } catch (error) {
+      console.error(`[MaintenanceMutation] Error updating maintenance plan ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a maintenance plan (its history is kept)
+   */
+  deleteMaintenancePlan: async(parent, { id }, context) => {
+    try {
+      console.log(`[MaintenanceMutation] Deleting maintenance plan ${id}`, { user: context.user?.username });
+      requireRole(context, 'delete maintenance plans', ['admin']);
+
+      return await deviceMaintenanceService.deletePlan(id);
+    } catch (error) {
+      console.error(`[MaintenanceMutation] Error deleting maintenance plan ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Put a device in maintenance
+   */
+  startDeviceMaintenance: async(parent, { deviceId, notes, turnOff = true }, context) => {
+    try {
+      console.log(`[MaintenanceMutation] Starting maintenance of device ${deviceId}`, { user: context.user?.username });
+      requireRole(context, 'start maintenance', ['admin', 'editor', 'operator']);
+
+      const device = await deviceMaintenanceService.startMaintenance(deviceId, { notes, turnOff }, context.user);
+      await auditLogService.logSystemEvent('maintenance_started', { device_id: device.id, device_name: device.name, notes }, context.user);
+      return device;
+    } catch (error) {
+      console.error(`[MaintenanceMutation] Error starting maintenance of device ${deviceId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a completed maintenance and reset the plan counters
+   */
+  completeDeviceMaintenance: async(parent, { deviceId, planId, notes }, context) => {
+    try {
+      console.log(`[MaintenanceMutation] Completing maintenance of device ${deviceId}`, { planId, user: context.user?.username });
+      requireRole(context, 'complete maintenance', ['admin', 'editor', 'operator']);
+
+      const record = await deviceMaintenanceService.completeMaintenance(deviceId, { planId: planId || null, notes }, context.user);
+      await auditLogService.logSystemEvent('maintenance_completed', { device_id: record.device_id, plan_ids: record.plan_ids, notes }, context.user);
+      return record;
+    } catch (error) {
+      console.error(`[MaintenanceMutation] Error completing maintenance of device ${deviceId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = maintenanceMutations;
@@ -0,0 +1,238 @@
+const greenhouseModeService = require('../../../services/greenhouseModeService');
+const auditLogService = require('../../../services/auditLogService');
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+
+/**
+ * Check that the user may manage groups, scenes and modes
+ * @param {Object} context - GraphQL context
+ * @param {string} action - What the user tries to do (for the error)
+ * @param {Array<string>} roles - Roles allowed
+ */
+const requireRole = (context, action, roles = ['admin', 'editor']) => {
+  // Authentication required
+  if (!context.user) {
+    throw new AuthenticationError(`You must be logged in to ${action}`);
+  }
+
+  if (!context.user.role || !roles.includes(context.user.role)) {
+    throw new ForbiddenError(`Insufficient permissions to ${action}`);
+  }
+};
+
+/**
+ * Greenhouse Mode Mutation Resolvers
+ * Rule groups, device scenes and mode switching
+ */
+const modeMutations = {
+  /**
+   * Create a rule group
+   */
+  createRuleGroup: async(parent, { input }, context) => {
+    try {
+      console.log('[ModeMutation] Creating rule group', { name: input.name, user: context.user?.username });
+      requireRole(context, 'create rule groups');
+
+      return await greenhouseModeService.createRuleGroup(input, context.user);
+    } catch (error) {
+      console.error('[ModeMutation] Error creating rule group:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a rule group
+   */
+  updateRuleGroup: async(parent, { id, input }, context) => {
+    try {
+      console.log(`[ModeMutation] Updating rule group ${id}`, { user: context.user?.username });
+      requireRole(context, 'update rule groups');
+
+      return await greenhouseModeService.updateRuleGroup(id, input);
+    } catch (error) {
+      console.error(`[ModeMutation] Error updating rule group ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a rule group (its rules are kept)
+   */
+  deleteRuleGroup: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeMutation] Deleting rule group ${id}`, { user: context.user?.username });
+      requireRole(context, 'delete rule groups', ['admin']);
+
+      return await greenhouseModeService.deleteRuleGroup(id);
+    } catch (error) {
+      console.error(`[ModeMutation] Error deleting rule group ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Enable every rule of a group
+   */
+  enableRuleGroup: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeMutation] Enabling rule group ${id}`, { user: context.user?.username });
+      requireRole(context, 'enable rules');
+
+      const rules = await greenhouseModeService.setRuleGroupEnabled(id, true);
+      await auditLogService.logSystemEvent('rule_group_enabled', { group_id: id, rule_ids: rules.map(rule => rule.id) }, context.user);
+      return rules;
+    } catch (error) {
+      console.error(`[ModeMutation] Error enabling rule group ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Disable every rule of a group
+   */
+  disableRuleGroup: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeMutation] Disabling rule group ${id}`, { user: context.user?.username });
+      requireRole(context, 'disable rules');
+
+      const rules = await greenhouseModeService.setRuleGroupEnabled(id, false);
+      await auditLogService.logSystemEvent('rule_group_disabled', { group_id: id, rule_ids: rules.map(rule => rule.id) }, context.user);
+      return rules;
+    } catch (error) {
+      console.error(`[ModeMutation] Error disabling rule group ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a device scene
+   */
+  createDeviceScene: async(parent, { input }, context) => {
+    try {
+      console.log('[ModeMutation] Creating device scene', { name: input.name, user: context.user?.username });
+      requireRole(context, 'create scenes');
+
+      return await greenhouseModeService.createScene(input, context.user);
+    } catch (error) {
+      console.error('[ModeMutation] Error creating device scene:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a device scene
+   */
+  updateDeviceScene: async(parent, { id, input }, context) => {
+    try {
+      console.log(`[ModeMutation] Updating device scene ${id}`, { user: context.user?.username });
+      requireRole(context, 'update scenes');
+
+      return await greenhouseModeService.updateScene(id, input);
+    } catch (error) {
+      console.error(`[ModeMutation] Error updating device scene ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a device scene
+   */
+  deleteDeviceScene: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeMutation] Deleting device scene ${id}`, { user: context.user?.username });
+      requireRole(context, 'delete scenes', ['admin']);
+
+      return await greenhouseModeService.deleteScene(id);
+    } catch (error) {
+      console.error(`[ModeMutation] Error deleting device scene ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Send every device of a scene to its target state
+   */
+  applyDeviceScene: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeMutation] Applying device scene ${id}`, { user: context.user?.username });
+      requireRole(context, 'apply scenes');
+
+      const scene = await greenhouseModeService.getScene(id);
+      if (!scene) {
+        throw new Error('Scene not found');
+      }
+
+      const results = await greenhouseModeService.applyScene(scene);
+      await auditLogService.logSystemEvent('scene_applied', { scene_id: scene.id, scene_name: scene.name, results }, context.user);
+      return results;
+    } catch (error) {
+      console.error(`[ModeMutation] Error applying device scene ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a greenhouse mode
+   */
+  createGreenhouseMode: async(parent, { input }, context) => {
+    try {
+      console.log('[ModeMutation] Creating greenhouse mode', { name: input.name, user: context.user?.username });
+      requireRole(context, 'create greenhouse modes');
+
+      return await greenhouseModeService.createMode(input, context.user);
+    } catch (error) {
+      console.error('[ModeMutation] Error creating greenhouse mode:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a greenhouse mode
+   */
+  updateGreenhouseMode: async(parent, { id, input }, context) => {
+    try {
+      console.log(`[ModeMutation] Updating greenhouse mode ${id}`, { user: context.user?.username });
+      requireRole(context, 'update greenhouse modes');
+
+      return await greenhouseModeService.updateMode(id, input);
+    } catch (error) {
+      console.error(`[ModeMutation] Error updating greenhouse mode ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a greenhouse mode
+   */
+  deleteGreenhouseMode: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeMutation] Deleting greenhouse mode ${id}`, { user: context.user?.username });
+      requireRole(context, 'delete greenhouse modes', ['admin']);
+
+      return await greenhouseModeService.deleteMode(id);
+    } catch (error) {
+      console.error(`[ModeMutation] Error deleting greenhouse mode ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Switch the greenhouse to a mode
+   */
+  activateGreenhouseMode: async(parent, { id, applyScene = true }, context) => {
+    try {
+      console.log(`[ModeMutation] Activating greenhouse mode ${id}`, { applyScene, user: context.user?.username });
+      requireRole(context, 'switch greenhouse modes');
+
+      const result = await greenhouseModeService.activateMode(id, context.user, { applyScene });
+      await auditLogService.logModeActivation(result.mode, result.previousMode, result, context.user, null);
+
+      console.log(`[ModeMutation] Greenhouse mode "${result.mode.name}" active`);
+      return result;
+    } catch (error) {
+      console.error(`[ModeMutation] Error activating greenhouse mode ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = modeMutations;
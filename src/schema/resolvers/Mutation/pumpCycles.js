@@ -1,5 +1,6 @@
 const { query } = require('../../../config/database');
 const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+const { buildCycleCron } = require('../../../utils/cron');
 
 /**
  * Pump Cycle Management Resolvers
@@ -228,105 +229,43 @@ const pumpCycleMutations = {
 };
 
 /**
- * Generate pump cycle rules based on ON/OFF minutes
+ * Generate pump cycle rules based on ON/OFF minutes.
+ * Each phase is an ordinary cron-scheduled TIME rule.
  */
 function generatePumpCycleRules(onMinutes, offMinutes, description) {
   const totalCycle = onMinutes + offMinutes;
-  const rules = [];
+  const schedules = buildCycleCron(onMinutes, offMinutes);
 
   // Create descriptive rule names
   const cycleDesc = description || `Ciclo automático ${onMinutes}/${offMinutes}min`;
 
-  if (totalCycle <= 60) {
-    // Cycle fits within an hour - create repeating pattern
-    rules.push({
+  const toConditions = expressions => ({
+    operator: 'OR',
+    rules: expressions.map(cron => ({ type: 'TIME', cron }))
+  });
+
+  return [
+    {
       name: `CICLO: Bomba ON (${onMinutes}min cada ${totalCycle}min)`,
       description: `${cycleDesc} - Enciende bomba por ${onMinutes} minutos cada ${totalCycle} minutos`,
-      conditions: {
-        operator: 'AND',
-        rules: [{
-          type: 'TIME',
-          timeStart: '00:00',
-          timeEnd: minutesToTimeString(onMinutes)
-        }]
-      },
+      conditions: toConditions(schedules.on),
       actions: [{
         type: 'DEVICE_CONTROL',
         deviceId: '1',
         action: 'TURN_ON'
       }]
-    });
-
-    rules.push({
+    },
+    {
       name: `CICLO: Bomba OFF (${offMinutes}min cada ${totalCycle}min)`,
       description: `${cycleDesc} - Apaga bomba por ${offMinutes} minutos cada ${totalCycle} minutos`,
-      conditions: {
-        operator: 'AND',
-        rules: [{
-          type: 'TIME',
-          timeStart: minutesToTimeString(onMinutes),
-          timeEnd: minutesToTimeString(totalCycle)
-        }]
-      },
-      actions: [{
-        type: 'DEVICE_CONTROL',
-        deviceId: '1',
-        action: 'TURN_OFF'
-      }]
-    });
-
-  } else {
-    // Cycle spans multiple hours - create hourly rules
-    rules.push({
-      name: `CICLO: Bomba ON (${onMinutes}min de ${totalCycle}min)`,
-      description: `${cycleDesc} - Enciende bomba por ${onMinutes} minutos en ciclo de ${totalCycle} minutos`,
-      conditions: {
-        operator: 'AND',
-        rules: [{
-          type: 'TIME',
-          timeStart: '00:00',
-          timeEnd: minutesToTimeString(Math.min(onMinutes, 59))
-        }]
-      },
-      actions: [{
-        type: 'DEVICE_CONTROL',
-        deviceId: '1',
-        action: 'TURN_ON'
-      }]
-    });
-
-    rules.push({
-      name: `CICLO: Bomba OFF (${offMinutes}min de ${totalCycle}min)`,
-      description: `${cycleDesc} - Apaga bomba por ${offMinutes} minutos en ciclo de ${totalCycle} minutos`,
-      conditions: {
-        operator: 'AND',
-        rules: [{
-          type: 'TIME',
-          timeStart: minutesToTimeString(onMinutes),
-          timeEnd: '23:59'
-        }]
-      },
+      conditions: toConditions(schedules.off),
       actions: [{
         type: 'DEVICE_CONTROL',
         deviceId: '1',
         action: 'TURN_OFF'
       }]
-    });
-  }
-
-  return rules;
-}
-
-/**
- * Convert minutes to HH:MM format
- */
-function minutesToTimeString(minutes) {
-  if (minutes >= 60) {
-    return '23:59'; // Cap at end of day
-  }
-  const hours = Math.floor(minutes / 60);
-  const mins = minutes % 60;
-  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+    }
+  ];
 }
 
 module.exports = pumpCycleMutations;
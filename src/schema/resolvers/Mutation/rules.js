@@ -1,8 +1,118 @@
-const { query } = require('../../../config/database');
+const { query, withTransaction } = require('../../../config/database');
 const rulesEngineService = require('../../../services/rulesEngineService');
-const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+const ruleRevisionService = require('../../../services/ruleRevisionService');
+const ruleConflictService = require('../../../services/ruleConflictService');
+const ruleBundleService = require('../../../services/ruleBundleService');
+const queueService = require('../../../services/queueService');
+const auditLogService = require('../../../services/auditLogService');
+const { AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
 const { pubsub, SENSOR_EVENTS } = require('../../../utils/pubsub');
 
+/**
+ * Reject conditions the engine could never evaluate as intended
+ * (bad cron/timezone/solar schedules, inconsistent hysteresis, incomplete rates, invalid expressions)
+ * @param {Object} conditions - Rule conditions input
+ */
+const assertValidConditions = (conditions) => {
+  const errors = [];
+
+  rulesEngineService.getConditionList(conditions).forEach((condition, index) => {
+    let conditionErrors = [];
+    if (condition.type === 'TIME') {
+      conditionErrors = rulesEngineService.getScheduleErrors(condition);
+    } else if (condition.type === 'SENSOR') {
+      conditionErrors = rulesEngineService.getHysteresisErrors(condition);
+    } else if (condition.type === 'RATE') {
+      conditionErrors = rulesEngineService.getRateErrors(condition);
+    } else if (condition.type === 'EXPRESSION') {
+      conditionErrors = rulesEngineService.getExpressionErrors(condition);
+    } else if (condition.type === 'RULE') {
+      conditionErrors = rulesEngineService.getRuleConditionErrors(condition);
+    }
+    conditionErrors.forEach(error => {
+      errors.push(`Condition ${index + 1}: ${error}`);
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new UserInputError(errors.join('; '));
+  }
+};
+
+/**
+ * Reject RULE conditions on missing rules or that would make rules trigger each other in a cycle
+ * @param {Object} rule - Rule being saved ({ id, name, conditions })
+ */
+const assertValidDependencies = async(rule) => {
+  const errors = await rulesEngineService.getRuleDependencyErrors(rule);
+
+  if (errors.length > 0) {
+    throw new UserInputError(errors.join('; '));
+  }
+};
+
+/**
+ * Reject daily execution limits that aren't positive integers (null removes the limit)
+ * @param {number|null} maxExecutionsPerDay - Limit input
+ */
+const assertValidBudget = (maxExecutionsPerDay) => {
+  if (maxExecutionsPerDay !== null && maxExecutionsPerDay !== undefined &&
+      (!Number.isInteger(maxExecutionsPerDay) || maxExecutionsPerDay < 1)) {
+    throw new UserInputError('maxExecutionsPerDay must be a positive integer or null');
+  }
+};
+
+/**
+ * Reject actions the engine could not run (malformed SEQUENCE steps)
+ * @param {Array} actions - Rule actions input
+ */
+const assertValidActions = (actions) => {
+  const errors = [];
+
+  (actions || []).forEach((action, index) => {
+    if (action.type === 'SEQUENCE') {
+      queueService.getSequenceErrors(action).forEach(error => {
+        errors.push(`Action ${index + 1}: ${error}`);
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new UserInputError(errors.join('; '));
+  }
+};
+
+/**
+ * Run a full rule definition through every check applied when creating rules
+ * @param {Object} rule - Definition ({ id, name, conditions, actions, maxExecutionsPerDay }); id is null for new rules
+ */
+const assertValidRule = async(rule) => {
+  assertValidConditions(rule.conditions);
+  assertValidActions(rule.actions);
+  assertValidBudget(rule.maxExecutionsPerDay ?? null);
+  await assertValidDependencies({ id: rule.id, name: rule.name, conditions: rule.conditions });
+};
+
+/**
+ * Find and log enabled rules that command the same devices in the opposite
+ * direction. Conflicts don't block saving: the engine arbitrates them by
+ * priority at runtime, and the mutation returns them in Rule.conflicts.
+ * @param {Object} rule - Saved rule
+ * @returns {Promise<Array|null>} Conflicts, or null when they couldn't be checked
+ */
+const reportConflicts = async(rule) => {
+  try {
+    const conflicts = await ruleConflictService.findConflicts(rule);
+    conflicts.forEach(conflict => {
+      console.warn(`[RuleMutation] Rule ${rule.id}: ${ruleConflictService.describeConflict(conflict)}`);
+    });
+    return conflicts;
+  } catch (error) {
+    console.error(`[RuleMutation] Error checking conflicts for rule ${rule.id}:`, error);
+    return null;
+  }
+};
+
 /**
  * Rule Mutation Resolvers
  * Handles all rule management operations
@@ -31,37 +141,46 @@ const ruleMutations = {
         enabled = true,
         priority = 5,
         cooldownMinutes = 15,
+        maxExecutionsPerDay = null,
         conditions,
         actions
       } = input;
 
-      // Insert rule into database
-      const result = await query(
-        `INSERT INTO rules (name, description, enabled, priority, cooldown_minutes, conditions, actions, created_by, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
-         RETURNING *`,
-        [
-          name,
-          description,
-          enabled,
-          priority,
-          cooldownMinutes,
-          JSON.stringify(conditions),
-          JSON.stringify(actions),
-          context.user.id
-        ]
-      );
+      await assertValidRule({ id: null, name, conditions, actions, maxExecutionsPerDay });
 
-      const rule = result.rows[0];
+      // Insert rule and its first revision together
+      const rule = await withTransaction(async(client) => {
+        const result = await client.query(
+          `INSERT INTO rules (name, description, enabled, priority, cooldown_minutes, max_executions_per_day, conditions, actions, created_by, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+           RETURNING *`,
+          [
+            name,
+            description,
+            enabled,
+            priority,
+            cooldownMinutes,
+            maxExecutionsPerDay,
+            JSON.stringify(conditions),
+            JSON.stringify(actions),
+            context.user.id
+          ]
+        );
+
+        await ruleRevisionService.recordRevision(result.rows[0], context.user, 'create', client);
+        return result.rows[0];
+      });
 
       console.log(`[RuleMutation] Created rule: ${rule.name} (ID: ${rule.id})`);
+      await rulesEngineService.invalidateRuleIndex();
+      const conflicts = await reportConflicts(rule);
 
       // Publish rule creation event
       await pubsub.publish(SENSOR_EVENTS.DEVICE_CREATED, {
         ruleCreated: rule
       });
 
-      return rule;
+      return { ...rule, conflicts };
     } catch (error) {
       console.error('[RuleMutation] Error creating rule:', error);
       throw error;
@@ -115,44 +234,158 @@ const ruleMutations = {
         values.push(input.cooldownMinutes);
       }
 
+      if (input.maxExecutionsPerDay !== undefined) {
+        assertValidBudget(input.maxExecutionsPerDay);
+        updates.push(`max_executions_per_day = $${paramCount++}`);
+        values.push(input.maxExecutionsPerDay);
+      }
+
       if (input.conditions !== undefined) {
+        assertValidConditions(input.conditions);
+        await assertValidDependencies({ id, name: input.name, conditions: input.conditions });
         updates.push(`conditions = $${paramCount++}`);
         values.push(JSON.stringify(input.conditions));
       }
 
       if (input.actions !== undefined) {
+        assertValidActions(input.actions);
         updates.push(`actions = $${paramCount++}`);
         values.push(JSON.stringify(input.actions));
       }
 
+      updates.push('revision = revision + 1');
       updates.push('updated_at = NOW()');
       values.push(id);
 
-      const result = await query(
-        `UPDATE rules SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
-        values
-      );
+      // Every update produces an immutable revision of the full definition
+      const { rule, previous } = await withTransaction(async(client) => {
+        const existing = await client.query('SELECT * FROM rules WHERE id = $1 FOR UPDATE', [id]);
 
-      if (result.rows.length === 0) {
-        throw new Error('Rule not found');
-      }
+        if (existing.rows.length === 0) {
+          throw new Error('Rule not found');
+        }
 
-      const rule = result.rows[0];
+        const result = await client.query(
+          `UPDATE rules SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+          values
+        );
+
+        await ruleRevisionService.recordRevision(result.rows[0], context.user, 'update', client);
+        return { rule: result.rows[0], previous: existing.rows[0] };
+      });
+
+      console.log(`[RuleMutation] Updated rule: ${rule.name} (revision ${rule.revision})`);
+      await rulesEngineService.invalidateRuleIndex();
+      await auditLogService.logRuleModification('update', rule.id, rule, context.user, null, previous);
+      const conflicts = await reportConflicts(rule);
 
-      console.log(`[RuleMutation] Updated rule: ${rule.name}`);
+      // Latched hysteresis state refers to condition positions that may have changed
+      if (input.conditions !== undefined) {
+        await rulesEngineService.clearLatchState(rule.id);
+      }
 
       // Publish rule update event
       await pubsub.publish(SENSOR_EVENTS.DEVICE_UPDATED, {
         ruleUpdated: rule
       });
 
-      return rule;
+      return { ...rule, conflicts };
     } catch (error) {
       console.error(`[RuleMutation] Error updating rule ${id}:`, error);
       throw error;
     }
   },
 
+  /**
+   * Restore a rule to an earlier revision
+   */
+  rollbackRule: async(parent, { ruleId, revision }, context) => {
+    try {
+      console.log(`[RuleMutation] Rolling back rule ${ruleId} to revision ${revision}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to roll back rules');
+      }
+
+      // Admin or editor permission required
+      if (!context.user.role || !['admin', 'editor'].includes(context.user.role)) {
+        throw new ForbiddenError('Insufficient permissions to roll back rules');
+      }
+
+      // Old revisions may predate current validation, and RULE conditions may
+      // point at rules deleted since or close a cycle added since
+      const { rule, previous } = await ruleRevisionService.rollback(ruleId, revision, context.user, (snapshot) => assertValidRule({
+        id: ruleId,
+        name: snapshot.name,
+        conditions: ruleRevisionService.fromJSON(snapshot.conditions),
+        actions: ruleRevisionService.fromJSON(snapshot.actions),
+        maxExecutionsPerDay: snapshot.max_executions_per_day
+      }));
+
+      console.log(`[RuleMutation] Rolled back rule ${rule.name} to revision ${revision} (now revision ${rule.revision})`);
+      await rulesEngineService.invalidateRuleIndex();
+      await rulesEngineService.clearLatchState(rule.id);
+      await auditLogService.logRuleModification('rollback', rule.id, rule, context.user, null, previous);
+      const conflicts = await reportConflicts(rule);
+
+      // Publish rule update event
+      await pubsub.publish(SENSOR_EVENTS.DEVICE_UPDATED, {
+        ruleUpdated: rule
+      });
+
+      return { ...rule, conflicts };
+    } catch (error) {
+      console.error(`[RuleMutation] Error rolling back rule ${ruleId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Import rules from a bundle produced by exportRules
+   */
+  importRules: async(parent, { bundle, mapping, dryRun = false, allowConflicts = false }, context) => {
+    try {
+      console.log('[RuleMutation] Importing rules', { dryRun, allowConflicts, user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to import rules');
+      }
+
+      // Admin or editor permission required
+      if (!context.user.role || !['admin', 'editor'].includes(context.user.role)) {
+        throw new ForbiddenError('Insufficient permissions to import rules');
+      }
+
+      let parsed;
+      try {
+        parsed = ruleBundleService.parseBundle(bundle);
+      } catch (error) {
+        throw new UserInputError(error.message);
+      }
+
+      const toObject = entries => Object.fromEntries((entries || []).map(entry => [entry.from, entry.to]));
+      const result = await ruleBundleService.importRules(parsed, {
+        devices: toObject(mapping?.devices),
+        sensors: toObject(mapping?.sensors)
+      }, { user: context.user, dryRun, allowConflicts });
+
+      for (const item of result.rules.filter(entry => entry.rule)) {
+        await auditLogService.logRuleModification('create', item.rule.id, item.rule, context.user, null);
+        await pubsub.publish(SENSOR_EVENTS.DEVICE_CREATED, {
+          ruleCreated: item.rule
+        });
+      }
+
+      console.log(`[RuleMutation] Import ${result.committed ? 'committed' : 'not committed'}: ${result.rules.length} rules`);
+      return result;
+    } catch (error) {
+      console.error('[RuleMutation] Error importing rules:', error);
+      throw error;
+    }
+  },
+
   /**
    * Delete a rule
    */
@@ -180,6 +413,8 @@ const ruleMutations = {
       }
 
       console.log(`[RuleMutation] Deleted rule ${id}: ${result.rows[0].name}`);
+      await rulesEngineService.invalidateRuleIndex();
+      await rulesEngineService.clearLatchState(id);
 
       // Publish rule deletion event
       await pubsub.publish(SENSOR_EVENTS.DEVICE_DELETED, {
@@ -222,6 +457,7 @@ const ruleMutations = {
       const rule = result.rows[0];
 
       console.log(`[RuleMutation] Enabled rule: ${rule.name}`);
+      await rulesEngineService.invalidateRuleIndex();
 
       // Publish rule update event
       await pubsub.publish(SENSOR_EVENTS.DEVICE_UPDATED, {
@@ -264,6 +500,7 @@ const ruleMutations = {
       const rule = result.rows[0];
 
       console.log(`[RuleMutation] Disabled rule: ${rule.name}`);
+      await rulesEngineService.invalidateRuleIndex();
 
       // Publish rule update event
       await pubsub.publish(SENSOR_EVENTS.DEVICE_UPDATED, {
@@ -302,83 +539,13 @@ const ruleMutations = {
       }
 
       const rule = ruleResult.rows[0];
-      const startTime = Date.now();
 
-      try {
-        // Force evaluate the rule
-        await rulesEngineService.evaluateRule(rule);
-        const executionTime = Date.now() - startTime;
-
-        // Create execution record
-        const executionResult = await query(
-          `INSERT INTO rule_executions (rule_id, success, evaluation_result, actions_executed, triggered_at, execution_time_ms)
-           VALUES ($1, $2, $3, $4, NOW(), $5)
-           RETURNING *`,
-          [
-            rule.id,
-            true,
-            JSON.stringify(rule.conditions),
-            JSON.stringify(rule.actions),
-            executionTime
-          ]
-        );
+      // Only the rules engine leader evaluates rules; it records the
+      // execution (queued or skipped when nothing ran) and sends it back
+      const execution = await rulesEngineService.requestManualTrigger(rule, mockData || {});
 
-        console.log(`[RuleMutation] Rule ${id} triggered successfully in ${executionTime}ms`);
-
-        return {
-          id: executionResult.rows[0].id,
-          rule,
-          triggeredAt: new Date().toISOString(),
-          success: true,
-          executionTimeMs: executionTime,
-          triggerData: mockData || {},
-          evaluationResult: {
-            conditionsMet: true,
-            conditionDetails: [],
-            sensorData: {},
-            deviceStates: {},
-            contextData: {}
-          },
-          actionsExecuted: []
-        };
-      } catch (execError) {
-        const executionTime = Date.now() - startTime;
-
-        // Create failed execution record
-        const executionResult = await query(
-          `INSERT INTO rule_executions (rule_id, success, evaluation_result, actions_executed, error_message, triggered_at, execution_time_ms)
-           VALUES ($1, $2, $3, $4, $5, NOW(), $6)
-           RETURNING *`,
-          [
-            rule.id,
-            false,
-            JSON.stringify(rule.conditions),
-            JSON.stringify(rule.actions),
-            execError.message,
-            executionTime
-          ]
-        );
-
-        console.error(`[RuleMutation] Rule ${id} trigger failed in ${executionTime}ms:`, execError);
-
-        return {
-          id: executionResult.rows[0].id,
-          rule,
-          triggeredAt: new Date().toISOString(),
-          success: false,
-          executionTimeMs: executionTime,
-          triggerData: mockData || {},
-          error: execError.message,
-          evaluationResult: {
-            conditionsMet: false,
-            conditionDetails: [],
-            sensorData: {},
-            deviceStates: {},
-            contextData: {}
-          },
-          actionsExecuted: []
-        };
-      }
+      console.log(`[RuleMutation] Rule ${id} triggered: ${execution.status}`);
+      return execution;
     } catch (error) {
       console.error(`[RuleMutation] Error triggering rule ${id}:`, error);
       throw error;
@@ -408,6 +575,7 @@ const ruleMutations = {
       );
 
       console.log(`[RuleMutation] Enabled ${result.rows.length}/${ids.length} rules`);
+      await rulesEngineService.invalidateRuleIndex();
       return result.rows;
     } catch (error) {
       console.error('[RuleMutation] Error enabling multiple rules:', error);
@@ -438,6 +606,7 @@ const ruleMutations = {
       );
 
       console.log(`[RuleMutation] Disabled ${result.rows.length}/${ids.length} rules`);
+      await rulesEngineService.invalidateRuleIndex();
       return result.rows;
     } catch (error) {
       console.error('[RuleMutation] Error disabling multiple rules:', error);
@@ -468,6 +637,8 @@ const ruleMutations = {
       );
 
       console.log(`[RuleMutation] Deleted ${result.rows.length}/${ids.length} rules`);
+      await rulesEngineService.invalidateRuleIndex();
+      await Promise.all(result.rows.map(row => rulesEngineService.clearLatchState(row.id)));
       return result.rows.length === ids.length;
     } catch (error) {
       console.error('[RuleMutation] Error deleting multiple rules:', error);
@@ -541,26 +712,33 @@ const ruleMutations = {
         throw new Error('Template not found');
       }
 
+      // Variables fill in the template, so the result is checked like any new rule
+      await assertValidRule({ id: null, name: template.name, conditions: template.conditions, actions: template.actions });
+
       // Create rule from template
-      const result = await query(
-        `INSERT INTO rules (name, description, enabled, priority, cooldown_minutes, conditions, actions, created_by, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
-         RETURNING *`,
-        [
-          `${template.name} (${new Date().toLocaleDateString()})`,
-          template.description,
-          true,
-          5,
-          15,
-          JSON.stringify(template.conditions),
-          JSON.stringify(template.actions),
-          context.user.id
-        ]
-      );
+      const rule = await withTransaction(async(client) => {
+        const result = await client.query(
+          `INSERT INTO rules (name, description, enabled, priority, cooldown_minutes, conditions, actions, created_by, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+           RETURNING *`,
+          [
+            `${template.name} (${new Date().toLocaleDateString()})`,
+            template.description,
+            true,
+            5,
+            15,
+            JSON.stringify(template.conditions),
+            JSON.stringify(template.actions),
+            context.user.id
+          ]
+        );
 
-      const rule = result.rows[0];
+        await ruleRevisionService.recordRevision(result.rows[0], context.user, 'create', client);
+        return result.rows[0];
+      });
 
       console.log(`[RuleMutation] Created rule from template: ${rule.name} (ID: ${rule.id})`);
+      await rulesEngineService.invalidateRuleIndex();
 
       return rule;
     } catch (error) {
@@ -323,6 +323,77 @@ const sensorMutations = {
       console.error('❌ Error in deleteSensorType mutation:', error);
       throw error;
     }
+  },
+
+  /**
+   * Crea una ruta tópico -> sensor
+   */
+  createSensorTopicRoute: async(_, { input }, { user }) => {
+    if (!user) {
+      throw new AuthenticationError('Debe estar autenticado para crear rutas de tópicos');
+    }
+
+    if (user.role !== 'admin') {
+      throw new ForbiddenError('Solo los administradores pueden crear rutas de tópicos');
+    }
+
+    try {
+      const route = await dynamicSensorService.createTopicRoute(input, user.id);
+      return dynamicSensorService.formatTopicRouteForGraphQL(route);
+
+    } catch (error) {
+      console.error('❌ Error in createSensorTopicRoute mutation:', error);
+      if (error.code === '23505') {
+        throw new UserInputError(`Ya existe una ruta para el patrón: ${input.pattern}`);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Actualiza una ruta tópico -> sensor
+   */
+  updateSensorTopicRoute: async(_, { id, input }, { user }) => {
+    if (!user) {
+      throw new AuthenticationError('Debe estar autenticado para actualizar rutas de tópicos');
+    }
+
+    if (user.role !== 'admin') {
+      throw new ForbiddenError('Solo los administradores pueden actualizar rutas de tópicos');
+    }
+
+    try {
+      const route = await dynamicSensorService.updateTopicRoute(id, input);
+      return dynamicSensorService.formatTopicRouteForGraphQL(route);
+
+    } catch (error) {
+      console.error('❌ Error in updateSensorTopicRoute mutation:', error);
+      if (error.code === '23505') {
+        throw new UserInputError(`Ya existe una ruta para el patrón: ${input.pattern}`);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Elimina una ruta tópico -> sensor
+   */
+  deleteSensorTopicRoute: async(_, { id }, { user }) => {
+    if (!user) {
+      throw new AuthenticationError('Debe estar autenticado para eliminar rutas de tópicos');
+    }
+
+    if (user.role !== 'admin') {
+      throw new ForbiddenError('Solo los administradores pueden eliminar rutas de tópicos');
+    }
+
+    try {
+      return await dynamicSensorService.deleteTopicRoute(id);
+
+    } catch (error) {
+      console.error('❌ Error in deleteSensorTopicRoute mutation:', error);
+      throw error;
+    }
   }
 };
 
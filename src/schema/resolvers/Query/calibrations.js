@@ -0,0 +1,67 @@
+const sensorCalibrationService = require('../../../services/sensorCalibrationService');
+const { AuthenticationError } = require('apollo-server-express');
+
+/**
+ * Sensor Calibration Query Resolvers
+ * Calibration profiles and guided calibration sessions
+ */
+const calibrationQueries = {
+  /**
+   * Get the calibration profiles of a sensor
+   */
+  sensorCalibrations: async(parent, { sensorId, field, includeHistory }, context) => {
+    try {
+      console.log(`[CalibrationResolver] Getting calibrations of sensor ${sensorId}`, { field, includeHistory, user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view sensor calibrations');
+      }
+
+      return await sensorCalibrationService.getCalibrations(sensorId, { field: field || null, includeHistory });
+    } catch (error) {
+      console.error(`[CalibrationResolver] Error getting calibrations of sensor ${sensorId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a calibration session by ID
+   */
+  sensorCalibrationSession: async(parent, { id }, context) => {
+    try {
+      console.log(`[CalibrationResolver] Getting calibration session ${id}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view calibration sessions');
+      }
+
+      return await sensorCalibrationService.getSession(id);
+    } catch (error) {
+      console.error(`[CalibrationResolver] Error getting calibration session ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get calibration sessions, optionally of one sensor or status
+   */
+  sensorCalibrationSessions: async(parent, { sensorId, status }, context) => {
+    try {
+      console.log('[CalibrationResolver] Getting calibration sessions', { sensorId, status, user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view calibration sessions');
+      }
+
+      return await sensorCalibrationService.getSessions({ sensorId: sensorId || null, status: status || null });
+    } catch (error) {
+      console.error('[CalibrationResolver] Error getting calibration sessions:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = calibrationQueries;
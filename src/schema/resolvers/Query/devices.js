@@ -1,4 +1,5 @@
 const deviceService = require('../../../services/deviceService');
+const deviceDriverService = require('../../../services/deviceDriverService');
 const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
 
 /**
@@ -88,6 +89,28 @@ const deviceQueries = {
       console.error(`[DeviceResolver] Error getting history for device ${deviceId}:`, error);
       throw error;
     }
+  },
+
+  /**
+   * List registered device drivers
+   */
+  deviceDrivers: async(parent, args, context) => {
+    if (!context.user) {
+      throw new AuthenticationError('You must be logged in to view device drivers');
+    }
+
+    return deviceDriverService.getAllDrivers();
+  },
+
+  /**
+   * Get a device driver by ID
+   */
+  deviceDriver: async(parent, { id }, context) => {
+    if (!context.user) {
+      throw new AuthenticationError('You must be logged in to view device drivers');
+    }
+
+    return deviceDriverService.getDriver(id) || null;
   }
 };
 
@@ -1,6 +1,7 @@
 const { healthCheck: dbHealthCheck } = require('../../../config/database');
 const { healthCheck: redisHealthCheck } = require('../../../config/redis');
 const { healthCheck: pubsubHealthCheck } = require('../../../utils/pubsub');
+const leaderElectionService = require('../../../services/leaderElectionService');
 
 module.exports = {
   health: async() => {
@@ -30,7 +31,8 @@ module.exports = {
           database,
           redis,
           mqtt
-        }
+        },
+        ruleEngine: await leaderElectionService.getStatus()
       };
     } catch (error) {
       console.error('Health check error:', error);
@@ -1,9 +1,13 @@
 // Import all query resolvers
 const health = require('./health');
 const sensors = require('./sensors');
+const calibrations = require('./calibrations');
 const devices = require('./devices');
+const maintenance = require('./maintenance');
+const interlocks = require('./interlocks');
 const users = require('./users');
 const rules = require('./rules');
+const modes = require('./modes');
 const notifications = require('./notifications');
 const weather = require('./weather');
 // const pumpCycles = require('./pumpCycles'); // Temporarily disabled - schema fix needed
@@ -16,15 +20,27 @@ const Query = {
   // Sensor queries
   ...sensors,
 
+  // Sensor calibration queries
+  ...calibrations,
+
   // Device queries
   ...devices,
 
+  // Maintenance plan queries
+  ...maintenance,
+
+  // Device interlock queries
+  ...interlocks,
+
   // User queries
   ...users,
 
   // Rule queries
   ...rules,
 
+  // Rule group, scene and mode queries
+  ...modes,
+
   // Notification queries
   ...notifications,
 
@@ -0,0 +1,67 @@
+const deviceInterlockService = require('../../../services/deviceInterlockService');
+const { AuthenticationError } = require('apollo-server-express');
+
+/**
+ * Device Interlock Query Resolvers
+ * Interlock constraints and what they currently block
+ */
+const interlockQueries = {
+  /**
+   * Get interlocks, optionally only those involving a device
+   */
+  deviceInterlocks: async(parent, { deviceId }, context) => {
+    try {
+      console.log('[InterlockResolver] Getting device interlocks', { deviceId, user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view interlocks');
+      }
+
+      return await deviceInterlockService.getInterlocks({ deviceId: deviceId || null });
+    } catch (error) {
+      console.error('[InterlockResolver] Error getting device interlocks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get an interlock by ID
+   */
+  deviceInterlock: async(parent, { id }, context) => {
+    try {
+      console.log(`[InterlockResolver] Getting interlock ${id}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view interlocks');
+      }
+
+      return await deviceInterlockService.getInterlock(id);
+    } catch (error) {
+      console.error(`[InterlockResolver] Error getting interlock ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Interlocks that would block turning a device on right now
+   */
+  checkDeviceInterlocks: async(parent, { deviceId }, context) => {
+    try {
+      console.log(`[InterlockResolver] Checking interlocks of device ${deviceId}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to check interlocks');
+      }
+
+      return await deviceInterlockService.checkDevice(deviceId);
+    } catch (error) {
+      console.error(`[InterlockResolver] Error checking interlocks of device ${deviceId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = interlockQueries;
@@ -0,0 +1,67 @@
+const deviceMaintenanceService = require('../../../services/deviceMaintenanceService');
+const { AuthenticationError } = require('apollo-server-express');
+
+/**
+ * Device Maintenance Query Resolvers
+ * Maintenance plans, due state and maintenance history
+ */
+const maintenanceQueries = {
+  /**
+   * Get maintenance plans, optionally of one device or in one status
+   */
+  maintenancePlans: async(parent, { deviceId, status }, context) => {
+    try {
+      console.log('[MaintenanceResolver] Getting maintenance plans', { deviceId, status, user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view maintenance plans');
+      }
+
+      return await deviceMaintenanceService.getPlans({ deviceId: deviceId || null, status: status || null });
+    } catch (error) {
+      console.error('[MaintenanceResolver] Error getting maintenance plans:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a maintenance plan by ID
+   */
+  maintenancePlan: async(parent, { id }, context) => {
+    try {
+      console.log(`[MaintenanceResolver] Getting maintenance plan ${id}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view maintenance plans');
+      }
+
+      return await deviceMaintenanceService.getPlan(id);
+    } catch (error) {
+      console.error(`[MaintenanceResolver] Error getting maintenance plan ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the maintenance history of a device
+   */
+  maintenanceHistory: async(parent, { deviceId, limit = 20 }, context) => {
+    try {
+      console.log(`[MaintenanceResolver] Getting maintenance history of device ${deviceId}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view maintenance history');
+      }
+
+      return await deviceMaintenanceService.getHistory(deviceId, Math.min(limit, 200));
+    } catch (error) {
+      console.error(`[MaintenanceResolver] Error getting maintenance history of device ${deviceId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = maintenanceQueries;
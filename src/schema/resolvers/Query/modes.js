@@ -0,0 +1,124 @@
+const greenhouseModeService = require('../../../services/greenhouseModeService');
+const { AuthenticationError } = require('apollo-server-express');
+
+/**
+ * Greenhouse Mode Query Resolvers
+ * Rule groups, device scenes and greenhouse modes
+ */
+const modeQueries = {
+  /**
+   * Get all rule groups
+   */
+  ruleGroups: async(parent, args, context) => {
+    try {
+      console.log('[ModeResolver] Getting rule groups', { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view rule groups');
+      }
+
+      return await greenhouseModeService.getRuleGroups();
+    } catch (error) {
+      console.error('[ModeResolver] Error getting rule groups:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a rule group by ID
+   */
+  ruleGroup: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeResolver] Getting rule group ${id}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view rule groups');
+      }
+
+      return await greenhouseModeService.getRuleGroup(id);
+    } catch (error) {
+      console.error(`[ModeResolver] Error getting rule group ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all device scenes
+   */
+  deviceScenes: async(parent, args, context) => {
+    try {
+      console.log('[ModeResolver] Getting device scenes', { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view scenes');
+      }
+
+      return await greenhouseModeService.getScenes();
+    } catch (error) {
+      console.error('[ModeResolver] Error getting device scenes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a device scene by ID
+   */
+  deviceScene: async(parent, { id }, context) => {
+    try {
+      console.log(`[ModeResolver] Getting device scene ${id}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view scenes');
+      }
+
+      return await greenhouseModeService.getScene(id);
+    } catch (error) {
+      console.error(`[ModeResolver] Error getting device scene ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all greenhouse modes
+   */
+  greenhouseModes: async(parent, args, context) => {
+    try {
+      console.log('[ModeResolver] Getting greenhouse modes', { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view greenhouse modes');
+      }
+
+      return await greenhouseModeService.getModes();
+    } catch (error) {
+      console.error('[ModeResolver] Error getting greenhouse modes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the active greenhouse mode
+   */
+  activeMode: async(parent, args, context) => {
+    try {
+      console.log('[ModeResolver] Getting active mode', { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view greenhouse modes');
+      }
+
+      return await greenhouseModeService.getActiveMode();
+    } catch (error) {
+      console.error('[ModeResolver] Error getting active mode:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = modeQueries;
@@ -1,6 +1,33 @@
 const { query } = require('../../../config/database');
 const rulesEngineService = require('../../../services/rulesEngineService');
-const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+const weatherService = require('../../../services/weatherService');
+const ruleSimulationService = require('../../../services/ruleSimulationService');
+const ruleRevisionService = require('../../../services/ruleRevisionService');
+const ruleConflictService = require('../../../services/ruleConflictService');
+const ruleBundleService = require('../../../services/ruleBundleService');
+const queueService = require('../../../services/queueService');
+const leaderElectionService = require('../../../services/leaderElectionService');
+const { AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
+
+/**
+ * Human-readable detail for a tested condition's computed value
+ * @param {Object} result - Individual condition result
+ * @returns {string} Details
+ */
+const describeActualValue = (result) => {
+  if (result.actualValue === null || result.actualValue === undefined) {
+    return 'Condition evaluated successfully';
+  }
+  if (result.condition.type === 'EXPRESSION') {
+    return `${result.condition.expression} = ${result.actualValue.toFixed(3)}`;
+  }
+  if (result.condition.type === 'RULE') {
+    return result.condition.ruleEvent === 'LAST_FAILED'
+      ? `Last execution of rule ${result.condition.ruleId} ${result.actualValue ? 'failed' : 'did not fail'}`
+      : `Rule ${result.condition.ruleId}: ${result.actualValue} ${result.condition.ruleEvent === 'FAILED' ? 'failed' : 'successful'} executions in ${result.condition.timeRangeMinutes} min`;
+  }
+  return `Rate ${result.actualValue.toFixed(3)} per ${result.condition.ratePerMinutes || result.condition.timeRangeMinutes} min`;
+};
 
 /**
  * Rule Query Resolvers
@@ -194,7 +221,7 @@ const ruleQueries = {
   /**
    * Validate rule conditions
    */
-  validateRuleConditions: async(parent, { conditions }, context) => {
+  validateRuleConditions: async(parent, { conditions, actions, ruleId, priority }, context) => {
     try {
       console.log('[RuleResolver] Validating rule conditions', { user: context.user?.username });
 
@@ -234,6 +261,9 @@ const ruleQueries = {
           if (rule.value === undefined) {
             errors.push(`Condition ${i + 1}: Value is required for sensor conditions`);
           }
+          rulesEngineService.getHysteresisErrors(rule).forEach(error => {
+            errors.push(`Condition ${i + 1}: ${error}`);
+          });
           break;
 
         case 'DEVICE':
@@ -243,11 +273,35 @@ const ruleQueries = {
           break;
 
         case 'TIME':
-          if (!rule.timeStart || !rule.timeEnd) {
-            warnings.push(`Condition ${i + 1}: Time conditions should specify start and end times`);
+          if (!rule.cron && !rule.solarEvent && (!rule.timeStart || !rule.timeEnd)) {
+            warnings.push(`Condition ${i + 1}: Time conditions should specify start and end times, a cron expression or a solar event`);
+          }
+          rulesEngineService.getScheduleErrors(rule).forEach(error => {
+            errors.push(`Condition ${i + 1}: ${error}`);
+          });
+          if (rule.solarEvent && !(await weatherService.getCoordinates())) {
+            warnings.push(`Condition ${i + 1}: Greenhouse coordinates unknown, solar events cannot be computed yet`);
           }
           break;
 
+        case 'RATE':
+          rulesEngineService.getRateErrors(rule).forEach(error => {
+            errors.push(`Condition ${i + 1}: ${error}`);
+          });
+          break;
+
+        case 'EXPRESSION':
+          rulesEngineService.getExpressionErrors(rule).forEach(error => {
+            errors.push(`Condition ${i + 1}: ${error}`);
+          });
+          break;
+
+        case 'RULE':
+          rulesEngineService.getRuleConditionErrors(rule).forEach(error => {
+            errors.push(`Condition ${i + 1}: ${error}`);
+          });
+          break;
+
         case 'HISTORY':
           if (!rule.aggregation) {
             errors.push(`Condition ${i + 1}: Aggregation type is required for history conditions`);
@@ -259,6 +313,33 @@ const ruleQueries = {
         }
       }
 
+      (actions || []).forEach((action, index) => {
+        if (action.type === 'SEQUENCE') {
+          queueService.getSequenceErrors(action).forEach(error => {
+            errors.push(`Action ${index + 1}: ${error}`);
+          });
+        }
+      });
+
+      // RULE conditions must reference existing rules without forming a cycle.
+      // context.pendingRules holds the other rules of a bundle being imported.
+      const dependencyErrors = await rulesEngineService.getRuleDependencyErrors(
+        { id: ruleId || null, conditions },
+        context.pendingRules || []
+      );
+      errors.push(...dependencyErrors);
+
+      // Rules commanding the same devices in the opposite direction
+      if (actions && actions.length > 0) {
+        const conflicts = await ruleConflictService.findConflicts({
+          id: ruleId || null,
+          priority: priority || 5,
+          conditions,
+          actions
+        });
+        conflicts.forEach(conflict => warnings.push(ruleConflictService.describeConflict(conflict)));
+      }
+
       const isValid = errors.length === 0;
       
       return {
@@ -316,7 +397,10 @@ const ruleQueries = {
           conditionDetails: testResult.individualResults.map((result, index) => ({
             conditionIndex: index,
             result: result.result,
-            details: result.error || 'Condition evaluated successfully'
+            actualValue: result.actualValue,
+            expectedValue: result.condition.value,
+            operator: result.condition.operator || 'EQ',
+            details: result.error || describeActualValue(result)
           })),
           sensorData: {},
           deviceStates: {},
@@ -329,6 +413,135 @@ const ruleQueries = {
     }
   },
 
+  /**
+   * Replay a saved or unsaved rule over stored sensor history
+   */
+  simulateRule: async(parent, { id, input, from, to, initialDeviceStates }, context) => {
+    try {
+      console.log('[RuleResolver] Simulating rule', { id, from, to, user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to simulate rules');
+      }
+
+      // Editors and above can simulate rules
+      if (!context.user.role || !['admin', 'editor'].includes(context.user.role)) {
+        throw new ForbiddenError('Insufficient permissions to simulate rules');
+      }
+
+      if (!id && !input) {
+        throw new UserInputError('Either a rule id or a rule input is required');
+      }
+
+      let rule;
+      if (id) {
+        const ruleResult = await query('SELECT * FROM rules WHERE id = $1', [id]);
+
+        if (ruleResult.rows.length === 0) {
+          throw new Error('Rule not found');
+        }
+        rule = ruleResult.rows[0];
+      } else {
+        rule = {
+          id: null,
+          name: input.name,
+          priority: input.priority || 5,
+          conditions: input.conditions,
+          actions: input.actions
+        };
+      }
+
+      return await ruleSimulationService.simulateRule(rule, from, to, initialDeviceStates || {});
+    } catch (error) {
+      console.error('[RuleResolver] Error simulating rule:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the revision history of a rule, newest first
+   */
+  ruleRevisions: async(parent, { ruleId }, context) => {
+    try {
+      console.log(`[RuleResolver] Getting revisions for rule ${ruleId}`, { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view rule revisions');
+      }
+
+      return await ruleRevisionService.getRevisions(ruleId);
+    } catch (error) {
+      console.error(`[RuleResolver] Error getting revisions for rule ${ruleId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Export rules as a portable bundle
+   */
+  exportRules: async(parent, { ids, format = 'JSON' }, context) => {
+    try {
+      console.log('[RuleResolver] Exporting rules', { ids, format, user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to export rules');
+      }
+
+      const bundle = await ruleBundleService.exportRules(ids);
+
+      return {
+        format,
+        content: ruleBundleService.serializeBundle(bundle, format),
+        bundle,
+        ruleCount: bundle.rules.length
+      };
+    } catch (error) {
+      console.error('[RuleResolver] Error exporting rules:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the rules engine status of this instance and the current leader
+   */
+  ruleEngineStatus: async(parent, args, context) => {
+    try {
+      console.log('[RuleResolver] Getting rule engine status', { user: context.user?.username });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to view the rule engine status');
+      }
+
+      const engine = rulesEngineService.getStatus();
+      const [rules, executions, queueStats, leadership] = await Promise.all([
+        query('SELECT COUNT(*) AS count FROM rules WHERE enabled = true'),
+        query('SELECT COUNT(*) AS count, COALESCE(AVG(execution_time_ms), 0) AS avg_time FROM rule_executions'),
+        queueService.getQueueStats(),
+        leaderElectionService.getStatus()
+      ]);
+
+      return {
+        isRunning: engine.isRunning,
+        activeRules: parseInt(rules.rows[0].count, 10) || 0,
+        totalExecutions: parseInt(executions.rows[0].count, 10) || 0,
+        averageExecutionTime: parseFloat(executions.rows[0].avg_time) || 0,
+        lastEvaluationCycle: engine.lastEvaluationCycle,
+        nextEvaluationCycle: engine.isRunning && engine.lastEvaluationCycle
+          ? new Date(engine.lastEvaluationCycle.getTime() + engine.evaluationInterval)
+          : null,
+        queueSize: queueStats.streamLength || 0,
+        leadership
+      };
+    } catch (error) {
+      console.error('[RuleResolver] Error getting rule engine status:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get rule templates
    */
@@ -1,4 +1,6 @@
 const dynamicSensorService = require('../../../services/dynamicSensorService');
+const sensorService = require('../../../services/sensorService');
+const sensorRetentionService = require('../../../services/sensorRetentionService');
 const sensorTypeService = require('../../../services/sensorTypeService');
 const mqttAutoDiscoveryService = require('../../../services/mqttAutoDiscoveryService');
 const { query } = require('../../../config/database');
@@ -201,7 +203,7 @@ const sensorQueries = {
   /**
    * Obtiene datos históricos de un sensor
    */
-  sensorReadings: async(_, { sensorId, limit = 100, offset = 0, from, to }, { user }) => {
+  sensorReadings: async(_, { sensorId, limit = 100, offset = 0, from, to, resolution }, { user }) => {
     if (!user) {
       throw new AuthenticationError('Debe estar autenticado para ver lecturas de sensores');
     }
@@ -218,110 +220,18 @@ const sensorQueries = {
         throw new UserInputError(`Sensor no encontrado: ${sensorId}`);
       }
 
-      console.log(`🔍 Consultando lecturas del sensor ${sensorId} (${sensor.sensor_type})`);
-      console.log(`📊 Hardware ID: ${sensor.hardware_id}, Sensor Type: ${sensor.sensor_type}`);
+      // El nivel de almacenamiento (RAW, MINUTE, HOUR) depende de la resolución pedida
+      const connection = await sensorService.getSensorReadings(sensor.hardware_id, { limit, offset, from, to, resolution });
+      const formattedSensor = dynamicSensorService.formatSensorForGraphQL(sensor);
 
-      let readings = [];
-
-      // Todos los sensores usan sensor_data_generic (no temp_pressure_data separada)
-      console.log(`🔍 Consultando sensor_data_generic para sensor tipo: ${sensor.sensor_type}`);
-      
-      // Datos genéricos desde sensor_data_generic
-      // Usar ID numérico, no hardware_id string
-      let whereConditions = [`sensor_id = $1`];
-      let queryParams = [parseInt(sensorId)]; // Convertir a entero
-      let paramIndex = 2;
-
-      if (from) {
-        whereConditions.push(`received_at >= $${paramIndex}`);
-        queryParams.push(from);
-        paramIndex++;
-      }
-
-      if (to) {
-        whereConditions.push(`received_at <= $${paramIndex}`);
-        queryParams.push(to);
-        paramIndex++;
-      }
-
-      const genericQuery = `
-        SELECT id, sensor_id, payload, received_at as timestamp
-        FROM sensor_data_generic
-        WHERE ${whereConditions.join(' AND ')}
-        ORDER BY received_at DESC
-        LIMIT $${paramIndex}
-        OFFSET $${paramIndex + 1}
-      `;
-
-      queryParams.push(limit, offset);
-      
-      console.log(`🔍 Ejecutando consulta genérica:`, genericQuery);
-      console.log(`📝 Parámetros:`, queryParams);
-      
-      const result = await query(genericQuery, queryParams);
-      
-      console.log(`📊 Resultados genéricos: ${result.rows.length} filas`);
-      if (result.rows.length > 0) {
-        console.log(`📄 Primera fila:`, JSON.stringify(result.rows[0], null, 2));
-      }
-
-      readings = result.rows.map(row => {
-        console.log(`🔍 Raw row data:`, JSON.stringify(row, null, 2));
-        
-        // Extraer datos del payload según la estructura real
-        let temperature, humidity, pressure, light, white_light, raw_light, rssi;
-        let rawData = row.payload;
-        
-        try {
-          const payload = row.payload;
-          const sensorData = payload.data || {}; // Los datos están en payload.data
-          
-          // Extraer valores según la estructura real que mostraste
-          temperature = sensorData.temperature;
-          humidity = sensorData.humidity;
-          pressure = sensorData.pressure;
-          light = sensorData.light;
-          white_light = sensorData.white_light;
-          raw_light = sensorData.raw_light;
-          rssi = payload.rssi;
-          
-          console.log(`📊 Datos extraídos: temp=${temperature}, hum=${humidity}, pres=${pressure}, light=${light}`);
-          
-        } catch (parseError) {
-          console.warn('Error parsing payload:', parseError.message);
-        }
-        
-        return {
-          id: `generic:${row.id}`,
-          sensor: sensor,
-          timestamp: row.timestamp,
-          temperatura: temperature,
-          humedad: humidity,
-          presion: pressure,
-          altitude: null, // No vi este campo en los datos
-          light: light,
-          whiteLight: white_light,
-          rawLight: raw_light,
-          rssi: rssi,
-          rawData: rawData
-        };
-      });
-
-      // Formatear para GraphQL Connection
-      const edges = readings.map((reading, index) => ({
-        cursor: Buffer.from(`${sensorId}:${reading.timestamp}:${index}`).toString('base64'),
-        node: reading
-      }));
+      console.log(`📊 Lecturas del sensor ${sensor.hardware_id}: ${connection.edges.length} de ${connection.totalCount} (nivel ${connection.tier})`);
 
       return {
-        edges,
-        pageInfo: {
-          hasNextPage: readings.length === limit,
-          hasPreviousPage: offset > 0,
-          startCursor: edges.length > 0 ? edges[0].cursor : null,
-          endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
-        },
-        totalCount: readings.length
+        ...connection,
+        edges: connection.edges.map(edge => ({
+          ...edge,
+          node: { ...edge.node, sensor: formattedSensor }
+        }))
       };
 
     } catch (error) {
@@ -393,7 +303,7 @@ const sensorQueries = {
   /**
    * Obtiene estadísticas de un sensor
    */
-  sensorStats: async(_, { sensorId, timeRange }, { user }) => {
+  sensorStats: async(_, { sensorId, timeRange, resolution }, { user }) => {
     if (!user) {
       throw new AuthenticationError('Debe estar autenticado para ver estadísticas de sensores');
     }
@@ -410,21 +320,12 @@ const sensorQueries = {
         throw new UserInputError(`Sensor no encontrado: ${sensorId}`);
       }
 
-      // TODO: Implementar estadísticas reales
-      // Por ahora retornamos estructura básica
+      const stats = await sensorService.getSensorStats(sensor.hardware_id, timeRange, resolution);
+
       return {
+        ...stats,
         sensor: dynamicSensorService.formatSensorForGraphQL(sensor),
-        timeRange: {
-          from: timeRange.from,
-          to: timeRange.to
-        },
-        totalReadings: 0,
-        validReadings: 0,
-        errorReadings: 0,
-        dataQualityPercent: 0,
-        uptimePercent: 0,
-        lastOnlineTime: sensor.last_seen,
-        averageInterval: 30
+        lastOnlineTime: stats.lastOnlineTime || sensor.last_seen
       };
 
     } catch (error) {
@@ -503,168 +404,135 @@ const sensorQueries = {
   },
 
   /**
-   * Obtiene datos históricos de todos los sensores
+   * Lista las rutas tópico -> sensor
    */
-  allSensorHistory: async(_, { limit = 100, offset = 0, from, to, types }, { user }) => {
+  sensorTopicRoutes: async(_, {}, { user }) => {
     if (!user) {
-      throw new AuthenticationError('Debe estar autenticado para ver datos históricos');
+      throw new AuthenticationError('Debe estar autenticado para ver rutas de tópicos');
     }
 
     try {
-      console.log('🔍 Consultando datos históricos de todos los sensores...');
-      console.log(`📊 Parámetros: limit=${limit}, offset=${offset}, from=${from}, to=${to}`);
-      
-      let whereConditions = [];
-      let queryParams = [];
-      let paramIndex = 1;
+      const routes = await dynamicSensorService.getTopicRoutes();
+      return routes.map(route => dynamicSensorService.formatTopicRouteForGraphQL(route));
 
-      // Filtros de tiempo
-      if (from) {
-        whereConditions.push(`received_at >= $${paramIndex}`);
-        queryParams.push(from);
-        paramIndex++;
-      }
-      
-      if (to) {
-        whereConditions.push(`received_at <= $${paramIndex}`);
-        queryParams.push(to);
-        paramIndex++;
-      }
+    } catch (error) {
+      console.error('❌ Error in sensorTopicRoutes query:', error);
+      throw error;
+    }
+  },
 
-      const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+  /**
+   * Explica qué ruta recibe un tópico y qué otras coinciden
+   */
+  explainTopicRoute: async(_, { topic }, { user }) => {
+    if (!user) {
+      throw new AuthenticationError('Debe estar autenticado para consultar rutas de tópicos');
+    }
 
-      // Consultar datos de todas las tablas de sensores (incluyendo legacy)
-      const sensorTables = [
-        { table: 'sensor_data_generic', type: 'GENERIC', fields: 'id, sensor_id, payload, received_at' },
-        // Tablas legacy donde están los datos reales
-        { table: 'sensor_data_temhum1', type: 'TEMHUM1', fields: "'temhum1' as sensor_id, temperature, humidity, timestamp as received_at" },
-        { table: 'sensor_data_temhum2', type: 'TEMHUM2', fields: "'temhum2' as sensor_id, temperature, humidity, timestamp as received_at" },
-        { table: 'sensor_data_calidad_agua', type: 'WATER_QUALITY_LEGACY', fields: "'calidad_agua' as sensor_id, ph, ec, tds, temperature, timestamp as received_at" },
-        { table: 'sensor_data_luxometro', type: 'LIGHT_LEGACY', fields: "'luxometro' as sensor_id, lux, timestamp as received_at" }
-      ];
+    try {
+      return dynamicSensorService.explainTopicRoute(topic);
 
-      let allResults = [];
+    } catch (error) {
+      console.error('❌ Error in explainTopicRoute query:', error);
+      throw error;
+    }
+  },
 
-      for (const tableInfo of sensorTables) {
-        try {
-          let tableQuery;
-          if (tableInfo.table === 'sensor_data_generic') {
-            tableQuery = `
-              SELECT ${tableInfo.fields}, '${tableInfo.type}' as sensor_type
-              FROM ${tableInfo.table}
-              ${whereClause}
-              ORDER BY received_at DESC
-              LIMIT ${limit}
-              OFFSET ${offset}
-            `;
-          } else {
-            tableQuery = `
-              SELECT id, ${tableInfo.fields}, '${tableInfo.type}' as sensor_type
-              FROM ${tableInfo.table}
-              ${whereClause}
-              ORDER BY received_at DESC
-              LIMIT ${limit}
-              OFFSET ${offset}
-            `;
-          }
+  /**
+   * Niveles de almacenamiento del historial: retención y avance de los rollups
+   */
+  sensorReadingTiers: async(_, {}, { user }) => {
+    if (!user) {
+      throw new AuthenticationError('Debe estar autenticado para ver el historial de sensores');
+    }
 
-          console.log(`🔍 Ejecutando consulta en ${tableInfo.table}:`, tableQuery);
-          console.log(`📝 Parámetros:`, queryParams);
+    try {
+      return await sensorRetentionService.getTierStatus();
 
-          const tableResults = await query(tableQuery, queryParams);
-          
-          console.log(`📊 Resultados de ${tableInfo.table}: ${tableResults.rows.length} filas`);
-          if (tableResults.rows.length > 0) {
-            console.log(`📄 Primera fila:`, JSON.stringify(tableResults.rows[0], null, 2));
-          }
-          
-          allResults = allResults.concat(
-            tableResults.rows.map(row => ({
-              ...row,
-              table_source: tableInfo.table,
-              sensor_type: tableInfo.type
-            }))
-          );
-
-        } catch (tableError) {
-          console.warn(`⚠️ Error consultando tabla ${tableInfo.table}:`, tableError.message);
-        }
-      }
+    } catch (error) {
+      console.error('❌ Error in sensorReadingTiers query:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Series agregadas por intervalos de tiempo para gráficos, alineadas entre sensores
+   */
+  sensorSeries: async(_, args, { user }) => {
+    if (!user) {
+      throw new AuthenticationError('Debe estar autenticado para ver datos históricos');
+    }
+
+    const errors = sensorService.validateSeriesOptions(args);
+    if (errors.length > 0) {
+      throw new UserInputError(errors.join('; '));
+    }
 
-      // Ordenar todos los resultados por fecha
-      allResults.sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+    try {
+      return await sensorService.getSensorSeries(args);
 
-      // Limitar resultados finales
-      const limitedResults = allResults.slice(0, limit);
+    } catch (error) {
+      console.error('❌ Error in sensorSeries query:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtiene datos históricos de todos los sensores
+   */
+  allSensorHistory: async(_, { limit = 100, offset = 0, from, to, types, resolution }, { user }) => {
+    if (!user) {
+      throw new AuthenticationError('Debe estar autenticado para ver datos históricos');
+    }
+
+    try {
+      console.log('🔍 Consultando datos históricos de todos los sensores...');
+      console.log(`📊 Parámetros: limit=${limit}, offset=${offset}, from=${from}, to=${to}, resolution=${resolution}`);
+
+      // Todas las lecturas (legacy y dinámicas) están en el almacén unificado
+      const { readings, totalCount, tier } = await sensorService.getReadingHistory({
+        from, to, types, limit, offset, resolution
+      });
 
       // Formatear para GraphQL
-      const edges = limitedResults.map((row, index) => ({
-        cursor: Buffer.from(`${row.table_source}:${row.id}`).toString('base64'),
-        node: {
-          id: `${row.table_source}:${row.id}`,
-          sensorId: row.sensor_id || 'unknown',
-          sensorName: `Sensor ${row.sensor_id}`,
-          sensorType: row.sensor_type,
-          timestamp: row.received_at,
-          data: (() => {
-            // Manejar la estructura real con payload
-            if (row.sensor_type === 'GENERIC' && row.payload) {
-              try {
-                const payload = row.payload;
-                const sensorData = payload.data || {};
-                
-                return {
-                  temperatura: sensorData.temperature,
-                  humedad: sensorData.humidity,
-                  presion: sensorData.pressure,
-                  light: sensorData.light,
-                  white_light: sensorData.white_light,
-                  raw_light: sensorData.raw_light,
-                  dew_point: sensorData.dew_point,
-                  heat_index: sensorData.heat_index,
-                  rssi: payload.rssi,
-                  _metadata: payload._metadata,
-                  _original: payload
-                };
-              } catch (parseError) {
-                console.warn('Error parsing payload field:', parseError.message);
-                return { _raw: row.payload };
-              }
-            } else {
-              // Datos de tablas legacy o estructura directa
-              return {
-                temperatura: row.temperatura,
-                temperature: row.temperature,
-                humedad: row.humidity,
-                humidity: row.humidity,
-                presion: row.presion,
-                altitude: row.altitude,
-                ph: row.ph,
-                ec: row.ec,
-                tds: row.tds,
-                lux: row.lux,
-                light: row.light
-              };
+      const edges = readings.map(reading => {
+        const id = `${reading.sensorId}:${new Date(reading.timestamp).getTime()}`;
+        const values = reading.values;
+
+        return {
+          cursor: Buffer.from(id).toString('base64'),
+          node: {
+            id,
+            sensorId: reading.sensorId,
+            sensorName: reading.sensorName,
+            sensorType: reading.sensorType,
+            timestamp: reading.timestamp,
+            data: {
+              ...values,
+              // Nombres que ya usan los clientes
+              temperatura: values.temperature ?? values.temperatura,
+              humedad: values.humidity ?? values.humedad,
+              presion: values.pressure ?? values.presion
             }
-          })()
-        }
-      }));
+          }
+        };
+      });
 
       // Estadísticas por tipo
       const byType = {};
-      limitedResults.forEach(row => {
-        if (!byType[row.sensor_type]) {
-          byType[row.sensor_type] = {
-            sensorType: row.sensor_type,
+      readings.forEach(reading => {
+        if (!byType[reading.sensorType]) {
+          byType[reading.sensorType] = {
+            sensorType: reading.sensorType,
             count: 0,
             latestReading: null,
             sensors: new Set()
           };
         }
-        byType[row.sensor_type].count++;
-        byType[row.sensor_type].sensors.add(row.sensor_id);
-        if (!byType[row.sensor_type].latestReading || new Date(row.received_at) > new Date(byType[row.sensor_type].latestReading)) {
-          byType[row.sensor_type].latestReading = row.received_at;
+        byType[reading.sensorType].count++;
+        byType[reading.sensorType].sensors.add(reading.sensorId);
+        if (!byType[reading.sensorType].latestReading || new Date(reading.timestamp) > new Date(byType[reading.sensorType].latestReading)) {
+          byType[reading.sensorType].latestReading = reading.timestamp;
         }
       });
 
@@ -673,18 +541,19 @@ const sensorQueries = {
         sensors: Array.from(type.sensors)
       }));
 
-      console.log(`📊 Encontrados ${edges.length} registros históricos de ${byTypeArray.length} tipos de sensores`);
+      console.log(`📊 Encontrados ${edges.length} registros históricos de ${byTypeArray.length} tipos de sensores (nivel ${tier})`);
 
       return {
         edges,
         pageInfo: {
-          hasNextPage: allResults.length > limit,
+          hasNextPage: offset + limit < totalCount,
           hasPreviousPage: offset > 0,
           startCursor: edges.length > 0 ? edges[0].cursor : null,
           endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
         },
-        totalCount: allResults.length,
-        byType: byTypeArray
+        totalCount,
+        byType: byTypeArray,
+        tier
       };
 
     } catch (error) {
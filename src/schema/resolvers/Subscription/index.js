@@ -3,6 +3,7 @@ const weather = require('./weather');
 const sensors = require('./sensors');
 const devices = require('./devices');
 const notifications = require('./notifications');
+const modes = require('./modes');
 
 // Combine all Subscription resolvers
 const Subscription = {
@@ -19,7 +20,10 @@ const Subscription = {
   ...devices,
 
   // Notification subscriptions
-  ...notifications
+  ...notifications,
+
+  // Greenhouse mode subscriptions
+  ...modes
 };
 
 module.exports = Subscription;
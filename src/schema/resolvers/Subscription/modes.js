@@ -0,0 +1,28 @@
+const { pubsub, EVENTS } = require('../../../utils/pubsub');
+const { AuthenticationError } = require('apollo-server-express');
+
+/**
+ * Greenhouse Mode Subscription Resolvers
+ */
+const modeSubscriptions = {
+  /**
+   * Subscribe to mode switches; emits the newly active mode
+   */
+  activeModeChanged: {
+    subscribe: (parent, args, context) => {
+      console.log('[ModeSubscription] Client subscribing to mode changes', {
+        user: context.user?.username
+      });
+
+      // Authentication required
+      if (!context.user) {
+        throw new AuthenticationError('You must be logged in to subscribe to mode changes');
+      }
+
+      return pubsub.asyncIterator([EVENTS.ACTIVE_MODE_CHANGED]);
+    },
+    resolve: (payload) => payload.activeModeChanged
+  }
+};
+
+module.exports = modeSubscriptions;
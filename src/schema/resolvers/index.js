@@ -9,8 +9,12 @@ const Subscription = require('./Subscription');
 // Import type resolvers
 const { User, UserConfiguration, NotificationPreferences } = require('./types/User');
 const { Sensor, SensorReading, SensorStatistics } = require('./types/Sensor');
-const { Device, DeviceEvent } = require('./types/Device');
-const { Rule, RuleExecution, RuleStatistics } = require('./types/Rule');
+const { SensorCalibration, CalibrationSession } = require('./types/Calibration');
+const { Device, DeviceCommand, DeviceDriver, DeviceEvent } = require('./types/Device');
+const { Rule, RuleExecution, RuleStatistics, RuleRevision } = require('./types/Rule');
+const { MaintenancePlan, MaintenanceRecord } = require('./types/Maintenance');
+const { DeviceInterlock } = require('./types/Interlock');
+const { RuleGroup, DeviceScene, SceneDeviceState, GreenhouseMode } = require('./types/Mode');
 const { Notification, NotificationTemplate, TemplateVariable, NotificationAction } = require('./types/Notification');
 
 // Combine all resolvers
@@ -32,11 +36,23 @@ const resolvers = {
   Sensor,
   SensorReading,
   SensorStatistics,
+  SensorCalibration,
+  CalibrationSession,
   Device,
+  DeviceCommand,
+  DeviceDriver,
   DeviceEvent,
+  MaintenancePlan,
+  MaintenanceRecord,
+  DeviceInterlock,
   Rule,
   RuleExecution,
   RuleStatistics,
+  RuleRevision,
+  RuleGroup,
+  DeviceScene,
+  SceneDeviceState,
+  GreenhouseMode,
   Notification,
   NotificationTemplate,
   TemplateVariable,
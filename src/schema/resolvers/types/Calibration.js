@@ -0,0 +1,89 @@
+const userService = require('../../../services/authService');
+const sensorCalibrationService = require('../../../services/sensorCalibrationService');
+
+/**
+ * User who created a calibration or session
+ * @param {Object} row - Row with created_by
+ * @param {string} resolverName - Resolver name (for the log)
+ * @returns {Promise<Object|null>} User
+ */
+const resolveCreatedBy = async(row, resolverName) => {
+  if (!row.created_by) {
+    return null;
+  }
+
+  try {
+    return await userService.getUserById(row.created_by);
+  } catch (error) {
+    console.error(`[${resolverName}] Error getting user ${row.created_by}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Sensor Calibration Type Resolvers
+ */
+const SensorCalibration = {
+  sensorId: (calibration) => calibration.sensor_id,
+
+  validFrom: (calibration) => calibration.valid_from,
+
+  validTo: (calibration) => calibration.valid_to,
+
+  active: async(calibration) => {
+    try {
+      return await sensorCalibrationService.isActive(calibration);
+    } catch (error) {
+      console.error(`[SensorCalibrationResolver] Error checking calibration ${calibration.id}:`, error);
+      return false;
+    }
+  },
+
+  createdBy: (calibration) => resolveCreatedBy(calibration, 'SensorCalibrationResolver'),
+
+  createdAt: (calibration) => calibration.created_at
+};
+
+/**
+ * Calibration Session Type Resolvers
+ */
+const CalibrationSession = {
+  sensorId: (session) => session.sensor_id,
+
+  references: (session) => (session.reference_values || []).map(Number),
+
+  points: (session) => session.points || [],
+
+  requiredPoints: (session) => sensorCalibrationService.getRequiredPoints(session),
+
+  nextStep: (session) => sensorCalibrationService.describeNextStep(session),
+
+  preview: (session) => sensorCalibrationService.previewSession(session),
+
+  /**
+   * Profile created when the session was completed
+   */
+  calibration: async(session) => {
+    if (!session.calibration_id) {
+      return null;
+    }
+
+    try {
+      return await sensorCalibrationService.getCalibration(session.calibration_id);
+    } catch (error) {
+      console.error(`[CalibrationSessionResolver] Error getting calibration ${session.calibration_id}:`, error);
+      return null;
+    }
+  },
+
+  createdBy: (session) => resolveCreatedBy(session, 'CalibrationSessionResolver'),
+
+  createdAt: (session) => session.created_at,
+
+  completedAt: (session) => session.completed_at
+};
+
+module.exports = {
+  SensorCalibration,
+  CalibrationSession
+};
@@ -1,5 +1,10 @@
 const deviceService = require('../../../services/deviceService');
 const userService = require('../../../services/authService');
+const executionBudgetService = require('../../../services/executionBudgetService');
+const deviceCommandService = require('../../../services/deviceCommandService');
+const deviceDriverService = require('../../../services/deviceDriverService');
+const deviceMaintenanceService = require('../../../services/deviceMaintenanceService');
+const deviceInterlockService = require('../../../services/deviceInterlockService');
 
 /**
  * Device Type Resolvers
@@ -105,10 +110,7 @@ const Device = {
    */
   maintenanceStatus: async(device, args, context) => {
     try {
-      // Simple maintenance status logic based on device age and usage
       const now = new Date();
-      const createdAt = new Date(device.created_at);
-      const daysSinceCreation = (now - createdAt) / (1000 * 60 * 60 * 24);
 
       // Check if device has been offline for too long
       if (device.last_seen) {
@@ -120,33 +122,8 @@ const Device = {
         }
       }
 
-      // Basic maintenance schedule based on device type
-      let maintenanceDays = 90; // Default 3 months
-
-      switch (device.type) {
-      case 'WATER_PUMP':
-      case 'MOTOR':
-        maintenanceDays = 60; // 2 months for high-wear devices
-        break;
-      case 'VENTILATOR':
-      case 'HEATER':
-        maintenanceDays = 120; // 4 months
-        break;
-      case 'LIGHTS':
-      case 'VALVE':
-        maintenanceDays = 180; // 6 months
-        break;
-      }
-
-      if (daysSinceCreation > maintenanceDays + 30) {
-        return 'MAINTENANCE_OVERDUE';
-      } else if (daysSinceCreation > maintenanceDays) {
-        return 'MAINTENANCE_DUE';
-      } else if (daysSinceCreation > maintenanceDays * 0.8) {
-        return 'WARNING';
-      }
-
-      return 'GOOD';
+      // Worst state among the device's maintenance plans
+      return await deviceMaintenanceService.getDeviceMaintenanceStatus(device.id);
     } catch (error) {
       console.error(`[DeviceTypeResolver] Error calculating maintenance status for device ${device.id}:`, error);
       return 'GOOD';
@@ -160,6 +137,9 @@ const Device = {
     // Map database status (lowercase) to GraphQL enum (uppercase)
     if (!device.status) return 'OFFLINE';
 
+    // Devices in maintenance stay in MAINTENANCE whatever they report
+    if (device.maintenance_started_at) return 'MAINTENANCE';
+
     const statusMap = {
       'on': 'ON',
       'off': 'OFF',
@@ -215,42 +195,141 @@ const Device = {
   },
 
   /**
-   * Calculate operating hours
+   * Map database daily limits to GraphQL fields
    */
-  operatingHours: async(device, args, context) => {
+  maxOnMinutesPerDay: (device) => {
+    return device.max_on_minutes_per_day ?? null;
+  },
+
+  maxActivationsPerDay: (device) => {
+    return device.max_activations_per_day ?? null;
+  },
+
+  /**
+   * Today's ON-time and activations against the daily limits
+   */
+  budget: (device) => {
+    return executionBudgetService.getDeviceBudget(device);
+  },
+
+  /**
+   * Driver the device's commands go through
+   */
+  driver: (device) => {
     try {
-      // Estimate operating hours based on device history and status
-      const now = new Date();
-      const createdAt = new Date(device.created_at);
-      const totalHours = (now - createdAt) / (1000 * 60 * 60);
-
-      // Assume different duty cycles for different device types
-      let dutyCycle = 0.5; // Default 50% duty cycle
-
-      switch (device.type) {
-      case 'LIGHTS':
-        dutyCycle = 0.33; // ~8 hours per day
-        break;
-      case 'WATER_PUMP':
-        dutyCycle = 0.1; // ~2.4 hours per day
-        break;
-      case 'VENTILATOR':
-        dutyCycle = 0.7; // ~17 hours per day
-        break;
-      case 'HEATER':
-      case 'COOLER':
-        dutyCycle = 0.3; // ~7 hours per day
-        break;
-      }
+      return deviceDriverService.resolveDriver(device).driver;
+    } catch (error) {
+      console.error(`[DeviceTypeResolver] Error resolving driver for device ${device.id}:`, error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Driver parameters with defaults applied
+   */
+  driverParams: (device) => {
+    try {
+      return deviceDriverService.resolveDriver(device).params;
+    } catch {
+      return device.configuration?.driverParams || null;
+    }
+  },
+
+  /**
+   * Command history with acknowledgement status
+   */
+  commands: async(device, { status, limit = 20 }) => {
+    try {
+      return await deviceCommandService.getCommands(device.id, {
+        status: status ? status.toLowerCase() : null,
+        limit: Math.min(limit, 200)
+      });
+    } catch (error) {
+      console.error(`[DeviceTypeResolver] Error getting commands for device ${device.id}:`, error);
+      return [];
+    }
+  },
 
-      return Math.round(totalHours * dutyCycle * 100) / 100;
+  /**
+   * Cumulative runtime hours from ON/OFF status changes
+   */
+  operatingHours: async(device, args, context) => {
+    try {
+      return await deviceMaintenanceService.getRuntimeHours(device.id);
     } catch (error) {
-      console.error(`[DeviceTypeResolver] Error calculating operating hours for device ${device.id}:`, error);
+      console.error(`[DeviceTypeResolver] Error getting operating hours for device ${device.id}:`, error);
       return 0;
     }
+  },
+
+  /**
+   * Maintenance plans of the device with their due state
+   */
+  maintenancePlans: async(device) => {
+    try {
+      return await deviceMaintenanceService.getPlans({ deviceId: device.id });
+    } catch (error) {
+      console.error(`[DeviceTypeResolver] Error getting maintenance plans for device ${device.id}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Maintenance history of the device, newest first
+   */
+  maintenanceHistory: async(device, { limit = 10 }) => {
+    try {
+      return await deviceMaintenanceService.getHistory(device.id, Math.min(limit, 200));
+    } catch (error) {
+      console.error(`[DeviceTypeResolver] Error getting maintenance history for device ${device.id}:`, error);
+      return [];
+    }
+  },
+
+  maintenanceStartedAt: (device) => device.maintenance_started_at || null,
+
+  /**
+   * Interlocks that involve the device
+   */
+  interlocks: async(device) => {
+    try {
+      return await deviceInterlockService.getInterlocks({ deviceId: device.id });
+    } catch (error) {
+      console.error(`[DeviceTypeResolver] Error getting interlocks for device ${device.id}:`, error);
+      return [];
+    }
   }
 };
 
+/**
+ * DeviceCommand Type Resolvers
+ */
+const DeviceCommand = {
+  correlationId: (command) => command.correlation_id,
+  stateTopic: (command) => command.state_topic,
+  status: (command) => command.status.toUpperCase(),
+  lastSentAt: (command) => command.last_sent_at,
+  nextRetryAt: (command) => command.next_retry_at,
+  acknowledgedAt: (command) => command.acknowledged_at,
+  reportedState: (command) => command.reported_state,
+  createdAt: (command) => command.created_at
+};
+
+/**
+ * DeviceDriver Type Resolvers
+ */
+const DeviceDriver = {
+  description: (driver) => driver.description || null,
+  stateTopicTemplate: (driver) => driver.stateTopicTemplate || null,
+  parameters: (driver) => Object.entries(driver.parameters).map(([name, parameter]) => ({
+    name,
+    type: parameter.type,
+    required: Boolean(parameter.required),
+    default: parameter.default ?? null,
+    description: parameter.description || null
+  }))
+};
+
 /**
  * DeviceEvent Type Resolvers
  */
@@ -364,5 +443,7 @@ function generateDefaultCapabilities(deviceType) {
 
 module.exports = {
   Device,
+  DeviceCommand,
+  DeviceDriver,
   DeviceEvent
 };
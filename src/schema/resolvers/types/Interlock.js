@@ -0,0 +1,55 @@
+const userService = require('../../../services/authService');
+const deviceService = require('../../../services/deviceService');
+
+/**
+ * Device Interlock Type Resolvers
+ */
+const DeviceInterlock = {
+  deviceIds: (interlock) => interlock.device_ids || [],
+
+  /**
+   * Devices covered by the interlock (deleted devices are left out)
+   */
+  devices: async(interlock) => {
+    const devices = await Promise.all((interlock.device_ids || []).map(async(deviceId) => {
+      try {
+        return await deviceService.getDeviceById(deviceId);
+      } catch (error) {
+        console.error(`[DeviceInterlockResolver] Error getting device ${deviceId}:`, error);
+        return null;
+      }
+    }));
+    return devices.filter(Boolean);
+  },
+
+  sensorId: (interlock) => interlock.sensor_id,
+
+  field: (interlock) => interlock.sensor_field,
+
+  value: (interlock) => (interlock.threshold !== null ? parseFloat(interlock.threshold) : null),
+
+  maxDataAgeMinutes: (interlock) => interlock.max_data_age_minutes,
+
+  blockWhenNoData: (interlock) => interlock.block_when_no_data,
+
+  createdBy: async(interlock) => {
+    if (!interlock.created_by) {
+      return null;
+    }
+
+    try {
+      return await userService.getUserById(interlock.created_by);
+    } catch (error) {
+      console.error(`[DeviceInterlockResolver] Error getting user ${interlock.created_by}:`, error);
+      return null;
+    }
+  },
+
+  createdAt: (interlock) => interlock.created_at,
+
+  updatedAt: (interlock) => interlock.updated_at
+};
+
+module.exports = {
+  DeviceInterlock
+};
@@ -0,0 +1,77 @@
+const userService = require('../../../services/authService');
+const deviceService = require('../../../services/deviceService');
+
+/**
+ * Device a plan or record belongs to (null when it can't be loaded)
+ * @param {number} deviceId - Device ID
+ * @param {string} resolverName - Log prefix
+ */
+const resolveDevice = async(deviceId, resolverName) => {
+  try {
+    return await deviceService.getDeviceById(deviceId);
+  } catch (error) {
+    console.error(`[${resolverName}] Error getting device ${deviceId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * User who performed a maintenance step
+ * @param {number|null} userId - User ID
+ * @param {string} resolverName - Log prefix
+ */
+const resolveUser = async(userId, resolverName) => {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    return await userService.getUserById(userId);
+  } catch (error) {
+    console.error(`[${resolverName}] Error getting user ${userId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Maintenance Plan Type Resolvers
+ * Due-state fields (runtimeHoursSinceMaintenance, status...) are computed by
+ * deviceMaintenanceService.evaluatePlan
+ */
+const MaintenancePlan = {
+  device: (plan) => resolveDevice(plan.device_id, 'MaintenancePlanResolver'),
+
+  intervalRuntimeHours: (plan) => (plan.interval_runtime_hours !== null ? parseFloat(plan.interval_runtime_hours) : null),
+
+  intervalDays: (plan) => plan.interval_days,
+
+  lastCompletedAt: (plan) => plan.last_completed_at,
+
+  createdAt: (plan) => plan.created_at,
+
+  updatedAt: (plan) => plan.updated_at
+};
+
+/**
+ * Maintenance Record Type Resolvers
+ */
+const MaintenanceRecord = {
+  device: (record) => resolveDevice(record.device_id, 'MaintenanceRecordResolver'),
+
+  planIds: (record) => record.plan_ids || [],
+
+  startedAt: (record) => record.started_at,
+
+  completedAt: (record) => record.completed_at,
+
+  runtimeHours: (record) => (record.runtime_hours !== null ? parseFloat(record.runtime_hours) : null),
+
+  startedBy: (record) => resolveUser(record.started_by, 'MaintenanceRecordResolver'),
+
+  completedBy: (record) => resolveUser(record.completed_by, 'MaintenanceRecordResolver')
+};
+
+module.exports = {
+  MaintenancePlan,
+  MaintenanceRecord
+};
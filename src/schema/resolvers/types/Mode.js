@@ -0,0 +1,128 @@
+const { query } = require('../../../config/database');
+const userService = require('../../../services/authService');
+const deviceService = require('../../../services/deviceService');
+const greenhouseModeService = require('../../../services/greenhouseModeService');
+
+/**
+ * Rule Group Type Resolvers
+ */
+const RuleGroup = {
+  /**
+   * Rules of the group
+   */
+  rules: async(group) => {
+    try {
+      const result = await query(
+        `SELECT r.* FROM rules r
+         JOIN rule_group_members m ON m.rule_id = r.id
+         WHERE m.group_id = $1
+         ORDER BY r.priority, r.name`,
+        [group.id]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error(`[RuleGroupResolver] Error getting rules of group ${group.id}:`, error);
+      return [];
+    }
+  },
+
+  ruleCount: (group) => (group.rule_ids || []).length,
+
+  createdAt: (group) => group.created_at,
+
+  updatedAt: (group) => group.updated_at
+};
+
+/**
+ * Device Scene Type Resolvers
+ */
+const DeviceScene = {
+  states: (scene) => scene.states || [],
+
+  createdAt: (scene) => scene.created_at,
+
+  updatedAt: (scene) => scene.updated_at
+};
+
+/**
+ * Scene Device State Type Resolvers
+ */
+const SceneDeviceState = {
+  /**
+   * Device the state applies to (null when it was deleted)
+   */
+  device: async(state) => {
+    try {
+      return await deviceService.getDeviceById(state.deviceId);
+    } catch (error) {
+      console.error(`[DeviceSceneResolver] Error getting device ${state.deviceId}:`, error);
+      return null;
+    }
+  }
+};
+
+/**
+ * Greenhouse Mode Type Resolvers
+ */
+const GreenhouseMode = {
+  /**
+   * Rule groups the mode runs
+   */
+  ruleGroups: async(mode) => {
+    try {
+      const groups = await greenhouseModeService.getRuleGroups();
+      const ids = new Set((mode.rule_group_ids || []).map(String));
+      return groups.filter(group => ids.has(String(group.id)));
+    } catch (error) {
+      console.error(`[GreenhouseModeResolver] Error getting groups of mode ${mode.id}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Scene applied on activation
+   */
+  scene: async(mode) => {
+    if (!mode.scene_id) {
+      return null;
+    }
+
+    try {
+      return await greenhouseModeService.getScene(mode.scene_id);
+    } catch (error) {
+      console.error(`[GreenhouseModeResolver] Error getting scene of mode ${mode.id}:`, error);
+      return null;
+    }
+  },
+
+  isActive: (mode) => Boolean(mode.is_active),
+
+  activatedAt: (mode) => mode.activated_at,
+
+  /**
+   * User who last activated the mode
+   */
+  activatedBy: async(mode) => {
+    if (!mode.activated_by) {
+      return null;
+    }
+
+    try {
+      return await userService.getUserById(mode.activated_by);
+    } catch (error) {
+      console.error(`[GreenhouseModeResolver] Error getting user for mode ${mode.id}:`, error);
+      return null;
+    }
+  },
+
+  createdAt: (mode) => mode.created_at,
+
+  updatedAt: (mode) => mode.updated_at
+};
+
+module.exports = {
+  RuleGroup,
+  DeviceScene,
+  SceneDeviceState,
+  GreenhouseMode
+};
@@ -1,5 +1,11 @@
 const { query } = require('../../../config/database');
 const userService = require('../../../services/authService');
+const rulesEngineService = require('../../../services/rulesEngineService');
+const ruleRevisionService = require('../../../services/ruleRevisionService');
+const ruleConflictService = require('../../../services/ruleConflictService');
+const queueService = require('../../../services/queueService');
+const executionBudgetService = require('../../../services/executionBudgetService');
+const greenhouseModeService = require('../../../services/greenhouseModeService');
 
 /**
  * Rule Type Resolvers
@@ -95,10 +101,20 @@ const Rule = {
         return null;
       }
 
-      // For this simple implementation, rules are evaluated every 30 seconds
-      // In a real system, this would be more sophisticated
+      // Sensor/device driven rules are evaluated when their inputs change
+      if (!rulesEngineService.isScheduledRule(rule)) {
+        return null;
+      }
+
       const now = new Date();
-      const nextEval = new Date(now.getTime() + 30000); // 30 seconds from now
+
+      // Cron schedules know exactly when they fire next
+      const nextCronRun = rulesEngineService.getNextCronRun(rule, now);
+      if (nextCronRun) {
+        return nextCronRun.toISOString();
+      }
+
+      const nextEval = new Date(now.getTime() + rulesEngineService.evaluationInterval);
 
       return nextEval.toISOString();
     } catch (error) {
@@ -107,6 +123,36 @@ const Rule = {
     }
   },
 
+  /**
+   * Latched hysteresis state of the rule's sensor conditions
+   */
+  latchState: async(rule) => {
+    try {
+      return await rulesEngineService.getLatchState(rule);
+    } catch (error) {
+      console.error(`[RuleTypeResolver] Error getting latch state for rule ${rule.id}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Enabled rules that command the same devices in the opposite direction
+   */
+  conflicts: async(rule) => {
+    try {
+      // createRule/updateRule/rollbackRule pass along the conflicts checked on save
+      const conflicts = rule.conflicts || await ruleConflictService.findConflicts(rule);
+      return conflicts.map(conflict => ({
+        ...conflict,
+        winnerRuleId: conflict.winnerId,
+        message: ruleConflictService.describeConflict(conflict)
+      }));
+    } catch (error) {
+      console.error(`[RuleTypeResolver] Error detecting conflicts for rule ${rule.id}:`, error);
+      return [];
+    }
+  },
+
   /**
    * Parse JSON conditions into proper object
    */
@@ -145,6 +191,51 @@ const Rule = {
    */
   cooldownMinutes: (rule) => {
     return rule.cooldown_minutes || 15;
+  },
+
+  /**
+   * Map database daily execution limit to GraphQL field
+   */
+  maxExecutionsPerDay: (rule) => {
+    return rule.max_executions_per_day ?? null;
+  },
+
+  /**
+   * Today's executions against the daily limit
+   */
+  budget: (rule) => {
+    return executionBudgetService.getRuleBudget(rule);
+  },
+
+  /**
+   * Current revision number (rules created before versioning start at 1)
+   */
+  revision: (rule) => {
+    return rule.revision || 1;
+  },
+
+  /**
+   * Revision history of this rule, newest first
+   */
+  revisions: async(rule) => {
+    try {
+      return await ruleRevisionService.getRevisions(rule.id);
+    } catch (error) {
+      console.error(`[RuleTypeResolver] Error getting revisions for rule ${rule.id}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Rule groups this rule belongs to
+   */
+  groups: async(rule) => {
+    try {
+      return await greenhouseModeService.getGroupsOfRule(rule.id);
+    } catch (error) {
+      console.error(`[RuleTypeResolver] Error getting groups for rule ${rule.id}:`, error);
+      return [];
+    }
   }
 };
 
@@ -169,6 +260,34 @@ const RuleExecution = {
     }
   },
 
+  /**
+   * Executions recorded before statuses existed only have success
+   */
+  status: (execution) => {
+    return (execution.status || (execution.success ? 'success' : 'failed')).toUpperCase();
+  },
+
+  /**
+   * Resolve the rule that won arbitration over an overridden execution
+   */
+  overriddenBy: async(execution) => {
+    if (!execution.overridden_by) {
+      return null;
+    }
+
+    try {
+      const result = await query(
+        'SELECT * FROM rules WHERE id = $1',
+        [execution.overridden_by]
+      );
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      console.error('[RuleExecutionResolver] Error getting overriding rule for execution:', error);
+      return null;
+    }
+  },
+
   /**
    * Map database field to GraphQL field
    */
@@ -176,6 +295,20 @@ const RuleExecution = {
     return execution.triggered_at;
   },
 
+  /**
+   * Map stored trigger source (sensor_event, device_event...) to enum value
+   */
+  triggerSource: (execution) => {
+    return (execution.trigger_source || execution.triggerSource || 'schedule').toUpperCase();
+  },
+
+  /**
+   * Map database field to GraphQL field
+   */
+  ruleRevision: (execution) => {
+    return execution.rule_revision || null;
+  },
+
   /**
    * Map database field to GraphQL field
    */
@@ -223,25 +356,38 @@ const RuleExecution = {
   },
 
   /**
-   * Build actions executed from execution data
+   * Build actions executed from execution data, with live step status for sequences
    */
-  actionsExecuted: (execution) => {
+  actionsExecuted: async(execution) => {
     try {
-      // In a more complex system, this would track individual action results
-      if (execution.actions) {
-        const actions = typeof execution.actions === 'string'
-          ? JSON.parse(execution.actions)
-          : execution.actions;
+      const stored = execution.actions_executed || execution.actions;
+      if (!stored) {
+        return [];
+      }
+
+      const actions = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      const executionError = execution.error_message || execution.error || null;
 
-        return actions.map((action, index) => ({
+      return await Promise.all(actions.map(async(action, index) => {
+        const sequence = action.sequence_id ? await queueService.getSequence(action.sequence_id) : null;
+        const overriddenBy = action.overridden_by
+          ? (await query('SELECT * FROM rules WHERE id = $1', [action.overridden_by.rule_id])).rows[0] || null
+          : null;
+
+        return {
           actionIndex: index,
-          success: execution.success,
+          success: sequence
+            ? !['FAILED', 'ABORTED'].includes(sequence.status)
+            : execution.success && !action.error && !action.overridden_by,
           executionTimeMs: Math.floor((execution.execution_time_ms || 0) / actions.length),
           result: {},
-          error: execution.success ? null : execution.error
-        }));
-      }
-      return [];
+          error: action.error || sequence?.error || (execution.success ? null : executionError),
+          overriddenBy,
+          sequenceId: action.sequence_id || null,
+          sequenceStatus: sequence ? sequence.status : null,
+          steps: sequence ? sequence.steps : []
+        };
+      }));
     } catch (error) {
       return [];
     }
@@ -266,8 +412,59 @@ const RuleStatistics = {
   }
 };
 
+/**
+ * RuleRevision Type Resolvers
+ */
+const RuleRevision = {
+  ruleId: (revision) => revision.rule_id,
+
+  changeType: (revision) => revision.change_type.toUpperCase(),
+
+  rolledBackFrom: (revision) => revision.rolled_back_from,
+
+  cooldownMinutes: (revision) => revision.cooldown_minutes,
+
+  maxExecutionsPerDay: (revision) => revision.max_executions_per_day ?? null,
+
+  createdAt: (revision) => revision.created_at,
+
+  conditions: (revision) => ruleRevisionService.fromJSON(revision.conditions),
+
+  actions: (revision) => ruleRevisionService.fromJSON(revision.actions),
+
+  /**
+   * Resolve the user who made the change
+   */
+  createdBy: async(revision) => {
+    try {
+      if (!revision.created_by) {
+        return null;
+      }
+
+      return await userService.getUserById(revision.created_by);
+    } catch (error) {
+      console.error(`[RuleRevisionResolver] Error getting author of revision ${revision.id}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Structural diff against the previous revision
+   */
+  diff: async(revision) => {
+    try {
+      const previous = await ruleRevisionService.getPreviousRevision(revision.rule_id, revision.revision);
+      return ruleRevisionService.diffRevisions(previous, revision);
+    } catch (error) {
+      console.error(`[RuleRevisionResolver] Error diffing revision ${revision.id}:`, error);
+      return [];
+    }
+  }
+};
+
 module.exports = {
   Rule,
   RuleExecution,
-  RuleStatistics
+  RuleStatistics,
+  RuleRevision
 };
@@ -1,5 +1,6 @@
 const sensorService = require('../../../services/sensorService');
 const mqttService = require('../../../services/mqttService');
+const sensorCalibrationService = require('../../../services/sensorCalibrationService');
 
 /**
  * Sensor Type Resolvers
@@ -122,11 +123,11 @@ const Sensor = {
   /**
    * Get historical readings for this sensor
    */
-  readings: async(sensor, { limit, from, to }, context) => {
+  readings: async(sensor, { limit, from, to, resolution }) => {
     try {
-      console.log(`[SensorTypeResolver] Getting readings for sensor ${sensor.id}`, { limit, from, to });
+      console.log(`[SensorTypeResolver] Getting readings for sensor ${sensor.id}`, { limit, from, to, resolution });
 
-      const options = { limit: limit || 100 };
+      const options = { limit: limit || 100, resolution };
       if (from) options.from = from;
       if (to) options.to = to;
 
@@ -143,7 +144,7 @@ const Sensor = {
   /**
    * Get statistics for this sensor
    */
-  stats: async(sensor, { timeRange }, context) => {
+  stats: async(sensor, { timeRange, resolution }) => {
     try {
       console.log(`[SensorTypeResolver] Getting stats for sensor ${sensor.id}`, { timeRange });
 
@@ -153,11 +154,23 @@ const Sensor = {
         to: new Date().toISOString()
       };
 
-      return await sensorService.getSensorStats(sensor.id, defaultTimeRange);
+      return await sensorService.getSensorStats(sensor.id, defaultTimeRange, resolution);
     } catch (error) {
       console.error(`[SensorTypeResolver] Error getting stats for sensor ${sensor.id}:`, error);
       return null;
     }
+  },
+
+  /**
+   * Calibration profiles valid now or later
+   */
+  calibrations: async(sensor) => {
+    try {
+      return await sensorCalibrationService.getCalibrations(sensor.hardwareId || sensor.id);
+    } catch (error) {
+      console.error(`[SensorTypeResolver] Error getting calibrations for sensor ${sensor.id}:`, error);
+      return [];
+    }
   }
 };
 
@@ -169,6 +182,10 @@ const SensorReading = {
    * Resolve sensor for a reading
    */
   sensor: async(reading, args, context) => {
+    if (reading.sensor) {
+      return reading.sensor;
+    }
+
     try {
       return await sensorService.getSensorById(reading.sensorId);
     } catch (error) {
@@ -186,6 +203,10 @@ const SensorStatistics = {
    * Resolve sensor for statistics
    */
   sensor: async(stats, args, context) => {
+    if (stats.sensor) {
+      return stats.sensor;
+    }
+
     try {
       return await sensorService.getSensorById(stats.sensorId);
     } catch (error) {
@@ -33,6 +33,7 @@ const baseTypeDefs = gql`
     status: String!
     timestamp: DateTime!
     services: ServiceStatus!
+    ruleEngine: RuleEngineLeadership
   }
 
   type ServiceStatus {
@@ -103,6 +104,10 @@ const ruleTypeDefs = loadGraphQLFile('rule.graphql');
 const notificationTypeDefs = loadGraphQLFile('notification.graphql');
 const weatherTypeDefs = loadGraphQLFile('weather.graphql');
 const pumpCycleTypeDefs = loadGraphQLFile('pumpCycles.graphql');
+const modeTypeDefs = loadGraphQLFile('mode.graphql');
+const maintenanceTypeDefs = loadGraphQLFile('maintenance.graphql');
+const interlockTypeDefs = loadGraphQLFile('interlock.graphql');
+const calibrationTypeDefs = loadGraphQLFile('calibration.graphql');
 
 // Combine all type definitions
 const typeDefs = [
@@ -110,9 +115,13 @@ const typeDefs = [
   JSONTypeDefinition,
   baseTypeDefs,
   sensorTypeDefs,
+  calibrationTypeDefs,
   deviceTypeDefs,
+  maintenanceTypeDefs,
+  interlockTypeDefs,
   userTypeDefs,
   ruleTypeDefs,
+  modeTypeDefs,
   notificationTypeDefs,
   weatherTypeDefs,
   pumpCycleTypeDefs
@@ -61,6 +61,13 @@ const authService = require('./services/authService');
 const mqttService = require('./services/mqttService');
 const rulesEngineService = require('./services/rulesEngineService');
 const queueService = require('./services/queueService');
+const leaderElectionService = require('./services/leaderElectionService');
+const deviceCommandService = require('./services/deviceCommandService');
+const deviceService = require('./services/deviceService');
+const homeAssistantService = require('./services/homeAssistantService');
+const deviceMaintenanceService = require('./services/deviceMaintenanceService');
+const sensorRetentionService = require('./services/sensorRetentionService');
+const deviceInterlockService = require('./services/deviceInterlockService');
 
 // Import utilities
 const { pubsub } = require('./utils/pubsub');
@@ -380,6 +387,7 @@ class GraphQLServer {
         try { services.mqtt = mqttService.getStatus?.().isConnected || false; } catch { services.mqtt = false; }
         try { services.rules = rulesEngineService.getStatus?.().isRunning || false; } catch { services.rules = false; }
         try { services.queue = queueService.isProcessing || false; } catch { services.queue = false; }
+        try { services.rulesLeader = await leaderElectionService.getStatus(); } catch { services.rulesLeader = null; }
 
         // Add security status
         const security = {
@@ -522,6 +530,9 @@ class GraphQLServer {
     // Initialize other services with individual error handling
     try {
       await mqttService.connect();
+      // Command acknowledgements can reach any instance
+      deviceCommandService.startAckListener();
+      homeAssistantService.start({ mqttService, deviceService });
       console.log('✅ MQTT service initialized');
     } catch (error) {
       console.warn('⚠️ MQTT service failed to initialize:', error.message);
@@ -537,10 +548,50 @@ class GraphQLServer {
     }
 
     try {
-      await rulesEngineService.start();
-      console.log('✅ Rules engine initialized');
+      // Only the instance holding the leader lease evaluates rules, runs action
+      // sequences and retries device commands; the others take over if it goes away
+      await leaderElectionService.start({
+        onElected: async() => {
+          try {
+            // Runs independently of the stream consumer so sequences resume after a restart
+            await queueService.startSequenceProcessing();
+          } catch (error) {
+            console.warn('⚠️ Action sequence processor failed to initialize:', error.message);
+          }
+
+          deviceCommandService.startRetryProcessing();
+          deviceMaintenanceService.startScheduler();
+
+          try {
+            await deviceInterlockService.start();
+          } catch (error) {
+            console.warn('⚠️ Interlock sensor watch failed to initialize:', error.message);
+          }
+
+          sensorRetentionService.startScheduler();
+
+          try {
+            await rulesEngineService.start();
+            console.log('✅ Rules engine initialized');
+          } catch (error) {
+            console.warn('⚠️ Rules engine failed to initialize:', error.message);
+          }
+
+          await homeAssistantService.publishAll();
+        },
+        onDemoted: () => {
+          rulesEngineService.stop();
+          queueService.stopProcessing();
+          queueService.stopSequenceProcessing();
+          deviceCommandService.stopRetryProcessing();
+          deviceMaintenanceService.stopScheduler();
+          deviceInterlockService.stop();
+          sensorRetentionService.stopScheduler();
+        }
+      });
+      console.log('✅ Leader election initialized');
     } catch (error) {
-      console.warn('⚠️ Rules engine failed to initialize:', error.message);
+      console.warn('⚠️ Leader election failed to initialize:', error.message);
     }
 
     console.log('🎉 Service initialization completed');
@@ -590,12 +641,13 @@ class GraphQLServer {
     try {
       console.log('🛑 Shutting down services...');
 
-      // Stop rules engine
-      rulesEngineService.stop();
-      console.log('✅ Rules engine stopped');
+      // Hand over leadership (stops the rules engine and queue processors)
+      await leaderElectionService.stop();
+      console.log('✅ Rules engine leadership released');
 
       // Stop queue service
       queueService.stopProcessing();
+      queueService.stopSequenceProcessing();
       console.log('✅ Queue service stopped');
 
       // Disconnect MQTT
@@ -0,0 +1,237 @@
+/**
+ * Device Protocol Tests
+ * Real Tasmota, Shelly and ESPHome payloads with what deviceProtocolService
+ * and deviceDriverService must make of them. Expected entities and commands
+ * are matched partially: only the listed fields are compared.
+ */
+const deviceProtocolService = require('../deviceProtocolService');
+const deviceDriverService = require('../deviceDriverService');
+
+const messages = [
+  // Tasmota
+  {
+    description: 'Tasmota single relay state',
+    topic: 'stat/sonoff-riego/POWER',
+    payload: 'ON',
+    protocol: 'tasmota',
+    entities: [{ kind: 'device', topic: 'stat/sonoff-riego/POWER', driver: 'tasmota_relay', driverParams: { topic: 'sonoff-riego', relay: '' }, status: 'on' }]
+  },
+  {
+    description: 'Tasmota 4CH relay 2 command result',
+    topic: 'stat/sonoff4ch/RESULT',
+    payload: '{"POWER2":"OFF"}',
+    protocol: 'tasmota',
+    entities: [{ kind: 'device', topic: 'stat/sonoff4ch/POWER2', driver: 'tasmota_relay', driverParams: { topic: 'sonoff4ch', relay: '2' }, status: 'off' }]
+  },
+  {
+    description: 'Tasmota periodic state',
+    topic: 'tele/sonoff-riego/STATE',
+    payload: '{"Time":"2024-05-12T10:15:03","Uptime":"0T02:10:45","UptimeSec":7845,"Heap":26,"SleepMode":"Dynamic","Sleep":50,"LoadAvg":19,"MqttCount":1,"POWER":"ON","Wifi":{"AP":1,"SSId":"greenhouse","BSSId":"AA:BB:CC:DD:EE:FF","Channel":6,"Mode":"11n","RSSI":78,"Signal":-61,"LinkCount":1,"Downtime":"0T00:00:04"}}',
+    protocol: 'tasmota',
+    entities: [{ kind: 'device', topic: 'stat/sonoff-riego/POWER', status: 'on' }]
+  },
+  {
+    description: 'Tasmota dimmer result',
+    topic: 'stat/tasmota-dimmer/RESULT',
+    payload: '{"POWER":"ON","Dimmer":45}',
+    protocol: 'tasmota',
+    entities: [{ kind: 'device', topic: 'stat/tasmota-dimmer/POWER', deviceType: 'DIMMER', driver: 'tasmota_dimmer', status: 'on', value: 45 }]
+  },
+  {
+    description: 'Tasmota AM2301 telemetry',
+    topic: 'tele/th-sonoff/SENSOR',
+    payload: '{"Time":"2024-05-12T10:20:00","AM2301":{"Temperature":24.3,"Humidity":61.2,"DewPoint":16.3},"TempUnit":"C"}',
+    protocol: 'tasmota',
+    entities: [{ kind: 'sensor', topic: 'tele/th-sonoff/SENSOR/AM2301', hardwareId: 'tasmota_th_sonoff_am2301', sensorType: 'TEMHUM', readings: { temperatura: 24.3, humedad: 61.2, dewpoint: 16.3 } }]
+  },
+  {
+    description: 'Tasmota POW energy telemetry',
+    topic: 'tele/pow-bomba/SENSOR',
+    payload: '{"Time":"2024-05-12T10:20:00","ENERGY":{"TotalStartTime":"2023-11-02T09:12:44","Total":152.381,"Yesterday":1.204,"Today":0.533,"Period":2,"Power":412,"ApparentPower":455,"ReactivePower":193,"Factor":0.91,"Voltage":229,"Current":1.987}}',
+    protocol: 'tasmota',
+    entities: [{ kind: 'sensor', topic: 'tele/pow-bomba/SENSOR/ENERGY', sensorType: 'POWER_MONITOR', readings: { voltage: 229, current: 1.987, watts: 412, power_factor: 0.91, energy_total: 152.381 } }]
+  },
+  {
+    description: 'Tasmota ESP32 DS18B20 in Fahrenheit (chip temperature skipped)',
+    topic: 'tele/esp32-ds/SENSOR',
+    payload: '{"Time":"2024-05-12T10:20:00","DS18B20":{"Id":"3C01D607D4A1","Temperature":71.6},"ESP32":{"Temperature":48.3},"TempUnit":"F"}',
+    protocol: 'tasmota',
+    entities: [{ kind: 'sensor', sensorType: 'CUSTOM', readings: { temperatura: 22, value: 22, unit: '°C' } }]
+  },
+  {
+    description: 'Tasmota last will',
+    topic: 'tele/sonoff-riego/LWT',
+    payload: 'Online',
+    protocol: 'tasmota',
+    entities: []
+  },
+
+  // Shelly Gen1
+  {
+    description: 'Shelly 1PM relay state',
+    topic: 'shellies/shelly1pm-A4CF12F45678/relay/0',
+    payload: 'on',
+    protocol: 'shelly',
+    entities: [{ kind: 'device', driver: 'shelly_gen1_relay', driverParams: { shellyId: 'shelly1pm-A4CF12F45678', channel: 0 }, status: 'on' }]
+  },
+  {
+    description: 'Shelly 1PM relay power',
+    topic: 'shellies/shelly1pm-A4CF12F45678/relay/0/power',
+    payload: '35.27',
+    protocol: 'shelly',
+    entities: [{ kind: 'sensor', sensorType: 'CUSTOM', readings: { watts: 35.27, value: 35.27, unit: 'W' } }]
+  },
+  {
+    description: 'Shelly H&T temperature',
+    topic: 'shellies/shellyht-6FEB47/sensor/temperature',
+    payload: '21.50',
+    protocol: 'shelly',
+    entities: [{ kind: 'sensor', hardwareId: 'shelly_shellyht_6feb47_temperature', readings: { temperatura: 21.5 } }]
+  },
+  {
+    description: 'Shelly Dimmer 2 status',
+    topic: 'shellies/shellydimmer2-E8DB84D68D1C/light/0/status',
+    payload: '{"ison":true,"source":"mqtt","has_timer":false,"timer_started":0,"timer_duration":0,"timer_remaining":0,"mode":"white","brightness":60,"transition":0}',
+    protocol: 'shelly',
+    entities: [{ kind: 'device', deviceType: 'DIMMER', driver: 'shelly_gen1_dimmer', status: 'on', value: 60 }]
+  },
+  {
+    description: 'Shelly 2.5 roller position',
+    topic: 'shellies/shellyswitch25-98CDAC1F0A2B/roller/0/pos',
+    payload: '35',
+    protocol: 'shelly',
+    entities: [{ kind: 'device', deviceType: 'MOTOR', driver: 'shelly_gen1_roller', status: 'on', value: 35 }]
+  },
+  {
+    description: 'Shelly Gen1 online flag',
+    topic: 'shellies/shelly1pm-A4CF12F45678/online',
+    payload: 'true',
+    protocol: 'shelly',
+    entities: []
+  },
+
+  // Shelly Gen2
+  {
+    description: 'Shelly Plus 1PM switch status',
+    topic: 'shellyplus1pm-441793a1b2c3/status/switch:0',
+    payload: '{"id":0,"source":"MQTT","output":true,"apower":120.4,"voltage":231.2,"freq":50,"current":0.581,"aenergy":{"total":3411.862,"by_minute":[1995.6,2006.5,2001.8],"minute_ts":1715510460},"temperature":{"tC":44.1,"tF":111.3}}',
+    protocol: 'shelly',
+    entities: [
+      { kind: 'device', topic: 'shellyplus1pm-441793a1b2c3/status/switch:0', driver: 'shelly_gen2_switch', driverParams: { prefix: 'shellyplus1pm-441793a1b2c3', channel: 0 }, status: 'on' },
+      { kind: 'sensor', topic: 'shellyplus1pm-441793a1b2c3/status/switch:0/power', sensorType: 'POWER_MONITOR', readings: { watts: 120.4, voltage: 231.2, current: 0.581, energy_total: 3.412 } }
+    ]
+  },
+  {
+    description: 'Shelly H&T Gen3 temperature',
+    topic: 'shellyhtg3-d885ac123456/status/temperature:0',
+    payload: '{"id":0,"tC":19.8,"tF":67.6}',
+    protocol: 'shelly',
+    entities: [{ kind: 'sensor', readings: { temperatura: 19.8, value: 19.8 } }]
+  },
+
+  // ESPHome
+  {
+    description: 'ESPHome switch state',
+    topic: 'invernadero-riego/switch/valvula_zona_1/state',
+    payload: 'ON',
+    protocol: 'esphome',
+    entities: [{ kind: 'device', driver: 'esphome_switch', driverParams: { node: 'invernadero-riego', entity: 'valvula_zona_1' }, status: 'on' }]
+  },
+  {
+    description: 'ESPHome light state (JSON schema)',
+    topic: 'invernadero-luces/light/led_cultivo/state',
+    payload: '{"state":"ON","color_mode":"brightness","brightness":128}',
+    protocol: 'esphome',
+    entities: [{ kind: 'device', deviceType: 'DIMMER', driver: 'esphome_light', status: 'on', value: 50 }]
+  },
+  {
+    description: 'ESPHome BME280 temperature',
+    topic: 'invernadero-clima/sensor/bme280_temperature/state',
+    payload: '23.4',
+    protocol: 'esphome',
+    entities: [{ kind: 'sensor', readings: { temperatura: 23.4 } }]
+  },
+  {
+    description: 'ESPHome BME280 humidity',
+    topic: 'invernadero-clima/sensor/bme280_humidity/state',
+    payload: '58.2',
+    protocol: 'esphome',
+    entities: [{ kind: 'sensor', readings: { humedad: 58.2 } }]
+  },
+
+  // Not a protocol message
+  {
+    description: 'Greenhouse board sensor stays on the existing path',
+    topic: 'Invernadero/TemHum1/data',
+    payload: '{"temperatura":24.1,"humedad":60}',
+    protocol: null
+  }
+];
+
+const commands = [
+  { driver: 'tasmota_relay', params: { topic: 'sonoff4ch', relay: '2' }, action: 'on', topic: 'cmnd/sonoff4ch/POWER2', payload: 'ON' },
+  { driver: 'tasmota_dimmer', params: { topic: 'tasmota-dimmer' }, action: 'set', value: 45, topic: 'cmnd/tasmota-dimmer/Dimmer', payload: '45' },
+  { driver: 'shelly_gen1_relay', params: { shellyId: 'shelly1pm-A4CF12F45678' }, action: 'off', topic: 'shellies/shelly1pm-A4CF12F45678/relay/0/command', payload: 'off' },
+  { driver: 'shelly_gen1_dimmer', params: { shellyId: 'shellydimmer2-E8DB84D68D1C' }, action: 'set', value: 60, topic: 'shellies/shellydimmer2-E8DB84D68D1C/light/0/set', payload: { turn: 'on', brightness: 60 } },
+  { driver: 'shelly_gen1_roller', params: { shellyId: 'shellyswitch25-98CDAC1F0A2B' }, action: 'set', value: 35, topic: 'shellies/shellyswitch25-98CDAC1F0A2B/roller/0/command/pos', payload: 35 },
+  { driver: 'shelly_gen2_switch', params: { prefix: 'shellyplus1pm-441793a1b2c3' }, action: 'toggle', topic: 'shellyplus1pm-441793a1b2c3/command/switch:0', payload: 'toggle' },
+  { driver: 'esphome_switch', params: { node: 'invernadero-riego', entity: 'valvula_zona_1' }, action: 'off', topic: 'invernadero-riego/switch/valvula_zona_1/command', payload: 'OFF' },
+  { driver: 'esphome_light', params: { node: 'invernadero-luces', entity: 'led_cultivo' }, action: 'set', value: 50, topic: 'invernadero-luces/light/led_cultivo/command', payload: { state: 'ON', brightness: 128 } }
+];
+
+const states = [
+  { driver: 'tasmota_relay', params: { topic: 'sonoff4ch', relay: '2' }, payload: 'ON', stateTopic: 'stat/sonoff4ch/POWER2', status: 'on' },
+  { driver: 'tasmota_dimmer', params: { topic: 'tasmota-dimmer' }, payload: '{"POWER":"OFF","Dimmer":45}', stateTopic: 'stat/tasmota-dimmer/RESULT', status: 'off', value: 45 },
+  { driver: 'shelly_gen2_switch', params: { prefix: 'shellyplus1pm-441793a1b2c3' }, payload: '{"id":0,"source":"MQTT","output":false,"apower":0}', stateTopic: 'shellyplus1pm-441793a1b2c3/status/switch:0', status: 'off' },
+  { driver: 'shelly_gen1_roller', params: { shellyId: 'shellyswitch25-98CDAC1F0A2B' }, payload: '-1', stateTopic: 'shellies/shellyswitch25-98CDAC1F0A2B/roller/0/pos', status: null },
+  { driver: 'esphome_light', params: { node: 'invernadero-luces', entity: 'led_cultivo' }, payload: '{"state":"ON","brightness":255}', stateTopic: 'invernadero-luces/light/led_cultivo/state', status: 'on', value: 100 }
+];
+
+/**
+ * Device configured with a driver, as stored in devices.configuration
+ */
+const driverDevice = (driver, params) => ({ id: 1, name: 'fixture', configuration: { driver, driverParams: params } });
+
+describe('deviceProtocolService.identify', () => {
+  const allProtocols = Array.from(deviceProtocolService.protocols.keys());
+
+  test.each(messages.filter(fixture => fixture.protocol !== null))('$description', (fixture) => {
+    const result = deviceProtocolService.identify(fixture.topic, fixture.payload, allProtocols);
+
+    expect(result).toMatchObject({ protocol: fixture.protocol, entities: fixture.entities });
+  });
+
+  test.each(messages.filter(fixture => fixture.protocol === null))('$description', (fixture) => {
+    expect(deviceProtocolService.identify(fixture.topic, fixture.payload, allProtocols)).toBeNull();
+  });
+});
+
+describe('deviceDriverService.buildCommand', () => {
+  test.each(commands)('$driver $action', (fixture) => {
+    const command = deviceDriverService.buildCommand(driverDevice(fixture.driver, fixture.params), fixture.action, fixture.value ?? null);
+
+    expect(command).toMatchObject({ topic: fixture.topic, payload: fixture.payload });
+  });
+});
+
+describe('deviceDriverService state decoding', () => {
+  test.each(states)('$driver state $payload', (fixture) => {
+    const device = driverDevice(fixture.driver, fixture.params);
+    const expected = fixture.value === undefined ? { status: fixture.status } : { status: fixture.status, value: fixture.value };
+
+    expect(deviceDriverService.getStateTopic(device)).toBe(fixture.stateTopic);
+    expect(deviceDriverService.decodeState(device, fixture.payload)).toMatchObject(expected);
+  });
+});
+
+describe('deviceDriverService.getStateTopic', () => {
+  test('is null for drivers that never echo their state', () => {
+    expect(deviceDriverService.getStateTopic(driverDevice('generic_switch', {}))).toBeNull();
+  });
+
+  test('prefers the configured state topic', () => {
+    const device = { id: 1, name: 'fixture', configuration: { driver: 'generic_switch', state_topic: 'Invernadero/1/state' } };
+
+    expect(deviceDriverService.getStateTopic(device)).toBe('Invernadero/1/state');
+  });
+});
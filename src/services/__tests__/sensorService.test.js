@@ -0,0 +1,63 @@
+/**
+ * Sensor Series Tests
+ * Gap filling of bucketed series. The service's infrastructure is mocked: the
+ * functions under test don't touch it.
+ */
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../config/redis', () => ({ cache: {}, redis: {} }));
+jest.mock('../../utils/pubsub', () => ({ pubsub: {}, SENSOR_EVENTS: {} }));
+jest.mock('../mqttService', () => ({}));
+jest.mock('../sensorRetentionService', () => ({}));
+jest.mock('../weatherService', () => ({ timezone: 'America/Santiago' }));
+
+const sensorService = require('../sensorService');
+
+const MINUTE = 60 * 1000;
+const bucketTimes = [0, 1, 2, 3, 4, 5].map(index => index * MINUTE);
+
+describe('sensorService.fillSeriesGaps', () => {
+  const values = [null, 10, null, null, 16, null];
+
+  test('NULL leaves gaps empty', () => {
+    expect(sensorService.fillSeriesGaps(values, bucketTimes, 'NULL')).toEqual(values);
+  });
+
+  test('PREVIOUS carries the last value forward', () => {
+    expect(sensorService.fillSeriesGaps(values, bucketTimes, 'PREVIOUS')).toEqual([null, 10, 10, 10, 16, 16]);
+  });
+
+  test('LINEAR interpolates between surrounding values only', () => {
+    expect(sensorService.fillSeriesGaps(values, bucketTimes, 'LINEAR')).toEqual([null, 10, 12, 14, 16, null]);
+  });
+
+  test('LINEAR interpolates in time across uneven buckets', () => {
+    const times = [0, 1, 4].map(index => index * MINUTE);
+
+    expect(sensorService.fillSeriesGaps([0, null, 8], times, 'LINEAR')).toEqual([0, 2, 8]);
+  });
+
+  test('does not modify the input', () => {
+    const input = [1, null, 3];
+    sensorService.fillSeriesGaps(input, bucketTimes.slice(0, 3), 'LINEAR');
+
+    expect(input).toEqual([1, null, 3]);
+  });
+});
+
+describe('sensorService.aggregateSeriesCell', () => {
+  const cell = { count: 4, sum: 20, min: 2, max: 9 };
+
+  test.each([
+    ['AVG', 5],
+    ['MIN', 2],
+    ['MAX', 9],
+    ['SUM', 20]
+  ])('%s', (aggregation, expected) => {
+    expect(sensorService.aggregateSeriesCell(cell, aggregation)).toBe(expected);
+  });
+
+  test('empty buckets have no value', () => {
+    expect(sensorService.aggregateSeriesCell(null, 'AVG')).toBeNull();
+    expect(sensorService.aggregateSeriesCell({ count: 0, sum: 0, min: null, max: null }, 'SUM')).toBeNull();
+  });
+});
@@ -272,6 +272,26 @@ class AuditLogService {
     });
   }
 
+  async logModeActivation(mode, previousMode, changes, user, clientIP) {
+    return this.logEvent({
+      eventType: 'RULE_MANAGEMENT',
+      action: 'MODE_ACTIVATED',
+      user,
+      clientIP,
+      resourceType: 'greenhouse_mode',
+      resourceId: mode.id,
+      oldValues: previousMode ? { mode_id: previousMode.id, mode_name: previousMode.name } : null,
+      newValues: { mode_id: mode.id, mode_name: mode.name },
+      metadata: {
+        enabled_rules: changes.enabledRules.map(rule => rule.id),
+        disabled_rules: changes.disabledRules.map(rule => rule.id),
+        scene_id: mode.scene_id,
+        scene_results: changes.sceneResults
+      },
+      riskLevel: 'high'
+    });
+  }
+
   async logUserManagement(action, targetUserId, targetUser, adminUser, clientIP, changes = {}) {
     return this.logEvent({
       eventType: 'USER_MANAGEMENT',
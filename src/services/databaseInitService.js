@@ -5,6 +5,94 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 
+// Legacy per-type reading tables folded into sensor_readings: sensor is a
+// fixed id or a {column} template, metrics maps source column -> metric
+const TEMHUM_METRICS = {
+  temperatura: 'temperature', humedad: 'humidity', heatindex: 'heat_index', dewpoint: 'dew_point',
+  rssi: 'rssi', boot: 'boot', mem: 'mem', errors: 'errors'
+};
+const DEVICE_METRICS = { rssi: 'rssi', boot: 'boot', mem: 'mem' };
+const LEGACY_READING_SOURCES = [
+  { table: 'temhum1', sensor: 'temhum1', metrics: TEMHUM_METRICS },
+  { table: 'temhum2', sensor: 'temhum2', metrics: TEMHUM_METRICS },
+  { table: 'temhum_data', sensor: '{sensor_id}', metrics: TEMHUM_METRICS },
+  {
+    table: 'calidad_agua',
+    sensor: 'calidad_agua',
+    metrics: { ph: 'ph', ec: 'ec', ppm: 'ppm', temperatura_agua: 'water_temperature', ...DEVICE_METRICS }
+  },
+  {
+    table: 'luxometro',
+    sensor: 'luxometro',
+    metrics: { light: 'light', white_light: 'white_light', raw_light: 'raw_light', errors: 'errors', ...DEVICE_METRICS }
+  },
+  {
+    table: 'temp_pressure_data',
+    sensor: '{sensor_id}',
+    metrics: { temperatura: 'temperature', presion: 'pressure', altitude: 'altitude', ...DEVICE_METRICS }
+  },
+  {
+    table: 'co2_data',
+    sensor: '{sensor_id}',
+    metrics: { co2: 'co2', tvoc: 'tvoc', temperatura: 'temperatura', humedad: 'humedad', ...DEVICE_METRICS }
+  },
+  {
+    table: 'soil_moisture_data',
+    sensor: '{sensor_id}',
+    metrics: {
+      humedad_suelo: 'humedad_suelo', temperatura_suelo: 'temperatura_suelo', conductividad: 'conductividad',
+      nitrogeno: 'nitrogeno', fosforo: 'fosforo', potasio: 'potasio', ...DEVICE_METRICS
+    }
+  },
+  {
+    table: 'motion_data',
+    sensor: '{sensor_id}',
+    metrics: { motion_detected: 'motion_detected', confidence: 'confidence', distance: 'distance', ...DEVICE_METRICS }
+  },
+  { table: 'custom_sensor_data', sensor: '{sensor_id}', metrics: { value: 'value', ...DEVICE_METRICS } },
+  {
+    table: 'power_monitor_logs',
+    sensor: 'power_{device_hardware_id}',
+    metrics: {
+      watts: 'power', voltage: 'voltage', current: 'current', frequency: 'frequency',
+      power_factor: 'power_factor', ...DEVICE_METRICS
+    }
+  }
+];
+
+// Tables behind the legacy*Data GraphQL queries. They are archived and
+// replaced by views over sensor_readings with the same columns.
+const LEGACY_VIEW_SOURCES = [
+  { table: 'sensor_data_temhum1', sensor: 'temhum1', metrics: { temperature: 'temperature', humidity: 'humidity' } },
+  { table: 'sensor_data_temhum2', sensor: 'temhum2', metrics: { temperature: 'temperature', humidity: 'humidity' } },
+  {
+    table: 'sensor_data_calidad_agua',
+    sensor: 'calidad_agua',
+    metrics: { ph: 'ph', ec: 'ec', tds: 'ppm', temperature: 'water_temperature' },
+    optional: ['temperature']
+  },
+  { table: 'sensor_data_luxometro', sensor: 'luxometro', metrics: { lux: 'light' } }
+];
+
+/**
+ * SQL view exposing a legacy table's columns as a pivot of sensor_readings.
+ * Like the GraphQL types, rows need every column not listed as optional.
+ */
+const legacyReadingView = ({ table, sensor, metrics, optional = [] }) => {
+  const columns = Object.entries(metrics);
+  const required = columns.filter(([column]) => !optional.includes(column));
+  return `
+    CREATE OR REPLACE VIEW ${table} AS
+    SELECT (EXTRACT(EPOCH FROM ts) * 1000)::BIGINT AS id,
+           ${columns.map(([column, metric]) => `MAX(value) FILTER (WHERE metric = '${metric}') AS ${column}`).join(',\n           ')},
+           ts AS "timestamp"
+    FROM sensor_readings
+    WHERE sensor_id = '${sensor}' AND metric IN (${columns.map(([, metric]) => `'${metric}'`).join(', ')})
+    GROUP BY ts
+    HAVING ${required.map(([, metric]) => `COUNT(*) FILTER (WHERE metric = '${metric}') > 0`).join(' AND ')}
+  `;
+};
+
 /**
  * Secure Database Initialization Service
  * Handles automated database setup with security considerations
@@ -708,7 +796,671 @@ class DatabaseInitService {
           WHERE name LIKE '%Luxometro%' AND sensor_type = 'WATER_QUALITY'
         `]
       );
-      
+
+      // Migration 2003: Record what triggered each rule execution
+      await this.applyMigration(
+        2003,
+        'Add trigger source to rule executions',
+        [`
+          ALTER TABLE rule_executions
+          ADD COLUMN IF NOT EXISTS trigger_source VARCHAR(20) DEFAULT 'schedule'
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_rule_executions_trigger_source ON rule_executions(trigger_source)
+        `]
+      );
+
+      // Migration 2004: Replace the special-cased pump cycle windows with cron schedules
+      await this.applyMigration(
+        2004,
+        'Convert pump cycle time windows to cron schedules',
+        [`
+          UPDATE rules
+          SET conditions = jsonb_set(conditions, '{rules}', (
+            SELECT jsonb_agg(
+              CASE
+                WHEN c->>'type' = 'TIME' AND c->>'timeStart' = '00:00' AND c->>'timeEnd' = '00:15'
+                  THEN (c - 'timeStart' - 'timeEnd') || '{"cron": "0-14,30-44 * * * *"}'::jsonb
+                WHEN c->>'type' = 'TIME' AND c->>'timeStart' = '00:15' AND c->>'timeEnd' = '00:30'
+                  THEN (c - 'timeStart' - 'timeEnd') || '{"cron": "15-29,45-59 * * * *"}'::jsonb
+                WHEN c->>'type' = 'TIME' AND c->>'timeStart' = '00:30' AND c->>'timeEnd' = '00:45'
+                  THEN (c - 'timeStart' - 'timeEnd') || '{"cron": "30-44 * * * *"}'::jsonb
+                WHEN c->>'type' = 'TIME' AND c->>'timeStart' = '00:45' AND c->>'timeEnd' = '23:59'
+                  THEN (c - 'timeStart' - 'timeEnd') || '{"cron": "45-59 * * * *"}'::jsonb
+                ELSE c
+              END ORDER BY ordinality)
+            FROM jsonb_array_elements(conditions->'rules') WITH ORDINALITY AS t(c, ordinality)
+          )),
+          updated_at = NOW()
+          WHERE jsonb_typeof(conditions->'rules') = 'array'
+          AND EXISTS (
+            SELECT 1 FROM jsonb_array_elements(conditions->'rules') c
+            WHERE c->>'type' = 'TIME'
+            AND (c->>'timeStart', c->>'timeEnd') IN (('00:00', '00:15'), ('00:15', '00:30'), ('00:30', '00:45'), ('00:45', '23:59'))
+          )
+        `]
+      );
+
+      // Migration 2005: Immutable rule revisions
+      await this.applyMigration(
+        2005,
+        'Create rule revisions',
+        [`
+          ALTER TABLE rules ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS rule_revisions (
+            id SERIAL PRIMARY KEY,
+            rule_id INTEGER NOT NULL REFERENCES rules(id) ON DELETE CASCADE,
+            revision INTEGER NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            enabled BOOLEAN,
+            priority INTEGER,
+            cooldown_minutes INTEGER,
+            conditions JSONB NOT NULL,
+            actions JSONB NOT NULL,
+            change_type VARCHAR(20) NOT NULL DEFAULT 'update',
+            rolled_back_from INTEGER,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE (rule_id, revision)
+          )
+        `,
+        `
+          INSERT INTO rule_revisions (rule_id, revision, name, description, enabled, priority, cooldown_minutes, conditions, actions, change_type, created_by, created_at)
+          SELECT id, revision, name, description, enabled, priority, cooldown_minutes, conditions, actions, 'create', created_by, COALESCE(updated_at, created_at, NOW())
+          FROM rules
+          ON CONFLICT (rule_id, revision) DO NOTHING
+        `,
+        `
+          ALTER TABLE rule_executions ADD COLUMN IF NOT EXISTS rule_revision INTEGER
+        `]
+      );
+
+      // Migration 2006: Daily execution budgets (consumption is tracked in Redis)
+      await this.applyMigration(
+        2006,
+        'Add daily execution and actuation limits',
+        [`
+          ALTER TABLE rules ADD COLUMN IF NOT EXISTS max_executions_per_day INTEGER
+        `,
+        `
+          ALTER TABLE devices ADD COLUMN IF NOT EXISTS max_on_minutes_per_day INTEGER
+        `,
+        `
+          ALTER TABLE devices ADD COLUMN IF NOT EXISTS max_activations_per_day INTEGER
+        `]
+      );
+
+      // Migration 2007: Rule groups, device scenes and greenhouse modes
+      await this.applyMigration(
+        2007,
+        'Create rule groups, scenes and modes',
+        [`
+          CREATE TABLE IF NOT EXISTS rule_groups (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            description TEXT,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS rule_group_members (
+            group_id INTEGER NOT NULL REFERENCES rule_groups(id) ON DELETE CASCADE,
+            rule_id INTEGER NOT NULL REFERENCES rules(id) ON DELETE CASCADE,
+            PRIMARY KEY (group_id, rule_id)
+          )
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS device_scenes (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            description TEXT,
+            states JSONB NOT NULL DEFAULT '[]',
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS greenhouse_modes (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            description TEXT,
+            rule_group_ids INTEGER[] NOT NULL DEFAULT '{}',
+            scene_id INTEGER REFERENCES device_scenes(id) ON DELETE SET NULL,
+            is_active BOOLEAN NOT NULL DEFAULT false,
+            activated_at TIMESTAMPTZ,
+            activated_by INTEGER,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `,
+        `
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_greenhouse_modes_active ON greenhouse_modes(is_active) WHERE is_active = true
+        `]
+      );
+
+      // Migration 2008: Device command acknowledgements
+      await this.applyMigration(
+        2008,
+        'Create device command log',
+        [`
+          CREATE TABLE IF NOT EXISTS device_commands (
+            id SERIAL PRIMARY KEY,
+            correlation_id UUID NOT NULL UNIQUE,
+            device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+            command VARCHAR(20) NOT NULL,
+            topic VARCHAR(255) NOT NULL,
+            payload JSONB,
+            state_topic VARCHAR(255) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_sent_at TIMESTAMPTZ,
+            next_retry_at TIMESTAMPTZ,
+            acknowledged_at TIMESTAMPTZ,
+            reported_state VARCHAR(20),
+            error TEXT,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_device_commands_device ON device_commands(device_id, created_at DESC)
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_device_commands_pending ON device_commands(next_retry_at) WHERE status = 'pending'
+        `]
+      );
+
+      // Migration 2009: Runtime hours and maintenance plans
+      await this.applyMigration(
+        2009,
+        'Create device runtime tracking and maintenance plans',
+        [`
+          ALTER TABLE devices ADD COLUMN IF NOT EXISTS total_runtime_seconds DOUBLE PRECISION NOT NULL DEFAULT 0
+        `,
+        `
+          ALTER TABLE devices ADD COLUMN IF NOT EXISTS runtime_started_at TIMESTAMPTZ
+        `,
+        `
+          ALTER TABLE devices ADD COLUMN IF NOT EXISTS maintenance_started_at TIMESTAMPTZ
+        `,
+        `
+          UPDATE devices SET runtime_started_at = NOW() WHERE LOWER(status) = 'on' AND runtime_started_at IS NULL
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS device_maintenance_plans (
+            id SERIAL PRIMARY KEY,
+            device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            interval_runtime_hours NUMERIC(10, 2),
+            interval_days INTEGER,
+            enabled BOOLEAN NOT NULL DEFAULT true,
+            runtime_baseline_seconds DOUBLE PRECISION NOT NULL DEFAULT 0,
+            last_completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            notified_status VARCHAR(30),
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            CHECK (interval_runtime_hours IS NOT NULL OR interval_days IS NOT NULL)
+          )
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_device_maintenance_plans_device ON device_maintenance_plans(device_id)
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS device_maintenance_records (
+            id SERIAL PRIMARY KEY,
+            device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+            plan_ids INTEGER[] NOT NULL DEFAULT '{}',
+            started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            completed_at TIMESTAMPTZ,
+            runtime_hours NUMERIC(12, 2),
+            notes TEXT,
+            started_by INTEGER,
+            completed_by INTEGER
+          )
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_device_maintenance_records_device ON device_maintenance_records(device_id, started_at DESC)
+        `]
+      );
+
+      // Migration 2010: Device interlocks
+      await this.applyMigration(
+        2010,
+        'Create device interlock constraints',
+        [`
+          CREATE TABLE IF NOT EXISTS device_interlocks (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            type VARCHAR(30) NOT NULL CHECK (type IN ('MUTUAL_EXCLUSION', 'SENSOR_CONDITION')),
+            device_ids INTEGER[] NOT NULL,
+            sensor_id VARCHAR(255),
+            sensor_field VARCHAR(100),
+            operator VARCHAR(10),
+            threshold DOUBLE PRECISION,
+            max_data_age_minutes INTEGER,
+            block_when_no_data BOOLEAN NOT NULL DEFAULT true,
+            enabled BOOLEAN NOT NULL DEFAULT true,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_device_interlocks_devices ON device_interlocks USING GIN (device_ids)
+        `]
+      );
+
+      // Migration 2011: Topic-to-sensor routing table. The aliases of the old
+      // fuzzy topic matching become explicit routes of the sensors they hit.
+      await this.applyMigration(
+        2011,
+        'Create sensor topic routes',
+        [`
+          CREATE TABLE IF NOT EXISTS sensor_topic_routes (
+            id SERIAL PRIMARY KEY,
+            pattern VARCHAR(500) NOT NULL,
+            hardware_id VARCHAR(255) NOT NULL,
+            priority INTEGER NOT NULL DEFAULT 0,
+            enabled BOOLEAN NOT NULL DEFAULT true,
+            description TEXT,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `,
+        `
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_sensor_topic_routes_pattern ON sensor_topic_routes(LOWER(pattern))
+        `,
+        `
+          INSERT INTO sensor_topic_routes (pattern, hardware_id, description)
+          SELECT split_part(s.mqtt_topic, '/', 1) || '/' || alias.name || '/' || split_part(s.mqtt_topic, '/', 3),
+                 s.hardware_id,
+                 'Alias of the legacy topic matching'
+          FROM sensors s
+          JOIN (VALUES
+            ('agua', 'aguaquality01'), ('water', 'aguaquality01'), ('calidadagua', 'aguaquality01'),
+            ('th1', 'temhum1'), ('th2', 'temhum2'), ('th3', 'temhum3'),
+            ('light', 'luxometro'), ('luz', 'luxometro'), ('lux', 'luxometro'),
+            ('pressure1', 'bmp2801'), ('presion1', 'bmp2801')
+          ) AS alias(name, target)
+            ON LOWER(REPLACE(REPLACE(split_part(s.mqtt_topic, '/', 2), '-', ''), '_', '')) = alias.target
+          WHERE s.is_active = true AND s.mqtt_topic ~ '^[^/+#]+/[^/+#]+/[^/+#]+$'
+          ON CONFLICT DO NOTHING
+        `]
+      );
+
+      // Migration 2012: Unified readings store. One row per (sensor, metric,
+      // time) in monthly partitions; every legacy table is backfilled and
+      // keeps feeding it through an insert trigger. Re-running is harmless:
+      // backfills skip readings already stored.
+      await this.applyMigration(
+        2012,
+        'Create unified partitioned sensor readings store',
+        [`
+          CREATE TABLE IF NOT EXISTS sensor_readings (
+            sensor_id VARCHAR(255) NOT NULL,
+            metric VARCHAR(64) NOT NULL,
+            ts TIMESTAMPTZ NOT NULL,
+            value DOUBLE PRECISION NOT NULL,
+            PRIMARY KEY (sensor_id, metric, ts)
+          ) PARTITION BY RANGE (ts)
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_sensor_readings_sensor_ts ON sensor_readings(sensor_id, ts DESC)
+        `,
+        `
+          -- Monthly partition (UTC) holding p_ts, created on demand
+          CREATE OR REPLACE FUNCTION ensure_sensor_readings_partition(p_ts TIMESTAMPTZ)
+          RETURNS TEXT AS $$
+          DECLARE
+            month_start TIMESTAMP := date_trunc('month', p_ts AT TIME ZONE 'UTC');
+            partition_name TEXT := 'sensor_readings_' || to_char(month_start, 'YYYY_MM');
+          BEGIN
+            IF to_regclass(partition_name) IS NULL THEN
+              EXECUTE format(
+                'CREATE TABLE IF NOT EXISTS %I PARTITION OF sensor_readings FOR VALUES FROM (%L) TO (%L)',
+                partition_name,
+                month_start AT TIME ZONE 'UTC',
+                (month_start + INTERVAL '1 month') AT TIME ZONE 'UTC'
+              );
+            END IF;
+            RETURN partition_name;
+          EXCEPTION WHEN duplicate_table THEN
+            RETURN partition_name;
+          END;
+          $$ LANGUAGE plpgsql
+        `,
+        `
+          CREATE OR REPLACE FUNCTION ensure_sensor_readings_partitions(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+          RETURNS INTEGER AS $$
+          DECLARE
+            month_start TIMESTAMPTZ := date_trunc('month', p_from AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+            months INTEGER := 0;
+          BEGIN
+            WHILE month_start <= p_to LOOP
+              PERFORM ensure_sensor_readings_partition(month_start);
+              month_start := ((month_start AT TIME ZONE 'UTC') + INTERVAL '1 month') AT TIME ZONE 'UTC';
+              months := months + 1;
+            END LOOP;
+            RETURN months;
+          END;
+          $$ LANGUAGE plpgsql
+        `,
+        `
+          -- Numeric reading of a JSON value: numbers, numeric strings and booleans (1/0)
+          CREATE OR REPLACE FUNCTION reading_value(p_value JSONB)
+          RETURNS DOUBLE PRECISION AS $$
+            SELECT CASE jsonb_typeof(p_value)
+              WHEN 'number' THEN (p_value #>> '{}')::DOUBLE PRECISION
+              WHEN 'boolean' THEN CASE WHEN (p_value #>> '{}')::BOOLEAN THEN 1 ELSE 0 END
+              WHEN 'string' THEN CASE
+                WHEN (p_value #>> '{}') ~ '^ *-?[0-9]+([.][0-9]+)?([eE][-+]?[0-9]+)? *$'
+                THEN (p_value #>> '{}')::DOUBLE PRECISION
+              END
+            END
+          $$ LANGUAGE sql IMMUTABLE
+        `,
+        `
+          -- Sensor id of a legacy row: a fixed id or a {column} template; a
+          -- numeric column is a sensors.id and resolves to its hardware_id
+          CREATE OR REPLACE FUNCTION legacy_reading_sensor_id(p_spec TEXT, p_row JSONB)
+          RETURNS TEXT AS $$
+          DECLARE
+            key_column TEXT := substring(p_spec FROM '[{]([a-z_]+)[}]');
+            raw_value JSONB;
+            resolved TEXT;
+          BEGIN
+            IF key_column IS NULL THEN
+              RETURN p_spec;
+            END IF;
+
+            raw_value := p_row -> key_column;
+            IF raw_value IS NULL OR jsonb_typeof(raw_value) = 'null' THEN
+              RETURN NULL;
+            END IF;
+
+            IF jsonb_typeof(raw_value) = 'number' THEN
+              SELECT hardware_id INTO resolved FROM sensors WHERE id = (raw_value #>> '{}')::INTEGER;
+            ELSE
+              resolved := raw_value #>> '{}';
+            END IF;
+
+            RETURN replace(p_spec, '{' || key_column || '}', resolved);
+          END;
+          $$ LANGUAGE plpgsql STABLE
+        `,
+        `
+          -- Copy a legacy table into sensor_readings; missing tables are skipped
+          CREATE OR REPLACE FUNCTION backfill_sensor_readings(
+            p_table TEXT, p_sensor TEXT, p_metrics JSONB, p_ts_column TEXT DEFAULT 'received_at'
+          )
+          RETURNS BIGINT AS $$
+          DECLARE
+            first_ts TIMESTAMPTZ;
+            last_ts TIMESTAMPTZ;
+            inserted BIGINT;
+          BEGIN
+            IF NOT EXISTS (
+              SELECT 1 FROM pg_class c
+              JOIN pg_attribute a ON a.attrelid = c.oid AND a.attname = p_ts_column AND NOT a.attisdropped
+              WHERE c.oid = to_regclass(p_table) AND c.relkind = 'r'
+            ) THEN
+              RETURN 0;
+            END IF;
+
+            EXECUTE format('SELECT MIN(%1$I)::timestamptz, MAX(%1$I)::timestamptz FROM %2$I', p_ts_column, p_table)
+              INTO first_ts, last_ts;
+            IF first_ts IS NULL THEN
+              RETURN 0;
+            END IF;
+            PERFORM ensure_sensor_readings_partitions(first_ts, last_ts);
+
+            EXECUTE format($sql$
+              INSERT INTO sensor_readings (sensor_id, metric, ts, value)
+              SELECT r.sensor_id, m.metric, r.ts, reading_value(r.row_data -> m.source)
+              FROM (
+                SELECT legacy_reading_sensor_id($1, to_jsonb(t)) AS sensor_id,
+                       to_jsonb(t) AS row_data,
+                       t.%1$I::timestamptz AS ts
+                FROM %2$I t
+                WHERE t.%1$I IS NOT NULL
+              ) r
+              CROSS JOIN LATERAL jsonb_each_text($2) AS m(source, metric)
+              WHERE r.sensor_id IS NOT NULL AND reading_value(r.row_data -> m.source) IS NOT NULL
+              ON CONFLICT (sensor_id, metric, ts) DO NOTHING
+            $sql$, p_ts_column, p_table) USING p_sensor, p_metrics;
+
+            GET DIAGNOSTICS inserted = ROW_COUNT;
+            RETURN inserted;
+          END;
+          $$ LANGUAGE plpgsql
+        `,
+        `
+          -- Keeps writers of the legacy tables (MQTT fallback path, external
+          -- scripts) feeding sensor_readings. Args: sensor spec, metrics, time column
+          CREATE OR REPLACE FUNCTION legacy_row_to_sensor_readings()
+          RETURNS TRIGGER AS $$
+          DECLARE
+            row_data JSONB := to_jsonb(NEW);
+            reading_sensor TEXT := legacy_reading_sensor_id(TG_ARGV[0], to_jsonb(NEW));
+            reading_ts TIMESTAMPTZ := (to_jsonb(NEW) ->> TG_ARGV[2])::timestamptz;
+          BEGIN
+            IF reading_sensor IS NULL OR reading_ts IS NULL THEN
+              RETURN NULL;
+            END IF;
+
+            PERFORM ensure_sensor_readings_partition(reading_ts);
+            INSERT INTO sensor_readings (sensor_id, metric, ts, value)
+            SELECT reading_sensor, m.metric, reading_ts, reading_value(row_data -> m.source)
+            FROM jsonb_each_text(TG_ARGV[1]::jsonb) AS m(source, metric)
+            WHERE reading_value(row_data -> m.source) IS NOT NULL
+            ON CONFLICT (sensor_id, metric, ts) DO NOTHING;
+            RETURN NULL;
+          END;
+          $$ LANGUAGE plpgsql
+        `,
+        `
+          -- Attach the trigger first, then backfill, so no row falls in between
+          CREATE OR REPLACE FUNCTION sync_legacy_sensor_readings(
+            p_table TEXT, p_sensor TEXT, p_metrics JSONB, p_ts_column TEXT DEFAULT 'received_at'
+          )
+          RETURNS BIGINT AS $$
+          BEGIN
+            IF NOT EXISTS (SELECT 1 FROM pg_class WHERE oid = to_regclass(p_table) AND relkind = 'r') THEN
+              RETURN 0;
+            END IF;
+
+            EXECUTE format('DROP TRIGGER IF EXISTS trigger_sensor_readings_sync ON %I', p_table);
+            EXECUTE format(
+              'CREATE TRIGGER trigger_sensor_readings_sync AFTER INSERT ON %I FOR EACH ROW EXECUTE FUNCTION legacy_row_to_sensor_readings(%L, %L, %L)',
+              p_table, p_sensor, p_metrics::text, p_ts_column
+            );
+            RETURN backfill_sensor_readings(p_table, p_sensor, p_metrics, p_ts_column);
+          END;
+          $$ LANGUAGE plpgsql
+        `,
+        ...LEGACY_READING_SOURCES.map(({ table, sensor, metrics }) => `
+          SELECT sync_legacy_sensor_readings('${table}', '${sensor}', '${JSON.stringify(metrics)}'::jsonb)
+        `),
+        `
+          -- Readings of dynamic sensors: the normalized data plus device diagnostics
+          DO $$
+          DECLARE
+            first_ts TIMESTAMPTZ;
+            last_ts TIMESTAMPTZ;
+          BEGIN
+            IF NOT EXISTS (
+              SELECT 1 FROM pg_attribute
+              WHERE attrelid = to_regclass('sensor_data_generic') AND attname = 'payload' AND NOT attisdropped
+            ) THEN
+              RETURN;
+            END IF;
+
+            SELECT MIN(received_at), MAX(received_at) INTO first_ts, last_ts FROM sensor_data_generic;
+            IF first_ts IS NULL THEN
+              RETURN;
+            END IF;
+            PERFORM ensure_sensor_readings_partitions(first_ts, last_ts);
+
+            INSERT INTO sensor_readings (sensor_id, metric, ts, value)
+            SELECT s.hardware_id,
+                   CASE WHEN s.sensor_type LIKE 'WATER%' AND f.key = 'temperature' THEN 'water_temperature' ELSE f.key END,
+                   g.received_at,
+                   reading_value(f.value)
+            FROM sensor_data_generic g
+            JOIN sensors s ON s.id = g.sensor_id
+            CROSS JOIN LATERAL jsonb_each(
+              CASE WHEN jsonb_typeof(g.payload -> 'data') = 'object'
+                THEN (g.payload -> 'data') || jsonb_strip_nulls(jsonb_build_object(
+                  'rssi', g.payload -> 'rssi', 'boot', g.payload -> 'boot', 'mem', g.payload -> 'mem'
+                ))
+                ELSE g.payload - '_metadata' - 'timestamp'
+              END
+            ) AS f(key, value)
+            WHERE g.received_at IS NOT NULL AND reading_value(f.value) IS NOT NULL
+            ON CONFLICT (sensor_id, metric, ts) DO NOTHING;
+          END $$
+        `,
+        ...LEGACY_VIEW_SOURCES.map(({ table, sensor, metrics }) => `
+          SELECT backfill_sensor_readings('${table}', '${sensor}', '${JSON.stringify(metrics)}'::jsonb, 'timestamp')
+        `),
+        `
+          DO $$
+          DECLARE
+            legacy_table TEXT;
+          BEGIN
+            FOREACH legacy_table IN ARRAY ARRAY[${LEGACY_VIEW_SOURCES.map(({ table }) => `'${table}'`).join(', ')}] LOOP
+              IF EXISTS (SELECT 1 FROM pg_class WHERE oid = to_regclass(legacy_table) AND relkind = 'r') THEN
+                EXECUTE format('ALTER TABLE %I RENAME TO %I', legacy_table, legacy_table || '_archived');
+              END IF;
+            END LOOP;
+          END $$
+        `,
+        ...LEGACY_VIEW_SOURCES.map(legacyReadingView)]
+      );
+
+      // Migration 2013: Rollup tiers of sensor_readings (see sensorRetentionService)
+      await this.applyMigration(
+        2013,
+        'Create sensor reading rollup tiers',
+        [`
+          CREATE TABLE IF NOT EXISTS sensor_readings_1m (
+            sensor_id VARCHAR(255) NOT NULL,
+            metric VARCHAR(64) NOT NULL,
+            bucket TIMESTAMPTZ NOT NULL,
+            min DOUBLE PRECISION NOT NULL,
+            max DOUBLE PRECISION NOT NULL,
+            avg DOUBLE PRECISION NOT NULL,
+            count INTEGER NOT NULL,
+            PRIMARY KEY (sensor_id, metric, bucket)
+          )
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_sensor_readings_1m_bucket ON sensor_readings_1m(bucket)
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS sensor_readings_1h (
+            sensor_id VARCHAR(255) NOT NULL,
+            metric VARCHAR(64) NOT NULL,
+            bucket TIMESTAMPTZ NOT NULL,
+            min DOUBLE PRECISION NOT NULL,
+            max DOUBLE PRECISION NOT NULL,
+            avg DOUBLE PRECISION NOT NULL,
+            count INTEGER NOT NULL,
+            PRIMARY KEY (sensor_id, metric, bucket)
+          )
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS sensor_rollup_state (
+            tier VARCHAR(20) PRIMARY KEY,
+            rolled_up_to TIMESTAMPTZ NOT NULL,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `]
+      );
+
+      // Migration 2014: Versioned sensor calibration profiles and the guided
+      // calibration sessions that create them (see sensorCalibrationService)
+      await this.applyMigration(
+        2014,
+        'Create sensor calibration profiles',
+        [`
+          CREATE TABLE IF NOT EXISTS sensor_calibrations (
+            id SERIAL PRIMARY KEY,
+            sensor_id VARCHAR(255) NOT NULL,
+            field VARCHAR(64) NOT NULL,
+            version INTEGER NOT NULL,
+            method VARCHAR(20) NOT NULL CHECK (method IN ('OFFSET_GAIN', 'PIECEWISE', 'PH_TWO_POINT')),
+            parameters JSONB NOT NULL,
+            valid_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            valid_to TIMESTAMPTZ,
+            notes TEXT,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE (sensor_id, field, version),
+            CHECK (valid_to IS NULL OR valid_to > valid_from)
+          )
+        `,
+        `
+          CREATE INDEX IF NOT EXISTS idx_sensor_calibrations_validity ON sensor_calibrations(sensor_id, field, valid_from DESC)
+        `,
+        `
+          CREATE TABLE IF NOT EXISTS sensor_calibration_sessions (
+            id SERIAL PRIMARY KEY,
+            sensor_id VARCHAR(255) NOT NULL,
+            field VARCHAR(64) NOT NULL,
+            method VARCHAR(20) NOT NULL CHECK (method IN ('OFFSET_GAIN', 'PIECEWISE', 'PH_TWO_POINT')),
+            status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'COMPLETED', 'CANCELLED')),
+            reference_values DOUBLE PRECISION[] NOT NULL DEFAULT '{}',
+            points JSONB NOT NULL DEFAULT '[]',
+            calibration_id INTEGER REFERENCES sensor_calibrations(id) ON DELETE SET NULL,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            completed_at TIMESTAMPTZ
+          )
+        `]
+      );
+
+      // Migration 2015: Executions whose device commands all lost arbitration
+      // are recorded as overridden, with the rule that won
+      await this.applyMigration(
+        2015,
+        'Record overridden rule executions',
+        [`
+          ALTER TABLE rule_executions ADD COLUMN IF NOT EXISTS status VARCHAR(20)
+        `,
+        `
+          ALTER TABLE rule_executions ADD COLUMN IF NOT EXISTS overridden_by INTEGER REFERENCES rules(id) ON DELETE SET NULL
+        `]
+      );
+
+      // Migration 2016: Daily execution limits are part of a rule's definition,
+      // so revisions snapshot them. Only the latest revision of each rule is
+      // known to match the current limit
+      await this.applyMigration(
+        2016,
+        'Add daily execution limit to rule revisions',
+        [`
+          ALTER TABLE rule_revisions ADD COLUMN IF NOT EXISTS max_executions_per_day INTEGER
+        `,
+        `
+          UPDATE rule_revisions rv
+          SET max_executions_per_day = r.max_executions_per_day
+          FROM rules r
+          WHERE rv.rule_id = r.id AND rv.revision = r.revision
+        `]
+      );
+
       console.log('✅ Standard migrations applied successfully');
       
     } catch (error) {
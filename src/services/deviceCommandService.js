@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { redis, cache } = require('../config/redis');
+const { pubsub, SENSOR_EVENTS } = require('../utils/pubsub');
+const mqttService = require('./mqttService');
+const deviceDriverService = require('./deviceDriverService');
+const notificationService = require('./notificationService');
+const executionBudgetService = require('./executionBudgetService');
+const deviceMaintenanceService = require('./deviceMaintenanceService');
+const leaderElectionService = require('./leaderElectionService');
+const homeAssistantService = require('./homeAssistantService');
+
+/**
+ * Device Command Service
+ * Command/acknowledgement protocol for MQTT actuators. ON/OFF commands to
+ * devices with a state topic (configured or declared by their driver) are
+ * logged with a correlation ID (added to JSON payloads) and stay pending
+ * until the device echoes the commanded state on that topic, decoded by
+ * the device's driver. Unanswered
+ * commands are re-sent with exponential backoff; after the last attempt the
+ * command fails and the device is marked ERROR. State echoes that arrive
+ * without a pending command reconcile the stored status with the relay.
+ */
+class DeviceCommandService {
+  constructor() {
+    this.ackTimeout = parseInt(process.env.DEVICE_ACK_TIMEOUT_MS, 10) || 5000;
+    this.maxAttempts = parseInt(process.env.DEVICE_COMMAND_MAX_ATTEMPTS, 10) || 4;
+    this.retryInterval = 1000;
+    this.retryIntervalId = null;
+    this.stateTopicsKey = 'device_commands:state_topics'; // state topic -> device ID
+    this.trackedCommands = ['on', 'off'];
+    this.messageListener = null;
+  }
+
+  /**
+   * Publish a command and track it until the device acknowledges it.
+   * Statuses other than on/off, and devices without a state topic to
+   * acknowledge on, are published without tracking.
+   * @param {Object} device - Device row
+   * @param {string} command - Commanded status
+   * @param {string} topic - MQTT topic
+   * @param {*} payload - Payload (objects get a correlationId field)
+   * @returns {Promise<Object|null>} Command row, or null when untracked
+   */
+  async sendCommand(device, command, topic, payload) {
+    const status = String(command).toLowerCase();
+    const stateTopic = this.trackedCommands.includes(status) ? deviceDriverService.getStateTopic(device) : null;
+    if (!stateTopic) {
+      await mqttService.publish(topic, payload);
+      return null;
+    }
+
+    const correlationId = crypto.randomUUID();
+    const message = payload !== null && typeof payload === 'object' ? { ...payload, correlationId } : payload;
+
+    // A newer command replaces whatever the device was still expected to do
+    await query(
+      `UPDATE device_commands SET status = 'superseded', next_retry_at = NULL
+       WHERE device_id = $1 AND status = 'pending'`,
+      [device.id]
+    );
+
+    const result = await query(
+      `INSERT INTO device_commands (correlation_id, device_id, command, topic, payload, state_topic, next_retry_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + $7 * INTERVAL '1 millisecond')
+       RETURNING *`,
+      [correlationId, device.id, status, topic, JSON.stringify(message), stateTopic, this.ackTimeout]
+    );
+    await this.watchStateTopic(device);
+
+    // A failed publish stays pending and goes out again with the retries
+    return this.publishCommand(result.rows[0]);
+  }
+
+  /**
+   * Route a device's state echoes to it, so state changes made at the device
+   * (buttons, schedules in its firmware) reconcile even without a command
+   * @param {Object} device - Device row
+   */
+  async watchStateTopic(device) {
+    const stateTopic = deviceDriverService.getStateTopic(device);
+    if (stateTopic) {
+      await redis.hset(this.stateTopicsKey, stateTopic, device.id);
+    }
+  }
+
+  /**
+   * Publish a logged command and count the attempt
+   * @param {Object} command - Command row
+   * @returns {Promise<Object>} Updated command row
+   */
+  async publishCommand(command) {
+    let error = null;
+    try {
+      await mqttService.publish(command.topic, command.payload);
+      console.log(`📡 Command ${command.correlation_id} sent to ${command.topic} (attempt ${command.attempts + 1}/${this.maxAttempts})`);
+    } catch (publishError) {
+      error = publishError.message;
+      console.error(`❌ Command ${command.correlation_id} to ${command.topic} could not be published:`, publishError.message);
+    }
+
+    const backoff = this.ackTimeout * Math.pow(2, command.attempts);
+    const result = await query(
+      `UPDATE device_commands
+       SET attempts = attempts + 1, last_sent_at = NOW(), error = $2,
+           next_retry_at = NOW() + $3 * INTERVAL '1 millisecond'
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [command.id, error, backoff]
+    );
+    return result.rows[0] || command;
+  }
+
+  /**
+   * Start watching state topics (every instance, acks can arrive anywhere)
+   */
+  startAckListener() {
+    if (this.messageListener) {
+      return;
+    }
+
+    this.messageListener = (topic, message) => {
+      this.handleStateMessage(topic, message.toString()).catch(error => {
+        console.error(`❌ Error handling device state on ${topic}:`, error);
+      });
+    };
+    mqttService.on('message', this.messageListener);
+  }
+
+  /**
+   * Start re-sending unacknowledged commands (leader only)
+   */
+  startRetryProcessing() {
+    if (this.retryIntervalId) {
+      console.log('⚡ Device command retry processor is already running');
+      return;
+    }
+
+    this.retryIntervalId = setInterval(async() => {
+      try {
+        await this.processPendingCommands();
+      } catch (error) {
+        console.error('❌ Error in device command retry processor:', error);
+      }
+    }, this.retryInterval);
+
+    console.log('✅ Device command retry processor started');
+  }
+
+  /**
+   * Stop re-sending unacknowledged commands
+   */
+  stopRetryProcessing() {
+    if (this.retryIntervalId) {
+      clearInterval(this.retryIntervalId);
+      this.retryIntervalId = null;
+      console.log('✅ Device command retry processor stopped');
+    }
+  }
+
+  /**
+   * Re-send due commands, or fail them once the attempts are used up
+   */
+  async processPendingCommands() {
+    const result = await query(
+      `SELECT * FROM device_commands
+       WHERE status = 'pending' AND next_retry_at <= NOW()
+       ORDER BY next_retry_at
+       LIMIT 50`
+    );
+
+    for (const command of result.rows) {
+      if (command.attempts >= this.maxAttempts) {
+        await this.failCommand(command);
+      } else {
+        console.warn(`⏳ Command ${command.correlation_id} to device ${command.device_id} not acknowledged, retrying`);
+        await this.publishCommand(command);
+      }
+    }
+  }
+
+  /**
+   * Give up on a command and mark its device ERROR
+   * @param {Object} command - Command row
+   */
+  async failCommand(command) {
+    const error = command.error || `No acknowledgement after ${command.attempts} attempts`;
+    const failed = await query(
+      `UPDATE device_commands SET status = 'failed', next_retry_at = NULL, error = $2
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [command.id, error]
+    );
+    if (failed.rows.length === 0) {
+      return; // Acknowledged or superseded in the meantime
+    }
+
+    const device = await this.setDeviceStatus(command.device_id, 'error');
+    const name = device?.name || `Device ${command.device_id}`;
+    console.error(`❌ ${name} did not acknowledge "${command.command}" (${command.correlation_id}): ${error}`);
+
+    try {
+      await notificationService.sendNotification({
+        title: `${name} not responding`,
+        message: `${name} did not confirm the "${command.command}" command after ${command.attempts} attempts. Its state is unknown and it has been marked ERROR.`,
+        priority: 'high',
+        metadata: { type: 'device_command_failed', deviceId: command.device_id, correlationId: command.correlation_id }
+      });
+    } catch (notifyError) {
+      console.error('❌ Error sending command failure notification:', notifyError);
+    }
+  }
+
+  /**
+   * Handle a message that may be a device state echo
+   * @param {string} topic - MQTT topic
+   * @param {string} rawPayload - Message payload
+   * @returns {Promise<boolean>} Whether the topic is a watched state topic
+   */
+  async handleStateMessage(topic, rawPayload) {
+    const deviceId = await redis.hget(this.stateTopicsKey, topic);
+    if (!deviceId) {
+      return false;
+    }
+
+    const deviceResult = await query('SELECT * FROM devices WHERE id = $1', [deviceId]);
+    const device = deviceResult.rows[0];
+    if (!device) {
+      await redis.hdel(this.stateTopicsKey, topic);
+      return false;
+    }
+
+    const reported = deviceDriverService.decodeState(device, rawPayload);
+    if (!reported.status) {
+      console.warn(`⚠️ Unrecognized state payload on ${topic}: ${rawPayload.substring(0, 100)}`);
+      return true;
+    }
+
+    // Match by correlation ID when the firmware echoes it, else by state
+    const acked = await query(
+      `UPDATE device_commands
+       SET status = 'confirmed', acknowledged_at = NOW(), reported_state = $3, next_retry_at = NULL, error = NULL
+       WHERE device_id = $1 AND status = 'pending' AND command = $3
+         AND ($2::text IS NULL OR correlation_id::text = $2::text)
+       RETURNING *`,
+      [deviceId, reported.correlationId, reported.status]
+    );
+
+    if (acked.rows.length > 0) {
+      console.log(`✅ Device ${deviceId} acknowledged "${acked.rows[0].command}" (${acked.rows[0].correlation_id})`);
+    }
+
+    // Every instance receives the echo; only the leader applies it, so the
+    // status change is published and recorded once
+    if (!leaderElectionService.isLeader) {
+      return true;
+    }
+
+    // Reported state is the truth, unless a command is still on its way
+    const pending = await query(
+      'SELECT 1 FROM device_commands WHERE device_id = $1 AND status = \'pending\' LIMIT 1',
+      [deviceId]
+    );
+    if (pending.rows.length === 0) {
+      await this.reconcileDeviceState(deviceId, reported.status);
+    }
+
+    return true;
+  }
+
+  /**
+   * Align the stored status with the state the device reports
+   * @param {string|number} deviceId - Device ID
+   * @param {string} reportedStatus - on | off
+   */
+  async reconcileDeviceState(deviceId, reportedStatus) {
+    const result = await query('SELECT status FROM devices WHERE id = $1', [deviceId]);
+    const stored = result.rows[0]?.status?.toLowerCase();
+    if (!stored || stored === reportedStatus) {
+      return;
+    }
+
+    console.warn(`🔁 Device ${deviceId} reports "${reportedStatus}" but was stored as "${stored}", reconciling`);
+    await this.setDeviceStatus(deviceId, reportedStatus);
+    await executionBudgetService.recordDeviceStatus(deviceId, reportedStatus);
+    await deviceMaintenanceService.recordDeviceStatus(deviceId, reportedStatus);
+  }
+
+  /**
+   * Store a device status without sending a command
+   * @param {string|number} deviceId - Device ID
+   * @param {string} status - New status
+   * @returns {Promise<Object|null>} Updated device
+   */
+  async setDeviceStatus(deviceId, status) {
+    const result = await query(
+      `UPDATE devices SET status = $1, updated_at = NOW(), last_seen = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [status, deviceId]
+    );
+    const device = result.rows[0];
+    if (!device) {
+      return null;
+    }
+
+    await cache.set(`device:${device.id}`, device, 3600);
+    await cache.set(`device:${device.id}:status`, status, 3600);
+    await pubsub.publish(SENSOR_EVENTS.DEVICE_STATUS_CHANGED, {
+      deviceStatusChanged: {
+        device,
+        previousStatus: null,
+        newStatus: status
+      }
+    });
+
+    // State echoes reach every instance; the leader mirrors them
+    if (leaderElectionService.isLeader) {
+      await homeAssistantService.publishDeviceState(device);
+    }
+
+    return device;
+  }
+
+  /**
+   * Command history of a device, newest first
+   * @param {string|number} deviceId - Device ID
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array>} Command rows
+   */
+  async getCommands(deviceId, { status = null, limit = 20 } = {}) {
+    const result = await query(
+      `SELECT * FROM device_commands
+       WHERE device_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [deviceId, status, limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = new DeviceCommandService();
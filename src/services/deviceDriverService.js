@@ -0,0 +1,529 @@
+/**
+ * Device Driver Service
+ * Registry of actuator drivers. A driver declares how to talk to one kind of
+ * hardware: the command topic template, a payload encoder, a state decoder
+ * and the capabilities it supports. Devices select a driver and its
+ * parameters in their configuration:
+ *
+ *   { "driver": "generic_switch", "driverParams": { ... } }
+ *
+ * Devices without a driver fall back to the built-in driver for their type,
+ * which reproduces the topics and payloads the greenhouse firmware expects.
+ *
+ * Templates may use {deviceId} (device_id column), {name} and any parameter.
+ */
+class DeviceDriverService {
+  constructor() {
+    this.drivers = new Map();
+    this.capabilities = ['ON_OFF', 'DIMMER', 'PWM', 'POSITION'];
+    this.valueCapabilities = ['DIMMER', 'PWM', 'POSITION'];
+    this.defaultDriver = 'generic_switch';
+    this.initializeDrivers();
+  }
+
+  /**
+   * Register the built-in drivers
+   */
+  initializeDrivers() {
+    // Fixed-topic relays of the greenhouse controller board
+    const boardRelay = (id, name, topic, field, deviceTypes) => {
+      this.registerDriver(id, {
+        name,
+        description: `Relay on ${topic}, payload { "${field}": true|false }`,
+        deviceTypes,
+        commandTopicTemplate: topic,
+        capabilities: ['ON_OFF'],
+        encode: ({ action }) => ({ [field]: action === 'on' || action === 'toggle' }),
+        decodeState: payload => this.decodeSwitchState(payload, [field])
+      });
+    };
+
+    boardRelay('invernadero_ventilador', 'Greenhouse fan relay', 'Invernadero/Ventilador/sw', 'ventiladorSw', ['fan', 'ventilator']);
+    boardRelay('invernadero_bomba', 'Greenhouse pump relay', 'Invernadero/Bomba/sw', 'bombaSw', ['water_pump', 'pump']);
+    boardRelay('invernadero_calefactor', 'Greenhouse heater relay', 'Invernadero/Calefactor/sw', 'calefactorSw', ['heater']);
+    boardRelay('invernadero_calefactor_agua', 'Greenhouse water heater relay', 'Invernadero/CalefactorAgua/sw', 'calefactorAguaSw', ['water_heater']);
+
+    this.registerDriver('invernadero_luces', {
+      name: 'Greenhouse lights',
+      description: 'Light controller on Invernadero/{deviceId}/sw, payload { power, brightness }',
+      deviceTypes: ['lights', 'led'],
+      commandTopicTemplate: 'Invernadero/{deviceId}/sw',
+      capabilities: ['ON_OFF', 'DIMMER'],
+      encode: ({ action, value }) => {
+        if (action === 'set') {
+          return { brightness: value, power: value > 0 };
+        }
+        return value !== null && value !== undefined
+          ? { brightness: value, power: action === 'on' }
+          : { power: action === 'on' || action === 'toggle' };
+      },
+      decodeState: payload => this.decodeSwitchState(payload, ['power'], 'brightness')
+    });
+
+    this.registerDriver('generic_switch', {
+      name: 'Generic switch',
+      description: 'Relay on Invernadero/{deviceId}/sw, payload { "state": true|false }',
+      deviceTypes: [],
+      commandTopicTemplate: 'Invernadero/{deviceId}/sw',
+      capabilities: ['ON_OFF'],
+      encode: ({ action }) => ({ state: action === 'on' || action === 'toggle' }),
+      decodeState: payload => this.decodeSwitchState(payload, ['state'])
+    });
+
+    this.registerDriver('simple_boolean', {
+      name: 'Plain boolean topic',
+      description: 'Publishes a bare true/false on a configured topic (auto-discovered devices)',
+      deviceTypes: [],
+      commandTopicTemplate: '{topic}',
+      stateTopicTemplate: '{stateTopic}',
+      parameters: {
+        topic: { type: 'string', required: true, description: 'Command topic' },
+        stateTopic: { type: 'string', required: false, default: '{topic}/state', description: 'Topic the device echoes its state on' }
+      },
+      capabilities: ['ON_OFF'],
+      encode: ({ action }) => action === 'on' || action === 'toggle',
+      decodeState: payload => this.decodeSwitchState(payload, [])
+    });
+
+    this.registerDriver('generic_pwm', {
+      name: 'Generic PWM output',
+      description: 'PWM channel on Invernadero/{deviceId}/pwm, payload { "duty": 0..resolution }',
+      deviceTypes: [],
+      commandTopicTemplate: 'Invernadero/{deviceId}/pwm',
+      parameters: {
+        resolution: { type: 'integer', required: false, default: 255, description: 'Duty value that means 100 %' }
+      },
+      capabilities: ['ON_OFF', 'PWM'],
+      encode: ({ action, value }, params) => {
+        const percent = action === 'set' ? value : (action === 'off' ? 0 : 100);
+        return { duty: Math.round(percent / 100 * params.resolution) };
+      },
+      decodeState: (payload, params) => {
+        const duty = Number(payload?.duty);
+        if (!Number.isFinite(duty)) {
+          return this.decodeSwitchState(payload, ['state']);
+        }
+        return { status: duty > 0 ? 'on' : 'off', value: Math.round(duty / params.resolution * 1000) / 10, correlationId: payload.correlationId || null };
+      }
+    });
+
+    this.registerDriver('generic_position', {
+      name: 'Generic positioner',
+      description: 'Vent/curtain motor on Invernadero/{deviceId}/position, payload { "position": 0..100 }',
+      deviceTypes: [],
+      commandTopicTemplate: 'Invernadero/{deviceId}/position',
+      capabilities: ['ON_OFF', 'POSITION'],
+      encode: ({ action, value }) => ({ position: action === 'set' ? value : (action === 'off' ? 0 : 100) }),
+      decodeState: (payload) => {
+        const position = Number(payload?.position);
+        if (!Number.isFinite(position)) {
+          return this.decodeSwitchState(payload, ['state']);
+        }
+        return { status: position > 0 ? 'on' : 'off', value: position, correlationId: payload.correlationId || null };
+      }
+    });
+
+    // Off-the-shelf firmware. Tasmota and ESPHome take ON/OFF/TOGGLE, Shelly
+    // takes on/off/toggle; all of them report state on their own topics.
+    const upperAction = ({ action }) => ({ on: 'ON', off: 'OFF', toggle: 'TOGGLE' })[action];
+    const lowerAction = ({ action }) => ({ on: 'on', off: 'off', toggle: 'toggle' })[action];
+
+    this.registerDriver('tasmota_relay', {
+      name: 'Tasmota relay',
+      description: 'Tasmota POWER command; multi-relay devices set relay to 1, 2, ...',
+      commandTopicTemplate: 'cmnd/{topic}/POWER{relay}',
+      stateTopicTemplate: 'stat/{topic}/POWER{relay}',
+      parameters: {
+        topic: { type: 'string', required: true, description: 'Tasmota device topic' },
+        relay: { type: 'string', required: false, default: '', description: 'Relay number, empty for single-relay devices' }
+      },
+      capabilities: ['ON_OFF'],
+      encode: upperAction,
+      decodeState: (payload, params) => this.decodeSwitchState(payload, [`POWER${params.relay}`])
+    });
+
+    this.registerDriver('tasmota_dimmer', {
+      name: 'Tasmota dimmer',
+      description: 'Tasmota POWER for on/off and Dimmer 0-100 for values',
+      commandTopicTemplate: 'cmnd/{topic}/POWER',
+      commandTopicTemplates: { set: 'cmnd/{topic}/Dimmer' },
+      stateTopicTemplate: 'stat/{topic}/RESULT',
+      parameters: {
+        topic: { type: 'string', required: true, description: 'Tasmota device topic' }
+      },
+      capabilities: ['ON_OFF', 'DIMMER'],
+      encode: command => (command.action === 'set' ? String(command.value) : upperAction(command)),
+      decodeState: payload => this.decodeSwitchState(payload, ['POWER'], 'Dimmer')
+    });
+
+    this.registerDriver('shelly_gen1_relay', {
+      name: 'Shelly Gen1 relay',
+      description: 'Shelly 1/1PM/2.5 relay channel under shellies/<id>/relay/<channel>',
+      commandTopicTemplate: 'shellies/{shellyId}/relay/{channel}/command',
+      stateTopicTemplate: 'shellies/{shellyId}/relay/{channel}',
+      parameters: {
+        shellyId: { type: 'string', required: true, description: 'Device ID, e.g. shelly1pm-A4CF12F45678' },
+        channel: { type: 'integer', required: false, default: 0, description: 'Relay channel' }
+      },
+      capabilities: ['ON_OFF'],
+      encode: lowerAction
+    });
+
+    this.registerDriver('shelly_gen1_dimmer', {
+      name: 'Shelly Gen1 dimmer',
+      description: 'Shelly Dimmer/RGBW white channel under shellies/<id>/light/<channel>',
+      commandTopicTemplate: 'shellies/{shellyId}/light/{channel}/set',
+      stateTopicTemplate: 'shellies/{shellyId}/light/{channel}/status',
+      parameters: {
+        shellyId: { type: 'string', required: true, description: 'Device ID, e.g. shellydimmer2-E8DB84D68D1C' },
+        channel: { type: 'integer', required: false, default: 0, description: 'Light channel' }
+      },
+      capabilities: ['ON_OFF', 'DIMMER'],
+      encode: ({ action, value }) => (action === 'set'
+        ? { turn: value > 0 ? 'on' : 'off', brightness: value }
+        : { turn: lowerAction({ action }) }),
+      decodeState: payload => this.decodeSwitchState(payload, ['ison'], 'brightness')
+    });
+
+    this.registerDriver('shelly_gen1_roller', {
+      name: 'Shelly Gen1 roller',
+      description: 'Shelly 2.5 in roller mode; on opens, off closes, values go to a position',
+      commandTopicTemplate: 'shellies/{shellyId}/roller/{channel}/command',
+      commandTopicTemplates: { set: 'shellies/{shellyId}/roller/{channel}/command/pos' },
+      stateTopicTemplate: 'shellies/{shellyId}/roller/{channel}/pos',
+      parameters: {
+        shellyId: { type: 'string', required: true, description: 'Device ID, e.g. shellyswitch25-98CDAC1F0A2B' },
+        channel: { type: 'integer', required: false, default: 0, description: 'Roller channel' }
+      },
+      capabilities: ['ON_OFF', 'POSITION'],
+      encode: ({ action, value }) => (action === 'set' ? value : (action === 'off' ? 'close' : 'open')),
+      decodeState: (payload) => {
+        const position = Number(payload);
+        // -1 means the roller is not calibrated
+        return Number.isFinite(position) && position >= 0
+          ? { status: position > 0 ? 'on' : 'off', value: position }
+          : { status: null };
+      }
+    });
+
+    this.registerDriver('shelly_gen2_switch', {
+      name: 'Shelly Gen2/Plus switch',
+      description: 'Shelly Plus/Pro switch component under <prefix>/status/switch:<channel>',
+      commandTopicTemplate: '{prefix}/command/switch:{channel}',
+      stateTopicTemplate: '{prefix}/status/switch:{channel}',
+      parameters: {
+        prefix: { type: 'string', required: true, description: 'MQTT prefix, defaults to the device ID on the Shelly' },
+        channel: { type: 'integer', required: false, default: 0, description: 'Switch component ID' }
+      },
+      capabilities: ['ON_OFF'],
+      encode: lowerAction,
+      decodeState: payload => this.decodeSwitchState(payload, ['output'])
+    });
+
+    this.registerDriver('esphome_switch', {
+      name: 'ESPHome switch',
+      description: 'ESPHome switch entity under <node>/switch/<entity>',
+      commandTopicTemplate: '{node}/switch/{entity}/command',
+      stateTopicTemplate: '{node}/switch/{entity}/state',
+      parameters: {
+        node: { type: 'string', required: true, description: 'ESPHome topic prefix (node name by default)' },
+        entity: { type: 'string', required: true, description: 'Entity object ID' }
+      },
+      capabilities: ['ON_OFF'],
+      encode: upperAction
+    });
+
+    this.registerDriver('esphome_light', {
+      name: 'ESPHome light',
+      description: 'ESPHome light entity with the JSON schema, brightness 0-255 on the wire',
+      commandTopicTemplate: '{node}/light/{entity}/command',
+      stateTopicTemplate: '{node}/light/{entity}/state',
+      parameters: {
+        node: { type: 'string', required: true, description: 'ESPHome topic prefix (node name by default)' },
+        entity: { type: 'string', required: true, description: 'Entity object ID' }
+      },
+      capabilities: ['ON_OFF', 'DIMMER'],
+      encode: ({ action, value }) => (action === 'set'
+        ? { state: value > 0 ? 'ON' : 'OFF', brightness: Math.round(value * 255 / 100) }
+        : { state: upperAction({ action }) }),
+      decodeState: (payload) => {
+        const state = this.decodeSwitchState(payload, ['state']);
+        const brightness = Number(payload?.brightness);
+        return Number.isFinite(brightness) ? { ...state, value: Math.round(brightness / 2.55) } : state;
+      }
+    });
+
+    this.drivers.forEach(driver => {
+      driver.builtIn = true;
+    });
+
+    console.log(`✅ Initialized ${this.drivers.size} device drivers`);
+  }
+
+  /**
+   * Register a driver
+   * @param {string} driverId - Driver ID referenced by device configurations
+   * @param {Object} definition - { name, description, deviceTypes, commandTopicTemplate,
+   *   commandTopicTemplates (per-action overrides), stateTopicTemplate, parameters,
+   *   capabilities, encode(command, params, device), decodeState(payload, params) }
+   */
+  registerDriver(driverId, definition) {
+    const unknown = (definition.capabilities || []).filter(capability => !this.capabilities.includes(capability));
+    if (unknown.length > 0) {
+      throw new Error(`Driver ${driverId} declares unknown capabilities: ${unknown.join(', ')}`);
+    }
+    if (typeof definition.encode !== 'function' || !definition.commandTopicTemplate) {
+      throw new Error(`Driver ${driverId} needs a command topic template and an encoder`);
+    }
+
+    this.drivers.set(driverId, {
+      id: driverId,
+      builtIn: false,
+      deviceTypes: [],
+      parameters: {},
+      capabilities: ['ON_OFF'],
+      decodeState: payload => this.decodeSwitchState(payload, []),
+      ...definition
+    });
+  }
+
+  /**
+   * Get a driver by ID
+   * @param {string} driverId - Driver ID
+   * @returns {Object|undefined} Driver
+   */
+  getDriver(driverId) {
+    return this.drivers.get(driverId);
+  }
+
+  /**
+   * Get all registered drivers
+   * @returns {Array<Object>} Drivers
+   */
+  getAllDrivers() {
+    return Array.from(this.drivers.values());
+  }
+
+  /**
+   * Driver a device uses: the configured one, else the built-in driver for
+   * its type. Legacy auto-discovered boolean devices map to simple_boolean.
+   * @param {Object} device - Device row
+   * @returns {Object} { driver, params }
+   */
+  resolveDriver(device) {
+    const config = device.configuration || {};
+    let driverId = config.driver;
+    let params = config.driverParams || {};
+
+    if (!driverId) {
+      const usesSimpleBoolean = config.supports_simple_boolean === true || config.payload_type === 'simple_boolean';
+      if (usesSimpleBoolean && config.mqtt_topic) {
+        driverId = 'simple_boolean';
+        params = { topic: config.mqtt_topic };
+      } else {
+        const type = device.type?.toLowerCase();
+        const match = this.getAllDrivers().find(driver => driver.deviceTypes.includes(type));
+        driverId = match ? match.id : this.defaultDriver;
+      }
+    }
+
+    const driver = this.getDriver(driverId);
+    if (!driver) {
+      throw new Error(`Unknown device driver "${driverId}" for device ${device.name || device.id}`);
+    }
+
+    return { driver, params: this.applyParameterDefaults(driver, params) };
+  }
+
+  /**
+   * Fill in parameter defaults (defaults may reference other parameters)
+   * @param {Object} driver - Driver
+   * @param {Object} params - Configured parameters
+   * @returns {Object} Parameters
+   */
+  applyParameterDefaults(driver, params) {
+    const resolved = { ...params };
+    for (const [name, definition] of Object.entries(driver.parameters)) {
+      if (resolved[name] === undefined && definition.default !== undefined) {
+        resolved[name] = typeof definition.default === 'string'
+          ? this.renderTemplate(definition.default, {}, resolved)
+          : definition.default;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Check a device configuration's driver selection
+   * @param {Object} config - Device configuration
+   * @returns {Array<string>} Errors (empty when valid or no driver is set)
+   */
+  validateConfiguration(config) {
+    if (!config || config.driver === undefined || config.driver === null) {
+      return [];
+    }
+
+    const driver = this.getDriver(config.driver);
+    if (!driver) {
+      return [`Unknown device driver "${config.driver}". Available: ${Array.from(this.drivers.keys()).join(', ')}`];
+    }
+
+    const errors = [];
+    const params = config.driverParams || {};
+    for (const [name, definition] of Object.entries(driver.parameters)) {
+      const value = params[name];
+      if (value === undefined || value === null || value === '') {
+        if (definition.required) {
+          errors.push(`Driver "${driver.id}" requires parameter "${name}"`);
+        }
+        continue;
+      }
+      if (definition.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`Driver parameter "${name}" must be an integer`);
+      } else if (definition.type === 'string' && typeof value !== 'string') {
+        errors.push(`Driver parameter "${name}" must be a string`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether a device's driver accepts 0-100 values (dimmer, PWM, position)
+   * @param {Object} device - Device row
+   * @returns {boolean} Whether set commands are supported
+   */
+  supportsValues(device) {
+    const { driver } = this.resolveDriver(device);
+    return driver.capabilities.some(capability => this.valueCapabilities.includes(capability));
+  }
+
+  /**
+   * Build the MQTT message for a command
+   * @param {Object} device - Device row
+   * @param {string} action - on | off | toggle | set
+   * @param {number|null} value - 0-100 for set (dimmer, PWM duty, position)
+   * @returns {Object} { driver, topic, payload }
+   */
+  buildCommand(device, action, value = null) {
+    const { driver, params } = this.resolveDriver(device);
+
+    if (action === 'set') {
+      if (!this.supportsValues(device)) {
+        throw new Error(`Driver "${driver.id}" of device ${device.name} does not support values`);
+      }
+      if (typeof value !== 'number' || value < 0 || value > 100) {
+        throw new Error('Value must be a number between 0 and 100');
+      }
+    }
+
+    return {
+      driver,
+      topic: this.renderTemplate(driver.commandTopicTemplates?.[action] || driver.commandTopicTemplate, device, params),
+      payload: driver.encode({ action, value }, params, device)
+    };
+  }
+
+  /**
+   * Topic the device echoes its state on: configuration.state_topic or the
+   * driver's state topic template. Drivers without one (the Invernadero
+   * boards) don't echo their state, so there is nothing to watch.
+   * @param {Object} device - Device row
+   * @returns {string|null} State topic, or null when none is declared
+   */
+  getStateTopic(device) {
+    const configured = device.configuration?.state_topic;
+    if (configured) {
+      return configured;
+    }
+
+    const { driver, params } = this.resolveDriver(device);
+    if (driver.stateTopicTemplate) {
+      return this.renderTemplate(driver.stateTopicTemplate, device, params);
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode a state echo with the device's driver
+   * @param {Object} device - Device row
+   * @param {string} rawPayload - Message payload
+   * @returns {Object} { status: on|off|null, value, correlationId }
+   */
+  decodeState(device, rawPayload) {
+    const { driver, params } = this.resolveDriver(device);
+
+    let payload;
+    try {
+      payload = JSON.parse(rawPayload);
+    } catch {
+      payload = rawPayload;
+    }
+
+    return { value: null, correlationId: null, ...driver.decodeState(payload, params) };
+  }
+
+  /**
+   * Read an on/off state out of a payload. Accepts true/false, 1/0 and
+   * ON/OFF, bare or in a JSON object under one of the given fields (then
+   * state, power, status, or any *Sw field).
+   * @param {*} payload - Parsed payload
+   * @param {Array<string>} fields - Fields to look at first
+   * @param {string} valueField - Optional numeric field to report as value
+   * @returns {Object} { status, value, correlationId }
+   */
+  decodeSwitchState(payload, fields, valueField = null) {
+    const toStatus = (value) => {
+      if (typeof value === 'boolean' || typeof value === 'number') {
+        return value ? 'on' : 'off';
+      }
+      const text = String(value).trim().toLowerCase();
+      if (['on', 'true', '1'].includes(text)) {
+        return 'on';
+      }
+      if (['off', 'false', '0'].includes(text)) {
+        return 'off';
+      }
+      return null;
+    };
+
+    if (payload === null || typeof payload !== 'object') {
+      return { status: payload === null ? null : toStatus(payload), value: null, correlationId: null };
+    }
+
+    const key = [...fields, 'state', 'power', 'status'].find(field => payload[field] !== undefined) ||
+      Object.keys(payload).find(field => /Sw$/.test(field));
+    const value = valueField !== null ? Number(payload[valueField]) : NaN;
+
+    return {
+      status: key ? toStatus(payload[key]) : null,
+      value: Number.isFinite(value) ? value : null,
+      correlationId: payload.correlationId || null
+    };
+  }
+
+  /**
+   * Replace {placeholders} with device fields and driver parameters
+   * @param {string} template - Template
+   * @param {Object} device - Device row
+   * @param {Object} params - Driver parameters
+   * @returns {string} Rendered template
+   */
+  renderTemplate(template, device, params) {
+    const values = {
+      deviceId: device.device_id || device.name || device.id,
+      name: device.name,
+      ...params
+    };
+
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+      if (values[key] === undefined || values[key] === null) {
+        throw new Error(`Missing value for {${key}} in "${template}"`);
+      }
+      return String(values[key]);
+    });
+  }
+}
+
+module.exports = new DeviceDriverService();
@@ -0,0 +1,560 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { redis } = require('../config/redis');
+const { pubsub, SENSOR_EVENTS } = require('../utils/pubsub');
+const notificationService = require('./notificationService');
+const auditLogService = require('./auditLogService');
+const { InterlockViolationError } = require('../utils/errors');
+
+/**
+ * Device Interlock Service
+ * Declarative safety constraints checked by deviceService before a device is
+ * switched on, so they hold for every caller (GraphQL, rules engine, queue
+ * actions). Switching off is never blocked.
+ *
+ * MUTUAL_EXCLUSION: at most one device of the group may be on.
+ * SENSOR_CONDITION: the devices may not turn on while `sensor.field operator
+ * value` holds (e.g. pump blocked while the tank level is LTE 5). Without a
+ * usable reading the command is blocked unless blockWhenNoData is false.
+ * The leader also re-checks these on every reading of the sensor and
+ * switches off devices that are running when the condition starts to hold.
+ *
+ * Turning on a device of a MUTUAL_EXCLUSION group holds a Redis lock on the
+ * group from the check until its new status is stored, so two devices of the
+ * group can't both pass the check (see runExclusive).
+ */
+class DeviceInterlockService {
+  constructor() {
+    this.types = ['MUTUAL_EXCLUSION', 'SENSOR_CONDITION'];
+    this.operators = ['GT', 'GTE', 'LT', 'LTE', 'EQ', 'NEQ'];
+    this.onStatuses = ['on', 'active'];
+    this.alertCooldown = parseInt(process.env.INTERLOCK_ALERT_COOLDOWN_SECONDS, 10) || 900;
+    this.lockTtl = 10000;
+    this.lockWait = 5000;
+    this.lockRetryDelay = 50;
+    this.sensorSubId = null;
+  }
+
+  /**
+   * Start enforcing SENSOR_CONDITION interlocks on sensor readings (leader only)
+   */
+  async start() {
+    if (this.sensorSubId !== null) {
+      return;
+    }
+
+    this.sensorSubId = await pubsub.subscribe(SENSOR_EVENTS.TEMHUM_DATA, (payload) => {
+      const reading = payload?.sensorDataUpdated;
+      const hardwareId = reading?.sensor?.hardwareId || reading?.sensor?.sensorId;
+
+      this.handleSensorReading(hardwareId).catch(error => {
+        console.error(`❌ Error enforcing interlocks for sensor ${hardwareId}:`, error);
+      });
+    });
+    console.log('✅ Interlock sensor watch started');
+  }
+
+  /**
+   * Stop enforcing interlocks on sensor readings
+   */
+  stop() {
+    if (this.sensorSubId !== null) {
+      pubsub.unsubscribe(this.sensorSubId);
+      this.sensorSubId = null;
+      console.log('✅ Interlock sensor watch stopped');
+    }
+  }
+
+  /**
+   * Switch off running devices of the SENSOR_CONDITION interlocks on a sensor
+   * whose condition now holds. Only a reading that meets the condition acts;
+   * missing data blocks new commands but doesn't stop running devices.
+   * @param {string} hardwareId - Sensor that reported
+   * @returns {Promise<Array>} IDs of the devices switched off
+   */
+  async handleSensorReading(hardwareId) {
+    if (!hardwareId) {
+      return [];
+    }
+
+    const interlocks = await query(
+      `SELECT * FROM device_interlocks
+       WHERE enabled = true AND type = 'SENSOR_CONDITION' AND LOWER(sensor_id) = LOWER($1)`,
+      [String(hardwareId)]
+    );
+    const switchedOff = [];
+
+    for (const interlock of interlocks.rows) {
+      const reason = await this.checkSensorCondition(interlock, { requireReading: true });
+      if (!reason) {
+        continue;
+      }
+
+      const running = await query(
+        `SELECT * FROM devices
+         WHERE id = ANY($1::integer[]) AND LOWER(status) = ANY($2::text[])
+         ORDER BY id`,
+        [interlock.device_ids, this.onStatuses]
+      );
+
+      for (const device of running.rows) {
+        if (switchedOff.includes(device.id)) {
+          continue;
+        }
+
+        const violation = { interlockId: interlock.id, interlockName: interlock.name, deviceId: device.id, reason };
+        const message = `Interlock "${interlock.name}" switched off ${device.name}: ${reason}`;
+        console.warn(`🔒 ${message}`);
+
+        try {
+          // Lazy require: deviceService checks interlocks before switching
+          const deviceService = require('./deviceService');
+          await deviceService.updateDeviceStatus(device.id, 'off');
+          switchedOff.push(device.id);
+        } catch (error) {
+          console.error(`❌ Interlock "${interlock.name}" could not switch off ${device.name}:`, error);
+          continue;
+        }
+
+        try {
+          await auditLogService.logSystemEvent('interlock_shutoff', {
+            interlock_id: interlock.id,
+            interlock_name: interlock.name,
+            device_id: device.id,
+            device_name: device.name,
+            reason
+          });
+          await this.notifyViolation(device, violation, message, `Interlock switched off ${device.name}`);
+        } catch (error) {
+          console.error('❌ Error reporting interlock shutoff:', error);
+        }
+      }
+    }
+
+    return switchedOff;
+  }
+
+  /**
+   * Get interlocks, optionally only those involving a device
+   * @param {Object} options - { deviceId, enabledOnly }
+   * @returns {Promise<Array>} Interlock rows
+   */
+  async getInterlocks({ deviceId = null, enabledOnly = false } = {}) {
+    const result = await query(
+      `SELECT * FROM device_interlocks
+       WHERE ($1::integer IS NULL OR $1::integer = ANY(device_ids))
+         AND (NOT $2::boolean OR enabled = true)
+       ORDER BY name`,
+      [deviceId, enabledOnly]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get an interlock by ID
+   * @param {string|number} id - Interlock ID
+   * @returns {Promise<Object|null>} Interlock row
+   */
+  async getInterlock(id) {
+    const result = await query('SELECT * FROM device_interlocks WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create an interlock
+   * @param {Object} input - DeviceInterlockInput
+   * @param {Object} user - Creating user
+   * @returns {Promise<Object>} Created interlock
+   */
+  async createInterlock(input, user) {
+    const interlock = await this.validate({
+      description: null,
+      enabled: true,
+      blockWhenNoData: true,
+      ...input
+    });
+
+    const result = await query(
+      `INSERT INTO device_interlocks
+         (name, description, type, device_ids, sensor_id, sensor_field, operator, threshold,
+          max_data_age_minutes, block_when_no_data, enabled, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [...this.toParams(interlock), user?.id || null]
+    );
+
+    console.log(`🔒 Interlock "${interlock.name}" created (${interlock.type}, devices ${interlock.deviceIds.join(', ')})`);
+    return result.rows[0];
+  }
+
+  /**
+   * Update an interlock
+   * @param {string|number} id - Interlock ID
+   * @param {Object} input - UpdateDeviceInterlockInput (omitted fields are kept)
+   * @returns {Promise<Object>} Updated interlock
+   */
+  async updateInterlock(id, input) {
+    const existing = await this.getInterlock(id);
+    if (!existing) {
+      throw new Error('Interlock not found');
+    }
+
+    const current = {
+      name: existing.name,
+      description: existing.description,
+      type: existing.type,
+      deviceIds: existing.device_ids,
+      sensorId: existing.sensor_id,
+      field: existing.sensor_field,
+      operator: existing.operator,
+      value: existing.threshold,
+      maxDataAgeMinutes: existing.max_data_age_minutes,
+      blockWhenNoData: existing.block_when_no_data,
+      enabled: existing.enabled
+    };
+    const defined = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+    const interlock = await this.validate({ ...current, ...defined });
+
+    const result = await query(
+      `UPDATE device_interlocks
+       SET name = $1, description = $2, type = $3, device_ids = $4, sensor_id = $5, sensor_field = $6,
+           operator = $7, threshold = $8, max_data_age_minutes = $9, block_when_no_data = $10,
+           enabled = $11, updated_at = NOW()
+       WHERE id = $12
+       RETURNING *`,
+      [...this.toParams(interlock), id]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete an interlock
+   * @param {string|number} id - Interlock ID
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async deleteInterlock(id) {
+    const result = await query('DELETE FROM device_interlocks WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Reject a device command that would break an interlock: audits the
+   * violation, notifies (once per cooldown) and throws
+   * @param {Object} device - Device row
+   * @param {Object} command - { status } for status changes, { value } for setDeviceValue
+   * @throws {InterlockViolationError} When an enabled interlock forbids the command
+   */
+  async enforce(device, { status = null, value = null } = {}) {
+    if (!this.turnsOn({ status, value })) {
+      return;
+    }
+
+    const violations = await this.checkDevice(device.id);
+    if (violations.length === 0) {
+      return;
+    }
+
+    const violation = violations[0];
+    const message = `Interlock "${violation.interlockName}" blocks turning on ${device.name}: ${violation.reason}`;
+    console.warn(`🔒 ${message}`);
+
+    try {
+      await auditLogService.logSystemEvent('interlock_violation', {
+        interlock_id: violation.interlockId,
+        interlock_name: violation.interlockName,
+        device_id: device.id,
+        device_name: device.name,
+        status,
+        value,
+        reason: violation.reason
+      });
+      await this.notifyViolation(device, violation, message);
+    } catch (error) {
+      console.error('❌ Error reporting interlock violation:', error);
+    }
+
+    throw new InterlockViolationError(message, {
+      interlockId: violation.interlockId,
+      interlockName: violation.interlockName,
+      deviceId: device.id,
+      reason: violation.reason
+    });
+  }
+
+  /**
+   * Check a device command and switch the device while holding the locks of
+   * its mutual exclusion groups, so the check can't go stale before the
+   * switch. Commands that don't turn the device on run without locks.
+   * @param {Object} device - Device row
+   * @param {Object} command - { status } or { value }, as for enforce
+   * @param {Function} apply - Async function that switches the device
+   * @returns {Promise<*>} Result of apply
+   * @throws {InterlockViolationError} When an enabled interlock forbids the command
+   */
+  async runExclusive(device, command, apply) {
+    if (!this.turnsOn(command)) {
+      return apply();
+    }
+
+    // Always in ID order, so devices in several groups can't deadlock
+    const interlocks = await this.getInterlocks({ deviceId: parseInt(device.id, 10), enabledOnly: true });
+    const lockKeys = interlocks
+      .filter(interlock => interlock.type === 'MUTUAL_EXCLUSION')
+      .sort((a, b) => a.id - b.id)
+      .map(interlock => `interlock:${interlock.id}:lock`);
+
+    const token = crypto.randomBytes(8).toString('hex');
+    const held = [];
+
+    try {
+      for (const key of lockKeys) {
+        await this.acquireLock(key, token);
+        held.push(key);
+      }
+
+      await this.enforce(device, command);
+      return await apply();
+    } finally {
+      for (const key of held) {
+        await this.releaseLock(key, token);
+      }
+    }
+  }
+
+  /**
+   * Wait for a group lock. The TTL frees it if its holder dies mid-command
+   * @param {string} key - Lock key
+   * @param {string} token - Holder token
+   * @throws {Error} When the lock isn't free within lockWait
+   */
+  async acquireLock(key, token) {
+    const deadline = Date.now() + this.lockWait;
+
+    while (await redis.set(key, token, 'PX', this.lockTtl, 'NX') !== 'OK') {
+      if (Date.now() >= deadline) {
+        throw new Error('Another device of the interlock group is being switched, try again');
+      }
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryDelay));
+    }
+  }
+
+  /**
+   * Release a group lock if it is still ours
+   * @param {string} key - Lock key
+   * @param {string} token - Holder token
+   */
+  async releaseLock(key, token) {
+    try {
+      await redis.eval(
+        'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+        1, key, token
+      );
+    } catch (error) {
+      console.error(`❌ Error releasing interlock lock ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Whether a command turns a device on (only those can break an interlock)
+   * @param {Object} command - { status } or { value }
+   * @returns {boolean} Turns on
+   */
+  turnsOn({ status = null, value = null } = {}) {
+    return (status !== null && this.onStatuses.includes(String(status).toLowerCase())) ||
+      (typeof value === 'number' && value > 0);
+  }
+
+  /**
+   * Interlocks that would block turning a device on right now
+   * @param {string|number} deviceId - Device ID
+   * @returns {Promise<Array>} [{ interlockId, interlockName, deviceId, reason }]
+   */
+  async checkDevice(deviceId) {
+    const id = parseInt(deviceId, 10);
+    const interlocks = await this.getInterlocks({ deviceId: id, enabledOnly: true });
+    const violations = [];
+
+    for (const interlock of interlocks) {
+      const reason = interlock.type === 'MUTUAL_EXCLUSION'
+        ? await this.checkMutualExclusion(interlock, id)
+        : await this.checkSensorCondition(interlock);
+
+      if (reason) {
+        violations.push({ interlockId: interlock.id, interlockName: interlock.name, deviceId: id, reason });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * @param {Object} interlock - MUTUAL_EXCLUSION interlock row
+   * @param {number} deviceId - Device about to turn on
+   * @returns {Promise<string|null>} Violation reason
+   */
+  async checkMutualExclusion(interlock, deviceId) {
+    const result = await query(
+      `SELECT name FROM devices
+       WHERE id = ANY($1::integer[]) AND id <> $2 AND LOWER(status) = ANY($3::text[])
+       ORDER BY name`,
+      [interlock.device_ids, deviceId, this.onStatuses]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return `${result.rows.map(row => row.name).join(', ')} ${result.rows.length === 1 ? 'is' : 'are'} on`;
+  }
+
+  /**
+   * @param {Object} interlock - SENSOR_CONDITION interlock row
+   * @param {Object} options - { requireReading } to ignore missing data regardless of blockWhenNoData
+   * @returns {Promise<string|null>} Violation reason
+   */
+  async checkSensorCondition(interlock, { requireReading = false } = {}) {
+    // Lazy require: the rules engine depends on deviceService
+    const rulesEngineService = require('./rulesEngineService');
+    const subject = `${interlock.sensor_id}.${interlock.sensor_field}`;
+
+    let reading = await rulesEngineService.getSensorFieldValue(interlock.sensor_id, interlock.sensor_field);
+    if (reading !== null && interlock.max_data_age_minutes) {
+      const latest = await rulesEngineService.getLatestSensorData(interlock.sensor_id);
+      const age = latest?.timestamp ? Date.now() - new Date(latest.timestamp).getTime() : Infinity;
+      if (age > interlock.max_data_age_minutes * 60 * 1000) {
+        reading = null;
+      }
+    }
+
+    const currentValue = this.toNumber(reading);
+    if (currentValue === null) {
+      return interlock.block_when_no_data && !requireReading ? `no current reading of ${subject}` : null;
+    }
+
+    const threshold = parseFloat(interlock.threshold);
+    if (!rulesEngineService.compareValues(currentValue, interlock.operator, threshold)) {
+      return null;
+    }
+
+    return `${subject} is ${currentValue} (${interlock.operator} ${threshold})`;
+  }
+
+  /**
+   * Notify about a violation once per interlock, device and cooldown
+   * @param {Object} device - Device row
+   * @param {Object} violation - Violation
+   * @param {string} message - Violation message
+   * @param {string} title - Notification title
+   */
+  async notifyViolation(device, violation, message, title = `Interlock blocked ${device.name}`) {
+    const key = `interlock:${violation.interlockId}:${device.id}:alerted`;
+    const first = await redis.set(key, Date.now(), 'EX', this.alertCooldown, 'NX');
+    if (!first) {
+      return;
+    }
+
+    await notificationService.sendNotification({
+      title,
+      message,
+      priority: 'high',
+      metadata: {
+        type: 'interlock_violation',
+        interlockId: violation.interlockId,
+        deviceId: device.id,
+        reason: violation.reason
+      }
+    });
+  }
+
+  /**
+   * Validate an interlock and check that its devices exist
+   * @param {Object} interlock - Interlock fields (GraphQL input names)
+   * @returns {Promise<Object>} Normalized interlock
+   */
+  async validate(interlock) {
+    const name = typeof interlock.name === 'string' ? interlock.name.trim() : '';
+    if (!name) {
+      throw new Error('Interlock name is required');
+    }
+
+    if (!this.types.includes(interlock.type)) {
+      throw new Error(`Invalid interlock type: ${interlock.type}`);
+    }
+
+    const deviceIds = [...new Set((interlock.deviceIds || []).map(id => parseInt(id, 10)))];
+    if (deviceIds.some(id => isNaN(id))) {
+      throw new Error('Invalid device ID in interlock');
+    }
+    if (deviceIds.length < (interlock.type === 'MUTUAL_EXCLUSION' ? 2 : 1)) {
+      throw new Error(interlock.type === 'MUTUAL_EXCLUSION'
+        ? 'A mutual exclusion interlock needs at least two devices'
+        : 'A sensor interlock needs at least one device');
+    }
+
+    const devices = await query('SELECT id FROM devices WHERE id = ANY($1::integer[])', [deviceIds]);
+    if (devices.rows.length !== deviceIds.length) {
+      const found = devices.rows.map(row => row.id);
+      throw new Error(`Device not found: ${deviceIds.filter(id => !found.includes(id)).join(', ')}`);
+    }
+
+    const normalized = { ...interlock, name, deviceIds };
+    if (interlock.type === 'MUTUAL_EXCLUSION') {
+      return { ...normalized, sensorId: null, field: null, operator: null, value: null, maxDataAgeMinutes: null };
+    }
+
+    if (!interlock.sensorId || !interlock.field) {
+      throw new Error('A sensor interlock needs sensorId and field');
+    }
+    if (!this.operators.includes(interlock.operator)) {
+      throw new Error(`Invalid comparison operator: ${interlock.operator}`);
+    }
+    if (interlock.value === null || interlock.value === undefined || isNaN(parseFloat(interlock.value))) {
+      throw new Error('A sensor interlock needs a numeric value');
+    }
+    if (interlock.maxDataAgeMinutes !== null && interlock.maxDataAgeMinutes !== undefined && interlock.maxDataAgeMinutes <= 0) {
+      throw new Error('maxDataAgeMinutes must be a positive integer or null');
+    }
+
+    return { ...normalized, value: parseFloat(interlock.value), maxDataAgeMinutes: interlock.maxDataAgeMinutes || null };
+  }
+
+  /**
+   * Column values of a validated interlock, in INSERT/UPDATE order
+   * @param {Object} interlock - Normalized interlock
+   * @returns {Array} Query parameters
+   */
+  toParams(interlock) {
+    return [
+      interlock.name,
+      interlock.description ?? null,
+      interlock.type,
+      interlock.deviceIds,
+      interlock.sensorId,
+      interlock.field,
+      interlock.operator,
+      interlock.value,
+      interlock.maxDataAgeMinutes,
+      interlock.blockWhenNoData ?? true,
+      interlock.enabled ?? true
+    ];
+  }
+
+  /**
+   * Numeric value of a sensor reading (booleans as 1/0)
+   * @param {*} reading - Raw reading
+   * @returns {number|null} Number, or null when not numeric
+   */
+  toNumber(reading) {
+    if (reading === true || reading === 'true') {
+      return 1;
+    }
+    if (reading === false || reading === 'false') {
+      return 0;
+    }
+
+    const number = parseFloat(reading);
+    return isNaN(number) ? null : number;
+  }
+}
+
+module.exports = new DeviceInterlockService();
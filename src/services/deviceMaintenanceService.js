@@ -0,0 +1,504 @@
+const { query, withTransaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { pubsub, SENSOR_EVENTS } = require('../utils/pubsub');
+const notificationService = require('./notificationService');
+
+// Cumulative runtime of a device (alias d), including the run in progress
+const RUNTIME_SECONDS_SQL = '(d.total_runtime_seconds + COALESCE(EXTRACT(EPOCH FROM (NOW() - d.runtime_started_at)), 0))';
+
+/**
+ * Device Maintenance Service
+ * Cumulative runtime from ON/OFF status changes, stored on the device row so
+ * it survives restarts. Maintenance plans fire every N runtime hours and/or
+ * every N days, counted from the last completed maintenance; completing one
+ * moves the plan's runtime baseline to the device's current runtime. While a
+ * device is in maintenance (maintenance_started_at set) the rules engine
+ * leaves it alone.
+ */
+class DeviceMaintenanceService {
+  constructor() {
+    this.onStatuses = ['on'];
+    this.warningRatio = 0.8;
+    this.overdueRatio = parseFloat(process.env.MAINTENANCE_OVERDUE_RATIO) || 1.2;
+    this.checkInterval = parseInt(process.env.MAINTENANCE_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000;
+    this.statusOrder = ['GOOD', 'WARNING', 'MAINTENANCE_DUE', 'MAINTENANCE_OVERDUE'];
+    this.intervalId = null;
+  }
+
+  /**
+   * Track runtime from device status changes (manual or automated). A run is
+   * opened when the device turns on and credited when it turns off; both
+   * updates are single statements so concurrent echoes can't double count.
+   * @param {string|number} deviceId - Device ID
+   * @param {string} status - New status
+   */
+  async recordDeviceStatus(deviceId, status) {
+    if (this.onStatuses.includes(String(status).toLowerCase())) {
+      await query(
+        'UPDATE devices SET runtime_started_at = COALESCE(runtime_started_at, NOW()) WHERE id = $1',
+        [deviceId]
+      );
+      return;
+    }
+
+    await query(
+      `UPDATE devices
+       SET total_runtime_seconds = total_runtime_seconds + EXTRACT(EPOCH FROM (NOW() - runtime_started_at)),
+           runtime_started_at = NULL
+       WHERE id = $1 AND runtime_started_at IS NOT NULL`,
+      [deviceId]
+    );
+  }
+
+  /**
+   * Cumulative runtime of a device, including the run in progress
+   * @param {string|number} deviceId - Device ID
+   * @returns {Promise<number>} Runtime in hours
+   */
+  async getRuntimeHours(deviceId) {
+    const result = await query(`SELECT ${RUNTIME_SECONDS_SQL} AS runtime_seconds FROM devices d WHERE d.id = $1`, [deviceId]);
+    return result.rows[0] ? Math.round(parseFloat(result.rows[0].runtime_seconds) / 36) / 100 : 0;
+  }
+
+  /**
+   * Get maintenance plans with their due state
+   * @param {Object} filters - { deviceId, status, enabledOnly }
+   * @returns {Promise<Array>} Plans
+   */
+  async getPlans({ deviceId = null, status = null, enabledOnly = false } = {}) {
+    const result = await query(
+      `SELECT p.*, d.name AS device_name, ${RUNTIME_SECONDS_SQL} AS device_runtime_seconds
+       FROM device_maintenance_plans p
+       JOIN devices d ON d.id = p.device_id
+       WHERE ($1::int IS NULL OR p.device_id = $1) AND (NOT $2::boolean OR p.enabled)
+       ORDER BY p.device_id, p.name`,
+      [deviceId, enabledOnly]
+    );
+
+    const plans = result.rows.map(plan => this.evaluatePlan(plan));
+    return status ? plans.filter(plan => plan.status === status) : plans;
+  }
+
+  /**
+   * Get one maintenance plan with its due state
+   * @param {string|number} id - Plan ID
+   * @returns {Promise<Object|null>} Plan
+   */
+  async getPlan(id) {
+    const result = await query(
+      `SELECT p.*, d.name AS device_name, ${RUNTIME_SECONDS_SQL} AS device_runtime_seconds
+       FROM device_maintenance_plans p
+       JOIN devices d ON d.id = p.device_id
+       WHERE p.id = $1`,
+      [id]
+    );
+    return result.rows[0] ? this.evaluatePlan(result.rows[0]) : null;
+  }
+
+  /**
+   * Work out how far a plan is from being due
+   * @param {Object} plan - Plan row with device_runtime_seconds
+   * @param {Date} now - Reference time
+   * @returns {Object} Plan with runtimeHoursSinceMaintenance, daysSinceMaintenance,
+   *   remainingRuntimeHours, dueAt, progress (1 = due) and status
+   */
+  evaluatePlan(plan, now = new Date()) {
+    const runtimeHours = Math.max(0, (parseFloat(plan.device_runtime_seconds) - parseFloat(plan.runtime_baseline_seconds)) / 3600);
+    const lastCompletedAt = new Date(plan.last_completed_at);
+    const days = Math.max(0, (now - lastCompletedAt) / (24 * 60 * 60 * 1000));
+    const intervalHours = plan.interval_runtime_hours !== null ? parseFloat(plan.interval_runtime_hours) : null;
+    const intervalDays = plan.interval_days;
+
+    const ratios = [];
+    if (intervalHours) {
+      ratios.push(runtimeHours / intervalHours);
+    }
+    if (intervalDays) {
+      ratios.push(days / intervalDays);
+    }
+    const progress = ratios.length > 0 ? Math.max(...ratios) : 0;
+
+    let status = 'GOOD';
+    if (progress >= this.overdueRatio) {
+      status = 'MAINTENANCE_OVERDUE';
+    } else if (progress >= 1) {
+      status = 'MAINTENANCE_DUE';
+    } else if (progress >= this.warningRatio) {
+      status = 'WARNING';
+    }
+
+    return {
+      ...plan,
+      runtimeHoursSinceMaintenance: Math.round(runtimeHours * 100) / 100,
+      daysSinceMaintenance: Math.round(days * 100) / 100,
+      remainingRuntimeHours: intervalHours ? Math.round((intervalHours - runtimeHours) * 100) / 100 : null,
+      dueAt: intervalDays ? new Date(lastCompletedAt.getTime() + intervalDays * 24 * 60 * 60 * 1000) : null,
+      progress: Math.round(progress * 1000) / 1000,
+      status: plan.enabled ? status : 'GOOD'
+    };
+  }
+
+  /**
+   * Worst due state among the enabled plans of a device
+   * @param {string|number} deviceId - Device ID
+   * @returns {Promise<string>} MaintenanceStatus (GOOD when it has no plans)
+   */
+  async getDeviceMaintenanceStatus(deviceId) {
+    const plans = await this.getPlans({ deviceId, enabledOnly: true });
+    return plans.reduce((worst, plan) => (
+      this.statusOrder.indexOf(plan.status) > this.statusOrder.indexOf(worst) ? plan.status : worst
+    ), 'GOOD');
+  }
+
+  /**
+   * Create a maintenance plan. Counting starts now (or at lastCompletedAt for
+   * the day interval) from the device's current runtime.
+   * @param {Object} input - { deviceId, name, description, intervalRuntimeHours, intervalDays, enabled, lastCompletedAt }
+   * @param {Object} user - User creating the plan
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(input, user) {
+    const { deviceId, description = null, enabled = true, lastCompletedAt = null } = input;
+    const name = this.requireName(input.name);
+    const { intervalRuntimeHours, intervalDays } = this.validateIntervals(input.intervalRuntimeHours ?? null, input.intervalDays ?? null);
+
+    const result = await query(
+      `INSERT INTO device_maintenance_plans
+         (device_id, name, description, interval_runtime_hours, interval_days, enabled,
+          runtime_baseline_seconds, last_completed_at, created_by)
+       SELECT d.id, $2, $3, $4, $5, $6, ${RUNTIME_SECONDS_SQL}, COALESCE($7::timestamptz, NOW()), $8
+       FROM devices d
+       WHERE d.id = $1
+       RETURNING id`,
+      [deviceId, name, description, intervalRuntimeHours, intervalDays, enabled, lastCompletedAt, user?.id || null]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Device not found');
+    }
+
+    console.log(`🔧 Maintenance plan "${name}" created for device ${deviceId}`);
+    return this.getPlan(result.rows[0].id);
+  }
+
+  /**
+   * Update a maintenance plan
+   * @param {string|number} id - Plan ID
+   * @param {Object} input - { name, description, intervalRuntimeHours, intervalDays, enabled }
+   * @returns {Promise<Object>} Updated plan
+   */
+  async updatePlan(id, input) {
+    const plan = await this.getPlan(id);
+    if (!plan) {
+      throw new Error('Maintenance plan not found');
+    }
+
+    const { intervalRuntimeHours, intervalDays } = this.validateIntervals(
+      input.intervalRuntimeHours !== undefined ? input.intervalRuntimeHours : plan.interval_runtime_hours,
+      input.intervalDays !== undefined ? input.intervalDays : plan.interval_days
+    );
+
+    await query(
+      `UPDATE device_maintenance_plans
+       SET name = $1, description = $2, interval_runtime_hours = $3, interval_days = $4,
+           enabled = $5, updated_at = NOW()
+       WHERE id = $6`,
+      [
+        input.name !== undefined ? this.requireName(input.name) : plan.name,
+        input.description !== undefined ? input.description : plan.description,
+        intervalRuntimeHours,
+        intervalDays,
+        input.enabled ?? plan.enabled,
+        id
+      ]
+    );
+
+    return this.getPlan(id);
+  }
+
+  /**
+   * Delete a maintenance plan (its history is kept)
+   * @param {string|number} id - Plan ID
+   * @returns {Promise<boolean>} Whether a plan was deleted
+   */
+  async deletePlan(id) {
+    const result = await query('DELETE FROM device_maintenance_plans WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Whether a device is currently in maintenance
+   * @param {string|number} deviceId - Device ID
+   * @returns {Promise<boolean>}
+   */
+  async isInMaintenance(deviceId) {
+    const result = await query('SELECT maintenance_started_at FROM devices WHERE id = $1', [deviceId]);
+    return Boolean(result.rows[0]?.maintenance_started_at);
+  }
+
+  /**
+   * Put a device in maintenance. It is switched off first unless turnOff is
+   * false; rules skip it until the maintenance is completed.
+   * @param {string|number} deviceId - Device ID
+   * @param {Object} options - { notes, turnOff }
+   * @param {Object} user - User starting the maintenance
+   * @returns {Promise<Object>} Updated device
+   */
+  async startMaintenance(deviceId, { notes = null, turnOff = true } = {}, user = null) {
+    const current = await query('SELECT id, status, maintenance_started_at FROM devices WHERE id = $1', [deviceId]);
+    if (current.rows.length === 0) {
+      throw new Error('Device not found');
+    }
+    if (current.rows[0].maintenance_started_at) {
+      throw new Error('Device is already in maintenance');
+    }
+
+    if (turnOff && this.onStatuses.includes(String(current.rows[0].status).toLowerCase())) {
+      // Lazy require: deviceService records runtime through this service
+      const deviceService = require('./deviceService');
+      await deviceService.updateDeviceStatus(deviceId, 'off');
+    }
+
+    const device = await withTransaction(async(client) => {
+      const result = await client.query(
+        `UPDATE devices SET maintenance_started_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND maintenance_started_at IS NULL
+         RETURNING *`,
+        [deviceId]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('Device is already in maintenance');
+      }
+
+      await client.query(
+        `INSERT INTO device_maintenance_records (device_id, started_at, notes, started_by)
+         VALUES ($1, NOW(), $2, $3)`,
+        [deviceId, notes, user?.id || null]
+      );
+      return result.rows[0];
+    });
+
+    await this.publishMaintenanceChange(device, 'maintenance');
+    console.log(`🔧 Device "${device.name}" (${device.id}) is in maintenance`);
+    return device;
+  }
+
+  /**
+   * Record a completed maintenance: resets the runtime and day counters of
+   * planId (or of every plan of the device) and takes the device out of
+   * maintenance. Works whether or not startMaintenance was called first.
+   * @param {string|number} deviceId - Device ID
+   * @param {Object} options - { planId, notes }
+   * @param {Object} user - User completing the maintenance
+   * @returns {Promise<Object>} Maintenance record
+   */
+  async completeMaintenance(deviceId, { planId = null, notes = null } = {}, user = null) {
+    const { device, record } = await withTransaction(async(client) => {
+      const deviceResult = await client.query(
+        `SELECT d.*, ${RUNTIME_SECONDS_SQL} AS runtime_seconds FROM devices d WHERE d.id = $1 FOR UPDATE`,
+        [deviceId]
+      );
+      const lockedDevice = deviceResult.rows[0];
+      if (!lockedDevice) {
+        throw new Error('Device not found');
+      }
+
+      const plans = await client.query(
+        `UPDATE device_maintenance_plans
+         SET runtime_baseline_seconds = $2, last_completed_at = NOW(), notified_status = NULL, updated_at = NOW()
+         WHERE device_id = $1 AND ($3::int IS NULL OR id = $3)
+         RETURNING id`,
+        [deviceId, lockedDevice.runtime_seconds, planId]
+      );
+      if (planId && plans.rows.length === 0) {
+        throw new Error('Maintenance plan not found for this device');
+      }
+
+      const planIds = plans.rows.map(plan => plan.id);
+      const runtimeHours = Math.round(lockedDevice.runtime_seconds / 36) / 100;
+      let recordResult = await client.query(
+        `UPDATE device_maintenance_records
+         SET completed_at = NOW(), plan_ids = $2, runtime_hours = $3,
+             notes = COALESCE($4, notes), completed_by = $5
+         WHERE device_id = $1 AND completed_at IS NULL
+         RETURNING *`,
+        [deviceId, planIds, runtimeHours, notes, user?.id || null]
+      );
+      if (recordResult.rows.length === 0) {
+        recordResult = await client.query(
+          `INSERT INTO device_maintenance_records
+             (device_id, plan_ids, started_at, completed_at, runtime_hours, notes, started_by, completed_by)
+           VALUES ($1, $2, NOW(), NOW(), $3, $4, $5, $5)
+           RETURNING *`,
+          [deviceId, planIds, runtimeHours, notes, user?.id || null]
+        );
+      }
+
+      const updated = await client.query(
+        'UPDATE devices SET maintenance_started_at = NULL, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [deviceId]
+      );
+      return { device: updated.rows[0], record: recordResult.rows[0] };
+    });
+
+    await this.publishMaintenanceChange(device, device.status);
+    console.log(`✅ Maintenance of device "${device.name}" (${device.id}) completed, ${record.plan_ids.length} plan(s) reset`);
+    return record;
+  }
+
+  /**
+   * Maintenance history of a device, newest first
+   * @param {string|number} deviceId - Device ID
+   * @param {number} limit - Maximum records
+   * @returns {Promise<Array>} Maintenance records
+   */
+  async getHistory(deviceId, limit = 20) {
+    const result = await query(
+      `SELECT * FROM device_maintenance_records
+       WHERE device_id = $1
+       ORDER BY started_at DESC
+       LIMIT $2`,
+      [deviceId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Notify about plans that became due or overdue. The notified status is
+   * swapped in one conditional update, so each transition is announced once.
+   */
+  async checkDuePlans() {
+    const plans = await this.getPlans({ enabledOnly: true });
+
+    for (const plan of plans) {
+      const notifiable = ['MAINTENANCE_DUE', 'MAINTENANCE_OVERDUE'].includes(plan.status) ? plan.status : null;
+      const changed = await query(
+        `UPDATE device_maintenance_plans SET notified_status = $2
+         WHERE id = $1 AND notified_status IS DISTINCT FROM $2
+         RETURNING id`,
+        [plan.id, notifiable]
+      );
+
+      if (notifiable && changed.rows.length > 0) {
+        await this.notifyDue(plan);
+      }
+    }
+  }
+
+  /**
+   * Send a maintenance reminder for a plan
+   * @param {Object} plan - Evaluated plan
+   */
+  async notifyDue(plan) {
+    const overdue = plan.status === 'MAINTENANCE_OVERDUE';
+    const usage = [
+      plan.interval_runtime_hours !== null ? `${plan.runtimeHoursSinceMaintenance} of ${parseFloat(plan.interval_runtime_hours)} runtime hours` : null,
+      plan.interval_days !== null ? `${Math.floor(plan.daysSinceMaintenance)} of ${plan.interval_days} days` : null
+    ].filter(Boolean).join(', ');
+
+    console.warn(`🔧 Maintenance "${plan.name}" of device "${plan.device_name}" is ${overdue ? 'overdue' : 'due'} (${usage})`);
+
+    try {
+      await notificationService.sendNotification({
+        title: `Maintenance ${overdue ? 'overdue' : 'due'}: ${plan.device_name}`,
+        message: `"${plan.name}" on device "${plan.device_name}" is ${overdue ? 'overdue' : 'due'} (${usage}).`,
+        priority: overdue ? 'high' : 'medium',
+        metadata: {
+          type: 'maintenance_reminder',
+          deviceId: plan.device_id,
+          planId: plan.id,
+          status: plan.status,
+          runtimeHoursSinceMaintenance: plan.runtimeHoursSinceMaintenance,
+          daysSinceMaintenance: plan.daysSinceMaintenance
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error sending maintenance reminder for plan ${plan.id}:`, error);
+    }
+  }
+
+  /**
+   * Periodically check for due plans (leader only)
+   */
+  startScheduler() {
+    if (this.intervalId) {
+      console.log('⚡ Maintenance scheduler is already running');
+      return;
+    }
+
+    const run = async() => {
+      try {
+        await this.checkDuePlans();
+      } catch (error) {
+        console.error('❌ Error checking maintenance plans:', error);
+      }
+    };
+
+    run();
+    this.intervalId = setInterval(run, this.checkInterval);
+    console.log('✅ Maintenance scheduler started');
+  }
+
+  /**
+   * Stop checking for due plans
+   */
+  stopScheduler() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      console.log('✅ Maintenance scheduler stopped');
+    }
+  }
+
+  /**
+   * Refresh the cached device and notify subscribers of the status change
+   * @param {Object} device - Updated device row
+   * @param {string} newStatus - Status shown to clients
+   */
+  async publishMaintenanceChange(device, newStatus) {
+    await cache.set(`device:${device.id}`, device, 3600);
+    await pubsub.publish(SENSOR_EVENTS.DEVICE_STATUS_CHANGED, {
+      deviceStatusChanged: {
+        device,
+        previousStatus: null,
+        newStatus
+      }
+    });
+  }
+
+  /**
+   * Validate the plan intervals (at least one of them is required)
+   * @param {number|null} intervalRuntimeHours - Runtime hours between maintenances
+   * @param {number|null} intervalDays - Days between maintenances
+   * @returns {Object} { intervalRuntimeHours, intervalDays }
+   */
+  validateIntervals(intervalRuntimeHours, intervalDays) {
+    const hours = intervalRuntimeHours === null ? null : parseFloat(intervalRuntimeHours);
+    const days = intervalDays === null ? null : parseInt(intervalDays, 10);
+
+    if (hours !== null && !(hours > 0)) {
+      throw new Error('intervalRuntimeHours must be a positive number or null');
+    }
+    if (days !== null && !(days > 0)) {
+      throw new Error('intervalDays must be a positive integer or null');
+    }
+    if (hours === null && days === null) {
+      throw new Error('A maintenance plan needs intervalRuntimeHours, intervalDays or both');
+    }
+
+    return { intervalRuntimeHours: hours, intervalDays: days };
+  }
+
+  /**
+   * Validate a plan name
+   * @param {string} name - Name
+   * @returns {string} Trimmed name
+   */
+  requireName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Maintenance plan name is required');
+    }
+    return name.trim();
+  }
+}
+
+module.exports = new DeviceMaintenanceService();
@@ -0,0 +1,437 @@
+const deviceDriverService = require('./deviceDriverService');
+
+/**
+ * Device Protocol Service
+ * Understands the MQTT conventions of off-the-shelf firmware (Tasmota,
+ * Shelly Gen1/Gen2, ESPHome) and turns their messages into entities:
+ *
+ *   { kind: 'device', topic, name, deviceType, driver, driverParams, status, value }
+ *   { kind: 'sensor', topic, hardwareId, name, sensorType, readings }
+ *
+ * `topic` is the canonical topic the entity is stored under. One message can
+ * carry several entities (a Tasmota SENSOR message has one per sensor) and
+ * several topics can carry the same entity (stat/<t>/RESULT and
+ * stat/<t>/POWER), so the canonical topic is what identifies it. Readings
+ * use the field names of sensorTypeService (temperatura, humedad, watts...).
+ *
+ * Protocols are opt-in through MQTT_DEVICE_PROTOCOLS (e.g. "tasmota,shelly"),
+ * their wildcard subscriptions would otherwise pick up unrelated devices on
+ * a shared broker.
+ */
+class DeviceProtocolService {
+  constructor() {
+    this.protocols = new Map();
+    this.units = {
+      temperatura: '°C',
+      humedad: '%',
+      presion: 'hPa',
+      light: 'lx',
+      co2: 'ppm',
+      watts: 'W',
+      voltage: 'V',
+      current: 'A',
+      energy_total: 'kWh',
+      humedad_suelo: '%'
+    };
+    this.initializeProtocols();
+
+    this.enabledProtocols = (process.env.MQTT_DEVICE_PROTOCOLS || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(id => this.protocols.has(id));
+  }
+
+  /**
+   * Register the supported protocols
+   */
+  initializeProtocols() {
+    this.registerProtocol('tasmota', {
+      name: 'Tasmota',
+      subscriptions: ['stat/+/+', 'tele/+/+'],
+      identify: (parts, payload) => this.identifyTasmota(parts, payload)
+    });
+
+    this.registerProtocol('shelly', {
+      name: 'Shelly Gen1/Gen2',
+      subscriptions: ['shellies/#', '+/status/+'],
+      identify: (parts, payload) => (parts[0] === 'shellies'
+        ? this.identifyShellyGen1(parts, payload)
+        : this.identifyShellyGen2(parts, payload))
+    });
+
+    this.registerProtocol('esphome', {
+      name: 'ESPHome',
+      subscriptions: ['+/switch/+/state', '+/light/+/state', '+/sensor/+/state'],
+      identify: (parts, payload) => this.identifyEsphome(parts, payload)
+    });
+  }
+
+  /**
+   * Register a protocol
+   * @param {string} protocolId - Protocol ID used in MQTT_DEVICE_PROTOCOLS
+   * @param {Object} definition - { name, subscriptions, identify(topicParts, payload) }
+   *   identify returns an entity list, [] for protocol topics without
+   *   entities (LWT, info), or null when the topic isn't the protocol's
+   */
+  registerProtocol(protocolId, definition) {
+    this.protocols.set(protocolId, { id: protocolId, ...definition });
+  }
+
+  /**
+   * MQTT subscriptions of the enabled protocols
+   * @returns {Array<string>} Topic filters
+   */
+  getSubscriptions() {
+    return this.enabledProtocols.flatMap(id => this.protocols.get(id).subscriptions);
+  }
+
+  /**
+   * Identify a message of an enabled protocol
+   * @param {string} topic - MQTT topic
+   * @param {*} payload - Raw payload string or parsed payload
+   * @param {Array<string>} protocolIds - Protocols to try (default: enabled ones)
+   * @returns {Object|null} { protocol, entities } or null when no protocol matches
+   */
+  identify(topic, payload, protocolIds = this.enabledProtocols) {
+    const parts = topic.split('/');
+    const parsed = this.parsePayload(payload);
+
+    for (const protocolId of protocolIds) {
+      const entities = this.protocols.get(protocolId)?.identify(parts, parsed);
+      if (entities) {
+        return { protocol: protocolId, entities };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Tasmota: stat/<topic>/POWER[n], stat/<topic>/RESULT, tele/<topic>/STATE
+   * and tele/<topic>/SENSOR. Relays are stored under stat/<topic>/POWER[n].
+   */
+  identifyTasmota(parts, payload) {
+    const [prefix, topic, command] = parts;
+    if (parts.length !== 3 || !['stat', 'tele'].includes(prefix)) {
+      return null;
+    }
+
+    const relay = (key, status, dimmer = null) => {
+      const number = key.replace(/^POWER/, '');
+      return {
+        kind: 'device',
+        topic: `stat/${topic}/${key}`,
+        name: number ? `${topic} relay ${number}` : topic,
+        deviceType: dimmer !== null ? 'DIMMER' : 'RELAY',
+        driver: dimmer !== null ? 'tasmota_dimmer' : 'tasmota_relay',
+        driverParams: dimmer !== null ? { topic } : { topic, relay: number },
+        status,
+        value: dimmer
+      };
+    };
+
+    if (prefix === 'stat' && /^POWER\d*$/.test(command)) {
+      return [relay(command, this.toStatus(payload))];
+    }
+
+    if (payload === null || typeof payload !== 'object') {
+      return [];
+    }
+
+    if ((prefix === 'stat' && command === 'RESULT') || (prefix === 'tele' && command === 'STATE')) {
+      const dimmer = typeof payload.Dimmer === 'number' ? payload.Dimmer : null;
+      return Object.keys(payload)
+        .filter(key => /^POWER\d*$/.test(key))
+        .map(key => relay(key, this.toStatus(payload[key]), key === 'POWER' ? dimmer : null));
+    }
+
+    if (prefix === 'tele' && command === 'SENSOR') {
+      const fahrenheit = payload.TempUnit === 'F';
+      const fields = {
+        Temperature: 'temperatura',
+        Humidity: 'humedad',
+        DewPoint: 'dewpoint',
+        Pressure: 'presion',
+        Illuminance: 'light',
+        CarbonDioxide: 'co2',
+        Voltage: 'voltage',
+        Current: 'current',
+        Power: 'watts',
+        Factor: 'power_factor',
+        Total: 'energy_total'
+      };
+
+      // ESP32/ESP8266 blocks carry the chip temperature, not a greenhouse reading
+      return Object.entries(payload)
+        .filter(([block, values]) => !/^ESP/.test(block) && values !== null && typeof values === 'object' && !Array.isArray(values))
+        .map(([block, values]) => {
+          const readings = {};
+          for (const [key, field] of Object.entries(fields)) {
+            if (typeof values[key] === 'number') {
+              readings[field] = values[key];
+            }
+          }
+          if (fahrenheit) {
+            ['temperatura', 'dewpoint'].filter(field => field in readings).forEach(field => {
+              readings[field] = Math.round((readings[field] - 32) * 5 / 9 * 100) / 100;
+            });
+          }
+          return this.sensorEntity(`tele/${topic}/SENSOR/${block}`, `tasmota_${topic}_${block}`, `${topic} ${block}`, readings);
+        })
+        .filter(Boolean);
+    }
+
+    return []; // LWT, INFO, STATUS... nothing to store
+  }
+
+  /**
+   * Shelly Gen1: everything under shellies/<id>/
+   */
+  identifyShellyGen1(parts, payload) {
+    const [, shellyId, component, channel, attribute] = parts;
+    const index = parseInt(channel, 10);
+    const params = { shellyId, channel: index };
+
+    if (component === 'relay' && parts.length === 4) {
+      return [{
+        kind: 'device',
+        topic: parts.join('/'),
+        name: `${shellyId} relay ${index}`,
+        deviceType: 'RELAY',
+        driver: 'shelly_gen1_relay',
+        driverParams: params,
+        status: this.toStatus(payload),
+        value: null
+      }];
+    }
+
+    if (component === 'relay' && attribute === 'power' && parts.length === 5) {
+      return [this.sensorEntity(parts.join('/'), `shelly_${shellyId}_relay${index}_power`, `${shellyId} relay ${index} power`, { watts: Number(payload) })].filter(Boolean);
+    }
+
+    if (component === 'light' && attribute === 'status' && payload !== null && typeof payload === 'object') {
+      return [{
+        kind: 'device',
+        topic: parts.join('/'),
+        name: `${shellyId} light ${index}`,
+        deviceType: 'DIMMER',
+        driver: 'shelly_gen1_dimmer',
+        driverParams: params,
+        status: this.toStatus(payload.ison),
+        value: typeof payload.brightness === 'number' ? payload.brightness : null
+      }];
+    }
+
+    if (component === 'roller' && attribute === 'pos' && parts.length === 5) {
+      const position = Number(payload);
+      return [{
+        kind: 'device',
+        topic: parts.join('/'),
+        name: `${shellyId} roller ${index}`,
+        deviceType: 'MOTOR',
+        driver: 'shelly_gen1_roller',
+        driverParams: params,
+        status: position > 0 ? 'on' : 'off',
+        value: position >= 0 ? position : null
+      }];
+    }
+
+    // H&T / Flood sensors: shellies/<id>/sensor/<name>; add-on probes: ext_temperature/<n>
+    const sensorFields = { temperature: 'temperatura', humidity: 'humedad', lux: 'light' };
+    if (component === 'sensor' && sensorFields[channel] && parts.length === 4) {
+      return [this.sensorEntity(parts.join('/'), `shelly_${shellyId}_${channel}`, `${shellyId} ${channel}`, { [sensorFields[channel]]: Number(payload) })].filter(Boolean);
+    }
+    if (component === 'ext_temperature' && parts.length === 4) {
+      return [this.sensorEntity(parts.join('/'), `shelly_${shellyId}_ext${index}`, `${shellyId} probe ${index}`, { temperatura: Number(payload) })].filter(Boolean);
+    }
+
+    return [];
+  }
+
+  /**
+   * Shelly Gen2/Plus/Pro: <prefix>/status/<component>:<id> with a JSON status
+   */
+  identifyShellyGen2(parts, payload) {
+    const match = parts.length === 3 && parts[1] === 'status' ? parts[2].match(/^([a-z0-9]+):(\d+)$/) : null;
+    if (!match || payload === null || typeof payload !== 'object' || payload.id === undefined) {
+      return null;
+    }
+
+    const [prefix] = parts;
+    const [, component, channel] = match;
+    const index = parseInt(channel, 10);
+    const topic = parts.join('/');
+
+    switch (component) {
+    case 'switch': {
+      const entities = [{
+        kind: 'device',
+        topic,
+        name: `${prefix} switch ${index}`,
+        deviceType: 'RELAY',
+        driver: 'shelly_gen2_switch',
+        driverParams: { prefix, channel: index },
+        status: this.toStatus(payload.output),
+        value: null
+      }];
+
+      // PM models meter the switched load
+      if (typeof payload.apower === 'number') {
+        const readings = { watts: payload.apower };
+        if (typeof payload.voltage === 'number') readings.voltage = payload.voltage;
+        if (typeof payload.current === 'number') readings.current = payload.current;
+        if (typeof payload.aenergy?.total === 'number') readings.energy_total = Math.round(payload.aenergy.total) / 1000;
+        entities.push(this.sensorEntity(`${topic}/power`, `shelly_${prefix}_switch${index}_power`, `${prefix} switch ${index} power`, readings));
+      }
+      return entities.filter(Boolean);
+    }
+    case 'temperature':
+      return [this.sensorEntity(topic, `shelly_${prefix}_temperature${index}`, `${prefix} temperature ${index}`, { temperatura: payload.tC })].filter(Boolean);
+    case 'humidity':
+      return [this.sensorEntity(topic, `shelly_${prefix}_humidity${index}`, `${prefix} humidity ${index}`, { humedad: payload.rh })].filter(Boolean);
+    case 'illuminance':
+      return [this.sensorEntity(topic, `shelly_${prefix}_illuminance${index}`, `${prefix} illuminance ${index}`, { light: payload.lux })].filter(Boolean);
+    default:
+      return []; // sys, wifi, input... nothing to store
+    }
+  }
+
+  /**
+   * ESPHome: <node>/<component>/<entity>/state
+   */
+  identifyEsphome(parts, payload) {
+    if (parts.length !== 4 || parts[3] !== 'state') {
+      return null;
+    }
+
+    const [node, component, entity] = parts;
+    const topic = parts.join('/');
+
+    switch (component) {
+    case 'switch':
+      return [{
+        kind: 'device',
+        topic,
+        name: `${node} ${entity}`,
+        deviceType: 'RELAY',
+        driver: 'esphome_switch',
+        driverParams: { node, entity },
+        status: this.toStatus(payload),
+        value: null
+      }];
+    case 'light': {
+      if (payload === null || typeof payload !== 'object') {
+        return [];
+      }
+      const brightness = Number(payload.brightness);
+      return [{
+        kind: 'device',
+        topic,
+        name: `${node} ${entity}`,
+        deviceType: 'DIMMER',
+        driver: 'esphome_light',
+        driverParams: { node, entity },
+        status: this.toStatus(payload.state),
+        value: Number.isFinite(brightness) ? Math.round(brightness / 2.55) : null
+      }];
+    }
+    case 'sensor': {
+      // Entity names are free-form; guess the quantity from the object ID
+      const guesses = [
+        [/temp/, 'temperatura'],
+        [/soil|moist/, 'humedad_suelo'],
+        [/hum/, 'humedad'],
+        [/press/, 'presion'],
+        [/lux|illum|light/, 'light'],
+        [/co2/, 'co2'],
+        [/power|watt/, 'watts'],
+        [/volt/, 'voltage'],
+        [/current|amp/, 'current']
+      ];
+      const field = guesses.find(([pattern]) => pattern.test(entity))?.[1] || 'value';
+      return [this.sensorEntity(topic, `esphome_${node}_${entity}`, `${node} ${entity}`, { [field]: Number(payload) })].filter(Boolean);
+    }
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Build a sensor entity, picking the sensor type from the readings.
+   * Readings that fit no multi-value type become a CUSTOM sensor whose
+   * value is the single reading.
+   * @param {string} topic - Canonical topic
+   * @param {string} hardwareId - Hardware ID
+   * @param {string} name - Display name
+   * @param {Object} readings - Readings by field name
+   * @returns {Object|null} Sensor entity, null without numeric readings
+   */
+  sensorEntity(topic, hardwareId, name, readings) {
+    const values = Object.fromEntries(
+      Object.entries(readings).filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+    );
+    const fields = Object.keys(values);
+    if (fields.length === 0) {
+      return null;
+    }
+
+    const has = (...required) => required.every(field => fields.includes(field));
+    let sensorType = 'CUSTOM';
+    if (has('watts', 'voltage', 'current')) {
+      sensorType = 'POWER_MONITOR';
+    } else if (has('temperatura', 'humedad')) {
+      sensorType = 'TEMHUM';
+    } else if (has('temperatura', 'presion')) {
+      sensorType = 'TEMP_PRESSURE';
+    } else if (has('light')) {
+      sensorType = 'LIGHT';
+    } else if (has('co2')) {
+      sensorType = 'CO2';
+    } else if (has('humedad_suelo')) {
+      sensorType = 'SOIL_MOISTURE';
+    }
+
+    if (sensorType === 'CUSTOM' && values.value === undefined) {
+      values.value = values[fields[0]];
+      if (this.units[fields[0]]) {
+        values.unit = this.units[fields[0]];
+      }
+    }
+
+    return {
+      kind: 'sensor',
+      topic,
+      hardwareId: hardwareId.toLowerCase().replace(/[^a-z0-9_]+/g, '_'),
+      name,
+      sensorType,
+      readings: values
+    };
+  }
+
+  /**
+   * Parse a payload: JSON when possible, otherwise the trimmed string
+   * @param {*} payload - Raw payload
+   * @returns {*} Parsed payload
+   */
+  parsePayload(payload) {
+    if (typeof payload !== 'string') {
+      return payload;
+    }
+    try {
+      return JSON.parse(payload);
+    } catch {
+      return payload.trim();
+    }
+  }
+
+  /**
+   * Normalize an on/off state (true/false, 1/0, ON/OFF)
+   * @param {*} value - Reported value
+   * @returns {string|null} on | off | null
+   */
+  toStatus(value) {
+    return deviceDriverService.decodeSwitchState(value, []).status;
+  }
+}
+
+module.exports = new DeviceProtocolService();
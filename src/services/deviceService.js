@@ -1,7 +1,12 @@
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
 const { pubsub, SENSOR_EVENTS } = require('../utils/pubsub');
-const mqttService = require('./mqttService');
+const executionBudgetService = require('./executionBudgetService');
+const deviceMaintenanceService = require('./deviceMaintenanceService');
+const deviceCommandService = require('./deviceCommandService');
+const deviceDriverService = require('./deviceDriverService');
+const homeAssistantService = require('./homeAssistantService');
+const deviceInterlockService = require('./deviceInterlockService');
 
 /**
  * Device Service for GraphQL Backend
@@ -36,7 +41,9 @@ class DeviceService {
       status = 'offline',
       config = {},
       room_id,
-      owner_user_id
+      owner_user_id,
+      maxOnMinutesPerDay = null,
+      maxActivationsPerDay = null
     } = deviceData;
 
     if (!name || !device_id || !type) {
@@ -48,12 +55,21 @@ class DeviceService {
       throw new Error(`Invalid status. Allowed values: ${this.allowedStatuses.join(', ')}`);
     }
 
+    const driverErrors = deviceDriverService.validateConfiguration(config);
+    if (driverErrors.length > 0) {
+      throw new Error(driverErrors.join('; '));
+    }
+
     try {
       const result = await query(
-        `INSERT INTO devices (name, device_id, type, description, status, configuration, room, owner_user_id, last_seen, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+        `INSERT INTO devices (name, device_id, type, description, status, configuration, room, owner_user_id, last_seen, max_on_minutes_per_day, max_activations_per_day, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
          RETURNING *`,
-        [name, device_id, type, description, status, JSON.stringify(config), room_id, owner_user_id, null]
+        [
+          name, device_id, type, description, status, JSON.stringify(config), room_id, owner_user_id, null,
+          this.parseDailyLimit(maxOnMinutesPerDay, 'maxOnMinutesPerDay'),
+          this.parseDailyLimit(maxActivationsPerDay, 'maxActivationsPerDay')
+        ]
       );
 
       const newDevice = result.rows[0];
@@ -68,6 +84,8 @@ class DeviceService {
         deviceCreated: newDevice
       });
 
+      await homeAssistantService.publishDevice(newDevice);
+
       return newDevice;
     } catch (err) {
       console.error(`Error in createDevice (device_id: ${device_id}): ${err.message}`);
@@ -185,7 +203,7 @@ class DeviceService {
       throw new Error('Invalid device ID format.');
     }
 
-    const { name, type, description, status, config, room_id, owner_user_id, last_seen_at } = updateData;
+    const { name, type, description, status, config, room_id, owner_user_id, last_seen_at, maxOnMinutesPerDay, maxActivationsPerDay } = updateData;
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -201,10 +219,19 @@ class DeviceService {
       fields.push(`status = $${paramCount++}`);
       values.push(status);
     }
-    if (config !== undefined) { fields.push(`configuration = $${paramCount++}`); values.push(JSON.stringify(config)); }
+    if (config !== undefined) {
+      const driverErrors = deviceDriverService.validateConfiguration(config);
+      if (driverErrors.length > 0) {
+        throw new Error(driverErrors.join('; '));
+      }
+      fields.push(`configuration = $${paramCount++}`);
+      values.push(JSON.stringify(config));
+    }
     if (room_id !== undefined) { fields.push(`room = $${paramCount++}`); values.push(room_id); }
     if (owner_user_id !== undefined) { fields.push(`owner_user_id = $${paramCount++}`); values.push(owner_user_id === null ? null : parseInt(owner_user_id, 10)); }
     if (last_seen_at !== undefined) { fields.push(`last_seen = $${paramCount++}`); values.push(last_seen_at); }
+    if (maxOnMinutesPerDay !== undefined) { fields.push(`max_on_minutes_per_day = $${paramCount++}`); values.push(this.parseDailyLimit(maxOnMinutesPerDay, 'maxOnMinutesPerDay')); }
+    if (maxActivationsPerDay !== undefined) { fields.push(`max_activations_per_day = $${paramCount++}`); values.push(this.parseDailyLimit(maxActivationsPerDay, 'maxActivationsPerDay')); }
 
     if (fields.length === 0) {
       throw new Error('No fields provided for update.');
@@ -236,6 +263,8 @@ class DeviceService {
         deviceUpdated: updatedDevice
       });
 
+      await homeAssistantService.publishDevice(updatedDevice);
+
       return updatedDevice;
     } catch (err) {
       console.error(`Error in updateDevice (ID: ${id}): ${err.message}`);
@@ -247,6 +276,22 @@ class DeviceService {
     }
   }
 
+  /**
+   * Validate a daily actuation limit
+   * @param {number|null} value - Limit (null removes it)
+   * @param {string} name - Field name for the error message
+   * @returns {number|null} Limit
+   */
+  parseDailyLimit(value, name) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${name} must be a positive integer or null.`);
+    }
+    return value;
+  }
+
   /**
    * Delete device
    * @param {string} id - Device ID
@@ -282,6 +327,8 @@ class DeviceService {
         deviceDeleted: { id: deletedDeviceData.id, name: deletedDeviceData.name }
       });
 
+      await homeAssistantService.removeDevice(deletedDeviceData);
+
       return true;
     } catch (err) {
       console.error(`Error in deleteDevice (ID: ${id}): ${err.message}`);
@@ -293,9 +340,10 @@ class DeviceService {
    * Update device status
    * @param {string} id - Device ID
    * @param {string} newStatus - New status
+   * @param {Object} options - { beforeUpdate } async step run after the interlock check, before the status is stored
    * @returns {Object} Updated device
    */
-  async updateDeviceStatus(id, newStatus) {
+  async updateDeviceStatus(id, newStatus, { beforeUpdate = null } = {}) {
     const deviceIdInt = parseInt(id, 10);
     if (isNaN(deviceIdInt)) {
       throw new Error('Invalid device ID format.');
@@ -310,13 +358,26 @@ class DeviceService {
     }
 
     try {
-      const result = await query(
-        `UPDATE devices
-         SET status = $1, updated_at = NOW(), last_seen = NOW()
-         WHERE id = $2
-         RETURNING *`,
-        [newStatus, deviceIdInt]
-      );
+      const current = await query('SELECT id, name FROM devices WHERE id = $1', [deviceIdInt]);
+      if (current.rows.length === 0) {
+        throw new Error('Device not found for status update.');
+      }
+
+      // Interlocks apply to every caller: mutations, rules, queued actions.
+      // The check and the stored status are serialized per exclusion group
+      const result = await deviceInterlockService.runExclusive(current.rows[0], { status: newStatus }, async() => {
+        if (beforeUpdate) {
+          await beforeUpdate();
+        }
+
+        return query(
+          `UPDATE devices
+           SET status = $1, updated_at = NOW(), last_seen = NOW()
+           WHERE id = $2
+           RETURNING *`,
+          [newStatus, deviceIdInt]
+        );
+      });
 
       if (result.rows.length === 0) {
         throw new Error('Device not found for status update.');
@@ -328,18 +389,8 @@ class DeviceService {
       // Send MQTT command to physical device
       await this.sendMqttCommand(updatedDeviceWithStatus, newStatus);
 
-      // Update cache
-      await cache.set(`device:${deviceIdInt}`, updatedDeviceWithStatus, 3600);
-      await cache.set(`device:${deviceIdInt}:status`, newStatus, 3600);
-
-      // Publish GraphQL subscription events
-      await pubsub.publish(SENSOR_EVENTS.DEVICE_STATUS_CHANGED, {
-        deviceStatusChanged: {
-          device: updatedDeviceWithStatus,
-          previousStatus: updatedDeviceWithStatus.status,
-          newStatus: newStatus
-        }
-      });
+      await this.recordStatusChange(updatedDeviceWithStatus, updatedDeviceWithStatus.status, newStatus);
+      await homeAssistantService.publishDeviceState(updatedDeviceWithStatus);
 
       return updatedDeviceWithStatus;
     } catch (err) {
@@ -348,6 +399,30 @@ class DeviceService {
     }
   }
 
+  /**
+   * Cache a stored status, count it and notify subscribers
+   * @param {Object} device - Device row with the new status
+   * @param {string} previousStatus - Status reported as the previous one
+   * @param {string} newStatus - New status
+   */
+  async recordStatusChange(device, previousStatus, newStatus) {
+    await cache.set(`device:${device.id}`, device, 3600);
+    await cache.set(`device:${device.id}:status`, newStatus, 3600);
+
+    // Daily ON-time and runtime hours count every switch, manual or automated
+    await executionBudgetService.recordDeviceStatus(device.id, newStatus);
+    await deviceMaintenanceService.recordDeviceStatus(device.id, newStatus);
+
+    // Publish GraphQL subscription events
+    await pubsub.publish(SENSOR_EVENTS.DEVICE_STATUS_CHANGED, {
+      deviceStatusChanged: {
+        device,
+        previousStatus,
+        newStatus
+      }
+    });
+  }
+
   /**
    * Set device configuration
    * @param {string} dbDeviceId - Device database ID
@@ -618,10 +693,10 @@ class DeviceService {
         newStatus = 'on';
       }
 
-      // Send MQTT command with toggle action
-      await this.sendMqttCommand(device, 'toggle');
-
-      return await this.updateDeviceStatus(id, newStatus);
+      // Send MQTT command with toggle action, once the interlocks allow it
+      return await this.updateDeviceStatus(id, newStatus, {
+        beforeUpdate: () => this.sendMqttCommand(device, 'toggle')
+      });
     } catch (err) {
       console.error(`Error in toggleDevice for device ${id}:`, err);
       throw err;
@@ -645,18 +720,49 @@ class DeviceService {
         throw new Error('Value is required and must be a number.');
       }
 
-      // Update device configuration with the new value
-      const currentConfig = await this.getDeviceConfiguration(id);
-      const newConfig = {
-        ...currentConfig,
-        value: value,
-        last_value_update: new Date().toISOString()
-      };
+      const device = await this.getDeviceById(id);
+      const sendsValue = deviceDriverService.supportsValues(device);
+      if (sendsValue && (value < 0 || value > 100)) {
+        throw new Error('Value must be between 0 and 100 for this device.');
+      }
+
+      // A value above 0 runs the device (dimmer, PWM fan, valve opening)
+      const updatedDevice = await deviceInterlockService.runExclusive(device, { value }, async() => {
+        // Update device configuration with the new value
+        const currentConfig = await this.getDeviceConfiguration(id);
+        const newConfig = {
+          ...currentConfig,
+          value: value,
+          last_value_update: new Date().toISOString()
+        };
+
+        const configured = await this.setDeviceConfiguration(deviceIdInt, newConfig);
 
-      await this.setDeviceConfiguration(deviceIdInt, newConfig);
+        // Get the updated device
+        const updated = await this.getDeviceById(id);
 
-      // Get the updated device
-      const updatedDevice = await this.getDeviceById(id);
+        // Dimmers, PWM outputs and positioners receive the value over MQTT
+        if (sendsValue) {
+          await this.sendMqttCommand(updated, 'set', value);
+        }
+
+        // Keep the status in step with the value, so interlocks, ON-time
+        // budgets and runtime hours see the device running
+        const runningStatus = value > 0 ? 'on' : 'off';
+        if ((value > 0) === deviceInterlockService.turnsOn({ status: configured.status })) {
+          return updated;
+        }
+
+        const result = await query(
+          `UPDATE devices
+           SET status = $1, updated_at = NOW(), last_seen = NOW()
+           WHERE id = $2
+           RETURNING *`,
+          [runningStatus, deviceIdInt]
+        );
+        await this.recordStatusChange(result.rows[0], configured.status, runningStatus);
+        return { ...updated, status: runningStatus };
+      });
 
       // Add the value to the device object
       updatedDevice.value = value;
@@ -666,6 +772,8 @@ class DeviceService {
         deviceConfigurationChanged: updatedDevice
       });
 
+      await homeAssistantService.publishDeviceState(updatedDevice);
+
       return updatedDevice;
     } catch (err) {
       console.error(`Error in setDeviceValue for device ${id}:`, err);
@@ -685,8 +793,10 @@ class DeviceService {
         throw new Error('Invalid device ID format.');
       }
 
-      // Reset device configuration to defaults
+      // Reset device configuration to defaults, keeping the driver selection
+      const { driver, driverParams } = await this.getDeviceConfiguration(id);
       const defaultConfig = {
+        ...(driver ? { driver, driverParams } : {}),
         reset_timestamp: new Date().toISOString(),
         value: 0,
         brightness: 0,
@@ -707,10 +817,10 @@ class DeviceService {
   }
 
   /**
-   * Send MQTT command to device based on device type and action
+   * Send MQTT command to device through its driver
    * @param {Object} device - Device object
-   * @param {string} action - Action to perform (on/off/toggle)
-   * @param {number} value - Optional value for dimmers, etc.
+   * @param {string} action - Action to perform (on/off/toggle/set)
+   * @param {number} value - Optional 0-100 value for dimmers, PWM, positioners
    */
   async sendMqttCommand(device, action, value = null) {
     try {
@@ -719,71 +829,13 @@ class DeviceService {
         return;
       }
 
-      // Use device_id if available, otherwise use device name or ID as fallback
-      const deviceIdentifier = device.device_id || device.name || device.id;
-
-      let topic, payload;
+      // The device's driver knows its topic and payload format
+      const { driver, topic, payload } = deviceDriverService.buildCommand(device, action, value);
 
-      // Check if device supports simple boolean payloads
-      const deviceConfig = device.configuration || {};
-      const usesSimpleBooleanPayload = deviceConfig.supports_simple_boolean === true || 
-                                       deviceConfig.payload_type === 'simple_boolean';
-
-      // If device was auto-created with boolean payload support, use the configured topic
-      if (usesSimpleBooleanPayload && deviceConfig.mqtt_topic) {
-        topic = deviceConfig.mqtt_topic;
-        payload = action === 'on' || action === 'toggle';
-        console.log(`📡 Using simple boolean payload for device ${device.name}`);
-      } else {
-        // Map device types to MQTT topics and payloads (existing logic)
-        switch (device.type?.toLowerCase()) {
-        case 'fan':
-        case 'ventilator':
-          topic = 'Invernadero/Ventilador/sw';
-          payload = { ventiladorSw: action === 'on' || action === 'toggle' };
-          break;
-
-        case 'water_pump':
-        case 'pump':
-          topic = 'Invernadero/Bomba/sw';
-          payload = { bombaSw: action === 'on' || action === 'toggle' };
-          break;
-
-        case 'heater':
-          topic = 'Invernadero/Calefactor/sw';
-          payload = { calefactorSw: action === 'on' || action === 'toggle' };
-          break;
-
-        case 'water_heater':
-          topic = 'Invernadero/CalefactorAgua/sw';
-          payload = { calefactorAguaSw: action === 'on' || action === 'toggle' };
-          break;
-
-        case 'lights':
-        case 'led':
-          topic = `Invernadero/${deviceIdentifier}/sw`;
-          if (value !== null) {
-            payload = { brightness: value, power: action === 'on' };
-          } else {
-            payload = { power: action === 'on' || action === 'toggle' };
-          }
-          break;
-
-        default:
-          // Generic device control
-          topic = `Invernadero/${deviceIdentifier}/sw`;
-          payload = { state: action === 'on' || action === 'toggle' };
-          break;
-        }
-      }
-
-      if (topic && payload !== undefined) {
-        console.log(`📡 Sending MQTT command to ${topic}:`, payload);
-        await mqttService.publish(topic, payload);
-        console.log(`✅ MQTT command sent successfully for device ${device.name}`);
-      } else {
-        console.warn(`⚠️ No MQTT mapping found for device type: ${device.type}`);
-      }
+      console.log(`📡 Sending MQTT command to ${topic} via driver ${driver.id}:`, payload);
+      // ON/OFF commands are tracked until the device echoes its new state
+      await deviceCommandService.sendCommand(device, action, topic, payload);
+      console.log(`✅ MQTT command sent successfully for device ${device.name}`);
     } catch (error) {
       console.error(`❌ Error sending MQTT command for device ${device.name}:`, error);
       // Don't throw error to prevent breaking the device status update
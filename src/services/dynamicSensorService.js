@@ -1,7 +1,10 @@
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
-const { pubsub, SENSOR_EVENTS } = require('../utils/pubsub');
+const { pubsub, EVENTS, SENSOR_EVENTS } = require('../utils/pubsub');
+const { TopicTrie, validateTopicFilter, countWildcards, compareSpecificity } = require('../utils/topicTrie');
 const sensorTypeService = require('./sensorTypeService');
+const sensorCalibrationService = require('./sensorCalibrationService');
+const homeAssistantService = require('./homeAssistantService');
 
 /**
  * Servicio para manejo dinámico de sensores
@@ -11,6 +14,8 @@ class DynamicSensorService {
   constructor() {
     this.activeSensors = new Map();
     this.sensorAlerts = new Map();
+    this.topicRoutes = [];
+    this.topicRouter = null; // Se compila bajo demanda al cambiar sensores o rutas
     this.initializeService();
   }
 
@@ -21,10 +26,20 @@ class DynamicSensorService {
     try {
       await this.loadActiveSensors();
       await this.loadSensorAlerts();
+      await this.loadTopicRoutes();
       console.log('✅ Dynamic Sensor Service initialized');
     } catch (error) {
       console.error('❌ Error initializing Dynamic Sensor Service:', error);
     }
+
+    // Las rutas editadas en otra instancia se recargan aquí también
+    try {
+      await pubsub.subscribe(EVENTS.TOPIC_ROUTES_CHANGED, () => {
+        this.loadTopicRoutes();
+      });
+    } catch (error) {
+      console.error('❌ Error subscribing to topic route changes:', error);
+    }
   }
 
   /**
@@ -37,7 +52,7 @@ class DynamicSensorService {
       );
 
       for (const sensor of result.rows) {
-        this.activeSensors.set(sensor.hardware_id, sensor);
+        this.setActiveSensor(sensor);
         console.log(`🔧 Loaded sensor: ${sensor.hardware_id} - ${sensor.name} - Topic: ${sensor.mqtt_topic}`);
       }
 
@@ -143,13 +158,16 @@ class DynamicSensorService {
       const newSensor = result.rows[0];
 
       // Agregar al mapa de sensores activos
-      this.activeSensors.set(hardwareId, newSensor);
+      this.setActiveSensor(newSensor);
 
       // Publicar evento de sensor creado
       await pubsub.publish(SENSOR_EVENTS.DEVICE_CREATED, {
         sensorCreated: this.formatSensorForGraphQL(newSensor)
       });
 
+      // Anunciar en Home Assistant
+      await homeAssistantService.publishSensor(newSensor);
+
       console.log(`✅ Sensor creado: ${hardwareId} (${type})`);
       return newSensor;
 
@@ -211,13 +229,15 @@ class DynamicSensorService {
       const updatedSensor = result.rows[0];
 
       // Actualizar en el mapa
-      this.activeSensors.set(updatedSensor.hardware_id, updatedSensor);
+      this.setActiveSensor(updatedSensor);
 
       // Publicar evento de actualización
       await pubsub.publish(SENSOR_EVENTS.DEVICE_UPDATED, {
         sensorUpdated: this.formatSensorForGraphQL(updatedSensor)
       });
 
+      await homeAssistantService.publishSensor(updatedSensor);
+
       console.log(`✅ Sensor actualizado: ${hardwareId}`);
       return updatedSensor;
 
@@ -243,7 +263,7 @@ class DynamicSensorService {
       const deletedSensor = result.rows[0];
 
       // Remover del mapa
-      this.activeSensors.delete(hardwareId);
+      this.removeActiveSensor(hardwareId);
 
       // Limpiar alertas asociadas
       this.sensorAlerts.delete(hardwareId);
@@ -263,6 +283,9 @@ class DynamicSensorService {
         }
       });
 
+      // Retirar de Home Assistant
+      await homeAssistantService.removeSensor(deletedSensor);
+
       console.log(`✅ Sensor eliminado: ${hardwareId}`);
       return deletedSensor;
 
@@ -348,72 +371,20 @@ class DynamicSensorService {
 
   /**
    * Procesa datos de sensor recibidos por MQTT
+   * @param {string} mqttTopic - Tópico MQTT
+   * @param {Object} payload - Payload
+   * @param {Object} options - { exactTopic: solo coincidencia exacta del tópico }
    */
-  async processSensorData(mqttTopic, payload) {
+  async processSensorData(mqttTopic, payload, { exactTopic = false } = {}) {
     try {
-      // Buscar sensor por tópico MQTT (case-insensitive y con variaciones específicas)
-      const sensor = Array.from(this.activeSensors.values()).find(s => {
-        const sensorTopic = s.mqtt_topic.toLowerCase();
-        const incomingTopic = mqttTopic.toLowerCase();
-        
-        // Coincidencia exacta
-        if (sensorTopic === incomingTopic) {
-          return true;
-        }
-        
-        // Extraer partes del tópico para comparación inteligente
-        const sensorParts = sensorTopic.split('/');
-        const incomingParts = incomingTopic.split('/');
-        
-        // Deben tener la misma estructura básica (Invernadero/sensor/data)
-        if (sensorParts.length !== incomingParts.length) {
-          return false;
-        }
-        
-        // El primer y último segmento deben coincidir
-        if (sensorParts[0] !== incomingParts[0] || sensorParts[sensorParts.length - 1] !== incomingParts[incomingParts.length - 1]) {
-          return false;
-        }
-        
-        // Comparar el segmento del sensor (posición 1) con variaciones específicas
-        const sensorName = sensorParts[1];
-        const incomingName = incomingParts[1];
-        
-        // Normalizar nombres para comparación flexible
-        const normalizeName = (name) => name.toLowerCase().replace(/[-_]/g, '');
-        
-        // Mapeo directo con normalización
-        if (normalizeName(sensorName) === normalizeName(incomingName)) {
-          return true;
-        }
-        
-        // Mapeos específicos conocidos
-        const specificMappings = {
-          'agua': 'aguaquality01',
-          'water': 'aguaquality01',
-          'calidadagua': 'aguaquality01',
-          'th1': 'temhum1',
-          'th2': 'temhum2', 
-          'th3': 'temhum3',
-          'light': 'luxometro',
-          'luz': 'luxometro',
-          'lux': 'luxometro',
-          'pressure1': 'bmp2801',
-          'presion1': 'bmp2801'
-        };
-        
-        const normalizedSensor = normalizeName(sensorName);
-        const normalizedIncoming = normalizeName(incomingName);
-        
-        return specificMappings[normalizedIncoming] === normalizedSensor;
-      });
+      // Buscar sensor en la tabla de rutas (tópico propio de cada sensor + rutas configuradas)
+      const sensor = this.findSensorForTopic(mqttTopic, { exactTopic });
 
       if (!sensor) {
         console.warn(`⚠️ No se encontró sensor para el tópico: ${mqttTopic}`);
         return false; // Indica que no se procesó
       }
       
-      // Log cuando se encuentra un match (especialmente útil para variaciones)
       console.log(`✅ Sensor encontrado: ${sensor.hardware_id} (${sensor.mqtt_topic}) para tópico: ${mqttTopic}`);
 
       // Validar payload
@@ -425,17 +396,23 @@ class DynamicSensorService {
         return false; // Indica que no se procesó
       }
 
-      // Almacenar en tabla específica
-      await this.storeSensorData(sensor, payload);
+      // Aplicar calibración vigente: desde aquí todo usa los valores calibrados
+      const { payload: calibratedPayload, applied } = await sensorCalibrationService.calibratePayload(sensor, payload);
+
+      // Almacenar en tabla específica (valores calibrados y crudos)
+      await this.storeSensorData(sensor, calibratedPayload, { rawPayload: payload, calibrations: applied });
 
       // Actualizar caché
-      await this.updateSensorCache(sensor, payload);
+      await this.updateSensorCache(sensor, calibratedPayload);
 
       // Verificar alertas
-      await this.checkSensorAlerts(sensor, payload);
+      await this.checkSensorAlerts(sensor, calibratedPayload);
 
       // Publicar suscripción GraphQL
-      await this.publishSensorUpdate(sensor, payload);
+      await this.publishSensorUpdate(sensor, calibratedPayload);
+
+      // Reflejar lectura en Home Assistant
+      await homeAssistantService.publishSensorState(sensor, calibratedPayload);
 
       // Actualizar estado online
       await this.updateSensorOnlineStatus(sensor.hardware_id, true);
@@ -449,6 +426,276 @@ class DynamicSensorService {
     }
   }
 
+  /**
+   * Agrega o actualiza un sensor en memoria e invalida las rutas compiladas
+   * @param {Object} sensor - Fila del sensor
+   */
+  setActiveSensor(sensor) {
+    this.activeSensors.set(sensor.hardware_id, sensor);
+    this.topicRouter = null;
+  }
+
+  /**
+   * Quita un sensor de memoria e invalida las rutas compiladas
+   * @param {string} hardwareId - ID de hardware
+   */
+  removeActiveSensor(hardwareId) {
+    this.activeSensors.delete(hardwareId);
+    this.topicRouter = null;
+  }
+
+  /**
+   * Carga las rutas tópico -> sensor desde la base de datos
+   */
+  async loadTopicRoutes() {
+    try {
+      const result = await query('SELECT * FROM sensor_topic_routes ORDER BY priority DESC, id');
+      this.topicRoutes = result.rows;
+      this.topicRouter = null;
+      console.log(`🧭 Loaded ${result.rows.length} sensor topic routes`);
+    } catch (error) {
+      console.error('❌ Error loading sensor topic routes:', error);
+    }
+  }
+
+  /**
+   * Compila el trie de tópicos: el tópico de cada sensor activo (ruta exacta)
+   * más las rutas habilitadas de sensor_topic_routes
+   * @returns {Object} { trie, hardwareIds: id en minúsculas -> hardware_id }
+   */
+  getTopicRouter() {
+    if (this.topicRouter) {
+      return this.topicRouter;
+    }
+
+    const trie = new TopicTrie();
+    const hardwareIds = new Map();
+
+    for (const sensor of this.activeSensors.values()) {
+      hardwareIds.set(sensor.hardware_id.toLowerCase(), sensor.hardware_id);
+      if (!sensor.mqtt_topic) {
+        continue;
+      }
+      try {
+        trie.insert(sensor.mqtt_topic, { source: 'SENSOR_TOPIC', routeId: null, hardwareId: sensor.hardware_id, priority: 0 });
+      } catch (error) {
+        console.warn(`⚠️ Tópico inválido para sensor ${sensor.hardware_id}: ${error.message}`);
+      }
+    }
+
+    for (const route of this.topicRoutes.filter(r => r.enabled)) {
+      try {
+        trie.insert(route.pattern, { source: 'ROUTE', routeId: route.id, hardwareId: route.hardware_id, priority: route.priority });
+      } catch (error) {
+        console.warn(`⚠️ Ruta de tópico ${route.id} inválida: ${error.message}`);
+      }
+    }
+
+    this.topicRouter = { trie, hardwareIds };
+    return this.topicRouter;
+  }
+
+  /**
+   * Rutas que coinciden con un tópico, en orden de preferencia: mayor
+   * prioridad primero y, a igual prioridad, el patrón más específico
+   * @param {string} mqttTopic - Tópico MQTT
+   * @param {Object} options - { exactTopic: solo el tópico propio de cada sensor }
+   * @returns {Array<Object>} Candidatos con hardwareId resuelto y sensor (o null)
+   */
+  matchTopicRoutes(mqttTopic, { exactTopic = false } = {}) {
+    const { trie, hardwareIds } = this.getTopicRouter();
+
+    return trie.match(mqttTopic)
+      .filter(match => !exactTopic || (match.value.source === 'SENSOR_TOPIC' && match.captures.length === 0))
+      .sort((a, b) => (b.value.priority - a.value.priority) || compareSpecificity(a.specificity, b.specificity))
+      .map(match => {
+        const hardwareId = this.resolveRouteHardwareId(match.value.hardwareId, match.captures);
+        const sensor = this.activeSensors.get(hardwareId) ||
+          this.activeSensors.get(hardwareIds.get(hardwareId.toLowerCase())) ||
+          null;
+        return { ...match.value, pattern: match.filter, captures: match.captures, hardwareId, sensor };
+      });
+  }
+
+  /**
+   * Sensor que recibe los datos de un tópico: el primer candidato cuyo
+   * hardwareId corresponde a un sensor activo
+   * @param {string} mqttTopic - Tópico MQTT
+   * @param {Object} options - { exactTopic }
+   * @returns {Object|null} Sensor
+   */
+  findSensorForTopic(mqttTopic, options = {}) {
+    const candidate = this.matchTopicRoutes(mqttTopic, options).find(c => c.sensor);
+    return candidate ? candidate.sensor : null;
+  }
+
+  /**
+   * Explica cómo se enruta un tópico (consulta explainTopicRoute)
+   * @param {string} mqttTopic - Tópico MQTT
+   * @returns {Object} { topic, matched, hardwareId, sensor, route, candidates }
+   */
+  explainTopicRoute(mqttTopic) {
+    const candidates = this.matchTopicRoutes(mqttTopic).map(candidate => ({
+      ...candidate,
+      sensor: candidate.sensor ? this.formatSensorForGraphQL(candidate.sensor) : null
+    }));
+    const route = candidates.find(c => c.sensor) || null;
+
+    return {
+      topic: mqttTopic,
+      matched: Boolean(route),
+      hardwareId: route ? route.sensor.hardwareId : null,
+      sensor: route ? route.sensor : null,
+      route,
+      candidates
+    };
+  }
+
+  /**
+   * Sustituye {1}, {2}... por los niveles capturados por los comodines
+   * @param {string} template - hardware_id de la ruta
+   * @param {Array<string>} captures - Capturas en orden de aparición
+   * @returns {string} hardwareId
+   */
+  resolveRouteHardwareId(template, captures) {
+    return template.replace(/\{(\d+)\}/g, (placeholder, index) => captures[index - 1] ?? '');
+  }
+
+  /**
+   * Lista las rutas de tópicos
+   * @returns {Promise<Array>} Filas de sensor_topic_routes
+   */
+  async getTopicRoutes() {
+    const result = await query('SELECT * FROM sensor_topic_routes ORDER BY priority DESC, pattern');
+    return result.rows;
+  }
+
+  /**
+   * Obtiene una ruta de tópico
+   * @param {string|number} id - ID de la ruta
+   * @returns {Promise<Object|null>} Ruta
+   */
+  async getTopicRoute(id) {
+    const result = await query('SELECT * FROM sensor_topic_routes WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Crea una ruta de tópico
+   * @param {Object} input - { pattern, hardwareId, priority, enabled, description }
+   * @param {number} userId - Usuario que la crea
+   * @returns {Promise<Object>} Ruta creada
+   */
+  async createTopicRoute(input, userId = null) {
+    const { pattern, hardwareId } = this.validateTopicRoute(input.pattern, input.hardwareId);
+
+    const result = await query(
+      `INSERT INTO sensor_topic_routes (pattern, hardware_id, priority, enabled, description, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [pattern, hardwareId, input.priority ?? 0, input.enabled ?? true, input.description ?? null, userId]
+    );
+
+    console.log(`🧭 Ruta de tópico creada: ${pattern} -> ${hardwareId}`);
+    await this.topicRoutesChanged();
+    return result.rows[0];
+  }
+
+  /**
+   * Actualiza una ruta de tópico (los campos omitidos se conservan)
+   * @param {string|number} id - ID de la ruta
+   * @param {Object} input - { pattern, hardwareId, priority, enabled, description }
+   * @returns {Promise<Object>} Ruta actualizada
+   */
+  async updateTopicRoute(id, input) {
+    const route = await this.getTopicRoute(id);
+    if (!route) {
+      throw new Error(`Ruta de tópico no encontrada: ${id}`);
+    }
+
+    const { pattern, hardwareId } = this.validateTopicRoute(input.pattern ?? route.pattern, input.hardwareId ?? route.hardware_id);
+
+    const result = await query(
+      `UPDATE sensor_topic_routes
+       SET pattern = $1, hardware_id = $2, priority = $3, enabled = $4, description = $5, updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [
+        pattern,
+        hardwareId,
+        input.priority ?? route.priority,
+        input.enabled ?? route.enabled,
+        input.description !== undefined ? input.description : route.description,
+        id
+      ]
+    );
+
+    await this.topicRoutesChanged();
+    return result.rows[0];
+  }
+
+  /**
+   * Elimina una ruta de tópico
+   * @param {string|number} id - ID de la ruta
+   * @returns {Promise<boolean>} Si existía
+   */
+  async deleteTopicRoute(id) {
+    const result = await query('DELETE FROM sensor_topic_routes WHERE id = $1', [id]);
+    if (result.rowCount === 0) {
+      return false;
+    }
+
+    await this.topicRoutesChanged();
+    return true;
+  }
+
+  /**
+   * Recarga las rutas y avisa a las demás instancias
+   */
+  async topicRoutesChanged() {
+    await this.loadTopicRoutes();
+    await pubsub.publish(EVENTS.TOPIC_ROUTES_CHANGED, { topicRoutesChanged: true });
+  }
+
+  /**
+   * Valida patrón y hardwareId de una ruta
+   * @param {string} pattern - Filtro MQTT con + y #
+   * @param {string} hardwareId - hardware_id, con {n} para la captura n
+   * @returns {Object} { pattern, hardwareId } normalizados
+   */
+  validateTopicRoute(pattern, hardwareId) {
+    const trimmedPattern = typeof pattern === 'string' ? pattern.trim() : '';
+    const errors = validateTopicFilter(trimmedPattern);
+    if (errors.length > 0) {
+      throw new Error(`Patrón de tópico inválido: ${errors.join('; ')}`);
+    }
+
+    const trimmedHardwareId = typeof hardwareId === 'string' ? hardwareId.trim() : '';
+    if (!trimmedHardwareId) {
+      throw new Error('hardwareId es requerido');
+    }
+
+    const wildcards = countWildcards(trimmedPattern);
+    const placeholders = (trimmedHardwareId.match(/\{(\d+)\}/g) || []).map(p => parseInt(p.slice(1, -1), 10));
+    const invalid = placeholders.filter(index => index < 1 || index > wildcards);
+    if (invalid.length > 0) {
+      throw new Error(`El patrón tiene ${wildcards} comodín(es); captura inválida: {${invalid[0]}}`);
+    }
+
+    return { pattern: trimmedPattern, hardwareId: trimmedHardwareId };
+  }
+
+  /**
+   * Procesa las lecturas de un sensor Tasmota/Shelly/ESPHome
+   * (ver deviceProtocolService). Sus tópicos canónicos se comparan de forma
+   * exacta: los de un mismo nodo ESPHome solo difieren en el segmento 3.
+   * @param {Object} entity - Entidad de sensor identificada
+   * @returns {Promise<boolean>} Si se encontró y procesó el sensor
+   */
+  async processProtocolSensor(entity) {
+    return this.processSensorData(entity.topic, entity.readings, { exactTopic: true });
+  }
+
   /**
    * Normaliza payload según el tipo de sensor
    */
@@ -531,8 +778,11 @@ class DynamicSensorService {
 
   /**
    * Almacena datos del sensor en la tabla genérica
+   * @param {Object} sensor - Fila del sensor
+   * @param {Object} payload - Payload (calibrado si hay calibración vigente)
+   * @param {Object} options - { rawPayload: payload recibido, calibrations: calibraciones aplicadas }
    */
-  async storeSensorData(sensor, payload) {
+  async storeSensorData(sensor, payload, { rawPayload = payload, calibrations = [] } = {}) {
     try {
       console.log(`🔍 Procesando datos para sensor ${sensor.hardware_id}:`, JSON.stringify({
         sensor_type: sensor.sensor_type,
@@ -555,7 +805,8 @@ class DynamicSensorService {
           hardware_id: sensor.hardware_id,
           sensor_type: sensor.sensor_type,
           mqtt_topic: sensor.mqtt_topic,
-          original_payload: payload // Mantener original para debugging
+          original_payload: rawPayload, // Mantener original para debugging
+          ...(calibrations.length > 0 && { calibrations })
         }
       };
 
@@ -574,6 +825,22 @@ class DynamicSensorService {
 
       console.log(`✅ Datos almacenados en sensor_data_generic con ID: ${result.rows[0].id}`);
 
+      // Almacén unificado de lecturas (require diferido: sensorService depende de mqttService)
+      const sensorService = require('./sensorService');
+      const readingValues = sensorService.getReadingValues(sensor.sensor_type, normalizedPayload);
+
+      // Los valores crudos de las métricas calibradas se guardan como <métrica>_raw
+      if (calibrations.length > 0) {
+        const rawValues = sensorService.getReadingValues(sensor.sensor_type, this.normalizePayload(sensor.sensor_type, rawPayload));
+        for (const [metric, value] of Object.entries(rawValues)) {
+          if (value !== null && value !== undefined && value !== readingValues[metric]) {
+            readingValues[`${metric}${sensorCalibrationService.rawMetricSuffix}`] = value;
+          }
+        }
+      }
+
+      await sensorService.storeReadings(sensor.hardware_id, readingValues, receivedAt);
+
     } catch (error) {
       console.error('❌ Error storing sensor data:', error);
       throw error;
@@ -826,6 +1093,22 @@ class DynamicSensorService {
     };
   }
 
+  /**
+   * Formatea ruta de tópico para GraphQL
+   */
+  formatTopicRouteForGraphQL(route) {
+    return {
+      id: route.id,
+      pattern: route.pattern,
+      hardwareId: route.hardware_id,
+      priority: route.priority,
+      enabled: route.enabled,
+      description: route.description,
+      createdAt: route.created_at,
+      updatedAt: route.updated_at
+    };
+  }
+
   /**
    * Actualiza configuración MQTT de un sensor
    * @param {string} sensorId - ID del sensor
@@ -858,13 +1141,15 @@ class DynamicSensorService {
       const updatedSensor = result.rows[0];
 
       // Actualizar en memoria
-      this.activeSensors.set(updatedSensor.hardware_id, updatedSensor);
+      this.setActiveSensor(updatedSensor);
 
       // Publicar evento de actualización
       pubsub.publish(SENSOR_EVENTS.SENSOR_UPDATED, {
         sensorUpdated: this.formatSensorForGraphQL(updatedSensor)
       });
 
+      await homeAssistantService.publishSensor(updatedSensor);
+
       console.log(`✅ Sensor MQTT config updated: ${updatedSensor.hardware_id} -> ${mqttConfig.mqtt_topic}`);
 
       return updatedSensor;
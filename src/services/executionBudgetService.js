@@ -0,0 +1,289 @@
+const moment = require('moment-timezone');
+const { query } = require('../config/database');
+const { redis } = require('../config/redis');
+const notificationService = require('./notificationService');
+const weatherService = require('./weatherService');
+
+/**
+ * Execution Budget Service
+ * Daily limits on automated actuation: executions per rule, and activations
+ * and cumulative ON-time per device. Counters live in Redis under one key per
+ * local day (greenhouse timezone), so they reset at local midnight and are
+ * shared by every instance.
+ */
+class ExecutionBudgetService {
+  constructor() {
+    this.counterTTL = 3 * 24 * 60 * 60; // Keep yesterday's counters readable
+    this.onStatuses = ['on'];
+  }
+
+  /**
+   * Local day a timestamp belongs to
+   * @param {Date} date - Timestamp
+   * @returns {string} Day (YYYY-MM-DD) in the greenhouse timezone
+   */
+  getDay(date = new Date()) {
+    return moment.tz(date, weatherService.timezone).format('YYYY-MM-DD');
+  }
+
+  /**
+   * When the current day's counters reset
+   * @param {Date} date - Timestamp
+   * @returns {Date} Next local midnight
+   */
+  getResetTime(date = new Date()) {
+    return moment.tz(date, weatherService.timezone).add(1, 'day').startOf('day').toDate();
+  }
+
+  /**
+   * Parse a limit column (null or non-positive means unlimited)
+   * @param {*} value - Stored limit
+   * @returns {number|null} Limit
+   */
+  parseLimit(value) {
+    const limit = parseInt(value, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : null;
+  }
+
+  /**
+   * Current execution budget of a rule
+   * @param {Object} rule - Rule row
+   * @returns {Promise<Object>} { maxExecutionsPerDay, executionsToday, remaining, exhausted, resetsAt }
+   */
+  async getRuleBudget(rule) {
+    const limit = this.parseLimit(rule.max_executions_per_day);
+    const executionsToday = parseInt(await redis.get(`budget:rule:${rule.id}:${this.getDay()}:executions`), 10) || 0;
+
+    return {
+      maxExecutionsPerDay: limit,
+      executionsToday,
+      remaining: limit === null ? null : Math.max(0, limit - executionsToday),
+      exhausted: limit !== null && executionsToday >= limit,
+      resetsAt: this.getResetTime()
+    };
+  }
+
+  /**
+   * Check whether a rule may execute again today; raises an alert the first
+   * time the limit blocks it
+   * @param {Object} rule - Rule row
+   * @returns {Promise<boolean>} Whether the rule may execute
+   */
+  async checkRuleBudget(rule) {
+    const budget = await this.getRuleBudget(rule);
+    if (!budget.exhausted) {
+      return true;
+    }
+
+    console.warn(`⛔ Rule "${rule.name}" reached its daily limit of ${budget.maxExecutionsPerDay} executions`);
+    await this.raiseAlert(`rule:${rule.id}`, {
+      title: `Rule "${rule.name}" blocked`,
+      message: `Rule "${rule.name}" reached its limit of ${budget.maxExecutionsPerDay} executions today. Further executions are blocked until ${moment.tz(budget.resetsAt, weatherService.timezone).format('YYYY-MM-DD HH:mm')}.`,
+      metadata: { ruleId: rule.id, limit: 'max_executions_per_day', ...budget }
+    });
+
+    return false;
+  }
+
+  /**
+   * Count one execution of a rule
+   * @param {Object} rule - Rule row
+   */
+  async recordRuleExecution(rule) {
+    const key = `budget:rule:${rule.id}:${this.getDay()}:executions`;
+    await redis.incr(key);
+    await redis.expire(key, this.counterTTL);
+  }
+
+  /**
+   * Load the limits configured on a device
+   * @param {string|number} deviceId - Device ID
+   * @returns {Promise<Object|null>} Device row ({ id, name, status, limits }) or null
+   */
+  async getDeviceLimits(deviceId) {
+    const id = parseInt(deviceId, 10);
+    if (isNaN(id)) {
+      return null;
+    }
+
+    const result = await query(
+      'SELECT id, name, status, max_on_minutes_per_day, max_activations_per_day FROM devices WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Current actuation budget of a device
+   * @param {Object} device - Device row (with the limit columns)
+   * @returns {Promise<Object>} Budget ({ onMinutesToday, activationsToday, remaining*, exhausted, resetsAt })
+   */
+  async getDeviceBudget(device) {
+    const now = new Date();
+    const day = this.getDay(now);
+    const [onSeconds, activations, onSince] = await Promise.all([
+      redis.get(`budget:device:${device.id}:${day}:on_seconds`),
+      redis.get(`budget:device:${device.id}:${day}:activations`),
+      redis.get(`budget:device:${device.id}:on_since`)
+    ]);
+
+    // The current run counts from local midnight at the earliest
+    let runningSeconds = 0;
+    if (onSince) {
+      const midnight = moment.tz(now, weatherService.timezone).startOf('day').valueOf();
+      runningSeconds = Math.max(0, (now.getTime() - Math.max(parseInt(onSince, 10), midnight)) / 1000);
+    }
+
+    const onMinutesToday = ((parseFloat(onSeconds) || 0) + runningSeconds) / 60;
+    const activationsToday = parseInt(activations, 10) || 0;
+    const maxOnMinutes = this.parseLimit(device.max_on_minutes_per_day);
+    const maxActivations = this.parseLimit(device.max_activations_per_day);
+    const onTimeExhausted = maxOnMinutes !== null && onMinutesToday >= maxOnMinutes;
+    const activationsExhausted = maxActivations !== null && activationsToday >= maxActivations;
+
+    return {
+      maxOnMinutesPerDay: maxOnMinutes,
+      onMinutesToday: Math.round(onMinutesToday * 100) / 100,
+      remainingOnMinutes: maxOnMinutes === null ? null : Math.max(0, Math.round((maxOnMinutes - onMinutesToday) * 100) / 100),
+      maxActivationsPerDay: maxActivations,
+      activationsToday,
+      remainingActivations: maxActivations === null ? null : Math.max(0, maxActivations - activationsToday),
+      exhausted: onTimeExhausted || activationsExhausted,
+      exhaustedReason: onTimeExhausted
+        ? `daily ON-time limit of ${maxOnMinutes} min reached`
+        : (activationsExhausted ? `daily limit of ${maxActivations} activations reached` : null),
+      isOn: Boolean(onSince),
+      resetsAt: this.getResetTime(now)
+    };
+  }
+
+  /**
+   * Check whether an automated command may be sent to a device. Only
+   * commands that switch a device on consume its budget; turning it off is
+   * always allowed.
+   * @param {string|number} deviceId - Device ID
+   * @param {string} status - Status to set
+   * @param {Object} rule - Rule sending the command (for the alert)
+   * @returns {Promise<boolean>} Whether the command may be sent
+   */
+  async checkDeviceBudget(deviceId, status, rule = null) {
+    if (!this.onStatuses.includes(String(status).toLowerCase())) {
+      return true;
+    }
+
+    const device = await this.getDeviceLimits(deviceId);
+    if (!device) {
+      return true;
+    }
+
+    const budget = await this.getDeviceBudget(device);
+    if (!budget.exhausted) {
+      return true;
+    }
+
+    console.warn(`⛔ Device "${device.name}" (${device.id}): ${budget.exhaustedReason}, blocked ON command${rule ? ` from rule "${rule.name}"` : ''}`);
+    await this.raiseAlert(`device:${device.id}`, {
+      title: `Device "${device.name}" blocked`,
+      message: `Device "${device.name}" ${budget.exhaustedReason}. Automated ON commands are blocked until ${moment.tz(budget.resetsAt, weatherService.timezone).format('YYYY-MM-DD HH:mm')}.`,
+      metadata: { deviceId: device.id, ruleId: rule?.id || null, ...budget }
+    });
+
+    return false;
+  }
+
+  /**
+   * Count one automated activation of a device
+   * @param {string|number} deviceId - Device ID
+   * @param {string} status - Status that was set
+   */
+  async recordDeviceActivation(deviceId, status) {
+    if (!this.onStatuses.includes(String(status).toLowerCase())) {
+      return;
+    }
+
+    const key = `budget:device:${deviceId}:${this.getDay()}:activations`;
+    await redis.incr(key);
+    await redis.expire(key, this.counterTTL);
+  }
+
+  /**
+   * Track ON-time from device status changes (manual or automated). A run
+   * is opened when the device turns on and credited, split per local day,
+   * when it turns off.
+   * @param {string|number} deviceId - Device ID
+   * @param {string} status - New status
+   */
+  async recordDeviceStatus(deviceId, status) {
+    const sinceKey = `budget:device:${deviceId}:on_since`;
+
+    if (this.onStatuses.includes(String(status).toLowerCase())) {
+      await redis.set(sinceKey, Date.now(), 'NX');
+      return;
+    }
+
+    const onSince = await redis.get(sinceKey);
+    // Only the caller that removes the key credits the run
+    if (!onSince || !(await redis.del(sinceKey))) {
+      return;
+    }
+
+    let start = parseInt(onSince, 10);
+    const end = Date.now();
+
+    while (start < end) {
+      const dayEnd = Math.min(end, this.getResetTime(new Date(start)).getTime());
+      const key = `budget:device:${deviceId}:${this.getDay(new Date(start))}:on_seconds`;
+      await redis.incrbyfloat(key, (dayEnd - start) / 1000);
+      await redis.expire(key, this.counterTTL);
+      start = dayEnd;
+    }
+  }
+
+  /**
+   * Devices that are on and have used up their ON-time for today
+   * @returns {Promise<Array>} Device rows with their budget
+   */
+  async getOverrunningDevices() {
+    const result = await query(
+      `SELECT id, name, status, max_on_minutes_per_day, max_activations_per_day
+       FROM devices
+       WHERE max_on_minutes_per_day IS NOT NULL AND LOWER(status) = 'on'`
+    );
+
+    const overrunning = [];
+    for (const device of result.rows) {
+      const budget = await this.getDeviceBudget(device);
+      if (budget.maxOnMinutesPerDay !== null && budget.onMinutesToday >= budget.maxOnMinutesPerDay) {
+        overrunning.push({ ...device, budget });
+      }
+    }
+
+    return overrunning;
+  }
+
+  /**
+   * Send a budget alert, at most once per subject and day
+   * @param {string} subject - rule:<id> or device:<id>
+   * @param {Object} alert - { title, message, metadata }
+   */
+  async raiseAlert(subject, { title, message, metadata }) {
+    const alertKey = `budget:${subject}:${this.getDay()}:alerted`;
+    const first = await redis.set(alertKey, Date.now(), 'EX', this.counterTTL, 'NX');
+    if (!first) {
+      return;
+    }
+
+    try {
+      await notificationService.sendNotification({
+        title,
+        message,
+        priority: 'high',
+        metadata: { type: 'execution_budget', ...metadata }
+      });
+    } catch (error) {
+      console.error(`❌ Error sending budget alert for ${subject}:`, error);
+    }
+  }
+}
+
+module.exports = new ExecutionBudgetService();
@@ -0,0 +1,518 @@
+const { query, withTransaction } = require('../config/database');
+const { pubsub, EVENTS } = require('../utils/pubsub');
+const deviceService = require('./deviceService');
+const rulesEngineService = require('./rulesEngineService');
+
+/**
+ * Greenhouse Mode Service
+ * Named rule groups, device scenes (target states for several devices) and
+ * greenhouse modes ("vegetative", "flowering", "vacation"...). A mode lists
+ * the rule groups it runs: activating it enables the rules of those groups
+ * and disables the rules of every other group in one transaction, then
+ * applies the mode's scene. Rules that belong to no group are left alone.
+ */
+class GreenhouseModeService {
+  /**
+   * Get all rule groups
+   * @returns {Promise<Array>} Groups with their rule IDs (rule_ids)
+   */
+  async getRuleGroups() {
+    const result = await query(
+      `SELECT g.*, COALESCE(array_agg(m.rule_id ORDER BY m.rule_id) FILTER (WHERE m.rule_id IS NOT NULL), '{}') AS rule_ids
+       FROM rule_groups g
+       LEFT JOIN rule_group_members m ON m.group_id = g.id
+       GROUP BY g.id
+       ORDER BY g.name`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get one rule group
+   * @param {string|number} id - Group ID
+   * @returns {Promise<Object|null>} Group with its rule IDs
+   */
+  async getRuleGroup(id) {
+    const result = await query(
+      `SELECT g.*, COALESCE(array_agg(m.rule_id ORDER BY m.rule_id) FILTER (WHERE m.rule_id IS NOT NULL), '{}') AS rule_ids
+       FROM rule_groups g
+       LEFT JOIN rule_group_members m ON m.group_id = g.id
+       WHERE g.id = $1
+       GROUP BY g.id`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Groups a rule belongs to
+   * @param {string|number} ruleId - Rule ID
+   * @returns {Promise<Array>} Groups
+   */
+  async getGroupsOfRule(ruleId) {
+    const result = await query(
+      `SELECT g.* FROM rule_groups g
+       JOIN rule_group_members m ON m.group_id = g.id
+       WHERE m.rule_id = $1
+       ORDER BY g.name`,
+      [ruleId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create a rule group
+   * @param {Object} input - { name, description, ruleIds }
+   * @param {Object} user - User creating the group
+   * @returns {Promise<Object>} Created group
+   */
+  async createRuleGroup({ name, description = null, ruleIds = [] }, user) {
+    const groupName = this.requireName(name, 'Rule group');
+
+    const id = await withTransaction(async(client) => {
+      const result = await client.query(
+        'INSERT INTO rule_groups (name, description, created_by) VALUES ($1, $2, $3) RETURNING id',
+        [groupName, description, user?.id || null]
+      );
+      await this.replaceMembers(client, result.rows[0].id, ruleIds);
+      return result.rows[0].id;
+    });
+
+    console.log(`🗂️ Rule group "${groupName}" created with ${ruleIds.length} rules`);
+    return this.getRuleGroup(id);
+  }
+
+  /**
+   * Update a rule group; ruleIds, when given, replaces the member list
+   * @param {string|number} id - Group ID
+   * @param {Object} input - { name, description, ruleIds }
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateRuleGroup(id, { name, description, ruleIds }) {
+    await withTransaction(async(client) => {
+      const result = await client.query(
+        `UPDATE rule_groups
+         SET name = COALESCE($1, name), description = COALESCE($2, description), updated_at = NOW()
+         WHERE id = $3
+         RETURNING id`,
+        [name !== undefined ? this.requireName(name, 'Rule group') : null, description ?? null, id]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('Rule group not found');
+      }
+      if (ruleIds) {
+        await this.replaceMembers(client, id, ruleIds);
+      }
+    });
+
+    return this.getRuleGroup(id);
+  }
+
+  /**
+   * Delete a rule group (its rules are kept) and drop it from every mode
+   * @param {string|number} id - Group ID
+   * @returns {Promise<boolean>} Whether a group was deleted
+   */
+  async deleteRuleGroup(id) {
+    return withTransaction(async(client) => {
+      const result = await client.query('DELETE FROM rule_groups WHERE id = $1 RETURNING id', [id]);
+      await client.query(
+        'UPDATE greenhouse_modes SET rule_group_ids = array_remove(rule_group_ids, $1), updated_at = NOW() WHERE $1 = ANY(rule_group_ids)',
+        [id]
+      );
+      return result.rows.length > 0;
+    });
+  }
+
+  /**
+   * Enable or disable every rule of a group at once
+   * @param {string|number} id - Group ID
+   * @param {boolean} enabled - Target state
+   * @returns {Promise<Array>} Rules of the group
+   */
+  async setRuleGroupEnabled(id, enabled) {
+    const group = await this.getRuleGroup(id);
+    if (!group) {
+      throw new Error('Rule group not found');
+    }
+
+    const result = await query(
+      `UPDATE rules SET enabled = $1, updated_at = NOW()
+       WHERE id IN (SELECT rule_id FROM rule_group_members WHERE group_id = $2)
+       RETURNING *`,
+      [enabled, id]
+    );
+
+    console.log(`🗂️ Rule group "${group.name}" ${enabled ? 'enabled' : 'disabled'} (${result.rows.length} rules)`);
+    await rulesEngineService.invalidateRuleIndex();
+    return result.rows;
+  }
+
+  /**
+   * Get all device scenes
+   * @returns {Promise<Array>} Scenes
+   */
+  async getScenes() {
+    const result = await query('SELECT * FROM device_scenes ORDER BY name');
+    return result.rows;
+  }
+
+  /**
+   * Get one device scene
+   * @param {string|number} id - Scene ID
+   * @returns {Promise<Object|null>} Scene
+   */
+  async getScene(id) {
+    const result = await query('SELECT * FROM device_scenes WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a device scene
+   * @param {Object} input - { name, description, states: [{ deviceId, status }] }
+   * @param {Object} user - User creating the scene
+   * @returns {Promise<Object>} Created scene
+   */
+  async createScene({ name, description = null, states }, user) {
+    const sceneName = this.requireName(name, 'Scene');
+    const normalized = await this.normalizeSceneStates(states);
+
+    const result = await query(
+      'INSERT INTO device_scenes (name, description, states, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+      [sceneName, description, JSON.stringify(normalized), user?.id || null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update a device scene
+   * @param {string|number} id - Scene ID
+   * @param {Object} input - { name, description, states }
+   * @returns {Promise<Object>} Updated scene
+   */
+  async updateScene(id, { name, description, states }) {
+    const normalized = states ? await this.normalizeSceneStates(states) : null;
+
+    const result = await query(
+      `UPDATE device_scenes
+       SET name = COALESCE($1, name), description = COALESCE($2, description),
+           states = COALESCE($3, states), updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [
+        name !== undefined ? this.requireName(name, 'Scene') : null,
+        description ?? null,
+        normalized ? JSON.stringify(normalized) : null,
+        id
+      ]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Scene not found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a device scene (modes using it keep working without a scene)
+   * @param {string|number} id - Scene ID
+   * @returns {Promise<boolean>} Whether a scene was deleted
+   */
+  async deleteScene(id) {
+    const result = await query('DELETE FROM device_scenes WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Send every device of a scene to its target state. A device that fails
+   * doesn't stop the others.
+   * @param {Object} scene - Scene row
+   * @returns {Promise<Array>} Per-device results ({ deviceId, status, success, error })
+   */
+  async applyScene(scene) {
+    const results = [];
+
+    for (const state of scene.states || []) {
+      try {
+        await deviceService.updateDeviceStatus(state.deviceId, state.status);
+        results.push({ deviceId: state.deviceId, status: state.status, success: true, error: null });
+      } catch (error) {
+        console.error(`❌ Scene "${scene.name}": device ${state.deviceId} -> ${state.status} failed:`, error.message);
+        results.push({ deviceId: state.deviceId, status: state.status, success: false, error: error.message });
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    console.log(`🎬 Scene "${scene.name}" applied: ${results.length - failed}/${results.length} devices`);
+    return results;
+  }
+
+  /**
+   * Get all greenhouse modes
+   * @returns {Promise<Array>} Modes
+   */
+  async getModes() {
+    const result = await query('SELECT * FROM greenhouse_modes ORDER BY name');
+    return result.rows;
+  }
+
+  /**
+   * Get one greenhouse mode
+   * @param {string|number} id - Mode ID
+   * @returns {Promise<Object|null>} Mode
+   */
+  async getMode(id) {
+    const result = await query('SELECT * FROM greenhouse_modes WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The currently active mode
+   * @returns {Promise<Object|null>} Mode, or null when none was activated yet
+   */
+  async getActiveMode() {
+    const result = await query('SELECT * FROM greenhouse_modes WHERE is_active = true');
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a greenhouse mode
+   * @param {Object} input - { name, description, ruleGroupIds, sceneId }
+   * @param {Object} user - User creating the mode
+   * @returns {Promise<Object>} Created mode
+   */
+  async createMode({ name, description = null, ruleGroupIds = [], sceneId = null }, user) {
+    const modeName = this.requireName(name, 'Mode');
+    const groupIds = await this.checkModeReferences(ruleGroupIds, sceneId);
+
+    const result = await query(
+      `INSERT INTO greenhouse_modes (name, description, rule_group_ids, scene_id, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [modeName, description, groupIds, sceneId, user?.id || null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update a greenhouse mode. Changes to the active mode apply the next time
+   * it is activated.
+   * @param {string|number} id - Mode ID
+   * @param {Object} input - { name, description, ruleGroupIds, sceneId } (sceneId null removes the scene)
+   * @returns {Promise<Object>} Updated mode
+   */
+  async updateMode(id, { name, description, ruleGroupIds, sceneId }) {
+    const mode = await this.getMode(id);
+    if (!mode) {
+      throw new Error('Mode not found');
+    }
+
+    const groupIds = await this.checkModeReferences(
+      ruleGroupIds || mode.rule_group_ids,
+      sceneId !== undefined ? sceneId : mode.scene_id
+    );
+
+    const result = await query(
+      `UPDATE greenhouse_modes
+       SET name = $1, description = $2, rule_group_ids = $3, scene_id = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [
+        name !== undefined ? this.requireName(name, 'Mode') : mode.name,
+        description !== undefined ? description : mode.description,
+        groupIds,
+        sceneId !== undefined ? sceneId : mode.scene_id,
+        id
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a greenhouse mode
+   * @param {string|number} id - Mode ID
+   * @returns {Promise<boolean>} Whether a mode was deleted
+   */
+  async deleteMode(id) {
+    const result = await query('DELETE FROM greenhouse_modes WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Switch the greenhouse to a mode. The enabled rule set and the active
+   * mode change in one transaction; the scene is applied after the commit,
+   * since device commands can't be rolled back.
+   * @param {string|number} id - Mode ID
+   * @param {Object} user - User switching the mode
+   * @param {Object} options - { applyScene } (default true)
+   * @returns {Promise<Object>} { mode, previousMode, enabledRules, disabledRules, sceneResults }
+   */
+  async activateMode(id, user, { applyScene = true } = {}) {
+    const switched = await withTransaction(async(client) => {
+      // Lock both rows so concurrent switches serialize
+      const target = await client.query('SELECT * FROM greenhouse_modes WHERE id = $1 FOR UPDATE', [id]);
+      if (target.rows.length === 0) {
+        throw new Error('Mode not found');
+      }
+      const previous = await client.query('SELECT * FROM greenhouse_modes WHERE is_active = true FOR UPDATE');
+
+      const members = await client.query('SELECT group_id, rule_id FROM rule_group_members');
+      const groupIds = new Set(target.rows[0].rule_group_ids.map(String));
+      const enableIds = new Set();
+      const groupedIds = new Set();
+      for (const member of members.rows) {
+        groupedIds.add(member.rule_id);
+        if (groupIds.has(String(member.group_id))) {
+          enableIds.add(member.rule_id);
+        }
+      }
+      const disableIds = Array.from(groupedIds).filter(ruleId => !enableIds.has(ruleId));
+
+      const enabled = await client.query(
+        'UPDATE rules SET enabled = true, updated_at = NOW() WHERE id = ANY($1::int[]) AND enabled = false RETURNING *',
+        [Array.from(enableIds)]
+      );
+      const disabled = await client.query(
+        'UPDATE rules SET enabled = false, updated_at = NOW() WHERE id = ANY($1::int[]) AND enabled = true RETURNING *',
+        [disableIds]
+      );
+
+      await client.query('UPDATE greenhouse_modes SET is_active = false WHERE is_active = true AND id <> $1', [id]);
+      const activated = await client.query(
+        `UPDATE greenhouse_modes
+         SET is_active = true, activated_at = NOW(), activated_by = $2
+         WHERE id = $1
+         RETURNING *`,
+        [id, user?.id || null]
+      );
+
+      return {
+        mode: activated.rows[0],
+        previousMode: previous.rows[0] || null,
+        enabledRules: enabled.rows,
+        disabledRules: disabled.rows
+      };
+    });
+
+    await rulesEngineService.invalidateRuleIndex();
+    console.log(`🌱 Greenhouse mode "${switched.mode.name}" activated: ${switched.enabledRules.length} rules enabled, ${switched.disabledRules.length} disabled`);
+
+    let sceneResults = [];
+    if (applyScene && switched.mode.scene_id) {
+      const scene = await this.getScene(switched.mode.scene_id);
+      if (scene) {
+        sceneResults = await this.applyScene(scene);
+      }
+    }
+
+    await pubsub.publish(EVENTS.ACTIVE_MODE_CHANGED, {
+      activeModeChanged: switched.mode
+    });
+
+    return { ...switched, sceneResults };
+  }
+
+  /**
+   * Replace the rules of a group
+   * @param {Object} client - Transaction client
+   * @param {string|number} groupId - Group ID
+   * @param {Array} ruleIds - Rule IDs
+   */
+  async replaceMembers(client, groupId, ruleIds) {
+    const ids = Array.from(new Set(ruleIds.map(ruleId => parseInt(ruleId, 10))));
+    if (ids.some(ruleId => isNaN(ruleId))) {
+      throw new Error('Invalid rule ID format');
+    }
+
+    const existing = await client.query('SELECT id FROM rules WHERE id = ANY($1::int[])', [ids]);
+    if (existing.rows.length !== ids.length) {
+      const found = new Set(existing.rows.map(rule => rule.id));
+      throw new Error(`Rules not found: ${ids.filter(ruleId => !found.has(ruleId)).join(', ')}`);
+    }
+
+    await client.query('DELETE FROM rule_group_members WHERE group_id = $1', [groupId]);
+    if (ids.length > 0) {
+      await client.query(
+        'INSERT INTO rule_group_members (group_id, rule_id) SELECT $1, unnest($2::int[])',
+        [groupId, ids]
+      );
+    }
+  }
+
+  /**
+   * Validate scene states: each device must exist and be listed once
+   * @param {Array} states - [{ deviceId, status }]
+   * @returns {Promise<Array>} Normalized states (lowercase status)
+   */
+  async normalizeSceneStates(states) {
+    if (!Array.isArray(states) || states.length === 0) {
+      throw new Error('A scene needs at least one device state');
+    }
+
+    const normalized = states.map(state => ({
+      deviceId: String(state.deviceId),
+      status: String(state.status || '').toLowerCase()
+    }));
+
+    const seen = new Set();
+    for (const state of normalized) {
+      if (!deviceService.allowedStatuses.includes(state.status)) {
+        throw new Error(`Invalid status "${state.status}" for device ${state.deviceId}`);
+      }
+      if (seen.has(state.deviceId)) {
+        throw new Error(`Device ${state.deviceId} appears more than once in the scene`);
+      }
+      seen.add(state.deviceId);
+    }
+
+    const ids = normalized.map(state => parseInt(state.deviceId, 10));
+    const existing = await query('SELECT id FROM devices WHERE id = ANY($1::int[])', [ids.filter(deviceId => !isNaN(deviceId))]);
+    const found = new Set(existing.rows.map(device => String(device.id)));
+    const missing = normalized.filter(state => !found.has(state.deviceId));
+    if (missing.length > 0) {
+      throw new Error(`Devices not found: ${missing.map(state => state.deviceId).join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check that the groups and scene of a mode exist
+   * @param {Array} ruleGroupIds - Group IDs
+   * @param {string|number|null} sceneId - Scene ID
+   * @returns {Promise<Array<number>>} Deduplicated group IDs
+   */
+  async checkModeReferences(ruleGroupIds, sceneId) {
+    const ids = Array.from(new Set(ruleGroupIds.map(groupId => parseInt(groupId, 10))));
+    if (ids.some(groupId => isNaN(groupId))) {
+      throw new Error('Invalid rule group ID format');
+    }
+
+    const groups = await query('SELECT id FROM rule_groups WHERE id = ANY($1::int[])', [ids]);
+    if (groups.rows.length !== ids.length) {
+      const found = new Set(groups.rows.map(group => group.id));
+      throw new Error(`Rule groups not found: ${ids.filter(groupId => !found.has(groupId)).join(', ')}`);
+    }
+
+    if (sceneId !== null && sceneId !== undefined && !(await this.getScene(sceneId))) {
+      throw new Error('Scene not found');
+    }
+
+    return ids;
+  }
+
+  /**
+   * Require a non-empty name
+   * @param {string} name - Name to check
+   * @param {string} label - What is being named (for the error)
+   * @returns {string} Trimmed name
+   */
+  requireName(name, label) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error(`${label} name is required`);
+    }
+    return trimmed;
+  }
+}
+
+module.exports = new GreenhouseModeService();
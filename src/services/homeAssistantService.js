@@ -0,0 +1,496 @@
+const { query } = require('../config/database');
+const sensorTypeService = require('./sensorTypeService');
+const deviceDriverService = require('./deviceDriverService');
+const leaderElectionService = require('./leaderElectionService');
+
+/**
+ * Home Assistant Service
+ * Publishes retained MQTT discovery messages
+ * (<prefix>/<component>/<object_id>/config) for every sensor and device, mirrors
+ * their state to <base>/sensor|device/<id>/state and turns Home Assistant
+ * commands on <base>/device/<id>/set into regular device actions.
+ *
+ * Discovery configs and device state are published by whichever instance makes
+ * the change (retained, so duplicates are harmless). Sensor readings and HA
+ * commands reach every instance, so only the leader mirrors/executes them.
+ */
+class HomeAssistantService {
+  constructor() {
+    this.enabled = process.env.HA_DISCOVERY_ENABLED === 'true';
+    this.discoveryPrefix = process.env.HA_DISCOVERY_PREFIX || 'homeassistant';
+    this.baseTopic = process.env.HA_BASE_TOPIC || 'greenhouse';
+    this.mqttService = null;
+    this.deviceService = null;
+
+    this.components = ['switch', 'light', 'fan', 'cover'];
+
+    // Repo field name -> HA device_class / unit / state_class
+    this.fieldClasses = {
+      temperatura: { device_class: 'temperature', unit_of_measurement: '°C' },
+      temperatura_agua: { device_class: 'temperature', unit_of_measurement: '°C' },
+      temperatura_suelo: { device_class: 'temperature', unit_of_measurement: '°C' },
+      heatindex: { device_class: 'temperature', unit_of_measurement: '°C' },
+      dewpoint: { device_class: 'temperature', unit_of_measurement: '°C' },
+      humedad: { device_class: 'humidity', unit_of_measurement: '%' },
+      humedad_suelo: { device_class: 'moisture', unit_of_measurement: '%' },
+      presion: { device_class: 'pressure', unit_of_measurement: 'hPa' },
+      light: { device_class: 'illuminance', unit_of_measurement: 'lx' },
+      co2: { device_class: 'carbon_dioxide', unit_of_measurement: 'ppm' },
+      ph: { device_class: 'ph' },
+      watts: { device_class: 'power', unit_of_measurement: 'W' },
+      voltage: { device_class: 'voltage', unit_of_measurement: 'V' },
+      current: { device_class: 'current', unit_of_measurement: 'A' },
+      frequency: { device_class: 'frequency', unit_of_measurement: 'Hz' },
+      power_factor: { device_class: 'power_factor' },
+      energy_total: { device_class: 'energy', unit_of_measurement: 'kWh', state_class: 'total_increasing' },
+      ec: { unit_of_measurement: 'µS/cm' },
+      ppm: { unit_of_measurement: 'ppm' }
+    };
+  }
+
+  /**
+   * Start listening for Home Assistant commands and birth messages.
+   * mqttService and deviceService are passed in because both load this
+   * service themselves (directly or through dynamicSensorService).
+   * @param {Object} services - { mqttService, deviceService }
+   */
+  start({ mqttService, deviceService }) {
+    if (!this.enabled) {
+      console.log('🏠 Home Assistant discovery disabled (HA_DISCOVERY_ENABLED != true)');
+      return;
+    }
+
+    this.mqttService = mqttService;
+    this.deviceService = deviceService;
+
+    mqttService.addSubscriptions([
+      `${this.baseTopic}/device/+/set`,
+      `${this.baseTopic}/device/+/+/set`,
+      `${this.discoveryPrefix}/status`
+    ]);
+
+    mqttService.on('message', (topic, message) => {
+      this.handleMessage(topic, message.toString()).catch(error => {
+        console.error(`❌ Error handling Home Assistant message on ${topic}:`, error);
+      });
+    });
+
+    // Retained configs may have been wiped while we were away
+    mqttService.on('connected', () => {
+      if (leaderElectionService.isLeader) {
+        this.publishAll();
+      }
+    });
+
+    console.log(`🏠 Home Assistant discovery enabled (prefix ${this.discoveryPrefix}, base ${this.baseTopic})`);
+  }
+
+  /**
+   * Whether discovery messages can be published right now
+   * @returns {boolean}
+   */
+  isActive() {
+    return Boolean(this.enabled && this.mqttService && this.mqttService.isConnected);
+  }
+
+  /**
+   * Publish discovery configs and current state for every sensor and device
+   */
+  async publishAll() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      const sensors = await query('SELECT * FROM sensors ORDER BY id');
+      for (const sensor of sensors.rows) {
+        await this.publishSensor(sensor);
+      }
+
+      const devices = await query('SELECT * FROM devices ORDER BY id');
+      for (const device of devices.rows) {
+        await this.publishDevice(device);
+      }
+
+      console.log(`🏠 Published Home Assistant discovery for ${sensors.rows.length} sensors and ${devices.rows.length} devices`);
+    } catch (error) {
+      console.error('❌ Error publishing Home Assistant discovery:', error);
+    }
+  }
+
+  /**
+   * Publish one discovery config per metric field of a sensor
+   * @param {Object} sensor - Row from sensors
+   */
+  async publishSensor(sensor) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      for (const field of this.getSensorFields(sensor)) {
+        const objectId = this.objectId('sensor', sensor.hardware_id, field);
+        const config = {
+          name: field,
+          object_id: objectId,
+          unique_id: objectId,
+          state_topic: this.sensorStateTopic(sensor),
+          value_template: `{{ value_json.${field} }}`,
+          state_class: 'measurement',
+          ...this.fieldClasses[field],
+          device: {
+            identifiers: [this.objectId('sensor', sensor.hardware_id)],
+            name: sensor.name,
+            manufacturer: 'IoT Greenhouse',
+            model: sensor.sensor_type,
+            suggested_area: sensor.location || undefined
+          }
+        };
+
+        await this.publishConfig('sensor', objectId, config);
+      }
+    } catch (error) {
+      console.error(`❌ Error publishing Home Assistant config for sensor ${sensor.hardware_id}:`, error);
+    }
+  }
+
+  /**
+   * Remove the discovery configs of a sensor
+   * @param {Object} sensor - Deleted row from sensors
+   */
+  async removeSensor(sensor) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      for (const field of this.getSensorFields(sensor)) {
+        await this.publishConfig('sensor', this.objectId('sensor', sensor.hardware_id, field), '');
+      }
+      await this.mqttService.publish(this.sensorStateTopic(sensor), '', { retain: true });
+    } catch (error) {
+      console.error(`❌ Error removing Home Assistant config for sensor ${sensor.hardware_id}:`, error);
+    }
+  }
+
+  /**
+   * Mirror a sensor reading (leader only, every instance receives it)
+   * @param {Object} sensor - Row from sensors
+   * @param {Object} payload - Validated reading
+   */
+  async publishSensorState(sensor, payload) {
+    if (!this.isActive() || !leaderElectionService.isLeader) {
+      return;
+    }
+
+    try {
+      const state = {};
+      for (const field of this.getSensorFields(sensor)) {
+        if (payload[field] !== undefined) {
+          state[field] = payload[field];
+        }
+      }
+
+      await this.mqttService.publish(this.sensorStateTopic(sensor), state, { retain: true });
+    } catch (error) {
+      console.error(`❌ Error mirroring state of sensor ${sensor.hardware_id}:`, error);
+    }
+  }
+
+  /**
+   * Publish the discovery config of a device and its current state. The HA
+   * component follows the driver capabilities; configs of the other
+   * components are cleared in case the driver changed.
+   * @param {Object} device - Row from devices
+   */
+  async publishDevice(device) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      const component = this.getDeviceComponent(device);
+      const objectId = this.objectId('device', device.id);
+
+      for (const other of this.components.filter(c => c !== component)) {
+        await this.publishConfig(other, objectId, '');
+      }
+
+      await this.publishConfig(component, objectId, this.buildDeviceConfig(device, component));
+      await this.publishDeviceState(device);
+    } catch (error) {
+      console.error(`❌ Error publishing Home Assistant config for device ${device.id}:`, error);
+    }
+  }
+
+  /**
+   * Remove the discovery config of a device
+   * @param {Object} device - Deleted row from devices
+   */
+  async removeDevice(device) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      const objectId = this.objectId('device', device.id);
+      for (const component of this.components) {
+        await this.publishConfig(component, objectId, '');
+      }
+      await this.mqttService.publish(this.deviceTopic(device, 'state'), '', { retain: true });
+      await this.mqttService.publish(this.deviceTopic(device, 'availability'), '', { retain: true });
+    } catch (error) {
+      console.error(`❌ Error removing Home Assistant config for device ${device.id}:`, error);
+    }
+  }
+
+  /**
+   * Mirror device state and availability
+   * @param {Object} device - Row from devices
+   */
+  async publishDeviceState(device) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    try {
+      const isOn = ['on', 'online', 'active'].includes(device.status);
+      const value = device.value !== undefined ? device.value : (device.configuration?.value ?? null);
+      const available = !['offline', 'error'].includes(device.status);
+
+      await this.mqttService.publish(this.deviceTopic(device, 'state'), {
+        state: isOn ? 'ON' : 'OFF',
+        value,
+        brightness: value
+      }, { retain: true });
+      await this.mqttService.publish(
+        this.deviceTopic(device, 'availability'),
+        available ? 'online' : 'offline',
+        { retain: true }
+      );
+    } catch (error) {
+      console.error(`❌ Error mirroring state of device ${device.id}:`, error);
+    }
+  }
+
+  /**
+   * Handle a command or birth message from Home Assistant
+   * @param {string} topic - MQTT topic
+   * @param {string} payload - Raw payload
+   */
+  async handleMessage(topic, payload) {
+    if (!this.enabled || !leaderElectionService.isLeader) {
+      return;
+    }
+
+    if (topic === `${this.discoveryPrefix}/status`) {
+      if (payload === 'online') {
+        console.log('🏠 Home Assistant came online, republishing discovery');
+        await this.publishAll();
+      }
+      return;
+    }
+
+    const prefix = `${this.baseTopic}/device/`;
+    if (!topic.startsWith(prefix) || !topic.endsWith('/set')) {
+      return;
+    }
+
+    const [deviceId, ...rest] = topic.slice(prefix.length).split('/');
+    const command = rest.length === 1 ? 'set' : rest[0];
+    await this.handleCommand(deviceId, command, payload.trim());
+  }
+
+  /**
+   * Translate an HA command into a device action
+   * @param {string} deviceId - Device ID
+   * @param {string} command - set | percentage | position
+   * @param {string} payload - Command payload
+   */
+  async handleCommand(deviceId, command, payload) {
+    console.log(`🏠 Home Assistant command for device ${deviceId}: ${command} ${payload}`);
+
+    if (command === 'percentage' || command === 'position') {
+      const value = Number(payload);
+      if (Number.isNaN(value)) {
+        throw new Error(`Invalid ${command} value: ${payload}`);
+      }
+      await this.deviceService.setDeviceValue(deviceId, value);
+      return;
+    }
+
+    if (command !== 'set') {
+      throw new Error(`Unknown Home Assistant command: ${command}`);
+    }
+
+    // JSON schema lights send {"state":"ON","brightness":40}
+    if (payload.startsWith('{')) {
+      const { state, brightness } = JSON.parse(payload);
+      await this.deviceService.updateDeviceStatus(deviceId, state === 'OFF' ? 'off' : 'on');
+      if (state !== 'OFF' && typeof brightness === 'number') {
+        await this.deviceService.setDeviceValue(deviceId, brightness);
+      }
+      return;
+    }
+
+    switch (payload.toUpperCase()) {
+    case 'ON':
+    case 'OPEN':
+      await this.deviceService.updateDeviceStatus(deviceId, 'on');
+      break;
+    case 'OFF':
+    case 'CLOSE':
+      await this.deviceService.updateDeviceStatus(deviceId, 'off');
+      break;
+    case 'TOGGLE':
+      await this.deviceService.toggleDevice(deviceId);
+      break;
+    default:
+      throw new Error(`Unsupported Home Assistant payload: ${payload}`);
+    }
+  }
+
+  /**
+   * Build the discovery config of a device for an HA component
+   * @param {Object} device - Row from devices
+   * @param {string} component - switch | light | fan | cover
+   * @returns {Object} Discovery config
+   */
+  buildDeviceConfig(device, component) {
+    const objectId = this.objectId('device', device.id);
+    const stateTopic = this.deviceTopic(device, 'state');
+    const config = {
+      name: null,
+      object_id: objectId,
+      unique_id: objectId,
+      command_topic: this.deviceTopic(device, 'set'),
+      availability_topic: this.deviceTopic(device, 'availability'),
+      device: {
+        identifiers: [objectId],
+        name: device.name,
+        manufacturer: 'IoT Greenhouse',
+        model: device.type,
+        suggested_area: device.room || undefined
+      }
+    };
+
+    switch (component) {
+    case 'light':
+      return {
+        ...config,
+        schema: 'json',
+        state_topic: stateTopic,
+        brightness: true,
+        brightness_scale: 100
+      };
+    case 'fan':
+      return {
+        ...config,
+        state_topic: stateTopic,
+        state_value_template: '{{ value_json.state }}',
+        percentage_command_topic: this.deviceTopic(device, 'percentage/set'),
+        percentage_state_topic: stateTopic,
+        percentage_value_template: '{{ value_json.value | int(0) }}'
+      };
+    case 'cover':
+      return {
+        ...config,
+        payload_stop: null,
+        set_position_topic: this.deviceTopic(device, 'position/set'),
+        position_topic: stateTopic,
+        position_template: '{{ value_json.value | int(0) }}'
+      };
+    default:
+      return {
+        ...config,
+        state_topic: stateTopic,
+        value_template: '{{ value_json.state }}'
+      };
+    }
+  }
+
+  /**
+   * HA component for a device, from its driver capabilities
+   * @param {Object} device - Row from devices
+   * @returns {string} switch | light | fan | cover
+   */
+  getDeviceComponent(device) {
+    let capabilities;
+    try {
+      capabilities = deviceDriverService.resolveDriver(device).driver.capabilities;
+    } catch {
+      return 'switch';
+    }
+
+    if (capabilities.includes('DIMMER')) {
+      return 'light';
+    }
+    if (capabilities.includes('POSITION')) {
+      return 'cover';
+    }
+    if (capabilities.includes('PWM')) {
+      return 'fan';
+    }
+    return 'switch';
+  }
+
+  /**
+   * Metric fields exposed for a sensor
+   * @param {Object} sensor - Row from sensors
+   * @returns {string[]} Field names
+   */
+  getSensorFields(sensor) {
+    const configured = sensor.configuration?.metrics_fields;
+    if (Array.isArray(configured) && configured.length > 0) {
+      return configured;
+    }
+    return sensorTypeService.getMetricsFields(sensor.sensor_type);
+  }
+
+  /**
+   * Publish (or clear, with an empty payload) a retained discovery config
+   * @param {string} component - HA component
+   * @param {string} objectId - HA object id
+   * @param {Object|string} config - Config, or '' to remove the entity
+   */
+  async publishConfig(component, objectId, config) {
+    await this.mqttService.publish(
+      `${this.discoveryPrefix}/${component}/${objectId}/config`,
+      config,
+      { retain: true, qos: 1 }
+    );
+  }
+
+  /**
+   * HA object id, e.g. greenhouse_sensor_temhum1_temperatura
+   * @param {string} kind - sensor | device
+   * @param {string|number} id - Hardware ID or device ID
+   * @param {string} [field] - Metric field
+   * @returns {string}
+   */
+  objectId(kind, id, field = null) {
+    const parts = [this.baseTopic, kind, id, field].filter(part => part !== null && part !== undefined);
+    return parts.join('_').toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+  }
+
+  /**
+   * Topic the readings of a sensor are mirrored to
+   * @param {Object} sensor - Row from sensors
+   * @returns {string}
+   */
+  sensorStateTopic(sensor) {
+    return `${this.baseTopic}/sensor/${sensor.hardware_id}/state`;
+  }
+
+  /**
+   * Per-device topic under the base topic (state, availability, set...)
+   * @param {Object} device - Row from devices
+   * @param {string} suffix - Topic suffix
+   * @returns {string}
+   */
+  deviceTopic(device, suffix) {
+    return `${this.baseTopic}/device/${device.id}/${suffix}`;
+  }
+}
+
+module.exports = new HomeAssistantService();
@@ -0,0 +1,179 @@
+const os = require('os');
+const crypto = require('crypto');
+const { redis } = require('../config/redis');
+
+/**
+ * Leader Election Service
+ * Redis lease that lets exactly one server instance run the rules engine and
+ * the action queue consumers. The leader renews the lease well before it
+ * expires; when it dies or loses Redis, the lease runs out and another
+ * instance takes over on its next attempt. An instance that can't renew in
+ * time steps down on its own, so two leaders never overlap for longer than
+ * one renewal interval.
+ */
+class LeaderElectionService {
+  constructor() {
+    this.leaseKey = 'rules_engine:leader';
+    this.leaseTtl = parseInt(process.env.LEADER_LEASE_TTL_MS, 10) || 15000;
+    this.renewInterval = Math.floor(this.leaseTtl / 3);
+    this.instanceId = process.env.INSTANCE_ID ||
+      `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+    this.isLeader = false;
+    this.leaseRenewedAt = null;
+    this.electedAt = null;
+    this.intervalId = null;
+    this.handlers = { onElected: null, onDemoted: null };
+    this.transition = Promise.resolve();
+  }
+
+  /**
+   * Start campaigning for leadership
+   * @param {Object} handlers - { onElected(), onDemoted() } called on every change
+   */
+  async start({ onElected, onDemoted }) {
+    if (this.intervalId) {
+      console.log('⚡ Leader election is already running');
+      return;
+    }
+
+    this.handlers = { onElected, onDemoted };
+    console.log(`🗳️ Instance ${this.instanceId} campaigning for rules engine leadership`);
+
+    await this.campaign();
+    this.intervalId = setInterval(() => {
+      this.campaign().catch(error => {
+        console.error('❌ Error in leader election:', error);
+      });
+    }, this.renewInterval);
+  }
+
+  /**
+   * Stop campaigning and hand the lease over right away
+   */
+  async stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    if (this.isLeader) {
+      try {
+        // Only delete the lease if it is still ours
+        await redis.eval(
+          'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+          1, this.leaseKey, this.instanceId
+        );
+      } catch (error) {
+        console.error('❌ Error releasing leader lease:', error.message);
+      }
+      await this.demote('shutting down');
+    }
+  }
+
+  /**
+   * Acquire or renew the lease
+   */
+  async campaign() {
+    let holding = false;
+
+    try {
+      if (this.isLeader) {
+        holding = await redis.eval(
+          'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) else return 0 end',
+          1, this.leaseKey, this.instanceId, this.leaseTtl
+        ) === 1;
+      } else {
+        holding = await redis.set(this.leaseKey, this.instanceId, 'PX', this.leaseTtl, 'NX') === 'OK';
+      }
+    } catch (error) {
+      console.error('❌ Leader lease request failed:', error.message);
+
+      // Keep leading while the last renewal is still valid; another instance
+      // can't take the lease before it expires
+      if (this.isLeader && Date.now() - this.leaseRenewedAt < this.leaseTtl - this.renewInterval) {
+        return;
+      }
+    }
+
+    if (holding) {
+      this.leaseRenewedAt = Date.now();
+      if (!this.isLeader) {
+        await this.elect();
+      }
+    } else if (this.isLeader) {
+      await this.demote('lease lost');
+    }
+  }
+
+  /**
+   * Become leader and start the leader-only services
+   */
+  async elect() {
+    this.isLeader = true;
+    this.electedAt = new Date();
+    console.log(`👑 Instance ${this.instanceId} is now the rules engine leader`);
+
+    await this.runHandler('onElected');
+  }
+
+  /**
+   * Step down and stop the leader-only services
+   * @param {string} reason - Why leadership ended (for the log)
+   */
+  async demote(reason) {
+    this.isLeader = false;
+    this.electedAt = null;
+    this.leaseRenewedAt = null;
+    console.warn(`🪑 Instance ${this.instanceId} stepped down as rules engine leader (${reason})`);
+
+    await this.runHandler('onDemoted');
+  }
+
+  /**
+   * Run an election handler; transitions run one at a time so a quick
+   * demote/elect sequence can't interleave starts and stops
+   * @param {string} name - onElected | onDemoted
+   */
+  async runHandler(name) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      return;
+    }
+
+    this.transition = this.transition.then(handler).catch(error => {
+      console.error(`❌ Error in leader ${name} handler:`, error);
+    });
+    await this.transition;
+  }
+
+  /**
+   * Leadership status of this instance and the current leader
+   * @returns {Promise<Object>} { instanceId, isLeader, leaderId, electedAt, leaseExpiresAt }
+   */
+  async getStatus() {
+    let leaderId = null;
+    let leaseExpiresAt = null;
+
+    try {
+      const [holder, ttl] = await Promise.all([
+        redis.get(this.leaseKey),
+        redis.pttl(this.leaseKey)
+      ]);
+      leaderId = holder;
+      leaseExpiresAt = ttl > 0 ? new Date(Date.now() + ttl) : null;
+    } catch (error) {
+      console.error('❌ Error reading leader lease:', error.message);
+    }
+
+    return {
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      leaderId,
+      electedAt: this.electedAt,
+      leaseExpiresAt
+    };
+  }
+}
+
+module.exports = new LeaderElectionService();
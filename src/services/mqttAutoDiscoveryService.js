@@ -1,6 +1,8 @@
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
 const dynamicSensorService = require('./dynamicSensorService');
+const deviceProtocolService = require('./deviceProtocolService');
+const homeAssistantService = require('./homeAssistantService');
 const axios = require('axios');
 
 /**
@@ -386,76 +388,46 @@ class MQTTAutoDiscoveryService {
     }
   }
 
+  /**
+   * Procesa un mensaje Tasmota/Shelly/ESPHome con entidades no registradas.
+   * No pasa por isKnownTopic: su comparación flexible confundiría entidades
+   * de un mismo dispositivo; cada entidad se comprueba por su tópico canónico.
+   */
+  async processProtocolMessage(topic, payload) {
+    if (!this.detectionConfig.enabled) {
+      console.log('🚫 Auto-discovery disabled');
+      return false;
+    }
+
+    try {
+      await this.addToAnalysisQueue(topic, payload);
+      await this.analyzeAndCreate(topic, this.unknownTopics.get(topic));
+      return true;
+    } catch (error) {
+      console.error('❌ Error processing protocol message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Verifica si una entidad de protocolo ya está registrada (tópico canónico exacto)
+   * @param {Object} entity - Entidad de deviceProtocolService
+   * @returns {Promise<boolean>} Si existe
+   */
+  async isKnownProtocolEntity(entity) {
+    const result = entity.kind === 'sensor'
+      ? await query('SELECT id FROM sensors WHERE mqtt_topic = $1 LIMIT 1', [entity.topic])
+      : await query('SELECT id FROM devices WHERE configuration->>\'mqtt_topic\' = $1 LIMIT 1', [entity.topic]);
+    return result.rows.length > 0;
+  }
+
   /**
    * Verifica si un tópico ya es conocido
    */
   async isKnownTopic(topic) {
     try {
-      // Obtener todos los sensores activos para mapeo inteligente
-      const sensorQuery = `
-        SELECT id, mqtt_topic FROM sensors 
-        WHERE is_active = true
-      `;
-      const sensorResult = await query(sensorQuery);
-      
-      // Aplicar la misma lógica de mapping que en dynamicSensorService
-      const foundSensor = sensorResult.rows.find(sensor => {
-        if (!sensor.mqtt_topic) return false;
-        
-        const sensorTopic = sensor.mqtt_topic.toLowerCase();
-        const incomingTopic = topic.toLowerCase();
-        
-        // Coincidencia exacta
-        if (sensorTopic === incomingTopic) {
-          return true;
-        }
-        
-        // Extraer partes del tópico para comparación inteligente
-        const sensorParts = sensorTopic.split('/');
-        const incomingParts = incomingTopic.split('/');
-        
-        // Deben tener la misma estructura básica (Invernadero/sensor/data)
-        if (sensorParts.length !== incomingParts.length) {
-          return false;
-        }
-        
-        // El primer y último segmento deben coincidir
-        if (sensorParts[0] !== incomingParts[0] || sensorParts[sensorParts.length - 1] !== incomingParts[incomingParts.length - 1]) {
-          return false;
-        }
-        
-        // Comparar el segmento del sensor (posición 1) con variaciones específicas
-        const sensorName = sensorParts[1];
-        const incomingName = incomingParts[1];
-        
-        // Normalizar nombres para comparación flexible
-        const normalizeName = (name) => name.toLowerCase().replace(/[-_]/g, '');
-        
-        // Mapeo directo con normalización
-        if (normalizeName(sensorName) === normalizeName(incomingName)) {
-          return true;
-        }
-        
-        // Mapeos específicos conocidos
-        const specificMappings = {
-          'agua': 'aguaquality01',
-          'water': 'aguaquality01',
-          'calidadagua': 'aguaquality01',
-          'th1': 'temhum1',
-          'th2': 'temhum2', 
-          'th3': 'temhum3',
-          'light': 'luxometro',
-          'luz': 'luxometro',
-          'lux': 'luxometro',
-          'pressure1': 'bmp2801',
-          'presion1': 'bmp2801'
-        };
-        
-        const normalizedSensor = normalizeName(sensorName);
-        const normalizedIncoming = normalizeName(incomingName);
-        
-        return specificMappings[normalizedIncoming] === normalizedSensor;
-      });
+      // Misma tabla de rutas que usa dynamicSensorService.processSensorData
+      const foundSensor = dynamicSensorService.findSensorForTopic(topic);
       
       if (foundSensor) {
         console.log(`✅ Topic ${topic} is known (matches sensor ID ${foundSensor.id})`);
@@ -523,6 +495,12 @@ class MQTTAutoDiscoveryService {
   async analyzeAndCreate(topic, topicData) {
     try {
       const analysis = await this.analyzeTopicData(topic, topicData);
+
+      if (analysis.protocol) {
+        await this.createProtocolEntities(topic, analysis);
+        this.unknownTopics.delete(topic);
+        return;
+      }
       
       console.log(`🤖 Analysis for ${topic}:`, {
         sensorScore: analysis.sensorScore,
@@ -560,6 +538,19 @@ class MQTTAutoDiscoveryService {
    */
   async analyzeTopicData(topic, topicData) {
     const payloads = topicData.payloads.map(p => p.payload);
+
+    // Tasmota, Shelly y ESPHome se identifican por sus convenciones de tópicos
+    const protocolMatch = deviceProtocolService.identify(topic, payloads[payloads.length - 1]);
+    if (protocolMatch) {
+      console.log(`🏷️ Topic ${topic} identified as ${protocolMatch.protocol} (${protocolMatch.entities.length} entities)`);
+      return {
+        topic,
+        protocol: protocolMatch.protocol,
+        entities: protocolMatch.entities,
+        suggestedType: protocolMatch.entities.some(entity => entity.kind === 'device') ? 'device' : 'sensor',
+        confidence: 100
+      };
+    }
     
     // Calcular scores
     const sensorScore = this.calculateSensorScore(topic, payloads);
@@ -1049,6 +1040,74 @@ class MQTTAutoDiscoveryService {
     }
   }
 
+  /**
+   * Crea los sensores y dispositivos de un mensaje de protocolo que aún no existen.
+   * Los dispositivos quedan configurados con el driver del protocolo.
+   */
+  async createProtocolEntities(topic, analysis) {
+    for (const entity of analysis.entities) {
+      try {
+        if (await this.isKnownProtocolEntity(entity)) {
+          continue;
+        }
+
+        if (entity.kind === 'sensor') {
+          const sensor = await this.createSensorInternal({
+            hardwareId: entity.hardwareId,
+            name: entity.name,
+            type: entity.sensorType,
+            location: 'Auto-detected',
+            description: `Auto-created ${analysis.protocol} sensor from MQTT topic: ${topic}`,
+            mqttTopic: entity.topic
+          });
+
+          const payloadAnalysis = this.analyzePayloadStructure([entity.readings]);
+          await this.configureSensorMQTTInternal({
+            sensorId: sensor.id,
+            mqttTopic: entity.topic,
+            payloadFormat: this.generatePayloadFormat(payloadAnalysis),
+            samplePayload: entity.readings,
+            cacheKey: `sensor_latest:${entity.hardwareId}`,
+            metricsFields: Object.keys(entity.readings).filter(field => typeof entity.readings[field] === 'number')
+          });
+
+          // Disponible de inmediato para las siguientes lecturas
+          dynamicSensorService.setActiveSensor({ ...sensor, mqtt_topic: entity.topic });
+          console.log(`✅ Auto-created ${analysis.protocol} sensor: ${sensor.name} (${entity.sensorType})`);
+          await this.logAutoCreation('sensor', sensor.id, entity.topic, analysis);
+        } else {
+          const device = await this.createDeviceInternal({
+            device_id: `${analysis.protocol}_${entity.name}`.toLowerCase().replace(/[^a-z0-9_]+/g, '_'),
+            name: entity.name,
+            type: entity.deviceType,
+            description: `Auto-created ${analysis.protocol} device from MQTT topic: ${topic}`,
+            configuration: {
+              mqtt_topic: entity.topic,
+              protocol: analysis.protocol,
+              driver: entity.driver,
+              driverParams: entity.driverParams,
+              auto_created: true,
+              detected_type: entity.deviceType,
+              mapped_type: entity.deviceType
+            }
+          });
+
+          // Lazy require: deviceCommandService -> mqttService -> este servicio
+          const deviceCommandService = require('./deviceCommandService');
+          await deviceCommandService.watchStateTopic(device);
+          if (entity.status) {
+            await deviceCommandService.reconcileDeviceState(device.id, entity.status);
+          }
+
+          console.log(`✅ Auto-created ${analysis.protocol} device: ${device.name} (driver ${entity.driver})`);
+          await this.logAutoCreation('device', device.id, entity.topic, analysis);
+        }
+      } catch (error) {
+        console.error(`❌ Error creating ${analysis.protocol} ${entity.kind} for ${entity.topic}:`, error);
+      }
+    }
+  }
+
   /**
    * Crea mapeo de variables para compatibilidad legacy
    */
@@ -1207,7 +1266,8 @@ class MQTTAutoDiscoveryService {
         sensorData.location,
         sensorData.description
       ]);
-      
+
+      await homeAssistantService.publishSensor(result.rows[0]);
       return result.rows[0];
     } catch (error) {
       // Si falla, intentar sin mqtt_topic (versión anterior para compatibilidad)
@@ -1235,7 +1295,8 @@ class MQTTAutoDiscoveryService {
         );
         result.rows[0].mqtt_topic = sensorData.mqttTopic;
       }
-      
+
+      await homeAssistantService.publishSensor(result.rows[0]);
       return result.rows[0];
     }
   }
@@ -1284,6 +1345,7 @@ class MQTTAutoDiscoveryService {
     ];
     
     const result = await query(insertQuery, params);
+    await homeAssistantService.publishDevice(result.rows[0]);
     return result.rows[0];
   }
 
@@ -5,6 +5,7 @@ const { pubsub, SENSOR_EVENTS } = require('../utils/pubsub');
 const EventEmitter = require('events');
 const dynamicSensorService = require('./dynamicSensorService');
 const mqttAutoDiscoveryService = require('./mqttAutoDiscoveryService');
+const deviceProtocolService = require('./deviceProtocolService');
 
 /**
  * MQTT Service for GraphQL Backend
@@ -30,6 +31,8 @@ class MqttService extends EventEmitter {
       : `mqtt://${this.mqttHost}:${this.mqttPort}`;
     this.clientId = `mqtt_client_graphql_${Math.random().toString(16).slice(3)}`;
     this.topicToSubscribe = 'Invernadero/#';
+    // Filters owned by other services (listening on 'message'); never ingested as sensor data
+    this.extraSubscriptions = [];
   }
 
   /**
@@ -69,6 +72,7 @@ class MqttService extends EventEmitter {
 
       this.client.on('message', (topic, message) => {
         this.handleIncomingMessage(topic, message);
+        this.emit('message', topic, message);
       });
 
       this.client.on('error', (error) => {
@@ -111,21 +115,71 @@ class MqttService extends EventEmitter {
       return;
     }
 
-    this.client.subscribe(this.topicToSubscribe, (err, granted) => {
+    // Tasmota/Shelly/ESPHome devices publish outside Invernadero/
+    const topics = [
+      this.topicToSubscribe,
+      ...deviceProtocolService.getSubscriptions(),
+      ...this.extraSubscriptions
+    ];
+
+    this.client.subscribe(topics, (err, granted) => {
       if (!err) {
-        if (granted && granted.length > 0 && granted[0].topic === this.topicToSubscribe) {
-          console.log(`📡 Successfully subscribed to topic: ${granted[0].topic} with QoS ${granted[0].qos}`);
-        } else if (granted && granted.length > 0) {
-          console.warn(`Subscribed to ${this.topicToSubscribe}, but grant info is unexpected:`, granted);
+        if (granted && granted.length > 0) {
+          granted.forEach(grant => {
+            console.log(`📡 Successfully subscribed to topic: ${grant.topic} with QoS ${grant.qos}`);
+          });
         } else {
-          console.warn(`Subscribed to ${this.topicToSubscribe}, but no grant information returned`);
+          console.warn(`Subscribed to ${topics.join(', ')}, but no grant information returned`);
         }
       } else {
-        console.error(`❌ Subscription error for topic ${this.topicToSubscribe}:`, err);
+        console.error(`❌ Subscription error for topics ${topics.join(', ')}:`, err);
       }
     });
   }
 
+  /**
+   * Subscribe to topic filters handled by another service. Messages on these
+   * filters are only emitted as 'message' events and skip sensor ingestion and
+   * auto-discovery. Filters are resubscribed after every reconnect.
+   * @param {string[]} filters - MQTT topic filters
+   */
+  addSubscriptions(filters) {
+    const newFilters = filters.filter(filter => !this.extraSubscriptions.includes(filter));
+    this.extraSubscriptions.push(...newFilters);
+
+    if (this.client && this.isConnected && newFilters.length > 0) {
+      this.client.subscribe(newFilters, (err) => {
+        if (err) {
+          console.error(`❌ Subscription error for topics ${newFilters.join(', ')}:`, err);
+        } else {
+          console.log(`📡 Successfully subscribed to topics: ${newFilters.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Check whether a topic matches an MQTT filter (supports + and #)
+   * @param {string} filter - MQTT topic filter
+   * @param {string} topic - Concrete topic
+   * @returns {boolean}
+   */
+  topicMatchesFilter(filter, topic) {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+      if (filterLevels[i] === '#') {
+        return true;
+      }
+      if (i >= topicLevels.length || (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])) {
+        return false;
+      }
+    }
+
+    return filterLevels.length === topicLevels.length;
+  }
+
   /**
    * Handle incoming MQTT messages (adapted from REST backend)
    * @param {string} topic - MQTT topic
@@ -136,11 +190,22 @@ class MqttService extends EventEmitter {
     const rawPayload = message.toString();
     const receivedAt = new Date(); // Use standard Date for GraphQL
 
+    if (this.extraSubscriptions.some(filter => this.topicMatchesFilter(filter, topic))) {
+      return;
+    }
+
     console.log('🚀 MQTT MESSAGE PROCESSING STARTED');
     console.log(`   🕰️ Timestamp: ${receivedAt.toISOString()}`);
     console.log(`   📡 Topic: ${topic}`);
     console.log(`   📄 Payload: ${rawPayload.substring(0, 200)}${rawPayload.length > 200 ? '...' : ''}`);
 
+    // Off-the-shelf firmware follows its own topic conventions
+    const protocolMessage = deviceProtocolService.identify(topic, rawPayload);
+    if (protocolMessage) {
+      await this.processProtocolMessage(topic, rawPayload, protocolMessage);
+      return;
+    }
+
     // Try to process with dynamic sensor service first
     try {
       const parsedPayload = JSON.parse(rawPayload);
@@ -197,6 +262,34 @@ class MqttService extends EventEmitter {
     }
   }
 
+  /**
+   * Process a Tasmota/Shelly/ESPHome message. Sensor readings are stored
+   * through dynamicSensorService; device state echoes are handled by
+   * deviceCommandService. Entities not registered yet go to auto-discovery.
+   * @param {string} topic - MQTT topic
+   * @param {string} rawPayload - Raw message payload
+   * @param {Object} protocolMessage - { protocol, entities } from deviceProtocolService
+   */
+  async processProtocolMessage(topic, rawPayload, { protocol, entities }) {
+    try {
+      let hasUnknownEntities = false;
+
+      for (const entity of entities) {
+        const known = entity.kind === 'sensor'
+          ? await dynamicSensorService.processProtocolSensor(entity)
+          : await mqttAutoDiscoveryService.isKnownProtocolEntity(entity);
+        hasUnknownEntities = hasUnknownEntities || !known;
+      }
+
+      if (hasUnknownEntities) {
+        console.log(`🔍 New ${protocol} entities on ${topic}, attempting auto-discovery...`);
+        await mqttAutoDiscoveryService.processProtocolMessage(topic, deviceProtocolService.parsePayload(rawPayload));
+      }
+    } catch (error) {
+      console.error(`❌ Error processing ${protocol} message on ${topic}:`, error);
+    }
+  }
+
   /**
    * Process legacy MQTT messages (original implementation)
    * @param {string} topic - MQTT topic
@@ -625,16 +718,20 @@ class MqttService extends EventEmitter {
 
   /**
    * Publish MQTT message
+   * @param {string} topic - MQTT topic
+   * @param {*} data - Payload; strings are sent as-is, anything else as JSON
+   * @param {Object} [options] - mqtt.js publish options (qos, retain)
    */
-  async publish(topic, data) {
+  async publish(topic, data, options = {}) {
     if (!this.isConnected) {
       throw new Error('MQTT client not connected');
     }
 
-    const message = JSON.stringify(data);
+    // Strings go out as-is (Tasmota/ESPHome expect a bare ON, not "ON")
+    const message = typeof data === 'string' ? data : JSON.stringify(data);
 
     return new Promise((resolve, reject) => {
-      this.client.publish(topic, message, (err) => {
+      this.client.publish(topic, message, options, (err) => {
         if (err) {
           reject(err);
         } else {
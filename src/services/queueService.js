@@ -1,5 +1,7 @@
 const { redis, cache } = require('../config/redis');
 const { pubsub, QUEUE_EVENTS } = require('../utils/pubsub');
+const executionBudgetService = require('./executionBudgetService');
+const deviceMaintenanceService = require('./deviceMaintenanceService');
 
 /**
  * Queue Service
@@ -16,6 +18,16 @@ class QueueService {
     this.isProcessing = false;
     this.processingInterval = 5000; // 5 seconds
     this.intervalId = null;
+
+    // Multi-step action sequences (state in Redis so they survive restarts)
+    this.sequenceDueKey = 'action_sequences:due';
+    this.sequenceKeyPrefix = 'action_sequence:';
+    this.sequenceInterval = 1000; // 1 second, delays are expressed in seconds
+    this.sequenceIntervalId = null;
+    this.sequenceRetention = 7 * 24 * 60 * 60; // Keep step status for 7 days
+    this.maxSequenceSeconds = 24 * 60 * 60;
+    this.sequenceStepTypes = ['DEVICE_CONTROL', 'DELAY'];
+    this.sequenceDeviceActions = ['TURN_ON', 'TURN_OFF', 'SET_VALUE'];
   }
 
   /**
@@ -492,6 +504,360 @@ class QueueService {
     }
   }
 
+  /**
+   * Start polling for due sequence steps. Sequences interrupted by a restart
+   * resume from their last completed step.
+   */
+  async startSequenceProcessing() {
+    if (this.sequenceIntervalId) {
+      console.log('⚡ Sequence processor is already running');
+      return;
+    }
+
+    this.sequenceIntervalId = setInterval(async() => {
+      try {
+        await this.processDueSequences();
+      } catch (error) {
+        console.error('❌ Error in sequence processor:', error);
+      }
+    }, this.sequenceInterval);
+
+    const pending = await redis.zcard(this.sequenceDueKey);
+    console.log(`✅ Action sequence processor started (${pending} sequences pending)`);
+  }
+
+  /**
+   * Stop polling for due sequence steps
+   */
+  stopSequenceProcessing() {
+    if (this.sequenceIntervalId) {
+      clearInterval(this.sequenceIntervalId);
+      this.sequenceIntervalId = null;
+      console.log('✅ Action sequence processor stopped');
+    }
+  }
+
+  /**
+   * Validate a SEQUENCE action
+   * @param {Object} action - Sequence action ({ steps, abortOnFailure })
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  getSequenceErrors(action) {
+    const errors = [];
+    const steps = action.steps;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return ['Sequence actions need at least one step'];
+    }
+
+    let totalSeconds = 0;
+
+    steps.forEach((step, index) => {
+      const label = `Step ${index + 1}`;
+      const type = String(step.type || '').toUpperCase();
+
+      if (!this.sequenceStepTypes.includes(type)) {
+        errors.push(`${label}: type must be one of ${this.sequenceStepTypes.join(', ')}`);
+        return;
+      }
+
+      if (type === 'DELAY') {
+        if (!(step.delaySeconds > 0)) {
+          errors.push(`${label}: delaySeconds must be greater than 0`);
+        }
+        totalSeconds += step.delaySeconds || 0;
+        return;
+      }
+
+      if (!(step.deviceId || step.device_id)) {
+        errors.push(`${label}: deviceId is required`);
+      }
+      if (!this.sequenceDeviceActions.includes(step.action)) {
+        errors.push(`${label}: action must be one of ${this.sequenceDeviceActions.join(', ')}`);
+      }
+      if (step.action === 'SET_VALUE' && typeof step.value !== 'number') {
+        errors.push(`${label}: SET_VALUE requires a numeric value`);
+      }
+      if (step.durationSeconds !== undefined && step.durationSeconds !== null) {
+        if (!(step.durationSeconds > 0)) {
+          errors.push(`${label}: durationSeconds must be greater than 0`);
+        } else if (step.action === 'SET_VALUE') {
+          errors.push(`${label}: durationSeconds (run and revert) only applies to TURN_ON and TURN_OFF`);
+        }
+        totalSeconds += step.durationSeconds || 0;
+      }
+    });
+
+    if (totalSeconds > this.maxSequenceSeconds) {
+      errors.push(`Sequence lasts ${totalSeconds}s, the maximum is ${this.maxSequenceSeconds}s`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Start a multi-step action sequence. The first steps run right away; the
+   * rest are scheduled in Redis and picked up by the sequence processor.
+   * @param {Object} action - Sequence action ({ steps, abortOnFailure })
+   * @param {Object} rule - Rule that started the sequence
+   * @returns {Promise<string>} Sequence ID
+   */
+  async startSequence(action, rule = null) {
+    const errors = this.getSequenceErrors(action);
+    if (errors.length > 0) {
+      throw new Error(`Invalid sequence: ${errors.join('; ')}`);
+    }
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const sequence = {
+      id,
+      ruleId: rule?.id || null,
+      ruleName: rule?.name || null,
+      status: 'RUNNING',
+      abortOnFailure: action.abortOnFailure !== false,
+      currentStep: 0,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      error: null,
+      steps: action.steps.map((step, index) => ({
+        stepIndex: index,
+        type: String(step.type).toUpperCase(),
+        deviceId: step.deviceId || step.device_id || null,
+        action: step.action || null,
+        value: step.value ?? null,
+        delaySeconds: step.delaySeconds || null,
+        durationSeconds: step.durationSeconds || null,
+        status: 'PENDING',
+        startedAt: null,
+        completedAt: null,
+        resumeAt: null,
+        commandSent: false,
+        error: null
+      }))
+    };
+
+    await this.saveSequence(sequence);
+    await redis.zadd(this.sequenceDueKey, Date.now(), id);
+
+    console.log(`📋 Sequence ${id} started with ${sequence.steps.length} steps${rule ? ` (rule "${rule.name}")` : ''}`);
+
+    await this.processSequence(id);
+    return id;
+  }
+
+  /**
+   * Get the state of a sequence
+   * @param {string} id - Sequence ID
+   * @returns {Promise<Object|null>} Sequence state
+   */
+  async getSequence(id) {
+    return cache.get(`${this.sequenceKeyPrefix}${id}`);
+  }
+
+  /**
+   * Persist sequence state
+   * @param {Object} sequence - Sequence state
+   */
+  async saveSequence(sequence) {
+    await cache.set(`${this.sequenceKeyPrefix}${sequence.id}`, sequence, this.sequenceRetention);
+  }
+
+  /**
+   * Advance every sequence whose next step is due
+   */
+  async processDueSequences() {
+    const ids = await redis.zrangebyscore(this.sequenceDueKey, 0, Date.now(), 'LIMIT', 0, 20);
+
+    for (const id of ids) {
+      await this.processSequence(id);
+    }
+  }
+
+  /**
+   * Claim a due sequence and run its steps until it has to wait or finishes
+   * @param {string} id - Sequence ID
+   */
+  async processSequence(id) {
+    // ZREM succeeds for exactly one processor; the lease re-schedules the
+    // sequence in case this process dies while a step is running
+    const claimed = await redis.zrem(this.sequenceDueKey, id);
+    if (!claimed) {
+      return;
+    }
+    await redis.zadd(this.sequenceDueKey, Date.now() + this.processingTimeout, id);
+
+    const sequence = await this.getSequence(id);
+    if (!sequence || sequence.status !== 'RUNNING') {
+      await redis.zrem(this.sequenceDueKey, id);
+      return;
+    }
+
+    try {
+      const resumeAt = await this.advanceSequence(sequence);
+
+      if (resumeAt) {
+        await redis.zadd(this.sequenceDueKey, resumeAt, id);
+        return;
+      }
+
+      await redis.zrem(this.sequenceDueKey, id);
+      await this.finishSequence(sequence);
+    } catch (error) {
+      console.error(`❌ Error processing sequence ${id}:`, error);
+    }
+  }
+
+  /**
+   * Run sequence steps in order
+   * @param {Object} sequence - Sequence state (updated in place and saved after each step)
+   * @returns {Promise<number|null>} Time (ms) to resume at, or null when the sequence has ended
+   */
+  async advanceSequence(sequence) {
+    while (sequence.currentStep < sequence.steps.length) {
+      const step = sequence.steps[sequence.currentStep];
+      const now = Date.now();
+
+      if (step.status === 'PENDING') {
+        step.status = 'RUNNING';
+        step.startedAt = new Date(now).toISOString();
+      }
+
+      if (step.type === 'DELAY') {
+        step.resumeAt = step.resumeAt || now + step.delaySeconds * 1000;
+        if (now < step.resumeAt) {
+          await this.saveSequence(sequence);
+          return step.resumeAt;
+        }
+      } else {
+        if (!step.commandSent) {
+          const error = await this.executeSequenceStep(step, false);
+          if (error) {
+            if (this.failSequenceStep(sequence, step, error)) {
+              return null;
+            }
+            continue;
+          }
+          step.commandSent = true;
+          step.resumeAt = step.durationSeconds ? now + step.durationSeconds * 1000 : null;
+          await this.saveSequence(sequence);
+        }
+
+        // Run-for-duration steps revert the command once the time is up
+        if (step.durationSeconds) {
+          if (now < step.resumeAt) {
+            return step.resumeAt;
+          }
+
+          const error = await this.executeSequenceStep(step, true);
+          if (error) {
+            if (this.failSequenceStep(sequence, step, error)) {
+              return null;
+            }
+            continue;
+          }
+        }
+      }
+
+      step.status = 'COMPLETED';
+      step.completedAt = new Date().toISOString();
+      sequence.currentStep++;
+      await this.saveSequence(sequence);
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark a step as failed and decide whether the sequence stops
+   * @param {Object} sequence - Sequence state
+   * @param {Object} step - Failed step
+   * @param {string} error - Error message
+   * @returns {boolean} Whether the sequence was aborted
+   */
+  failSequenceStep(sequence, step, error) {
+    step.status = 'FAILED';
+    step.completedAt = new Date().toISOString();
+    step.error = error;
+    sequence.currentStep++;
+
+    console.error(`❌ Sequence ${sequence.id} step ${step.stepIndex + 1} failed: ${error}`);
+
+    if (!sequence.abortOnFailure) {
+      return false;
+    }
+
+    sequence.status = 'ABORTED';
+    sequence.error = `Step ${step.stepIndex + 1} failed: ${error}`;
+    sequence.steps.slice(sequence.currentStep).forEach(remaining => {
+      remaining.status = 'SKIPPED';
+    });
+    sequence.currentStep = sequence.steps.length;
+
+    return true;
+  }
+
+  /**
+   * Send the device command of a sequence step
+   * @param {Object} step - Sequence step
+   * @param {boolean} revert - Send the reverting command of a run-for-duration step
+   * @returns {Promise<string|null>} Error message, or null on success
+   */
+  async executeSequenceStep(step, revert) {
+    if (await deviceMaintenanceService.isInMaintenance(step.deviceId)) {
+      return `Device ${step.deviceId} is in maintenance`;
+    }
+
+    if (step.action === 'SET_VALUE') {
+      try {
+        const deviceService = require('./deviceService');
+        await deviceService.setDeviceValue(step.deviceId, step.value);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    }
+
+    let status = step.action === 'TURN_ON' ? 'on' : 'off';
+    if (revert) {
+      status = status === 'on' ? 'off' : 'on';
+    }
+
+    if (!(await executionBudgetService.checkDeviceBudget(step.deviceId, status))) {
+      return `Daily budget of device ${step.deviceId} exhausted`;
+    }
+
+    const success = await this.executeDeviceStatusAction(step.deviceId, status);
+    if (success) {
+      await executionBudgetService.recordDeviceActivation(step.deviceId, status);
+    }
+    return success ? null : `Could not set device ${step.deviceId} ${status}`;
+  }
+
+  /**
+   * Record the outcome of a finished sequence
+   * @param {Object} sequence - Sequence state
+   */
+  async finishSequence(sequence) {
+    if (sequence.status === 'RUNNING') {
+      sequence.status = sequence.steps.some(step => step.status === 'FAILED') ? 'FAILED' : 'COMPLETED';
+    }
+    sequence.completedAt = new Date().toISOString();
+    await this.saveSequence(sequence);
+
+    const succeeded = sequence.status === 'COMPLETED';
+    console.log(`${succeeded ? '✅' : '❌'} Sequence ${sequence.id} ${sequence.status.toLowerCase()}`);
+
+    if (succeeded) {
+      await pubsub.publish(QUEUE_EVENTS.ACTION_COMPLETED, {
+        actionCompleted: { id: sequence.id, type: 'sequence', ...sequence }
+      });
+    } else {
+      await pubsub.publish(QUEUE_EVENTS.ACTION_FAILED, {
+        actionFailed: { id: sequence.id, type: 'sequence', ...sequence }
+      });
+    }
+  }
+
   /**
    * Convert Redis fields array to object
    * @param {Array} fields - Redis fields array
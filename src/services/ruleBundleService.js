@@ -0,0 +1,521 @@
+const yaml = require('js-yaml');
+const { query, withTransaction } = require('../config/database');
+const rulesEngineService = require('./rulesEngineService');
+const ruleRevisionService = require('./ruleRevisionService');
+const ruleConflictService = require('./ruleConflictService');
+const { validateExpression, renameExpressionSensors } = require('../utils/expression');
+
+const BUNDLE_FORMAT = 'greenhouse-rules';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Rule Bundle Service
+ * Exports rules as portable bundles in which device IDs are replaced by
+ * symbolic references (device name/type/hardware ID) and imports them into
+ * another installation by resolving those references through a mapping.
+ *
+ * Bundle layout (JSON or YAML):
+ *   format, version, exportedAt
+ *   devices: { <ref>: { name, type, hardwareId } }
+ *   sensors: { <hardwareId>: { name, type } }
+ *   rules:   [{ name, description, enabled, priority, cooldownMinutes, maxExecutionsPerDay, conditions, actions }]
+ *
+ * RULE conditions reference the watched rule by name, resolved on import to a
+ * rule of the same bundle or an existing rule.
+ */
+class RuleBundleService {
+  constructor() {
+    // Sensors with their own tables that aren't registered in the sensors table
+    this.legacySensors = ['temhum1', 'temhum2', 'calidad_agua', 'luxometro'];
+  }
+
+  /**
+   * Export rules as a bundle
+   * @param {Array<string|number>|null} ids - Rule IDs (all rules when empty)
+   * @returns {Promise<Object>} Bundle
+   */
+  async exportRules(ids = null) {
+    const result = ids && ids.length > 0
+      ? await query('SELECT * FROM rules WHERE id = ANY($1::int[]) ORDER BY priority ASC, id ASC', [ids.map(id => parseInt(id, 10))])
+      : await query('SELECT * FROM rules ORDER BY priority ASC, id ASC');
+
+    if (ids && ids.length > 0 && result.rows.length !== ids.length) {
+      const found = new Set(result.rows.map(rule => String(rule.id)));
+      const missing = ids.filter(id => !found.has(String(id)));
+      throw new Error(`Rules not found: ${missing.join(', ')}`);
+    }
+
+    const rules = result.rows.map(rule => ({
+      ...rule,
+      conditions: ruleRevisionService.fromJSON(rule.conditions),
+      actions: ruleRevisionService.fromJSON(rule.actions) || []
+    }));
+
+    // Collect every device and sensor the rules reference
+    const deviceIds = new Set();
+    const sensorIds = new Set();
+    const watchedRuleIds = new Set();
+    for (const rule of rules) {
+      this.mapReferences(rule, {
+        device: (id) => {
+          deviceIds.add(String(id));
+          return id;
+        },
+        sensor: (id) => {
+          sensorIds.add(String(id));
+          return id;
+        },
+        rule: (id) => {
+          watchedRuleIds.add(String(id));
+          return id;
+        }
+      });
+    }
+
+    const devices = await this.loadDevices(Array.from(deviceIds));
+    const sensors = await this.loadSensors(Array.from(sensorIds));
+    const ruleNames = await this.loadRuleNames(Array.from(watchedRuleIds));
+
+    // Device names are the symbolic references; duplicates get the old ID appended
+    const refsById = new Map();
+    const deviceRefs = {};
+    for (const id of deviceIds) {
+      const device = devices.get(id);
+      let ref = device ? device.name : `device-${id}`;
+      if (deviceRefs[ref]) {
+        ref = `${ref} #${id}`;
+      }
+      refsById.set(id, ref);
+      deviceRefs[ref] = device
+        ? { name: device.name, type: device.type, hardwareId: device.device_id || null }
+        : { name: null, type: null, hardwareId: null, missing: true };
+    }
+
+    const sensorRefs = {};
+    for (const id of sensorIds) {
+      const sensor = sensors.get(id.toLowerCase());
+      sensorRefs[id] = sensor ? { name: sensor.name, type: sensor.sensor_type } : { name: null, type: null };
+    }
+
+    console.log(`📦 Exported ${rules.length} rules (${deviceIds.size} devices, ${sensorIds.size} sensors referenced)`);
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      devices: deviceRefs,
+      sensors: sensorRefs,
+      rules: rules.map(rule => {
+        const portable = this.mapReferences(rule, {
+          device: id => refsById.get(String(id)),
+          sensor: id => id,
+          rule: id => ruleNames.get(String(id)) || `rule-${id}`
+        });
+        return {
+          name: rule.name,
+          description: rule.description,
+          enabled: rule.enabled,
+          priority: rule.priority,
+          cooldownMinutes: rule.cooldown_minutes,
+          maxExecutionsPerDay: rule.max_executions_per_day ?? null,
+          conditions: portable.conditions,
+          actions: portable.actions
+        };
+      })
+    };
+  }
+
+  /**
+   * Serialize a bundle
+   * @param {Object} bundle - Bundle
+   * @param {string} format - JSON or YAML
+   * @returns {string} Serialized bundle
+   */
+  serializeBundle(bundle, format = 'JSON') {
+    return String(format).toUpperCase() === 'YAML'
+      ? yaml.dump(bundle, { noRefs: true, lineWidth: 120 })
+      : JSON.stringify(bundle, null, 2);
+  }
+
+  /**
+   * Parse a serialized bundle (JSON or YAML) and check its format
+   * @param {string|Object} content - Bundle text or object
+   * @returns {Object} Bundle
+   */
+  parseBundle(content) {
+    let bundle = content;
+
+    if (typeof content === 'string') {
+      try {
+        bundle = JSON.parse(content);
+      } catch {
+        try {
+          bundle = yaml.load(content, { schema: yaml.JSON_SCHEMA });
+        } catch (yamlError) {
+          throw new Error(`Bundle is neither valid JSON nor YAML: ${yamlError.message}`);
+        }
+      }
+    }
+
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+      throw new Error(`Not a rule bundle (expected format "${BUNDLE_FORMAT}")`);
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new Error(`Bundle version ${bundle.version} is newer than supported version ${BUNDLE_VERSION}`);
+    }
+    if (!Array.isArray(bundle.rules)) {
+      throw new Error('Bundle has no rules list');
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Resolve, validate and (unless it's a dry run or something failed) create
+   * the rules of a bundle. Nothing is written when any rule fails, a reference
+   * can't be resolved, or conflicts are found without allowConflicts.
+   * @param {string|Object} content - Bundle text or object
+   * @param {Object} mapping - { devices: { ref: id|name|hardwareId }, sensors: { hardwareId: hardwareId } }
+   * @param {Object} options - { user, dryRun, allowConflicts }
+   * @returns {Promise<Object>} Import report
+   */
+  async importRules(content, mapping = {}, options = {}) {
+    const { user = null, dryRun = false, allowConflicts = false } = options;
+    const bundle = this.parseBundle(content);
+    const deviceMapping = mapping.devices || {};
+    const sensorMapping = mapping.sensors || {};
+
+    const { resolved: deviceIds, unresolved } = await this.resolveDevices(bundle.devices || {}, deviceMapping);
+    const renameSensor = sensor => (sensorMapping[sensor] !== undefined ? String(sensorMapping[sensor]) : sensor);
+    const knownSensors = await this.loadSensors(Object.keys(bundle.sensors || {}).map(renameSensor));
+
+    const existing = await query('SELECT id, name, priority, enabled, conditions, actions FROM rules');
+    const existingIds = new Map(existing.rows.map(rule => [rule.name.toLowerCase(), rule.id]));
+
+    // Rules of the bundle get placeholder IDs until they are inserted
+    const pendingIds = new Map();
+    bundle.rules.forEach((entry, index) => {
+      const key = String(entry.name || '').trim().toLowerCase();
+      if (key && !pendingIds.has(key)) {
+        pendingIds.set(key, `bundle:${index + 1}`);
+      }
+    });
+    const bundleNames = new Set();
+
+    const items = [];
+    for (const [index, entry] of bundle.rules.entries()) {
+      const errors = [];
+      const warnings = [];
+      const missingRefs = new Set();
+      const missingRules = new Set();
+
+      const rule = this.mapReferences(entry, {
+        device: (ref) => {
+          if (deviceIds.has(String(ref))) {
+            return deviceIds.get(String(ref));
+          }
+          missingRefs.add(String(ref));
+          return ref;
+        },
+        sensor: (sensor) => {
+          const target = renameSensor(sensor);
+          if (!knownSensors.has(target.toLowerCase()) && !this.legacySensors.includes(target.toLowerCase())) {
+            warnings.push(`Sensor "${target}" is not registered on this installation`);
+          }
+          return target;
+        },
+        rule: (ref) => {
+          const key = String(ref).toLowerCase();
+          if (pendingIds.has(key) || existingIds.has(key)) {
+            return pendingIds.get(key) || existingIds.get(key);
+          }
+          missingRules.add(String(ref));
+          return ref;
+        }
+      });
+
+      missingRefs.forEach(ref => errors.push(`Device reference "${ref}" could not be resolved`));
+      missingRules.forEach(ref => errors.push(`Rule reference "${ref}" matches no rule in the bundle or on this installation`));
+
+      const name = String(entry.name || '').trim();
+      if (!name) {
+        errors.push('Rule name is required');
+      } else if (existingIds.has(name.toLowerCase())) {
+        errors.push(`A rule named "${name}" already exists`);
+      } else if (bundleNames.has(name.toLowerCase())) {
+        errors.push(`Rule "${name}" appears more than once in the bundle`);
+      }
+      bundleNames.add(name.toLowerCase());
+
+      items.push({
+        index,
+        name,
+        resolved: missingRefs.size === 0 && missingRules.size === 0,
+        rule: {
+          ...rule,
+          id: `bundle:${index + 1}`,
+          name,
+          description: entry.description || null,
+          enabled: entry.enabled !== false,
+          priority: entry.priority ?? 5,
+          cooldownMinutes: entry.cooldownMinutes ?? 15,
+          maxExecutionsPerDay: entry.maxExecutionsPerDay ?? null
+        },
+        errors,
+        warnings,
+        conflicts: []
+      });
+    }
+
+    // Validate once every reference is resolved, so dependency cycles through
+    // other rules of the bundle are detected too
+    const pendingRules = items.map(item => item.rule);
+    for (const item of items) {
+      if (item.resolved) {
+        const validation = await this.validateRule(item.rule, user, pendingRules);
+        item.errors.push(...validation.errors);
+        item.warnings.push(...validation.warnings);
+      }
+      item.warnings = Array.from(new Set(item.warnings));
+    }
+
+    // Conflicts with enabled rules already installed and between bundle rules
+    const installed = existing.rows.filter(rule => rule.enabled);
+    for (const item of items) {
+      if (item.errors.length > 0 || !item.rule.enabled) {
+        continue;
+      }
+      const others = [...installed, ...items.filter(other => other !== item && other.errors.length === 0 && other.rule.enabled).map(other => other.rule)];
+      item.conflicts = ruleConflictService.analyzeConflicts(item.rule, others).map(conflict => ruleConflictService.describeConflict(conflict));
+      item.warnings = item.warnings.filter(warning => !item.conflicts.includes(warning));
+    }
+
+    const hasErrors = unresolved.length > 0 || items.some(item => item.errors.length > 0);
+    const hasConflicts = items.some(item => item.conflicts.length > 0);
+    const commit = !dryRun && !hasErrors && (!hasConflicts || allowConflicts);
+
+    if (commit) {
+      await withTransaction(async(client) => {
+        const createdIds = new Map();
+
+        for (const item of items) {
+          const result = await client.query(
+            `INSERT INTO rules (name, description, enabled, priority, cooldown_minutes, max_executions_per_day, conditions, actions, created_by, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+             RETURNING *`,
+            [
+              item.name,
+              item.rule.description,
+              item.rule.enabled,
+              item.rule.priority,
+              item.rule.cooldownMinutes,
+              item.rule.maxExecutionsPerDay,
+              JSON.stringify(item.rule.conditions),
+              JSON.stringify(item.rule.actions || []),
+              user?.id || null
+            ]
+          );
+          item.created = result.rows[0];
+          createdIds.set(item.rule.id, result.rows[0].id);
+        }
+
+        // Point RULE conditions at the real IDs, then record the first revisions
+        for (const item of items) {
+          const { conditions } = this.mapReferences(item.rule, {
+            device: id => id,
+            sensor: id => id,
+            rule: id => createdIds.get(String(id)) || id
+          });
+
+          if (JSON.stringify(conditions) !== JSON.stringify(item.rule.conditions)) {
+            const updated = await client.query(
+              'UPDATE rules SET conditions = $1 WHERE id = $2 RETURNING *',
+              [JSON.stringify(conditions), item.created.id]
+            );
+            item.created = updated.rows[0];
+          }
+
+          await ruleRevisionService.recordRevision(item.created, user, 'create', client);
+        }
+      });
+      await rulesEngineService.invalidateRuleIndex();
+    }
+
+    console.log(`📦 Rule import ${commit ? 'committed' : (dryRun ? 'checked (dry run)' : 'rejected')}: ${items.length} rules, ${unresolved.length} unresolved devices, ${items.filter(item => item.conflicts.length > 0).length} with conflicts`);
+
+    return {
+      committed: commit,
+      dryRun,
+      unresolvedReferences: unresolved,
+      rules: items.map(item => ({
+        name: item.name,
+        rule: item.created || null,
+        valid: item.errors.length === 0,
+        errors: item.errors,
+        warnings: item.warnings,
+        conflicts: item.conflicts
+      }))
+    };
+  }
+
+  /**
+   * Validate a resolved rule exactly like the editor does, through the
+   * validateRuleConditions query
+   * @param {Object} rule - { id, conditions, actions, priority } (id is the bundle placeholder)
+   * @param {Object} user - User performing the import
+   * @param {Array} pendingRules - All rules of the bundle, for RULE condition checks
+   * @returns {Promise<Object>} { errors, warnings }
+   */
+  async validateRule(rule, user, pendingRules = []) {
+    // Required lazily so the GraphQL layer is only loaded when an import runs
+    const ruleQueries = require('../schema/resolvers/Query/rules');
+    const result = await ruleQueries.validateRuleConditions(null, {
+      conditions: rule.conditions,
+      actions: rule.actions,
+      ruleId: rule.id,
+      priority: rule.priority
+    }, { user, pendingRules });
+
+    return { errors: result.errorMessages, warnings: result.warnings };
+  }
+
+  /**
+   * Resolve bundle device references to local device IDs. An explicit mapping
+   * entry (ID, name or hardware ID) wins; otherwise the device is matched by
+   * hardware ID, then by name and type.
+   * @param {Object} devices - Bundle devices by reference
+   * @param {Object} mapping - Device mapping by reference
+   * @returns {Promise<Object>} { resolved: Map(ref -> id), unresolved: [ref] }
+   */
+  async resolveDevices(devices, mapping) {
+    const result = await query('SELECT id, name, type, device_id FROM devices');
+    const byId = new Map(result.rows.map(device => [String(device.id), device]));
+    const byHardwareId = new Map(result.rows.filter(device => device.device_id).map(device => [String(device.device_id).toLowerCase(), device]));
+    const byName = new Map();
+    result.rows.forEach(device => {
+      const key = device.name.toLowerCase();
+      byName.set(key, [...(byName.get(key) || []), device]);
+    });
+
+    const resolved = new Map();
+    const unresolved = [];
+
+    for (const [ref, info] of Object.entries(devices)) {
+      let device = null;
+      const target = mapping[ref];
+
+      if (target !== undefined && target !== null) {
+        const key = String(target);
+        device = byId.get(key) || byHardwareId.get(key.toLowerCase()) || (byName.get(key.toLowerCase()) || [])[0] || null;
+      } else {
+        const byHardware = info?.hardwareId ? byHardwareId.get(String(info.hardwareId).toLowerCase()) : null;
+        const candidates = (byName.get(String(info?.name || ref).toLowerCase()) || [])
+          .filter(candidate => !info?.type || String(candidate.type).toLowerCase() === String(info.type).toLowerCase());
+        device = byHardware || (candidates.length === 1 ? candidates[0] : null);
+      }
+
+      if (device) {
+        resolved.set(ref, device.id);
+      } else {
+        unresolved.push(ref);
+      }
+    }
+
+    return { resolved, unresolved };
+  }
+
+  /**
+   * Copy a rule with its device and sensor references rewritten
+   * @param {Object} rule - Rule ({ conditions, actions })
+   * @param {Object} mappers - { device(id), sensor(hardwareId), rule(id) } returning the replacement
+   * @returns {Object} { conditions, actions }
+   */
+  mapReferences(rule, mappers) {
+    const conditions = JSON.parse(JSON.stringify(ruleRevisionService.fromJSON(rule.conditions) || { operator: 'AND', rules: [] }));
+    const actions = JSON.parse(JSON.stringify(ruleRevisionService.fromJSON(rule.actions) || []));
+
+    for (const condition of rulesEngineService.getConditionList(conditions)) {
+      for (const field of ['deviceId', 'device_id']) {
+        if (condition[field] !== undefined && condition[field] !== null) {
+          condition[field] = mappers.device(condition[field]);
+        }
+      }
+      for (const field of ['sensorId', 'sensor']) {
+        if (condition[field]) {
+          condition[field] = mappers.sensor(condition[field]);
+        }
+      }
+      if (condition.type === 'RULE' && mappers.rule && condition.ruleId !== undefined && condition.ruleId !== null) {
+        condition.ruleId = mappers.rule(condition.ruleId);
+      }
+      if (condition.type === 'EXPRESSION' && !validateExpression(condition.expression)) {
+        condition.expression = renameExpressionSensors(condition.expression, sensor =>
+          (sensor.toLowerCase() === 'weather' ? sensor : mappers.sensor(sensor)));
+      }
+    }
+
+    for (const action of actions) {
+      for (const field of ['device_id', 'deviceId']) {
+        if (action[field] !== undefined && action[field] !== null) {
+          action[field] = mappers.device(action[field]);
+        }
+      }
+      (action.steps || []).forEach(step => {
+        if (step.deviceId !== undefined && step.deviceId !== null) {
+          step.deviceId = mappers.device(step.deviceId);
+        }
+      });
+    }
+
+    return { conditions, actions };
+  }
+
+  /**
+   * Load devices by ID
+   * @param {Array<string>} ids - Device IDs
+   * @returns {Promise<Map>} Devices by ID
+   */
+  async loadDevices(ids) {
+    const numericIds = ids.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    if (numericIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await query('SELECT id, name, type, device_id FROM devices WHERE id = ANY($1::int[])', [numericIds]);
+    return new Map(result.rows.map(device => [String(device.id), device]));
+  }
+
+  /**
+   * Load rule names by ID
+   * @param {Array<string>} ids - Rule IDs
+   * @returns {Promise<Map>} Names by ID
+   */
+  async loadRuleNames(ids) {
+    const numericIds = ids.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    if (numericIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await query('SELECT id, name FROM rules WHERE id = ANY($1::int[])', [numericIds]);
+    return new Map(result.rows.map(rule => [String(rule.id), rule.name]));
+  }
+
+  /**
+   * Load registered sensors by hardware ID
+   * @param {Array<string>} hardwareIds - Sensor hardware IDs
+   * @returns {Promise<Map>} Sensors by lowercased hardware ID
+   */
+  async loadSensors(hardwareIds) {
+    if (hardwareIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await query(
+      'SELECT hardware_id, name, sensor_type FROM sensors WHERE LOWER(hardware_id) = ANY($1::text[])',
+      [hardwareIds.map(id => String(id).toLowerCase())]
+    );
+    return new Map(result.rows.map(sensor => [sensor.hardware_id.toLowerCase(), sensor]));
+  }
+}
+
+module.exports = new RuleBundleService();
@@ -0,0 +1,403 @@
+const moment = require('moment-timezone');
+const { query } = require('../config/database');
+const rulesEngineService = require('./rulesEngineService');
+const { parseCron, validateCron, isValidTimezone } = require('../utils/cron');
+
+const MINUTES_PER_DAY = 1440;
+const MINUTES_PER_WEEK = MINUTES_PER_DAY * 7;
+
+/**
+ * Rule Conflict Service
+ * Static analysis of rules that command the same device in opposite directions
+ * while their conditions can hold at the same time. Analysis is conservative:
+ * anything it cannot reason about (solar events, OR-combined conditions,
+ * different sensors) is assumed to overlap.
+ */
+class RuleConflictService {
+  /**
+   * Find enabled rules that conflict with a rule
+   * @param {Object} rule - Rule row or unsaved rule ({ id, name, priority, conditions, actions })
+   * @returns {Promise<Array>} Conflicts
+   */
+  async findConflicts(rule) {
+    const result = await query('SELECT * FROM rules WHERE enabled = true ORDER BY priority ASC');
+    const others = result.rows.filter(other => rule.id === undefined || rule.id === null || String(other.id) !== String(rule.id));
+
+    return this.analyzeConflicts(rule, others);
+  }
+
+  /**
+   * Compare a rule against a set of other rules
+   * @param {Object} rule - Rule to check
+   * @param {Array} others - Rules to compare against
+   * @returns {Array<Object>} Conflicts ({ rule, deviceId, command, conflictingCommand, overlap, winnerId })
+   */
+  analyzeConflicts(rule, others) {
+    const commands = this.getDeviceCommands(rule);
+    if (commands.length === 0) {
+      return [];
+    }
+
+    const conflicts = [];
+
+    for (const other of others) {
+      const otherCommands = this.getDeviceCommands(other);
+      const contradictions = [];
+
+      for (const command of commands) {
+        for (const otherCommand of otherCommands) {
+          if (command.deviceId === otherCommand.deviceId && this.commandsContradict(command.command, otherCommand.command)) {
+            contradictions.push({ command, otherCommand });
+          }
+        }
+      }
+
+      if (contradictions.length === 0) {
+        continue;
+      }
+
+      const overlap = this.getConditionOverlap(rule.conditions, other.conditions);
+      if (!overlap.overlaps) {
+        continue;
+      }
+
+      const priority = rule.priority || 5;
+      const otherPriority = other.priority || 5;
+      let winnerId = null;
+      if (priority !== otherPriority) {
+        winnerId = priority < otherPriority ? rule.id || null : other.id;
+      }
+
+      for (const { command, otherCommand } of contradictions) {
+        conflicts.push({
+          rule: other,
+          deviceId: command.deviceId,
+          command: command.command,
+          conflictingCommand: otherCommand.command,
+          overlap: overlap.reason,
+          winnerId
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Human readable description of a conflict
+   * @param {Object} conflict - Conflict from analyzeConflicts
+   * @returns {string} Message
+   */
+  describeConflict(conflict) {
+    const winner = conflict.winnerId === null
+      ? 'equal priority, the last rule to fire wins'
+      : String(conflict.winnerId) === String(conflict.rule.id)
+        ? `"${conflict.rule.name}" wins on priority`
+        : 'this rule wins on priority';
+
+    return `Conflicts with rule "${conflict.rule.name}" (ID ${conflict.rule.id}): device ${conflict.deviceId} ${conflict.command} vs ${conflict.conflictingCommand} when ${conflict.overlap} (${winner})`;
+  }
+
+  /**
+   * Device commands sent by a rule's actions
+   * @param {Object} rule - Rule data
+   * @returns {Array<Object>} Commands ({ deviceId, command })
+   */
+  getDeviceCommands(rule) {
+    let actions = rule.actions;
+    if (typeof actions === 'string') {
+      try {
+        actions = JSON.parse(actions);
+      } catch {
+        return [];
+      }
+    }
+
+    return (Array.isArray(actions) ? actions : [])
+      .flatMap(action => (action.type?.toLowerCase() === 'sequence'
+        ? (action.steps || []).map(step => ({ ...step, type: 'device_control' }))
+        : [action]))
+      .map(action => rulesEngineService.getDeviceCommand(action))
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether two commands for the same device contradict each other.
+   * A toggle contradicts any other command since its outcome depends on timing.
+   * @param {string} a - Command
+   * @param {string} b - Command
+   * @returns {boolean}
+   */
+  commandsContradict(a, b) {
+    if (a === 'toggle' || b === 'toggle') {
+      return true;
+    }
+    return a !== b;
+  }
+
+  /**
+   * Decide whether two condition sets can be true at the same time
+   * @param {Object} a - Conditions of the first rule
+   * @param {Object} b - Conditions of the second rule
+   * @returns {Object} { overlaps, reason }
+   */
+  getConditionOverlap(a, b) {
+    const first = this.getConstraints(a);
+    const second = this.getConstraints(b);
+    const reasons = [];
+
+    // Time: both schedules must share at least one minute of the week
+    if (first.timeMask && second.timeMask) {
+      const shared = this.countSharedMinutes(first.timeMask, second.timeMask);
+      if (shared === 0) {
+        return { overlaps: false, reason: 'schedules never overlap' };
+      }
+      reasons.push(`schedules share ${shared} minutes per week`);
+    } else if (first.timeMask || second.timeMask) {
+      reasons.push('one rule has no time restriction');
+    }
+
+    // Sensors: every range on a shared sensor field must intersect
+    for (const [key, range] of first.ranges) {
+      const otherRange = second.ranges.get(key);
+      if (!otherRange) {
+        continue;
+      }
+      if (!this.rangesIntersect(range, otherRange)) {
+        return { overlaps: false, reason: `${key} ranges are disjoint` };
+      }
+      reasons.push(`${key} ranges overlap`);
+    }
+
+    // Devices: both rules can't require the same device in different states
+    for (const [deviceId, status] of first.deviceStates) {
+      const otherStatus = second.deviceStates.get(deviceId);
+      if (otherStatus !== undefined && otherStatus !== status) {
+        return { overlaps: false, reason: `device ${deviceId} states differ` };
+      }
+    }
+
+    if (first.partial || second.partial) {
+      reasons.push('some conditions could not be analysed');
+    }
+
+    return { overlaps: true, reason: reasons.length > 0 ? reasons.join(', ') : 'conditions can hold at the same time' };
+  }
+
+  /**
+   * Reduce AND-combined conditions to time, sensor range and device state constraints.
+   * OR-combined conditions constrain nothing, so they are treated as always possible.
+   * @param {Object|Array|string} conditions - Rule conditions
+   * @returns {Object} { timeMask, ranges, deviceStates, partial }
+   */
+  getConstraints(conditions) {
+    const constraints = { timeMask: null, ranges: new Map(), deviceStates: new Map(), partial: false };
+    const parsed = typeof conditions === 'string' ? this.parseJSON(conditions) : conditions;
+
+    if (parsed && !Array.isArray(parsed) && parsed.operator === 'OR') {
+      constraints.partial = true;
+      return constraints;
+    }
+
+    for (const condition of rulesEngineService.getConditionList(parsed)) {
+      switch (condition.type) {
+      case 'TIME':
+      case 'time': {
+        const mask = this.getTimeMask(condition);
+        if (!mask) {
+          constraints.partial = true;
+        } else if (!constraints.timeMask) {
+          constraints.timeMask = mask;
+        } else {
+          constraints.timeMask = constraints.timeMask.map((minute, index) => minute & mask[index]);
+        }
+        break;
+      }
+
+      case 'SENSOR':
+      case 'sensor': {
+        const range = this.getSensorRange(condition);
+        if (!range) {
+          constraints.partial = true;
+          break;
+        }
+        const key = `${String(condition.sensorId || condition.sensor).toLowerCase()}.${condition.field || 'value'}`;
+        const existing = constraints.ranges.get(key);
+        constraints.ranges.set(key, existing ? this.intersectRanges(existing, range) : range);
+        break;
+      }
+
+      case 'DEVICE':
+      case 'device': {
+        const deviceId = condition.deviceId || condition.device_id;
+        const status = condition.deviceStatus || (condition.operator === '==' ? condition.value : null);
+        if (deviceId && status) {
+          constraints.deviceStates.set(String(deviceId), String(status).toLowerCase());
+        }
+        break;
+      }
+
+      default:
+        constraints.partial = true;
+      }
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Minutes of the week (UTC, Sunday 00:00 = 0) in which a TIME condition can match
+   * @param {Object} condition - TIME condition
+   * @returns {Uint8Array|null} Mask, or null when the schedule can't be analysed statically
+   */
+  getTimeMask(condition) {
+    const timezone = rulesEngineService.getScheduleTimezone(condition);
+    const offset = isValidTimezone(timezone) ? moment.tz(timezone).utcOffset() : moment().utcOffset();
+    const mask = new Uint8Array(MINUTES_PER_WEEK);
+    const mark = (day, minuteOfDay) => {
+      const index = (((day * MINUTES_PER_DAY + minuteOfDay - offset) % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+      mask[index] = 1;
+    };
+
+    if (condition.cron) {
+      if (validateCron(condition.cron)) {
+        return null;
+      }
+
+      const cron = parseCron(condition.cron);
+      // Day-of-month/month restrictions only narrow the schedule further, so
+      // ignoring them can only over-report overlaps
+      const days = cron.dayOfWeekRestricted && !cron.dayOfMonthRestricted ? Array.from(cron.dayOfWeek) : [0, 1, 2, 3, 4, 5, 6];
+
+      for (const day of days) {
+        for (const hour of cron.hour) {
+          for (const minute of cron.minute) {
+            mark(day, hour * 60 + minute);
+          }
+        }
+      }
+      return mask;
+    }
+
+    if (condition.solarEvent) {
+      return null;
+    }
+
+    const start = condition.timeStart || (condition.time_type === 'daily_window' ? condition.start_time : null);
+    const end = condition.timeEnd || (condition.time_type === 'daily_window' ? condition.end_time : null);
+    if (!start || !end) {
+      return null;
+    }
+
+    const toMinutes = time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+    const length = endMinutes > startMinutes ? endMinutes - startMinutes : MINUTES_PER_DAY - startMinutes + endMinutes;
+
+    for (let day = 0; day < 7; day++) {
+      for (let i = 0; i < length; i++) {
+        mark(day, startMinutes + i);
+      }
+    }
+    return mask;
+  }
+
+  /**
+   * Value range in which a sensor condition can be true. Hysteresis widens the
+   * range to the release threshold, since a latched condition holds until then.
+   * @param {Object} condition - SENSOR condition
+   * @returns {Object|null} { low, lowInclusive, high, highInclusive }, or null for NEQ/unknown operators
+   */
+  getSensorRange(condition) {
+    const { operator } = condition;
+    const value = Number(condition.value);
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+
+    const release = rulesEngineService.getReleaseThreshold(condition);
+
+    switch (operator) {
+    case 'GT':
+    case '>':
+      return { low: release !== null ? Math.min(release, value) : value, lowInclusive: false, high: Infinity, highInclusive: false };
+    case 'GTE':
+    case '>=':
+      return { low: release !== null ? Math.min(release, value) : value, lowInclusive: true, high: Infinity, highInclusive: false };
+    case 'LT':
+    case '<':
+      return { low: -Infinity, lowInclusive: false, high: release !== null ? Math.max(release, value) : value, highInclusive: false };
+    case 'LTE':
+    case '<=':
+      return { low: -Infinity, lowInclusive: false, high: release !== null ? Math.max(release, value) : value, highInclusive: true };
+    case 'EQ':
+    case '==':
+      return { low: value, lowInclusive: true, high: value, highInclusive: true };
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Intersection of two value ranges
+   * @param {Object} a - Range
+   * @param {Object} b - Range
+   * @returns {Object} Range (may be empty)
+   */
+  intersectRanges(a, b) {
+    const low = a.low === b.low
+      ? { low: a.low, lowInclusive: a.lowInclusive && b.lowInclusive }
+      : (a.low > b.low ? { low: a.low, lowInclusive: a.lowInclusive } : { low: b.low, lowInclusive: b.lowInclusive });
+    const high = a.high === b.high
+      ? { high: a.high, highInclusive: a.highInclusive && b.highInclusive }
+      : (a.high < b.high ? { high: a.high, highInclusive: a.highInclusive } : { high: b.high, highInclusive: b.highInclusive });
+
+    return { ...low, ...high };
+  }
+
+  /**
+   * Whether two value ranges share at least one value
+   * @param {Object} a - Range
+   * @param {Object} b - Range
+   * @returns {boolean}
+   */
+  rangesIntersect(a, b) {
+    const range = this.intersectRanges(a, b);
+    if (range.low < range.high) {
+      return true;
+    }
+    return range.low === range.high && range.lowInclusive && range.highInclusive;
+  }
+
+  /**
+   * Number of minutes set in both masks
+   * @param {Uint8Array} a - Mask
+   * @param {Uint8Array} b - Mask
+   * @returns {number} Shared minutes
+   */
+  countSharedMinutes(a, b) {
+    let shared = 0;
+    for (let i = 0; i < MINUTES_PER_WEEK; i++) {
+      shared += a[i] & b[i];
+    }
+    return shared;
+  }
+
+  /**
+   * Parse a JSON string, returning null when it is invalid
+   * @param {string} value - JSON string
+   * @returns {*} Parsed value
+   */
+  parseJSON(value) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new RuleConflictService();
@@ -0,0 +1,237 @@
+const { query, withTransaction } = require('../config/database');
+
+/**
+ * Rule Revision Service
+ * Keeps an immutable snapshot of every rule definition so changes can be
+ * diffed and rolled back. The current revision number lives on rules.revision.
+ */
+class RuleRevisionService {
+  constructor() {
+    this.snapshotFields = ['name', 'description', 'enabled', 'priority', 'cooldown_minutes', 'max_executions_per_day', 'conditions', 'actions'];
+  }
+
+  /**
+   * Store a snapshot of a rule at its current revision
+   * @param {Object} rule - Rule row (after the change)
+   * @param {Object} user - User who made the change
+   * @param {string} changeType - create | update | rollback
+   * @param {Object} client - Optional transaction client
+   * @param {number} rolledBackFrom - Revision restored by a rollback
+   * @returns {Promise<Object>} Stored revision
+   */
+  async recordRevision(rule, user, changeType = 'update', client = null, rolledBackFrom = null) {
+    const runner = client || { query };
+    const result = await runner.query(
+      `INSERT INTO rule_revisions (rule_id, revision, name, description, enabled, priority, cooldown_minutes, max_executions_per_day, conditions, actions, change_type, rolled_back_from, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        rule.id,
+        rule.revision || 1,
+        rule.name,
+        rule.description,
+        rule.enabled,
+        rule.priority,
+        rule.cooldown_minutes,
+        rule.max_executions_per_day ?? null,
+        this.toJSON(rule.conditions),
+        this.toJSON(rule.actions),
+        changeType,
+        rolledBackFrom,
+        user?.id || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get all revisions of a rule, newest first
+   * @param {string|number} ruleId - Rule ID
+   * @returns {Promise<Array>} Revisions
+   */
+  async getRevisions(ruleId) {
+    const result = await query(
+      'SELECT * FROM rule_revisions WHERE rule_id = $1 ORDER BY revision DESC',
+      [ruleId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get one revision of a rule
+   * @param {string|number} ruleId - Rule ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Revision
+   */
+  async getRevision(ruleId, revision) {
+    const result = await query(
+      'SELECT * FROM rule_revisions WHERE rule_id = $1 AND revision = $2',
+      [ruleId, revision]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the revision preceding the given one
+   * @param {string|number} ruleId - Rule ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Previous revision
+   */
+  async getPreviousRevision(ruleId, revision) {
+    const result = await query(
+      'SELECT * FROM rule_revisions WHERE rule_id = $1 AND revision < $2 ORDER BY revision DESC LIMIT 1',
+      [ruleId, revision]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Restore a rule to the definition stored in an earlier revision.
+   * The restore itself becomes a new revision, so history is never rewritten.
+   * The enabled flag is operational state and is left as it is.
+   * @param {string|number} ruleId - Rule ID
+   * @param {number} revision - Revision to restore
+   * @param {Object} user - User performing the rollback
+   * @param {Function} validate - Async check of the revision to restore; throwing aborts the rollback
+   * @returns {Promise<Object>} { rule, previous } updated rule and the row it replaced
+   */
+  async rollback(ruleId, revision, user, validate = null) {
+    return withTransaction(async(client) => {
+      const current = await client.query('SELECT * FROM rules WHERE id = $1 FOR UPDATE', [ruleId]);
+      if (current.rows.length === 0) {
+        throw new Error('Rule not found');
+      }
+
+      const target = await client.query(
+        'SELECT * FROM rule_revisions WHERE rule_id = $1 AND revision = $2',
+        [ruleId, revision]
+      );
+      if (target.rows.length === 0) {
+        throw new Error(`Revision ${revision} not found for rule ${ruleId}`);
+      }
+
+      // Revisions recorded before migration 2016 have no daily limit stored;
+      // keep the current one rather than silently removing it
+      const snapshot = {
+        ...target.rows[0],
+        max_executions_per_day: target.rows[0].max_executions_per_day ?? current.rows[0].max_executions_per_day
+      };
+      if (validate) {
+        await validate(snapshot);
+      }
+
+      const updated = await client.query(
+        `UPDATE rules
+         SET name = $1, description = $2, priority = $3, cooldown_minutes = $4, max_executions_per_day = $5,
+             conditions = $6, actions = $7, revision = revision + 1, updated_at = NOW()
+         WHERE id = $8
+         RETURNING *`,
+        [
+          snapshot.name,
+          snapshot.description,
+          snapshot.priority,
+          snapshot.cooldown_minutes,
+          snapshot.max_executions_per_day,
+          this.toJSON(snapshot.conditions),
+          this.toJSON(snapshot.actions),
+          ruleId
+        ]
+      );
+
+      const rule = updated.rows[0];
+      await this.recordRevision(rule, user, 'rollback', client, revision);
+
+      return { rule, previous: current.rows[0] };
+    });
+  }
+
+  /**
+   * Structural diff between two revisions (or rule rows)
+   * @param {Object|null} from - Older revision (null for the first revision)
+   * @param {Object} to - Newer revision
+   * @returns {Array<Object>} Changes ({ path, changeType, oldValue, newValue })
+   */
+  diffRevisions(from, to) {
+    const changes = [];
+
+    for (const field of this.snapshotFields) {
+      const isJSON = field === 'conditions' || field === 'actions';
+      const oldValue = from ? (isJSON ? this.fromJSON(from[field]) : from[field]) : undefined;
+      const newValue = isJSON ? this.fromJSON(to[field]) : to[field];
+      this.diffValues(field, oldValue, newValue, changes);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Recursively compare two JSON values
+   * @param {string} path - Dotted path of the value ("conditions.rules[0].value")
+   * @param {*} oldValue - Previous value
+   * @param {*} newValue - New value
+   * @param {Array} changes - Accumulated changes
+   */
+  diffValues(path, oldValue, newValue, changes) {
+    if (oldValue === undefined && newValue === undefined) {
+      return;
+    }
+    if (oldValue === undefined) {
+      changes.push({ path, changeType: 'ADDED', oldValue: null, newValue });
+      return;
+    }
+    if (newValue === undefined) {
+      changes.push({ path, changeType: 'REMOVED', oldValue, newValue: null });
+      return;
+    }
+
+    const oldIsObject = oldValue !== null && typeof oldValue === 'object';
+    const newIsObject = newValue !== null && typeof newValue === 'object';
+
+    if (oldIsObject && newIsObject && Array.isArray(oldValue) === Array.isArray(newValue)) {
+      if (Array.isArray(oldValue)) {
+        const length = Math.max(oldValue.length, newValue.length);
+        for (let i = 0; i < length; i++) {
+          this.diffValues(`${path}[${i}]`, oldValue[i], newValue[i], changes);
+        }
+      } else {
+        const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+        for (const key of keys) {
+          this.diffValues(`${path}.${key}`, oldValue[key], newValue[key], changes);
+        }
+      }
+      return;
+    }
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ path, changeType: 'CHANGED', oldValue, newValue });
+    }
+  }
+
+  /**
+   * Serialize a JSON column value for storage
+   * @param {*} value - Object or JSON string
+   * @returns {string} JSON string
+   */
+  toJSON(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Parse a JSON column value (pg returns JSONB as objects, inputs may be strings)
+   * @param {*} value - Stored value
+   * @returns {*} Parsed value
+   */
+  fromJSON(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+}
+
+module.exports = new RuleRevisionService();
@@ -0,0 +1,322 @@
+const rulesEngineService = require('./rulesEngineService');
+
+/**
+ * Rule Simulation Service
+ * Replays a rule over stored sensor history (dry run) to show when it
+ * would have fired, which actions it would have run and the resulting
+ * device on-time. Nothing is executed and no engine state is touched.
+ */
+class RuleSimulationService {
+  constructor() {
+    this.maxRangeDays = 31;
+    this.maxEvaluations = 100000;
+    this.scheduleStep = 60000; // Scheduled rules are replayed once per minute
+  }
+
+  /**
+   * Simulate a rule between two dates
+   * @param {Object} rule - Rule data (stored rule row or unsaved input)
+   * @param {Date} from - Replay start
+   * @param {Date} to - Replay end
+   * @param {Object} initialDeviceStates - Device status at `from` by device ID (default 'off')
+   * @returns {Promise<Object>} Simulation result
+   */
+  async simulateRule(rule, from, to, initialDeviceStates = {}) {
+    const start = new Date(from);
+    const end = new Date(to);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+      throw new Error('Simulation range is invalid: "from" must be before "to"');
+    }
+
+    if (end - start > this.maxRangeDays * 24 * 60 * 60 * 1000) {
+      throw new Error(`Simulation range cannot exceed ${this.maxRangeDays} days`);
+    }
+
+    const conditions = typeof rule.conditions === 'string' ? JSON.parse(rule.conditions) : rule.conditions;
+    const actions = typeof rule.actions === 'string' ? JSON.parse(rule.actions) : (rule.actions || []);
+    const simulatedRule = { ...rule, conditions, actions };
+    const { sensors, scheduled } = rulesEngineService.getRuleReferences(simulatedRule);
+    const warnings = [];
+
+    // Load sensor history, including enough lead time for HISTORY/trend windows
+    const lookback = this.getLookback(simulatedRule);
+    const history = new Map();
+    let readingsReplayed = 0;
+
+    for (const sensor of sensors) {
+      const readings = await rulesEngineService.getSensorHistoryData(sensor, null, {
+        from: new Date(start.getTime() - lookback),
+        to: end
+      });
+      history.set(sensor, readings.map(reading => ({ ...reading, at: new Date(reading.timestamp).getTime() })));
+      readingsReplayed += readings.length;
+
+      if (readings.length === 0) {
+        warnings.push(`No stored readings for sensor "${sensor}" in the selected range`);
+      } else if (readings[0].tier !== 'RAW') {
+        warnings.push(`Raw readings of sensor "${sensor}" are past retention; replaying ${readings[0].tier} averages`);
+      }
+    }
+
+    const timeline = this.buildTimeline(history, start, end, scheduled || sensors.length === 0);
+
+    if (timeline.length > this.maxEvaluations) {
+      throw new Error(`Simulation would need ${timeline.length} evaluations (max ${this.maxEvaluations}); narrow the range`);
+    }
+
+    // Device state evolves with the simulated actions
+    const devices = new Map();
+    const getDevice = (deviceId) => {
+      const key = String(deviceId);
+      if (!devices.has(key)) {
+        const status = String(initialDeviceStates[key] || 'off').toLowerCase();
+        devices.set(key, { status, since: start.getTime(), onTime: 0, switchCount: 0 });
+      }
+      return devices.get(key);
+    };
+
+    const simulation = {
+      latches: new Map(),
+      sustained: new Map(),
+      now: start,
+      getSensorData: sensor => this.findLatestReading(history.get(String(sensor).toLowerCase()), simulation.now.getTime()),
+      getHistory: (sensor, duration) => this.findReadingsSince(
+        history.get(String(sensor).toLowerCase()),
+        simulation.now.getTime() - (duration || 0) * 60000,
+        simulation.now.getTime()
+      ),
+      getDeviceStatus: deviceId => getDevice(deviceId).status
+    };
+
+    const cooldown = rulesEngineService.getCooldownPeriod(simulatedRule);
+    const failedConditions = new Set();
+    const firings = [];
+    let lastFired = null;
+
+    for (const step of timeline) {
+      // Same order as the live engine: cooldown is checked before evaluating
+      if (lastFired !== null && step.at - lastFired < cooldown) {
+        continue;
+      }
+
+      simulation.now = new Date(step.at);
+
+      let conditionsMet = false;
+      try {
+        conditionsMet = await rulesEngineService.evaluateConditions(conditions, {
+          ruleId: rule.id || 'simulation',
+          simulation,
+          now: simulation.now
+        });
+      } catch (error) {
+        if (!failedConditions.has(error.message)) {
+          failedConditions.add(error.message);
+          warnings.push(`Condition evaluation failed at ${simulation.now.toISOString()}: ${error.message}`);
+        }
+        continue;
+      }
+
+      if (!conditionsMet) {
+        continue;
+      }
+
+      lastFired = step.at;
+      firings.push({
+        timestamp: simulation.now.toISOString(),
+        triggerSource: step.source,
+        sensorValues: this.snapshotSensors(sensors, simulation),
+        actions
+      });
+
+      this.applyActions(actions, getDevice, step.at);
+    }
+
+    const deviceOnTime = Array.from(devices.entries()).map(([deviceId, device]) => {
+      if (device.status === 'on') {
+        device.onTime += end.getTime() - device.since;
+      }
+      return {
+        deviceId,
+        onMinutes: Math.round(device.onTime / 600) / 100,
+        switchCount: device.switchCount,
+        finalStatus: device.status
+      };
+    });
+
+    console.log(`🧪 Simulated rule "${rule.name || 'unsaved rule'}": ${firings.length} firings over ${timeline.length} evaluations`);
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      evaluations: timeline.length,
+      readingsReplayed,
+      firingCount: firings.length,
+      firings,
+      deviceOnTime,
+      warnings
+    };
+  }
+
+  /**
+   * Longest history window any condition looks back over
+   * @param {Object} rule - Rule data
+   * @returns {number} Lookback in milliseconds
+   */
+  getLookback(rule) {
+    const minutes = rulesEngineService.getConditionList(rule.conditions).map(condition =>
+      Math.max(
+        condition.time_window?.duration || 0,
+        condition.timeRangeMinutes || 0,
+        condition.duration_minutes || 0,
+        condition.timeout_minutes || 0,
+        // dli() integrates from local midnight
+        condition.type === 'EXPRESSION' && /\bdli\s*\(/i.test(condition.expression || '') ? 1440 : 0
+      )
+    );
+
+    return Math.max(0, ...minutes) * 60000;
+  }
+
+  /**
+   * Build the ordered list of evaluation instants: one per stored reading
+   * (like live sensor events) plus a fixed tick for scheduled rules
+   * @param {Map} history - Readings by sensor
+   * @param {Date} start - Replay start
+   * @param {Date} end - Replay end
+   * @param {boolean} scheduled - Whether the rule is also evaluated on a schedule
+   * @returns {Array<Object>} Steps ({ at, source })
+   */
+  buildTimeline(history, start, end, scheduled) {
+    const steps = new Map();
+
+    for (const readings of history.values()) {
+      for (const reading of readings) {
+        if (reading.at >= start.getTime() && reading.at <= end.getTime()) {
+          steps.set(reading.at, 'SENSOR_EVENT');
+        }
+      }
+    }
+
+    if (scheduled) {
+      for (let at = start.getTime(); at <= end.getTime(); at += this.scheduleStep) {
+        if (!steps.has(at)) {
+          steps.set(at, 'SCHEDULE');
+        }
+      }
+    }
+
+    return Array.from(steps.entries())
+      .map(([at, source]) => ({ at, source }))
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Binary search for the newest reading at or before a time
+   * @param {Array} readings - Readings sorted by time
+   * @param {number} at - Timestamp in ms
+   * @returns {Object|null} Reading
+   */
+  findLatestReading(readings, at) {
+    if (!readings || readings.length === 0) {
+      return null;
+    }
+
+    let low = 0;
+    let high = readings.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (readings[mid].at <= at) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found === -1 ? null : readings[found];
+  }
+
+  /**
+   * Readings inside a time window
+   * @param {Array} readings - Readings sorted by time
+   * @param {number} since - Window start in ms (exclusive)
+   * @param {number} until - Window end in ms (inclusive)
+   * @returns {Array} Readings
+   */
+  findReadingsSince(readings, since, until) {
+    if (!readings) {
+      return [];
+    }
+    return readings.filter(reading => reading.at > since && reading.at <= until);
+  }
+
+  /**
+   * Capture the sensor values the rule saw when it fired
+   * @param {Array<string>} sensors - Sensor identifiers
+   * @param {Object} simulation - Simulation context
+   * @returns {Object} Values by sensor
+   */
+  snapshotSensors(sensors, simulation) {
+    const snapshot = {};
+
+    for (const sensor of sensors) {
+      const reading = simulation.getSensorData(sensor);
+      if (reading) {
+        // The reading time is not part of the sensor values
+        const values = { ...reading };
+        delete values.at;
+        snapshot[sensor] = values;
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Apply device actions to the simulated device states
+   * @param {Array} actions - Rule actions
+   * @param {Function} getDevice - Device state accessor
+   * @param {number} at - Timestamp in ms
+   */
+  applyActions(actions, getDevice, at) {
+    for (const action of actions) {
+      const type = action.type?.toLowerCase();
+      if (type !== 'device_control' && type !== 'device_status') {
+        continue;
+      }
+
+      const deviceId = action.device_id || action.deviceId;
+      if (!deviceId) {
+        continue;
+      }
+
+      const device = getDevice(deviceId);
+      let status = action.status;
+
+      if (action.action === 'TURN_ON') {
+        status = 'on';
+      } else if (action.action === 'TURN_OFF') {
+        status = 'off';
+      } else if (action.action === 'TOGGLE') {
+        status = device.status === 'on' ? 'off' : 'on';
+      }
+
+      if (!status || String(status).toLowerCase() === device.status) {
+        continue;
+      }
+
+      if (device.status === 'on') {
+        device.onTime += at - device.since;
+      }
+
+      device.status = String(status).toLowerCase();
+      device.since = at;
+      device.switchCount++;
+    }
+  }
+}
+
+module.exports = new RuleSimulationService();
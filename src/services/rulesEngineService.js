@@ -1,9 +1,50 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
 const { query } = require('../config/database');
-const { cache } = require('../config/redis');
-const { pubsub, EVENTS } = require('../utils/pubsub');
+const { redis, cache } = require('../config/redis');
+const { pubsub, EVENTS, SENSOR_EVENTS } = require('../utils/pubsub');
 const deviceService = require('./deviceService');
 const notificationService = require('./notificationService');
 const queueService = require('./queueService');
+const weatherService = require('./weatherService');
+const executionBudgetService = require('./executionBudgetService');
+const deviceMaintenanceService = require('./deviceMaintenanceService');
+const leaderElectionService = require('./leaderElectionService');
+const { matchesCron, nextCronMatch, validateCron, isValidTimezone } = require('../utils/cron');
+const { getSolarEventTime, SOLAR_EVENTS } = require('../utils/solar');
+const { parseExpression, getExpressionReferences, evaluateExpression, validateExpression } = require('../utils/expression');
+
+// Unified store metric -> fields the rules engine reads it as
+const HISTORY_FIELD_ALIASES = {
+  temperature: ['temperatura'],
+  humidity: ['humedad'],
+  pressure: ['presion'],
+  heat_index: ['heatindex'],
+  dew_point: ['dewpoint'],
+  water_temperature: ['temperatura_agua', 'temperaturaAgua'],
+  power: ['watts']
+};
+
+// Device claim arbitration (see arbitrateDeviceCommand). Returns
+// { 1 = command allowed / 0 = overridden, claim held before the call }.
+// A contradicting command from a lower-priority rule (higher number) loses;
+// agreeing lower-priority rules don't take over a higher-priority claim.
+const CLAIM_SCRIPT = `
+local current = redis.call("get", KEYS[1])
+local priority = tonumber(ARGV[3])
+if current then
+  local claim = cjson.decode(current)
+  local claimPriority = tonumber(claim.priority) or 0
+  if tostring(claim.ruleId) ~= ARGV[2] and claimPriority < priority then
+    if claim.command ~= ARGV[4] then
+      return {0, current}
+    end
+    return {1, current}
+  end
+end
+redis.call("set", KEYS[1], ARGV[1], "EX", ARGV[5])
+return {1, current or ""}
+`;
 
 /**
  * Rules Engine Service
@@ -14,6 +55,25 @@ class RulesEngineService {
     this.isRunning = false;
     this.evaluationInterval = 30000; // 30 seconds
     this.intervalId = null;
+    this.lastEvaluationCycle = null;
+
+    // Rule index: which enabled rules reference which sensors/devices
+    this.rulesById = new Map();
+    this.sensorRuleIndex = new Map();
+    this.deviceRuleIndex = new Map();
+    this.dependentRuleIndex = new Map(); // rule ID -> rules with RULE conditions on it
+    this.scheduledRuleIds = new Set();
+    this.ruleIndexLoadedAt = 0;
+    this.ruleIndexStale = true;
+    this.ruleIndexTtl = 300000; // 5 minutes, in case an invalidation from another instance is lost
+    this.evaluatingRules = new Set();
+    this.pendingEvaluations = new Map(); // rule ID -> latest evaluation requested while one was running
+    this.notRunStatuses = ['overridden', 'queued', 'skipped']; // executions with success = false that didn't fail
+    this.manualTriggerTimeout = 30000;
+    this.eventSubscriptions = [];
+
+    // Condition types that can only be evaluated by the periodic sweep
+    this.scheduledConditionTypes = ['TIME', 'time', 'sensor_heartbeat'];
     this.priorityCooldowns = {
       1: 300000, // 5 minutes for critical
       2: 600000, // 10 minutes for high
@@ -35,13 +95,17 @@ class RulesEngineService {
     console.log('🚀 Starting rules engine...');
     this.isRunning = true;
 
-    // Initial evaluation
+    // Build the rule index and evaluate everything once
     await this.evaluateAllRules();
 
-    // Set up periodic evaluation
+    // React to sensor readings and device status changes as they happen
+    await this.subscribeToEvents();
+
+    // Periodic sweep only for TIME/heartbeat conditions
     this.intervalId = setInterval(async() => {
       try {
-        await this.evaluateAllRules();
+        await this.evaluateScheduledRules();
+        await this.enforceDeviceBudgets();
       } catch (error) {
         console.error('❌ Error in rules engine evaluation:', error);
       }
@@ -50,6 +114,69 @@ class RulesEngineService {
     console.log('✅ Rules engine started successfully');
   }
 
+  /**
+   * Subscribe to sensor and device change events
+   */
+  async subscribeToEvents() {
+    const sensorSubId = await pubsub.subscribe(SENSOR_EVENTS.TEMHUM_DATA, (payload) => {
+      const reading = payload?.sensorDataUpdated;
+      const hardwareId = reading?.sensor?.hardwareId || reading?.sensor?.sensorId;
+
+      this.handleSensorEvent(hardwareId, reading).catch(error => {
+        console.error(`❌ Error handling sensor event for ${hardwareId}:`, error);
+      });
+    });
+
+    const deviceSubId = await pubsub.subscribe(SENSOR_EVENTS.DEVICE_STATUS_CHANGED, (payload) => {
+      const change = payload?.deviceStatusChanged;
+
+      this.handleDeviceEvent(change?.device?.id, change).catch(error => {
+        console.error(`❌ Error handling device event for ${change?.device?.id}:`, error);
+      });
+    });
+
+    // RULE conditions react as soon as the rule they watch fires
+    const ruleSubId = await pubsub.subscribe(EVENTS.RULE_TRIGGERED, (payload) => {
+      const ruleId = payload?.ruleTriggered?.rule?.id;
+
+      this.handleRuleEvent(ruleId).catch(error => {
+        console.error(`❌ Error handling rule event for ${ruleId}:`, error);
+      });
+    });
+
+    // Rules edited on any instance (this one included) invalidate the index everywhere
+    const indexSubId = await pubsub.subscribe(EVENTS.RULE_INDEX_INVALIDATED, () => {
+      this.ruleIndexStale = true;
+    });
+
+    // triggerRule can reach any instance; only the leader evaluates
+    const triggerSubId = await pubsub.subscribe(EVENTS.RULE_MANUAL_TRIGGER, (payload) => {
+      const { requestId, ruleId, triggerData } = payload || {};
+
+      this.handleManualTrigger(ruleId, triggerData || {})
+        .then(execution => pubsub.publish(EVENTS.RULE_MANUAL_TRIGGER_RESULT, { requestId, execution }))
+        .catch(error => {
+          console.error(`❌ Error handling manual trigger of rule ${ruleId}:`, error);
+          return pubsub.publish(EVENTS.RULE_MANUAL_TRIGGER_RESULT, { requestId, error: error.message });
+        })
+        .catch(error => {
+          console.error(`❌ Error answering manual trigger of rule ${ruleId}:`, error);
+        });
+    });
+
+    this.eventSubscriptions = [sensorSubId, deviceSubId, ruleSubId, indexSubId, triggerSubId];
+  }
+
+  /**
+   * Unsubscribe from sensor and device change events
+   */
+  unsubscribeFromEvents() {
+    for (const subId of this.eventSubscriptions) {
+      pubsub.unsubscribe(subId);
+    }
+    this.eventSubscriptions = [];
+  }
+
   /**
    * Stop the rules engine
    */
@@ -67,34 +194,346 @@ class RulesEngineService {
       this.intervalId = null;
     }
 
+    this.unsubscribeFromEvents();
+
     console.log('✅ Rules engine stopped');
   }
 
+  /**
+   * Load enabled rules and index them by the sensors/devices they reference
+   */
+  async loadRuleIndex() {
+    const rules = await query(
+      'SELECT * FROM rules WHERE enabled = true ORDER BY priority ASC'
+    );
+
+    this.rulesById = new Map();
+    this.sensorRuleIndex = new Map();
+    this.deviceRuleIndex = new Map();
+    this.dependentRuleIndex = new Map();
+    this.scheduledRuleIds = new Set();
+
+    for (const rule of rules.rows) {
+      this.rulesById.set(String(rule.id), rule);
+
+      const { sensors, devices, rules: watchedRules, scheduled } = this.getRuleReferences(rule);
+
+      for (const watched of watchedRules) {
+        if (!this.dependentRuleIndex.has(watched)) {
+          this.dependentRuleIndex.set(watched, new Set());
+        }
+        this.dependentRuleIndex.get(watched).add(String(rule.id));
+      }
+
+      for (const sensor of sensors) {
+        if (!this.sensorRuleIndex.has(sensor)) {
+          this.sensorRuleIndex.set(sensor, new Set());
+        }
+        this.sensorRuleIndex.get(sensor).add(String(rule.id));
+      }
+
+      for (const device of devices) {
+        if (!this.deviceRuleIndex.has(device)) {
+          this.deviceRuleIndex.set(device, new Set());
+        }
+        this.deviceRuleIndex.get(device).add(String(rule.id));
+      }
+
+      // Rules without any indexable reference fall back to the sweep
+      if (scheduled || (sensors.length === 0 && devices.length === 0)) {
+        this.scheduledRuleIds.add(String(rule.id));
+      }
+    }
+
+    this.ruleIndexLoadedAt = Date.now();
+    this.ruleIndexStale = false;
+
+    console.log(`📇 Rule index built: ${this.rulesById.size} rules, ${this.sensorRuleIndex.size} sensors, ${this.deviceRuleIndex.size} devices, ${this.scheduledRuleIds.size} scheduled`);
+  }
+
+  /**
+   * Reload the rule index if it was invalidated or is too old
+   */
+  async ensureRuleIndex() {
+    if (this.ruleIndexStale || Date.now() - this.ruleIndexLoadedAt > this.ruleIndexTtl) {
+      await this.loadRuleIndex();
+    }
+  }
+
+  /**
+   * Mark the rule index as stale on every instance (call after creating/updating/deleting rules)
+   */
+  async invalidateRuleIndex() {
+    this.ruleIndexStale = true;
+
+    try {
+      await pubsub.publish(EVENTS.RULE_INDEX_INVALIDATED, { ruleIndexInvalidated: true });
+    } catch (error) {
+      console.error('❌ Error publishing rule index invalidation:', error);
+    }
+  }
+
+  /**
+   * Collect the sensors, devices and rules referenced by a rule's conditions
+   * @param {Object} rule - Rule data
+   * @returns {Object} { sensors, devices, rules, scheduled }
+   */
+  getRuleReferences(rule) {
+    const sensors = new Set();
+    const devices = new Set();
+    const rules = new Set();
+    let scheduled = false;
+
+    for (const condition of this.getConditionList(rule.conditions)) {
+      const sensor = condition.sensorId || condition.sensor;
+      const device = condition.deviceId || condition.device_id;
+
+      if (this.scheduledConditionTypes.includes(condition.type)) {
+        scheduled = true;
+      }
+      if (condition.type === 'EXPRESSION' && !validateExpression(condition.expression)) {
+        for (const reference of getExpressionReferences(parseExpression(condition.expression))) {
+          // Weather is polled rather than pushed, so it needs the sweep
+          if (reference.sensor.toLowerCase() === 'weather') {
+            scheduled = true;
+          } else {
+            sensors.add(reference.sensor.toLowerCase());
+          }
+        }
+      }
+      if (condition.type === 'RULE') {
+        // Execution windows expire with time, so the sweep re-checks them too
+        scheduled = true;
+        if (condition.ruleId !== undefined && condition.ruleId !== null) {
+          rules.add(String(condition.ruleId));
+        }
+        continue;
+      }
+      if (sensor) {
+        sensors.add(String(sensor).toLowerCase());
+      }
+      if (device) {
+        devices.add(String(device));
+      }
+    }
+
+    return { sensors: Array.from(sensors), devices: Array.from(devices), rules: Array.from(rules), scheduled };
+  }
+
+  /**
+   * Normalize stored conditions into a flat list
+   * @param {Object|Array|string} conditions - Rule conditions
+   * @returns {Array} Condition list
+   */
+  getConditionList(conditions) {
+    let parsed = conditions;
+
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch {
+        return [];
+      }
+    }
+
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+    if (parsed && Array.isArray(parsed.rules)) {
+      return parsed.rules;
+    }
+    return [];
+  }
+
+  /**
+   * Whether a rule is evaluated by the periodic sweep
+   * @param {Object} rule - Rule data
+   * @returns {boolean}
+   */
+  isScheduledRule(rule) {
+    const { sensors, devices, scheduled } = this.getRuleReferences(rule);
+    return scheduled || (sensors.length === 0 && devices.length === 0);
+  }
+
   /**
    * Evaluate all active rules
    */
   async evaluateAllRules() {
     try {
-      // Get all active rules
-      const rules = await query(
-        'SELECT * FROM rules WHERE enabled = true ORDER BY priority ASC'
-      );
+      await this.loadRuleIndex();
 
-      console.log(`🔍 Evaluating ${rules.rows.length} active rules...`);
+      console.log(`🔍 Evaluating ${this.rulesById.size} active rules...`);
 
-      for (const rule of rules.rows) {
-        await this.evaluateRule(rule);
+      for (const rule of this.rulesById.values()) {
+        await this.evaluateRule(rule, 'schedule');
       }
     } catch (error) {
       console.error('❌ Error evaluating rules:', error);
     }
   }
 
+  /**
+   * Evaluate rules that depend on time (TIME and heartbeat conditions)
+   */
+  async evaluateScheduledRules() {
+    try {
+      await this.ensureRuleIndex();
+      this.lastEvaluationCycle = new Date();
+
+      const rules = this.getIndexedRules(this.scheduledRuleIds);
+      for (const rule of rules) {
+        await this.evaluateRule(rule, 'schedule');
+      }
+    } catch (error) {
+      console.error('❌ Error evaluating scheduled rules:', error);
+    }
+  }
+
+  /**
+   * Switch off devices that ran past their daily ON-time limit
+   */
+  async enforceDeviceBudgets() {
+    try {
+      for (const device of await executionBudgetService.getOverrunningDevices()) {
+        console.warn(`⛔ Device "${device.name}" (${device.id}) used ${device.budget.onMinutesToday} of ${device.budget.maxOnMinutesPerDay} ON minutes today, switching off`);
+        await executionBudgetService.raiseAlert(`device:${device.id}`, {
+          title: `Device "${device.name}" switched off`,
+          message: `Device "${device.name}" reached its daily ON-time limit of ${device.budget.maxOnMinutesPerDay} min and was switched off. Automated ON commands are blocked until midnight.`,
+          metadata: { deviceId: device.id, ...device.budget }
+        });
+        await this.executeDeviceStatusAction(device.id, 'off');
+      }
+    } catch (error) {
+      console.error('❌ Error enforcing device budgets:', error);
+    }
+  }
+
+  /**
+   * Re-evaluate rules that reference a sensor that just reported data
+   * @param {string} hardwareId - Sensor hardware ID
+   * @param {Object} reading - Sensor reading that triggered the evaluation
+   */
+  async handleSensorEvent(hardwareId, reading) {
+    if (!this.isRunning || !hardwareId) {
+      return;
+    }
+
+    await this.ensureRuleIndex();
+
+    const ruleIds = this.sensorRuleIndex.get(String(hardwareId).toLowerCase());
+    if (!ruleIds || ruleIds.size === 0) {
+      return;
+    }
+
+    for (const rule of this.getIndexedRules(ruleIds)) {
+      await this.evaluateRule(rule, 'sensor_event', { sensorId: hardwareId, reading });
+    }
+  }
+
+  /**
+   * Re-evaluate rules that reference a device whose status changed
+   * @param {string} deviceId - Device ID
+   * @param {Object} change - Status change payload
+   */
+  async handleDeviceEvent(deviceId, change) {
+    if (!this.isRunning || deviceId === undefined || deviceId === null) {
+      return;
+    }
+
+    await this.ensureRuleIndex();
+
+    const ruleIds = this.deviceRuleIndex.get(String(deviceId));
+    if (!ruleIds || ruleIds.size === 0) {
+      return;
+    }
+
+    for (const rule of this.getIndexedRules(ruleIds)) {
+      await this.evaluateRule(rule, 'device_event', { deviceId, newStatus: change?.newStatus });
+    }
+  }
+
+  /**
+   * Re-evaluate rules with RULE conditions on a rule that just executed
+   * @param {string} ruleId - ID of the rule that executed
+   */
+  async handleRuleEvent(ruleId) {
+    if (!this.isRunning || ruleId === undefined || ruleId === null) {
+      return;
+    }
+
+    await this.ensureRuleIndex();
+
+    const ruleIds = this.dependentRuleIndex.get(String(ruleId));
+    if (!ruleIds || ruleIds.size === 0) {
+      return;
+    }
+
+    for (const rule of this.getIndexedRules(ruleIds)) {
+      await this.evaluateRule(rule, 'rule_event', { ruleId });
+    }
+  }
+
+  /**
+   * Resolve indexed rule IDs to rules, ordered by priority
+   * @param {Set} ruleIds - Rule IDs
+   * @returns {Array} Rules
+   */
+  getIndexedRules(ruleIds) {
+    return Array.from(ruleIds)
+      .map(id => this.rulesById.get(id))
+      .filter(Boolean)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
   /**
    * Evaluate a single rule
    * @param {Object} rule - Rule data
+   * @param {string} triggerSource - What caused the evaluation (sensor_event, device_event, schedule, manual)
+   * @param {Object} triggerData - Event data that caused the evaluation
+   * @returns {Promise<Object>} Outcome of runRuleEvaluation, or { queued: true } when it waits for a running evaluation
+   */
+  async evaluateRule(rule, triggerSource = 'schedule', triggerData = {}) {
+    // A sensor burst can request several evaluations of the same rule: while
+    // one runs, keep only the latest request and run it once this one ends
+    const ruleKey = String(rule.id);
+    if (this.evaluatingRules.has(ruleKey)) {
+      this.pendingEvaluations.set(ruleKey, { rule, triggerSource, triggerData });
+      return { queued: true };
+    }
+    this.evaluatingRules.add(ruleKey);
+
+    let outcome;
+    try {
+      outcome = await this.runRuleEvaluation(rule, triggerSource, triggerData);
+    } finally {
+      this.evaluatingRules.delete(ruleKey);
+    }
+    const pending = this.pendingEvaluations.get(ruleKey);
+    this.pendingEvaluations.delete(ruleKey);
+
+    // Failures aren't published as RULE_TRIGGERED; let FAILED/LAST_FAILED watchers react now
+    if (outcome.failed) {
+      await this.handleRuleEvent(rule.id).catch(error => {
+        console.error(`❌ Error handling rule failure event for ${rule.id}:`, error);
+      });
+    }
+
+    // Data that arrived during the evaluation must not be lost
+    if (pending) {
+      await this.evaluateRule(pending.rule, pending.triggerSource, pending.triggerData);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Evaluate a rule's conditions and run its actions when they are met
+   * @param {Object} rule - Rule data
+   * @param {string} triggerSource - What caused the evaluation
+   * @param {Object} triggerData - Event data that caused the evaluation
+   * @returns {Promise<Object>} { failed, execution, skipped } execution record, or why none was recorded
    */
-  async evaluateRule(rule) {
+  async runRuleEvaluation(rule, triggerSource, triggerData) {
     try {
       // Check cooldown
       const cooldownKey = `rule:${rule.id}:cooldown`;
@@ -102,25 +541,40 @@ class RulesEngineService {
 
       if (lastTriggered) {
         const timeSinceLastTrigger = Date.now() - parseInt(lastTriggered);
-        const cooldownPeriod = this.priorityCooldowns[rule.priority] || 1800000;
+        const cooldownPeriod = this.getCooldownPeriod(rule);
 
         if (timeSinceLastTrigger < cooldownPeriod) {
-          return;
+          return { failed: false, execution: null, skipped: 'Rule is in cooldown' };
         }
       }
 
       // Evaluate rule conditions
-      const conditionsMet = await this.evaluateConditions(rule.conditions);
+      const conditionsMet = await this.evaluateConditions(rule.conditions, { ruleId: rule.id });
 
       if (conditionsMet) {
+        // Daily execution limit (alerts once, then blocks until local midnight)
+        if (!(await executionBudgetService.checkRuleBudget(rule))) {
+          return { failed: false, execution: null, skipped: 'Daily execution limit reached' };
+        }
+
         console.log(`🎯 Rule "${rule.name}" triggered`);
 
         // Execute actions
-        await this.executeActions(rule.actions, rule);
+        const executedActions = await this.executeActions(rule.actions, rule);
 
         // Set cooldown
         await cache.set(cooldownKey, Date.now().toString());
 
+        // Every command lost arbitration: the rule didn't touch any device
+        const winner = this.getOverridingRule(executedActions);
+        if (winner) {
+          console.log(`⚖️ Rule "${rule.name}" was overridden by "${winner.rule_name}" (priority ${winner.priority})`);
+          const execution = await this.createRuleExecution(rule.id, false, rule.conditions, executedActions, `Overridden by rule "${winner.rule_name}" (priority ${winner.priority})`, triggerSource, triggerData, rule.revision, { overriddenBy: winner.rule_id });
+          return { failed: false, execution, skipped: null };
+        }
+
+        await executionBudgetService.recordRuleExecution(rule);
+
         // Update last triggered timestamp
         await query(
           'UPDATE rules SET last_triggered = NOW() WHERE id = $1',
@@ -128,28 +582,112 @@ class RulesEngineService {
         );
 
         // Create rule execution record
-        await this.createRuleExecution(rule.id, true, rule.conditions, rule.actions);
+        const execution = await this.createRuleExecution(rule.id, true, rule.conditions, executedActions, null, triggerSource, triggerData, rule.revision);
 
         // Publish rule triggered event
         await pubsub.publish(EVENTS.RULE_TRIGGERED, {
           ruleTriggered: {
             rule,
+            triggerSource,
             timestamp: new Date().toISOString()
           }
         });
+
+        return { failed: false, execution, skipped: null };
       }
     } catch (error) {
       console.error(`❌ Error evaluating rule "${rule.name}":`, error);
-      await this.createRuleExecution(rule.id, false, rule.conditions, rule.actions, error.message);
+      const execution = await this.createRuleExecution(rule.id, false, rule.conditions, rule.actions, error.message, triggerSource, triggerData, rule.revision);
+      return { failed: true, execution, skipped: null };
+    }
+
+    return { failed: false, execution: null, skipped: 'Conditions not met' };
+  }
+
+  /**
+   * Evaluate a rule for the triggerRule mutation, from whichever instance
+   * received it: the request goes to the leader through pubsub and this
+   * waits for the execution it records
+   * @param {Object} rule - Rule data
+   * @param {Object} triggerData - Mock data passed to the mutation
+   * @returns {Promise<Object>} rule_executions row (status queued/skipped when nothing ran)
+   */
+  async requestManualTrigger(rule, triggerData) {
+    const requestId = crypto.randomUUID();
+    let resolveAnswer;
+    const answer = new Promise(resolve => {
+      resolveAnswer = resolve;
+    });
+
+    const subId = await pubsub.subscribe(EVENTS.RULE_MANUAL_TRIGGER_RESULT, (payload) => {
+      if (payload?.requestId === requestId) {
+        resolveAnswer(payload);
+      }
+    });
+
+    let timer = null;
+    try {
+      await pubsub.publish(EVENTS.RULE_MANUAL_TRIGGER, { requestId, ruleId: rule.id, triggerData });
+
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('No rules engine leader answered the trigger request')), this.manualTriggerTimeout);
+      });
+      const result = await Promise.race([answer, timeout]);
+
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      return result.execution;
+    } finally {
+      clearTimeout(timer);
+      pubsub.unsubscribe(subId);
     }
   }
 
+  /**
+   * Run a manual trigger on the leader. When nothing ran (cooldown, unmet
+   * conditions, an evaluation already in progress) the trigger is still
+   * recorded, with the reason
+   * @param {string|number} ruleId - Rule ID
+   * @param {Object} triggerData - Mock data passed to the mutation
+   * @returns {Promise<Object>} rule_executions row
+   */
+  async handleManualTrigger(ruleId, triggerData) {
+    const result = await query('SELECT * FROM rules WHERE id = $1', [ruleId]);
+    if (result.rows.length === 0) {
+      throw new Error('Rule not found');
+    }
+
+    const rule = result.rows[0];
+    const outcome = await this.evaluateRule(rule, 'manual', triggerData);
+    if (outcome.execution) {
+      return outcome.execution;
+    }
+
+    const reason = outcome.queued
+      ? 'Rule is being evaluated; the trigger runs once that evaluation ends'
+      : outcome.skipped;
+    return this.createRuleExecution(rule.id, false, rule.conditions, [], reason, 'manual', triggerData, rule.revision, {
+      status: outcome.queued ? 'queued' : 'skipped'
+    });
+  }
+
+  /**
+   * Minimum time between two triggers of a rule
+   * @param {Object} rule - Rule data
+   * @returns {number} Cooldown in milliseconds
+   */
+  getCooldownPeriod(rule) {
+    return this.priorityCooldowns[rule.priority] || 1800000;
+  }
+
   /**
    * Evaluate rule conditions
    * @param {Object|Array} conditions - Rule conditions (can be array or object with rules/operator)
+   * @param {Object} context - Evaluation context ({ ruleId }) for stateful conditions
    * @returns {boolean} Whether conditions are met
    */
-  async evaluateConditions(conditions) {
+  async evaluateConditions(conditions, context = {}) {
     // Handle different condition formats
     let conditionList = [];
     let logicalOperator = 'AND';
@@ -169,8 +707,8 @@ class RulesEngineService {
 
     const results = [];
 
-    for (const condition of conditionList) {
-      const result = await this.evaluateCondition(condition);
+    for (let index = 0; index < conditionList.length; index++) {
+      const result = await this.evaluateCondition(conditionList[index], { ...context, conditionIndex: index });
       results.push(result);
     }
 
@@ -185,40 +723,56 @@ class RulesEngineService {
   /**
    * Evaluate a single condition
    * @param {Object} condition - Condition data
+   * @param {Object} context - Evaluation context ({ ruleId, conditionIndex })
    * @returns {boolean} Whether condition is met
    */
-  async evaluateCondition(condition) {
+  async evaluateCondition(condition, context = {}) {
     const { type, sensorId, field, operator, value, device_id, deviceId, time_window } = condition;
 
-    // Use sensorId for sensor conditions
-    const sensorIdentifier = sensorId;
+    // Use sensorId for sensor conditions (legacy conditions use "sensor")
+    const sensorIdentifier = sensorId || condition.sensor;
     const deviceIdValue = device_id || deviceId;
 
     switch (type) {
     case 'SENSOR':
     case 'sensor':
-      return await this.evaluateSensorCondition(sensorIdentifier, field, operator, value);
+      if (this.getReleaseThreshold(condition) !== null && context.ruleId !== undefined) {
+        return this.evaluateLatchedSensorCondition(condition, sensorIdentifier, context);
+      }
+      return this.evaluateSensorCondition(sensorIdentifier, field, operator, value, context);
 
     case 'DEVICE':
     case 'device':
-      return await this.evaluateDeviceCondition(deviceIdValue, operator, value);
+      return this.evaluateDeviceCondition(deviceIdValue, operator, value, context);
 
     case 'TIME':
     case 'time':
-      return await this.evaluateTimeCondition(condition);
+      return this.evaluateTimeCondition(condition, context);
 
     case 'HISTORY':
     case 'sensor_history':
-      return await this.evaluateSensorHistoryCondition(sensorName, field, operator, value, time_window);
+      return this.evaluateSensorHistoryCondition(sensorIdentifier, field, operator, value, time_window, context);
+
+    case 'RATE':
+    case 'rate':
+      return this.evaluateRateCondition(condition, context);
+
+    case 'EXPRESSION':
+    case 'expression':
+      return this.evaluateExpressionCondition(condition, context);
+
+    case 'RULE':
+    case 'rule':
+      return this.evaluateRuleCondition(condition, context);
 
     case 'sensor_trend':
-      return await this.evaluateSensorTrendCondition(sensor, field, condition.trend_type, time_window);
+      return this.evaluateSensorTrendCondition(sensorIdentifier, field, condition.trend_type, time_window, context);
 
     case 'sensor_heartbeat':
-      return await this.evaluateSensorHeartbeatCondition(sensor, condition.timeout_minutes);
+      return this.evaluateSensorHeartbeatCondition(sensorIdentifier, condition.timeout_minutes, context);
 
     case 'sustained_state':
-      return await this.evaluateSustainedStateCondition(condition);
+      return this.evaluateSustainedStateCondition(condition, context);
 
     default:
       console.warn(`Unknown condition type: ${type}`);
@@ -232,16 +786,39 @@ class RulesEngineService {
    * @param {string} field - Field name
    * @param {string} operator - Comparison operator
    * @param {number} value - Threshold value
+   * @param {Object} context - Evaluation context
    * @returns {boolean} Condition result
    */
-  async evaluateSensorCondition(sensor, field, operator, value) {
-    const sensorData = await this.getLatestSensorData(sensor);
+  async evaluateSensorCondition(sensor, field, operator, value, context = {}) {
+    const currentValue = await this.getSensorFieldValue(sensor, field, context);
 
-    if (!sensorData) {
-      console.log(`🔍 No sensor data found for sensor: ${sensor}`);
+    if (currentValue === null) {
       return false;
     }
 
+    if (!context.simulation) {
+      console.log(`🔍 Rule evaluation: ${sensor}.${field} = ${currentValue} ${operator} ${value}`);
+    }
+    return this.compareValues(currentValue, operator, value);
+  }
+
+  /**
+   * Get the latest value of a sensor field
+   * @param {string} sensor - Sensor name
+   * @param {string} field - Field name
+   * @param {Object} context - Evaluation context
+   * @returns {number|string|null} Current value, or null if unavailable
+   */
+  async getSensorFieldValue(sensor, field, context = {}) {
+    const sensorData = await this.getLatestSensorData(sensor, context);
+
+    if (!sensorData) {
+      if (!context.simulation) {
+        console.log(`🔍 No sensor data found for sensor: ${sensor}`);
+      }
+      return null;
+    }
+
     // Field name mapping for backwards compatibility
     const fieldMapping = {
       'temperature': 'temperatura',
@@ -254,14 +831,24 @@ class RulesEngineService {
     // Use mapped field name if available, otherwise use original field name
     const actualField = fieldMapping[field] || field;
 
-    if (sensorData[actualField] === undefined) {
-      console.log(`🔍 Field "${field}" (mapped to "${actualField}") not found in sensor data:`, Object.keys(sensorData));
-      return false;
+    if (sensorData[actualField] === undefined || sensorData[actualField] === null) {
+      if (!context.simulation) {
+        console.log(`🔍 Field "${field}" (mapped to "${actualField}") not found in sensor data:`, Object.keys(sensorData));
+      }
+      return null;
     }
 
-    const currentValue = sensorData[actualField];
-    console.log(`🔍 Rule evaluation: ${sensor}.${actualField} = ${currentValue} ${operator} ${value}`);
+    return sensorData[actualField];
+  }
 
+  /**
+   * Compare a value against a threshold
+   * @param {number} currentValue - Current value
+   * @param {string} operator - Comparison operator
+   * @param {number} value - Threshold value
+   * @returns {boolean} Comparison result
+   */
+  compareValues(currentValue, operator, value) {
     switch (operator) {
     case 'GT':
     case '>':
@@ -286,16 +873,196 @@ class RulesEngineService {
     }
   }
 
+  /**
+   * Get the threshold at which a latched sensor condition releases.
+   * Either an explicit releaseValue (e.g. ON below 18, release at 19.5)
+   * or value ± hysteresis for a symmetric deadband.
+   * @param {Object} condition - Sensor condition
+   * @returns {number|null} Release threshold, or null when the condition has no hysteresis
+   */
+  getReleaseThreshold(condition) {
+    const { operator, value, releaseValue, hysteresis } = condition;
+
+    if (releaseValue !== undefined && releaseValue !== null) {
+      return releaseValue;
+    }
+
+    if (!hysteresis || hysteresis <= 0) {
+      return null;
+    }
+
+    if (['LT', '<', 'LTE', '<='].includes(operator)) {
+      return value + hysteresis;
+    }
+    if (['GT', '>', 'GTE', '>='].includes(operator)) {
+      return value - hysteresis;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate hysteresis settings of a sensor condition
+   * @param {Object} condition - Sensor condition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  getHysteresisErrors(condition) {
+    const { operator, value, releaseValue, hysteresis } = condition;
+    const hasRelease = releaseValue !== undefined && releaseValue !== null;
+    const hasDeadband = hysteresis !== undefined && hysteresis !== null;
+    const errors = [];
+
+    if (!hasRelease && !hasDeadband) {
+      return errors;
+    }
+
+    if (hasDeadband && hysteresis <= 0) {
+      errors.push('Hysteresis must be greater than 0');
+    }
+
+    if (['EQ', '==', 'NEQ', '!='].includes(operator)) {
+      errors.push('Hysteresis requires a GT, GTE, LT or LTE operator');
+      return errors;
+    }
+
+    if (hasRelease && value !== undefined && value !== null) {
+      const below = ['LT', '<', 'LTE', '<='].includes(operator);
+      if (below && releaseValue <= value) {
+        errors.push(`Release value ${releaseValue} must be above the threshold ${value} for ${operator} conditions`);
+      }
+      if (!below && releaseValue >= value) {
+        errors.push(`Release value ${releaseValue} must be below the threshold ${value} for ${operator} conditions`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluate a sensor condition with hysteresis.
+   * The condition latches once the threshold is crossed and stays true until
+   * the reading passes the release threshold, so devices don't chatter when a
+   * reading hovers around the threshold. Latched state lives in Redis
+   * (hash rule:<id>:latch, one field per condition) so it survives restarts.
+   * @param {Object} condition - Sensor condition
+   * @param {string} sensor - Sensor identifier
+   * @param {Object} context - Evaluation context ({ ruleId, conditionIndex })
+   * @returns {boolean} Whether the condition is (still) latched
+   */
+  async evaluateLatchedSensorCondition(condition, sensor, context) {
+    const { field, operator, value } = condition;
+    const releaseThreshold = this.getReleaseThreshold(condition);
+    const currentValue = await this.getSensorFieldValue(sensor, field, context);
+
+    if (currentValue === null) {
+      return false;
+    }
+
+    const latchKey = `rule:${context.ruleId}:latch`;
+    const previous = context.simulation
+      ? context.simulation.latches.get(context.conditionIndex)
+      : this.parseLatchEntry(await cache.hget(latchKey, String(context.conditionIndex)));
+    const wasLatched = Boolean(previous && previous.latched);
+
+    let latched;
+    if (wasLatched) {
+      const below = ['LT', '<', 'LTE', '<='].includes(operator);
+      latched = below ? currentValue < releaseThreshold : currentValue > releaseThreshold;
+    } else {
+      latched = this.compareValues(currentValue, operator, value);
+    }
+
+    if (context.simulation) {
+      context.simulation.latches.set(context.conditionIndex, { latched });
+      return latched;
+    }
+
+    console.log(`🔍 Rule evaluation: ${sensor}.${field} = ${currentValue} ${operator} ${value} (release ${releaseThreshold}, latched: ${latched})`);
+
+    if (latched !== wasLatched) {
+      await cache.hset(latchKey, String(context.conditionIndex), JSON.stringify({
+        latched,
+        sensorId: sensor,
+        field,
+        value: currentValue,
+        changedAt: new Date().toISOString()
+      }));
+    }
+
+    return latched;
+  }
+
+  /**
+   * Parse a stored latch entry
+   * @param {string} raw - JSON stored in the latch hash
+   * @returns {Object|null} Latch entry
+   */
+  parseLatchEntry(raw) {
+    if (!raw) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('⚠️ Ignoring corrupt latch state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get latched hysteresis state for every hysteresis condition of a rule
+   * @param {Object} rule - Rule data
+   * @returns {Promise<Array>} Latch state per condition
+   */
+  async getLatchState(rule) {
+    const latchKey = `rule:${rule.id}:latch`;
+    const stored = await cache.hgetall(latchKey);
+    const states = [];
+
+    this.getConditionList(rule.conditions).forEach((condition, index) => {
+      if (!['SENSOR', 'sensor'].includes(condition.type) || this.getReleaseThreshold(condition) === null) {
+        return;
+      }
+
+      const entry = this.parseLatchEntry(stored && stored[index]);
+
+      states.push({
+        conditionIndex: index,
+        sensorId: condition.sensorId || condition.sensor,
+        field: condition.field,
+        threshold: condition.value,
+        releaseThreshold: this.getReleaseThreshold(condition),
+        latched: Boolean(entry && entry.latched),
+        value: entry ? entry.value : null,
+        changedAt: entry ? entry.changedAt : null
+      });
+    });
+
+    return states;
+  }
+
+  /**
+   * Forget latched hysteresis state (after a rule's conditions change or it is deleted)
+   * @param {string|number} ruleId - Rule ID
+   */
+  async clearLatchState(ruleId) {
+    await cache.del(`rule:${ruleId}:latch`);
+  }
+
   /**
    * Evaluate device condition
    * @param {string} deviceId - Device ID
    * @param {string} operator - Comparison operator
    * @param {string} value - Expected value
+   * @param {Object} context - Evaluation context
    * @returns {boolean} Condition result
    */
-  async evaluateDeviceCondition(deviceId, operator, value) {
+  async evaluateDeviceCondition(deviceId, operator, value, context = {}) {
     try {
-      const device = await deviceService.getDeviceById(deviceId);
+      const device = context.simulation
+        ? { status: context.simulation.getDeviceStatus(deviceId) }
+        : await deviceService.getDeviceById(deviceId);
 
       if (!device) {
         return false;
@@ -319,15 +1086,28 @@ class RulesEngineService {
   /**
    * Evaluate time condition
    * @param {Object} condition - Time condition
+   * @param {Object} context - Evaluation context (context.now overrides the clock)
    * @returns {boolean} Condition result
    */
-  async evaluateTimeCondition(condition) {
-    const now = new Date();
-    const { time_type, start_time, end_time, days_of_week, datetime, timeStart, timeEnd } = condition;
+  async evaluateTimeCondition(condition, context = {}) {
+    const now = context.now || new Date();
+    const { time_type, start_time, end_time, days_of_week, datetime, timeStart, timeEnd, cron, solarEvent } = condition;
+    const timezone = this.getScheduleTimezone(condition);
+
+    // Cron and solar schedules; when both are given, both must match
+    if (cron || solarEvent) {
+      if (cron && !this.evaluateCronSchedule(cron, now, timezone)) {
+        return false;
+      }
+      if (solarEvent && !(await this.evaluateSolarEvent(solarEvent, now, timezone))) {
+        return false;
+      }
+      return true;
+    }
 
     // Handle GraphQL style time conditions (timeStart/timeEnd)
     if (timeStart && timeEnd) {
-      return this.evaluateTimeWindow(timeStart, timeEnd, now);
+      return this.evaluateTimeWindow(timeStart, timeEnd, now, timezone);
     }
 
     switch (time_type) {
@@ -350,14 +1130,16 @@ class RulesEngineService {
   }
 
   /**
-   * Evaluate time window for pump cycling and recurring schedules
+   * Evaluate a daily time window
    * @param {string} timeStart - Start time in HH:MM format
    * @param {string} timeEnd - End time in HH:MM format
    * @param {Date} now - Current datetime
+   * @param {string} timezone - IANA timezone of the window (server time when null)
    * @returns {boolean} Whether current time is within window
    */
-  evaluateTimeWindow(timeStart, timeEnd, now) {
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
+  evaluateTimeWindow(timeStart, timeEnd, now, timezone = null) {
+    const local = timezone ? moment.tz(now, timezone) : moment(now);
+    const currentMinutes = local.hours() * 60 + local.minutes();
 
     // Parse start and end times
     const [startHour, startMin] = timeStart.split(':').map(Number);
@@ -366,43 +1148,143 @@ class RulesEngineService {
     const startMinutes = startHour * 60 + startMin;
     const endMinutes = endHour * 60 + endMin;
 
-    // Handle different time window patterns
-    if (timeStart === '00:00' && timeEnd === '00:15') {
-      // Pattern: 00:00-00:15 (every 30 minutes)
-      // This should trigger at minutes 0-15 and 30-45 of every hour
-      const minuteOfHour = now.getMinutes();
-      return (minuteOfHour >= 0 && minuteOfHour < 15) || (minuteOfHour >= 30 && minuteOfHour < 45);
+    if (endMinutes > startMinutes) {
+      // Normal case: start and end on same day
+      return currentMinutes >= startMinutes && currentMinutes < endMinutes;
     }
+    // Wrap-around case: end time is next day
+    return currentMinutes >= startMinutes || currentMinutes < endMinutes;
+
+  }
 
-    if (timeStart === '00:15' && timeEnd === '00:30') {
-      // Pattern: 00:15-00:30 (every 30 minutes)
-      // This should trigger at minutes 15-30 and 45-60 of every hour
-      const minuteOfHour = now.getMinutes();
-      return (minuteOfHour >= 15 && minuteOfHour < 30) || (minuteOfHour >= 45 && minuteOfHour < 60);
+  /**
+   * Evaluate a cron schedule; matches during every minute the expression selects
+   * @param {string} expression - 5-field cron expression
+   * @param {Date} now - Current datetime
+   * @param {string} timezone - IANA timezone of the expression
+   * @returns {boolean} Whether the current minute matches
+   */
+  evaluateCronSchedule(expression, now, timezone = null) {
+    try {
+      return matchesCron(expression, now, timezone);
+    } catch (error) {
+      console.warn(`⚠️ Invalid cron expression "${expression}": ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Evaluate an astronomical trigger such as "30 minutes after sunset".
+   * Sun times are computed offline from the greenhouse coordinates.
+   * @param {Object} solarEvent - { event, offsetMinutes, durationMinutes }
+   * @param {Date} now - Current datetime
+   * @param {string} timezone - IANA timezone deciding which local day to use
+   * @returns {boolean} Whether now falls inside the triggered window
+   */
+  async evaluateSolarEvent(solarEvent, now, timezone = null) {
+    const { event, offsetMinutes = 0, durationMinutes = 1 } = solarEvent;
+    const coordinates = await weatherService.getCoordinates();
+
+    if (!coordinates) {
+      console.warn('⚠️ Solar schedule skipped: greenhouse coordinates unknown');
+      return false;
+    }
+
+    try {
+      const eventTime = getSolarEventTime(
+        event,
+        now,
+        coordinates.latitude,
+        coordinates.longitude,
+        timezone || coordinates.timezone
+      );
+
+      if (!eventTime) {
+        // The sun does not reach this altitude today (polar day/night)
+        return false;
+      }
+
+      const windowStart = eventTime.getTime() + offsetMinutes * 60000;
+      const windowEnd = windowStart + Math.max(durationMinutes, 1) * 60000;
+
+      return now.getTime() >= windowStart && now.getTime() < windowEnd;
+    } catch (error) {
+      console.warn(`⚠️ Invalid solar event "${event}": ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Timezone of a TIME condition's schedule: its own, else the greenhouse's for
+   * cron and solar schedules (the same zone daily budgets use). Plain
+   * timeStart/timeEnd windows have always been read in server time, so they
+   * keep doing so unless a timezone is set explicitly.
+   * @param {Object} condition - Time condition
+   * @returns {string|null} IANA timezone, or null for server time
+   */
+  getScheduleTimezone(condition) {
+    if (condition.timezone) {
+      return condition.timezone;
+    }
+    return condition.cron || condition.solarEvent ? weatherService.timezone : null;
+  }
+
+  /**
+   * Validate the schedule fields (cron, timezone, solarEvent) of a TIME condition
+   * @param {Object} condition - Time condition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  getScheduleErrors(condition) {
+    const errors = [];
+
+    if (condition.cron) {
+      const cronError = validateCron(condition.cron);
+      if (cronError) {
+        errors.push(`Invalid cron expression "${condition.cron}": ${cronError}`);
+      }
     }
 
-    if (timeStart === '00:30' && timeEnd === '00:45') {
-      // Pattern: 00:30-00:45 (every 30 minutes)
-      // This should trigger at minutes 30-45 of every hour
-      const minuteOfHour = now.getMinutes();
-      return (minuteOfHour >= 30 && minuteOfHour < 45);
+    if (condition.timezone && !isValidTimezone(condition.timezone)) {
+      errors.push(`Unknown timezone "${condition.timezone}"`);
     }
 
-    if (timeStart === '00:45' && timeEnd === '23:59') {
-      // Pattern: 00:45-23:59 (special case for wrap-around)
-      // This should trigger at minutes 45-60 of every hour
-      const minuteOfHour = now.getMinutes();
-      return (minuteOfHour >= 45 && minuteOfHour < 60);
+    if (condition.solarEvent) {
+      const { event, offsetMinutes, durationMinutes } = condition.solarEvent;
+      if (!SOLAR_EVENTS.includes(String(event).toUpperCase())) {
+        errors.push(`Unknown solar event "${event}"`);
+      }
+      if (offsetMinutes !== undefined && offsetMinutes !== null && Math.abs(offsetMinutes) > 720) {
+        errors.push('Solar event offset must be within ±720 minutes');
+      }
+      if (durationMinutes !== undefined && durationMinutes !== null && durationMinutes < 1) {
+        errors.push('Solar event duration must be at least 1 minute');
+      }
     }
 
-    // Standard time window evaluation
-    if (endMinutes > startMinutes) {
-      // Normal case: start and end on same day
-      return currentMinutes >= startMinutes && currentMinutes < endMinutes;
+    return errors;
+  }
+
+  /**
+   * Get the next minute at which a cron-scheduled rule can fire
+   * @param {Object} rule - Rule data
+   * @param {Date} from - Reference datetime
+   * @returns {Date|null} Earliest cron match, or null if the rule has no cron conditions
+   */
+  getNextCronRun(rule, from = new Date()) {
+    const cronConditions = this.getConditionList(rule.conditions)
+      .filter(condition => (condition.type === 'TIME' || condition.type === 'time') && condition.cron)
+      .filter(condition => !validateCron(condition.cron) && (!condition.timezone || isValidTimezone(condition.timezone)));
+
+    let nextRun = null;
+
+    for (const condition of cronConditions) {
+      const candidate = nextCronMatch(condition.cron, from, this.getScheduleTimezone(condition));
+      if (candidate && (!nextRun || candidate < nextRun)) {
+        nextRun = candidate;
+      }
     }
-    // Wrap-around case: end time is next day
-    return currentMinutes >= startMinutes || currentMinutes < endMinutes;
 
+    return nextRun;
   }
 
   /**
@@ -412,11 +1294,12 @@ class RulesEngineService {
    * @param {string} operator - Comparison operator
    * @param {number} value - Threshold value
    * @param {Object} timeWindow - Time window configuration
+   * @param {Object} context - Evaluation context
    * @returns {boolean} Condition result
    */
-  async evaluateSensorHistoryCondition(sensor, field, operator, value, timeWindow) {
+  async evaluateSensorHistoryCondition(sensor, field, operator, value, timeWindow, context = {}) {
     const { duration, aggregation } = timeWindow;
-    const historicalData = await this.getSensorHistoryData(sensor, duration);
+    const historicalData = await this.getSensorHistoryData(sensor, duration, context);
 
     if (!historicalData || historicalData.length === 0) {
       return false;
@@ -471,11 +1354,12 @@ class RulesEngineService {
    * @param {string} field - Field name
    * @param {string} trendType - Trend type (rising, falling, stable)
    * @param {Object} timeWindow - Time window configuration
+   * @param {Object} context - Evaluation context
    * @returns {boolean} Condition result
    */
-  async evaluateSensorTrendCondition(sensor, field, trendType, timeWindow) {
+  async evaluateSensorTrendCondition(sensor, field, trendType, timeWindow, context = {}) {
     const { duration } = timeWindow;
-    const historicalData = await this.getSensorHistoryData(sensor, duration);
+    const historicalData = await this.getSensorHistoryData(sensor, duration, context);
 
     if (!historicalData || historicalData.length < 2) {
       return false;
@@ -513,21 +1397,378 @@ class RulesEngineService {
     }
   }
 
+  /**
+   * Evaluate a rate-of-change condition, e.g. "temperature rising faster than
+   * 2 °C per 10 minutes" is operator GT, value 2, ratePerMinutes 10
+   * @param {Object} condition - RATE condition
+   * @param {Object} context - Evaluation context
+   * @returns {boolean} Condition result
+   */
+  async evaluateRateCondition(condition, context = {}) {
+    const rate = await this.getRateOfChange(condition, context);
+
+    if (rate === null) {
+      return false;
+    }
+
+    return this.compareValues(rate, condition.operator, condition.value);
+  }
+
+  /**
+   * Slope of a sensor field over the condition window, from a least-squares
+   * regression on the reading timestamps (irregular reporting doesn't skew it)
+   * @param {Object} condition - RATE condition ({ sensorId, field, timeRangeMinutes, ratePerMinutes })
+   * @param {Object} context - Evaluation context
+   * @returns {Promise<number|null>} Change per ratePerMinutes minutes, or null with fewer than two readings
+   */
+  async getRateOfChange(condition, context = {}) {
+    const sensor = condition.sensorId || condition.sensor;
+    const windowMinutes = condition.timeRangeMinutes;
+    const perMinutes = condition.ratePerMinutes || windowMinutes;
+    const historicalData = await this.getSensorHistoryData(sensor, windowMinutes, context);
+
+    const points = (historicalData || [])
+      .map(data => ({ x: new Date(data.timestamp).getTime() / 60000, y: parseFloat(data[condition.field]) }))
+      .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+
+    if (points.length < 2) {
+      return null;
+    }
+
+    // Centre on the means so epoch-sized x values don't lose precision
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+
+    for (const point of points) {
+      covariance += (point.x - meanX) * (point.y - meanY);
+      variance += (point.x - meanX) * (point.x - meanX);
+    }
+
+    if (variance === 0) {
+      return null;
+    }
+
+    return (covariance / variance) * perMinutes;
+  }
+
+  /**
+   * Validate a RATE condition
+   * @param {Object} condition - RATE condition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  getRateErrors(condition) {
+    const errors = [];
+
+    if (!(condition.sensorId || condition.sensor)) {
+      errors.push('Sensor ID is required for rate conditions');
+    }
+    if (!condition.field) {
+      errors.push('Field is required for rate conditions');
+    }
+    if (!['GT', '>', 'GTE', '>=', 'LT', '<', 'LTE', '<='].includes(condition.operator)) {
+      errors.push('Rate conditions need a GT, GTE, LT or LTE operator');
+    }
+    if (typeof condition.value !== 'number') {
+      errors.push('Value (slope threshold) is required for rate conditions');
+    }
+    if (!(condition.timeRangeMinutes > 0)) {
+      errors.push('timeRangeMinutes (regression window) must be greater than 0');
+    }
+    if (condition.ratePerMinutes !== undefined && condition.ratePerMinutes !== null && !(condition.ratePerMinutes > 0)) {
+      errors.push('ratePerMinutes must be greater than 0');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluate an expression condition over several sensors, e.g.
+   * "vpd(temhum1.temperatura, temhum1.humedad)" GT 1.2
+   * @param {Object} condition - EXPRESSION condition ({ expression, operator, value })
+   * @param {Object} context - Evaluation context
+   * @returns {boolean} Condition result
+   */
+  async evaluateExpressionCondition(condition, context = {}) {
+    const result = await this.getExpressionValue(condition, context);
+
+    if (result === null) {
+      return false;
+    }
+
+    return this.compareValues(result, condition.operator, condition.value);
+  }
+
+  /**
+   * Compute the value of an EXPRESSION condition
+   * @param {Object} condition - EXPRESSION condition
+   * @param {Object} context - Evaluation context
+   * @returns {Promise<number|null>} Result, or null when a referenced value is missing
+   */
+  async getExpressionValue(condition, context = {}) {
+    const ast = parseExpression(condition.expression);
+    const values = {};
+
+    for (const reference of getExpressionReferences(ast)) {
+      if (reference.history === 'dli') {
+        values[reference.key] = await this.getDailyLightIntegral(reference.sensor, reference.field, context);
+      } else if (reference.sensor.toLowerCase() === 'weather') {
+        values[reference.key] = await this.getWeatherFieldValue(reference.field, context);
+      } else {
+        values[reference.key] = await this.getSensorFieldValue(reference.sensor, reference.field, context);
+      }
+    }
+
+    return evaluateExpression(ast, values);
+  }
+
+  /**
+   * Validate an EXPRESSION condition
+   * @param {Object} condition - EXPRESSION condition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  getExpressionErrors(condition) {
+    const errors = [];
+    const expressionError = validateExpression(condition.expression);
+
+    if (expressionError) {
+      errors.push(`Invalid expression: ${expressionError}`);
+    }
+    if (!condition.operator) {
+      errors.push('Operator is required for expression conditions');
+    }
+    if (typeof condition.value !== 'number') {
+      errors.push('Value is required for expression conditions');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Latest outdoor weather value at the evaluation time
+   * @param {string} field - weather_current column (temperature/humidity aliases accepted)
+   * @param {Object} context - Evaluation context (context.now for replays)
+   * @returns {Promise<number|null>} Value
+   */
+  async getWeatherFieldValue(field, context = {}) {
+    const aliases = { temperature: 'temperatura', humidity: 'humedad', pressure: 'presion', dewPoint: 'punto_rocio' };
+    const column = aliases[field] || field;
+
+    const result = await query(
+      'SELECT * FROM weather_current WHERE received_at <= $1 ORDER BY received_at DESC LIMIT 1',
+      [context.now || new Date()]
+    );
+
+    if (result.rows.length === 0 || result.rows[0][column] === undefined || result.rows[0][column] === null) {
+      return null;
+    }
+
+    const value = parseFloat(result.rows[0][column]);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Daily light integral accumulated since local midnight (mol/m²/day).
+   * Lux is converted to PPFD with the sunlight factor (1 µmol/m²/s ≈ 54 lux)
+   * and integrated with the trapezoidal rule.
+   * @param {string} sensor - Sensor reporting illuminance
+   * @param {string} field - Lux field
+   * @param {Object} context - Evaluation context
+   * @returns {Promise<number|null>} DLI, or null without readings today
+   */
+  async getDailyLightIntegral(sensor, field, context = {}) {
+    const now = context.now || new Date();
+    const midnight = moment.tz(now, weatherService.timezone).startOf('day').toDate();
+
+    const history = context.simulation
+      ? context.simulation.getHistory(sensor, (now - midnight) / 60000)
+      : await this.getSensorHistoryFromDB(sensor, midnight, now);
+
+    const points = (history || [])
+      .map(reading => ({ at: new Date(reading.timestamp).getTime(), ppfd: parseFloat(reading[field]) / 54 }))
+      .filter(point => Number.isFinite(point.at) && Number.isFinite(point.ppfd))
+      .sort((a, b) => a.at - b.at);
+
+    if (points.length === 0) {
+      return null;
+    }
+
+    let micromoles = 0;
+    for (let i = 1; i < points.length; i++) {
+      const seconds = (points[i].at - points[i - 1].at) / 1000;
+      micromoles += ((points[i].ppfd + points[i - 1].ppfd) / 2) * seconds;
+    }
+
+    return micromoles / 1e6;
+  }
+
+  /**
+   * Evaluate a condition on another rule's executions, e.g. "rule 12 fired
+   * at least 3 times in the last 60 minutes" or "rule 12's last execution failed"
+   * @param {Object} condition - RULE condition ({ ruleId, ruleEvent, timeRangeMinutes, operator, value })
+   * @param {Object} context - Evaluation context
+   * @returns {boolean} Condition result
+   */
+  async evaluateRuleCondition(condition, context = {}) {
+    const count = await this.getRuleConditionValue(condition, context);
+
+    if (condition.ruleEvent === 'LAST_FAILED') {
+      return count === 1;
+    }
+
+    return this.compareValues(count, condition.operator || 'GTE', condition.value ?? 1);
+  }
+
+  /**
+   * Value a RULE condition compares: the number of matching executions in the
+   * window, or 1/0 for LAST_FAILED (whether the latest execution failed)
+   * @param {Object} condition - RULE condition
+   * @param {Object} context - Evaluation context (context.now for replays)
+   * @returns {Promise<number>} Value
+   */
+  async getRuleConditionValue(condition, context = {}) {
+    const now = context.now || new Date();
+    const since = condition.timeRangeMinutes
+      ? new Date(now.getTime() - condition.timeRangeMinutes * 60000)
+      : new Date(0);
+
+    // A rule that lost arbitration neither fired nor failed
+    if (condition.ruleEvent === 'LAST_FAILED') {
+      const result = await query(
+        `SELECT success FROM rule_executions
+         WHERE rule_id = $1 AND triggered_at > $2 AND triggered_at <= $3
+           AND (status IS NULL OR status <> ALL($4::text[]))
+         ORDER BY triggered_at DESC LIMIT 1`,
+        [condition.ruleId, since, now, this.notRunStatuses]
+      );
+      return result.rows.length > 0 && result.rows[0].success === false ? 1 : 0;
+    }
+
+    const result = await query(
+      `SELECT COUNT(*) AS count FROM rule_executions
+       WHERE rule_id = $1 AND success = $2 AND triggered_at > $3 AND triggered_at <= $4
+         AND (status IS NULL OR status <> ALL($5::text[]))`,
+      [condition.ruleId, condition.ruleEvent !== 'FAILED', since, now, this.notRunStatuses]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Validate a RULE condition's own fields (references are checked by getRuleDependencyErrors)
+   * @param {Object} condition - RULE condition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  getRuleConditionErrors(condition) {
+    const errors = [];
+
+    if (condition.ruleId === undefined || condition.ruleId === null || condition.ruleId === '') {
+      errors.push('Rule ID is required for rule conditions');
+    }
+    if (condition.ruleEvent && !['FIRED', 'FAILED', 'LAST_FAILED'].includes(condition.ruleEvent)) {
+      errors.push(`Unknown rule event "${condition.ruleEvent}"`);
+    }
+    if (condition.ruleEvent !== 'LAST_FAILED' && !(condition.timeRangeMinutes > 0)) {
+      errors.push('Time range is required when counting rule executions');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check the rules a rule depends on through RULE conditions: they must
+   * exist, and following dependencies must never lead back to the rule
+   * @param {Object} rule - Rule being saved ({ id, conditions }); id is null for new rules
+   * @param {Array} pendingRules - Unsaved rules that count as existing ({ id, name, conditions })
+   * @returns {Promise<Array<string>>} Errors (empty when valid)
+   */
+  async getRuleDependencyErrors(rule, pendingRules = []) {
+    const watched = this.getRuleReferences(rule).rules;
+    if (watched.length === 0) {
+      return [];
+    }
+
+    const result = await query('SELECT id, name, conditions FROM rules');
+    const graph = new Map();
+    const names = new Map();
+    for (const other of [...result.rows, ...pendingRules]) {
+      graph.set(String(other.id), this.getRuleReferences(other).rules);
+      names.set(String(other.id), other.name);
+    }
+
+    const ruleId = rule.id !== undefined && rule.id !== null ? String(rule.id) : null;
+    const errors = [];
+
+    for (const id of watched) {
+      if (id === ruleId) {
+        errors.push('A rule cannot depend on itself');
+      } else if (!graph.has(id)) {
+        errors.push(`Rule ${id} referenced by a rule condition does not exist`);
+      }
+    }
+
+    // A new rule can't be watched by anything yet, so only saved rules can close a cycle
+    if (ruleId === null || errors.length > 0) {
+      return errors;
+    }
+
+    graph.set(ruleId, watched);
+    names.set(ruleId, rule.name || names.get(ruleId));
+
+    const path = this.findDependencyPath(graph, ruleId, ruleId);
+    if (path) {
+      const labels = [ruleId, ...path].map(id => `"${names.get(id) || id}"`);
+      errors.push(`Rule dependency cycle: ${labels.join(' -> ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Depth-first search for a dependency path between two rules
+   * @param {Map} graph - Rule ID -> watched rule IDs
+   * @param {string} from - Start rule ID
+   * @param {string} to - Target rule ID
+   * @returns {Array<string>|null} Rule IDs after `from` up to `to`, or null
+   */
+  findDependencyPath(graph, from, to) {
+    const visited = new Set();
+
+    const visit = (id) => {
+      for (const next of graph.get(id) || []) {
+        if (next === to) {
+          return [next];
+        }
+        if (!visited.has(next)) {
+          visited.add(next);
+          const rest = visit(next);
+          if (rest) {
+            return [next, ...rest];
+          }
+        }
+      }
+      return null;
+    };
+
+    return visit(from);
+  }
+
   /**
    * Evaluate sensor heartbeat condition
    * @param {string} sensor - Sensor name
    * @param {number} timeoutMinutes - Timeout in minutes
+   * @param {Object} context - Evaluation context
    * @returns {boolean} Condition result
    */
-  async evaluateSensorHeartbeatCondition(sensor, timeoutMinutes) {
-    const sensorData = await this.getLatestSensorData(sensor);
+  async evaluateSensorHeartbeatCondition(sensor, timeoutMinutes, context = {}) {
+    const sensorData = await this.getLatestSensorData(sensor, context);
 
     if (!sensorData || !sensorData.timestamp) {
       return true; // No data means heartbeat failed
     }
 
     const lastUpdate = new Date(sensorData.timestamp);
-    const now = new Date();
+    const now = context.now || new Date();
     const timeSinceLastUpdate = now - lastUpdate;
     const timeoutMs = timeoutMinutes * 60 * 1000;
 
@@ -537,32 +1778,43 @@ class RulesEngineService {
   /**
    * Evaluate sustained state condition
    * @param {Object} condition - Sustained state condition
+   * @param {Object} context - Evaluation context
    * @returns {boolean} Condition result
    */
-  async evaluateSustainedStateCondition(condition) {
+  async evaluateSustainedStateCondition(condition, context = {}) {
     const { sensor, field, operator, value, duration_minutes } = condition;
     const stateKey = `sustained_state:${sensor}:${field}:${operator}:${value}`;
+    const simulation = context.simulation;
+    const now = context.now ? context.now.getTime() : Date.now();
 
     // Check if condition is currently met
-    const currentlyMet = await this.evaluateSensorCondition(sensor, field, operator, value);
+    const currentlyMet = await this.evaluateSensorCondition(sensor, field, operator, value, context);
 
     if (!currentlyMet) {
       // Clear the state if condition is not met
-      await cache.del(stateKey);
+      if (simulation) {
+        simulation.sustained.delete(stateKey);
+      } else {
+        await cache.del(stateKey);
+      }
       return false;
     }
 
     // Get the start time of the sustained state
-    const startTime = await cache.get(stateKey);
+    const startTime = simulation ? simulation.sustained.get(stateKey) : await cache.get(stateKey);
 
     if (!startTime) {
       // First time condition is met, record the start time
-      await cache.set(stateKey, Date.now().toString());
+      if (simulation) {
+        simulation.sustained.set(stateKey, now.toString());
+      } else {
+        await cache.set(stateKey, now.toString());
+      }
       return false;
     }
 
     // Check if the duration has been exceeded
-    const sustainedDuration = Date.now() - parseInt(startTime);
+    const sustainedDuration = now - parseInt(startTime);
     const requiredDuration = duration_minutes * 60 * 1000;
 
     return sustainedDuration >= requiredDuration;
@@ -572,38 +1824,72 @@ class RulesEngineService {
    * Execute rule actions
    * @param {Array} actions - Rule actions
    * @param {Object} rule - Rule data
+   * @returns {Promise<Array>} Actions as executed (with sequence_id or error where applicable)
    */
   async executeActions(actions, rule) {
     if (!Array.isArray(actions) || actions.length === 0) {
-      return;
+      return [];
     }
 
+    const executed = [];
+
     for (const action of actions) {
       try {
-        await this.executeAction(action, rule);
+        const result = await this.executeAction(action, rule);
+        executed.push({ ...action, ...result });
       } catch (error) {
         console.error('❌ Error executing action:', error);
+        executed.push({ ...action, error: error.message });
       }
     }
+
+    return executed;
   }
 
   /**
    * Execute a single action
    * @param {Object} action - Action data
    * @param {Object} rule - Rule data
+   * @returns {Promise<Object|undefined>} Extra execution details ({ sequence_id } for sequences, { blocked } when a budget or maintenance stops it, { overridden_by } when another rule wins arbitration)
    */
   async executeAction(action, rule) {
-    const { type, device_id, status, configuration, notification, operation } = action;
+    const { type, device_id, configuration, operation } = action;
 
     switch (type?.toLowerCase()) {
     case 'device_status':
     case 'device_control':
-      // Translate TURN_ON/TURN_OFF to 'on'/'off'
-      const translatedStatus = action.action === 'TURN_ON' ? 'on' : (action.action === 'TURN_OFF' ? 'off' : status);
-      await this.executeDeviceStatusAction(device_id || action.deviceId, translatedStatus, action);
+      const targetDevice = device_id || action.deviceId;
+      const translatedStatus = await this.resolveActionStatus(action, targetDevice);
+
+      if (await this.isDeviceInMaintenance(targetDevice, rule)) {
+        return { blocked: 'Device is in maintenance' };
+      }
+
+      const winningClaim = translatedStatus ? await this.arbitrateDeviceCommand(targetDevice, translatedStatus, rule) : null;
+      if (winningClaim) {
+        return {
+          overridden_by: {
+            rule_id: winningClaim.ruleId,
+            rule_name: winningClaim.ruleName,
+            priority: winningClaim.priority,
+            command: winningClaim.command
+          }
+        };
+      }
+
+      if (translatedStatus && !(await executionBudgetService.checkDeviceBudget(targetDevice, translatedStatus, rule))) {
+        return { blocked: 'Daily device budget exhausted' };
+      }
+
+      await this.executeDeviceStatusAction(targetDevice, translatedStatus, action);
+      await executionBudgetService.recordDeviceActivation(targetDevice, translatedStatus);
       break;
 
     case 'device_configuration':
+      if (await this.isDeviceInMaintenance(device_id, rule)) {
+        return { blocked: 'Device is in maintenance' };
+      }
+
       await this.executeDeviceConfigurationAction(device_id, configuration);
       break;
 
@@ -615,11 +1901,157 @@ class RulesEngineService {
       await this.executeOperationAction(operation, rule);
       break;
 
+    case 'sequence':
+      // Steps run through the queue so a restart doesn't cut a sequence short
+      return { sequence_id: await queueService.startSequence(action, rule) };
+
     default:
       console.warn(`Unknown action type: ${type}`);
     }
   }
 
+  /**
+   * Devices in maintenance are left alone by every rule
+   * @param {string|number} deviceId - Device ID
+   * @param {Object} rule - Rule sending the command
+   * @returns {Promise<boolean>} Whether the action must be skipped
+   */
+  async isDeviceInMaintenance(deviceId, rule) {
+    if (deviceId === undefined || deviceId === null || !(await deviceMaintenanceService.isInMaintenance(deviceId))) {
+      return false;
+    }
+
+    console.log(`🔧 Device ${deviceId} is in maintenance, skipping action of rule "${rule?.name}"`);
+    return true;
+  }
+
+  /**
+   * Status a device action leaves the device in. TOGGLE is resolved from the
+   * current status, so arbitration and budgets see the state it lands on.
+   * @param {Object} action - Rule action
+   * @param {string} deviceId - Target device ID
+   * @returns {Promise<string|undefined>} Target status
+   */
+  async resolveActionStatus(action, deviceId) {
+    switch (action.action) {
+    case 'TURN_ON':
+      return 'on';
+    case 'TURN_OFF':
+      return 'off';
+    case 'TOGGLE': {
+      const device = await deviceService.getDeviceById(deviceId);
+      return ['on', 'online', 'active'].includes(device.status) ? 'off' : 'on';
+    }
+    default:
+      return action.status;
+    }
+  }
+
+  /**
+   * Normalize a device action into the device it targets and the command it sends
+   * @param {Object} action - Rule action
+   * @returns {Object|null} { deviceId, command } (command: on, off, toggle, value:<n>), or null for non-device actions
+   */
+  getDeviceCommand(action) {
+    const type = action?.type?.toLowerCase();
+    if (type !== 'device_status' && type !== 'device_control') {
+      return null;
+    }
+
+    const deviceId = action.device_id || action.deviceId;
+    if (deviceId === undefined || deviceId === null) {
+      return null;
+    }
+
+    let command = null;
+    switch (action.action) {
+    case 'TURN_ON':
+      command = 'on';
+      break;
+    case 'TURN_OFF':
+      command = 'off';
+      break;
+    case 'TOGGLE':
+      command = 'toggle';
+      break;
+    case 'SET_VALUE':
+      command = `value:${action.value}`;
+      break;
+    default:
+      command = action.status ? String(action.status).toLowerCase() : null;
+    }
+
+    return command ? { deviceId: String(deviceId), command } : null;
+  }
+
+  /**
+   * Rule that overrode an execution, when every action lost arbitration
+   * @param {Array} executedActions - Result of executeActions
+   * @returns {Object|null} overridden_by of the first action ({ rule_id, rule_name, priority, command })
+   */
+  getOverridingRule(executedActions) {
+    if (executedActions.length === 0 || !executedActions.every(action => action.overridden_by)) {
+      return null;
+    }
+
+    return executedActions[0].overridden_by;
+  }
+
+  /**
+   * Per-device arbitration between rules sending contradicting commands.
+   * The rule that last commanded a device holds a claim on it for its cooldown
+   * period; a lower-priority rule (higher number) cannot reverse that command
+   * while the claim is held. Claims live in Redis so all instances agree.
+   * @param {string} deviceId - Device ID
+   * @param {string} status - Status the rule wants to set
+   * @param {Object} rule - Rule sending the command
+   * @returns {Promise<Object|null>} Claim of the rule that keeps the device, or null when the command may be sent
+   */
+  async arbitrateDeviceCommand(deviceId, status, rule) {
+    if (!rule || rule.id === undefined || rule.id === null) {
+      return null;
+    }
+
+    const claimKey = `device:${deviceId}:claim`;
+    const command = String(status).toLowerCase();
+    const priority = rule.priority ?? 0;
+    let won;
+    let claim;
+
+    try {
+      // Compare and claim in one step so two instances can't both win
+      const [result, current] = await redis.eval(
+        CLAIM_SCRIPT,
+        1, claimKey,
+        JSON.stringify({
+          ruleId: rule.id,
+          ruleName: rule.name,
+          priority,
+          command,
+          claimedAt: new Date().toISOString()
+        }),
+        String(rule.id), priority, command, Math.ceil(this.getCooldownPeriod(rule) / 1000)
+      );
+      won = result === 1;
+      claim = current ? JSON.parse(current) : null;
+    } catch (error) {
+      console.error(`❌ Arbitration failed for device ${deviceId}, sending command unarbitrated:`, error.message);
+      return null;
+    }
+
+    const contested = claim && String(claim.ruleId) !== String(rule.id) && claim.command !== command;
+
+    if (!won) {
+      console.warn(`⚖️ Rule "${rule.name}" (priority ${priority}) lost arbitration for device ${deviceId}: "${claim.ruleName}" (priority ${claim.priority}) holds it ${claim.command}, skipped ${command}`);
+      return claim;
+    }
+    if (contested) {
+      console.log(`⚖️ Rule "${rule.name}" (priority ${priority}) overrides "${claim.ruleName}" (priority ${claim.priority}) on device ${deviceId}: ${claim.command} -> ${command}`);
+    }
+
+    return null;
+  }
+
   /**
    * Execute device status action
    * @param {string} deviceId - Device ID
@@ -752,10 +2184,15 @@ class RulesEngineService {
 
   /**
    * Get latest sensor data
-   * @param {string} sensor - Sensor name
+   * @param {string} sensor - Sensor identifier
+   * @param {Object} context - Evaluation context (simulations read their replayed data)
    * @returns {Object} Latest sensor data
    */
-  async getLatestSensorData(sensor) {
+  async getLatestSensorData(sensor, context = {}) {
+    if (context.simulation) {
+      return context.simulation.getSensorData(sensor);
+    }
+
     if (!sensor) {
       console.warn("Attempted to get latest sensor data with null or undefined sensor ID.");
       return null;
@@ -840,21 +2277,7 @@ class RulesEngineService {
         sensor_id: sensor.id,
         hardware_id: sensor.hardware_id,
         sensor_type: sensor.sensor_type,
-        
-        // Extract data fields for rule evaluation
-        temperatura: payload.data?.temperature || payload.temperatura || null,
-        humedad: payload.data?.humidity || payload.humedad || null,
-        presion: payload.data?.pressure || payload.presion || null,
-        light: payload.data?.light || payload.light || null,
-        white_light: payload.data?.white_light || payload.white_light || null,
-        raw_light: payload.data?.raw_light || payload.raw_light || null,
-        heatindex: payload.data?.heat_index || payload.heatindex || null,
-        dewpoint: payload.data?.dew_point || payload.dewpoint || null,
-        
-        // Additional fields
-        rssi: payload.rssi || null,
-        boot: payload.boot || null,
-        mem: payload.mem || null
+        ...this.normalizeStoredPayload(payload)
       };
       
       console.log(`✅ Got sensor data from PostgreSQL for ${sensorHardwareId}:`, Object.keys(normalizedData));
@@ -866,13 +2289,47 @@ class RulesEngineService {
     }
   }
 
+  /**
+   * Extract the fields the rules engine evaluates from a stored sensor payload
+   * @param {Object} payload - Payload from sensor_data_generic
+   * @returns {Object} Normalized fields
+   */
+  normalizeStoredPayload(payload) {
+    return {
+      // Extract data fields for rule evaluation
+      temperatura: payload.data?.temperature || payload.temperatura || null,
+      humedad: payload.data?.humidity || payload.humedad || null,
+      presion: payload.data?.pressure || payload.presion || null,
+      light: payload.data?.light || payload.light || null,
+      white_light: payload.data?.white_light || payload.white_light || null,
+      raw_light: payload.data?.raw_light || payload.raw_light || null,
+      heatindex: payload.data?.heat_index || payload.heatindex || null,
+      dewpoint: payload.data?.dew_point || payload.dewpoint || null,
+
+      // Additional fields
+      rssi: payload.rssi || null,
+      boot: payload.boot || null,
+      mem: payload.mem || null
+    };
+  }
+
   /**
    * Get sensor history data
    * @param {string} sensor - Sensor name
    * @param {number} duration - Duration in minutes
+   * @param {Object} context - Evaluation context; { from, to } loads that range from
+   *   PostgreSQL instead of the Redis history list, at context.resolution seconds
    * @returns {Array} Historical sensor data
    */
-  async getSensorHistoryData(sensor, duration) {
+  async getSensorHistoryData(sensor, duration, context = {}) {
+    if (context.simulation) {
+      return context.simulation.getHistory(sensor, duration);
+    }
+
+    if (context.from && context.to) {
+      return this.getSensorHistoryFromDB(sensor, context.from, context.to, context.resolution);
+    }
+
     const key = `sensor_history:${sensor.toLowerCase()}`;
     const data = await cache.lrange(key, 0, -1);
 
@@ -887,6 +2344,38 @@ class RulesEngineService {
       .filter(item => item && item.timestamp && new Date(item.timestamp) >= cutoffTime);
   }
 
+  /**
+   * Load stored readings of a sensor between two dates, oldest first, from
+   * the unified readings store. The storage tier is picked from the
+   * resolution; each reading states its tier (rollups hold bucket averages).
+   * @param {string} sensor - Sensor identifier (legacy sensor key or hardware ID)
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {number} resolution - Seconds between readings needed (default: finest stored)
+   * @returns {Promise<Array>} Readings with a timestamp, tier and numeric fields
+   */
+  async getSensorHistoryFromDB(sensor, from, to, resolution = null) {
+    // Lazy require: sensorService loads the MQTT stack
+    const sensorService = require('./sensorService');
+    const sensorKey = String(sensor).toLowerCase();
+
+    const match = await query('SELECT hardware_id FROM sensors WHERE LOWER(hardware_id) = $1 LIMIT 1', [sensorKey]);
+    const readingSensorId = match.rows[0] ? match.rows[0].hardware_id : sensorKey;
+
+    const { readings, tier } = await sensorService.getReadings(readingSensorId, { from, to, resolution, limit: null });
+
+    return readings.reverse().map(({ timestamp, values }) => {
+      const reading = { timestamp: new Date(timestamp), tier, ...values };
+      // Same names the live MQTT cache uses
+      for (const [metric, fields] of Object.entries(HISTORY_FIELD_ALIASES)) {
+        if (values[metric] !== undefined) {
+          fields.forEach(field => { reading[field] = values[metric]; });
+        }
+      }
+      return reading;
+    });
+  }
+
   /**
    * Create rule execution record
    * @param {string} ruleId - Rule ID
@@ -894,13 +2383,23 @@ class RulesEngineService {
    * @param {Array} conditions - Rule conditions
    * @param {Array} actions - Rule actions
    * @param {string} error - Error message if failed
+   * @param {string} triggerSource - What caused the evaluation
+   * @param {Object} triggerData - Event data that caused the evaluation
+   * @param {number} revision - Rule revision that was evaluated
+   * @param {Object} options - { overriddenBy } rule that won arbitration over every action (status 'overridden'),
+   *   { status } queued/skipped for manual triggers that ran nothing
+   * @returns {Promise<Object>} Created record
    */
-  async createRuleExecution(ruleId, success, conditions, actions, error = null) {
-    await query(
-      `INSERT INTO rule_executions (rule_id, success, evaluation_result, actions_executed, error_message, triggered_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())`,
-      [ruleId, success, JSON.stringify(conditions), JSON.stringify(actions), error]
+  async createRuleExecution(ruleId, success, conditions, actions, error = null, triggerSource = 'schedule', triggerData = {}, revision = null, { overriddenBy = null, status = null } = {}) {
+    const executionStatus = status || (overriddenBy ? 'overridden' : (success ? 'success' : 'failed'));
+
+    const result = await query(
+      `INSERT INTO rule_executions (rule_id, success, status, overridden_by, evaluation_result, actions_executed, error_message, trigger_source, trigger_data, triggered_at, rule_revision)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), $10)
+       RETURNING *`,
+      [ruleId, success, executionStatus, overriddenBy, JSON.stringify(conditions), JSON.stringify(actions), error, triggerSource, JSON.stringify(triggerData), revision]
     );
+    return result.rows[0];
   }
 
   /**
@@ -916,13 +2415,13 @@ class RulesEngineService {
       `SELECT 
         COUNT(*) as total_executions,
         COUNT(CASE WHEN success = true THEN 1 END) as successful_executions,
-        COUNT(CASE WHEN success = false THEN 1 END) as failed_executions,
+        COUNT(CASE WHEN success = false AND (status IS NULL OR status <> ALL($4::text[])) THEN 1 END) as failed_executions,
         MAX(triggered_at) as last_execution
        FROM rule_executions
        WHERE rule_id = $1 
          AND triggered_at >= $2 
          AND triggered_at <= $3`,
-      [ruleId, startDate, endDate]
+      [ruleId, startDate, endDate, this.notRunStatuses]
     );
 
     return result.rows[0];
@@ -930,24 +2429,26 @@ class RulesEngineService {
 
   /**
    * Test rule conditions
-   * @param {Array} conditions - Rule conditions
-   * @returns {Object} Test results
+   * @param {Object|Array} conditions - Rule conditions
+   * @returns {Object} Test results (RATE and EXPRESSION conditions include their computed actualValue)
    */
   async testRuleConditions(conditions) {
     const results = [];
 
-    for (const condition of conditions) {
+    for (const condition of this.getConditionList(conditions)) {
       try {
         const result = await this.evaluateCondition(condition);
         results.push({
           condition,
           result,
+          actualValue: await this.getConditionActualValue(condition),
           error: null
         });
       } catch (error) {
         results.push({
           condition,
           result: false,
+          actualValue: null,
           error: error.message
         });
       }
@@ -959,6 +2460,27 @@ class RulesEngineService {
     };
   }
 
+  /**
+   * Computed value behind a condition, for reporting
+   * @param {Object} condition - Condition
+   * @returns {Promise<number|null>} Slope for RATE, result for EXPRESSION, execution count for RULE, otherwise null
+   */
+  async getConditionActualValue(condition) {
+    switch (condition.type) {
+    case 'RATE':
+    case 'rate':
+      return this.getRateOfChange(condition);
+    case 'EXPRESSION':
+    case 'expression':
+      return this.getExpressionValue(condition);
+    case 'RULE':
+    case 'rule':
+      return this.getRuleConditionValue(condition);
+    default:
+      return null;
+    }
+  }
+
   /**
    * Extract sensor type from rule conditions
    * @param {Object} rule - Rule data
@@ -998,8 +2520,15 @@ class RulesEngineService {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      instanceId: leaderElectionService.instanceId,
+      isLeader: leaderElectionService.isLeader,
       evaluationInterval: this.evaluationInterval,
-      priorityCooldowns: this.priorityCooldowns
+      priorityCooldowns: this.priorityCooldowns,
+      lastEvaluationCycle: this.lastEvaluationCycle,
+      indexedRules: this.rulesById.size,
+      scheduledRules: this.scheduledRuleIds.size,
+      indexedSensors: this.sensorRuleIndex.size,
+      indexedDevices: this.deviceRuleIndex.size
     };
   }
 }
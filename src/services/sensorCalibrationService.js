@@ -0,0 +1,769 @@
+const { query, withTransaction } = require('../config/database');
+const { pubsub, EVENTS } = require('../utils/pubsub');
+
+const METHODS = ['OFFSET_GAIN', 'PIECEWISE', 'PH_TWO_POINT'];
+
+// Reference points a guided session needs before it can be completed
+const REQUIRED_POINTS = { OFFSET_GAIN: 1, PIECEWISE: 2, PH_TWO_POINT: 2 };
+
+// Buffers captured by default in a pH session: neutral first, then acid
+const DEFAULT_PH_BUFFERS = [7.0, 4.01];
+
+// Payload keys carrying each field, as read by dynamicSensorService.normalizePayload;
+// other fields are looked up under their own name
+const FIELD_PAYLOAD_KEYS = {
+  temperature: ['temperatura', 'temperature'],
+  water_temperature: ['temperatura', 'temperature'],
+  humidity: ['humedad', 'humidity'],
+  heat_index: ['heatindex', 'heat_index'],
+  dew_point: ['dewpoint', 'dew_point'],
+  pressure: ['presion', 'pressure'],
+  ph: ['ph', 'pH'],
+  ec: ['ec', 'EC'],
+  ppm: ['ppm', 'PPM'],
+  power: ['watts', 'power']
+};
+
+// Device diagnostics are never calibrated
+const NON_CALIBRATABLE_FIELDS = ['rssi', 'boot', 'mem', 'errors'];
+
+// Suffix of the metric keeping the raw value of a calibrated reading
+const RAW_METRIC_SUFFIX = '_raw';
+
+// Healthy pH electrode slope, as a percentage of the ideal response
+const PH_SLOPE_RANGE = [85, 115];
+
+/**
+ * Numeric value of a payload field
+ * @param {*} value - Raw value
+ * @returns {number|null} Value, or null when not numeric
+ */
+const toNumber = (value) => {
+  if (typeof value === 'string' && value.trim() !== '') {
+    value = Number(value);
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+// Calibrated values keep 4 decimals, enough for every sensor and free of float noise
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Sensor Calibration Service
+ * Per-sensor, per-field calibration profiles applied to readings at
+ * ingestion, before they are stored, cached for the rules engine, checked
+ * against alerts or published. Fields are the metric names of the unified
+ * reading store (temperature, humidity, ph, ec...).
+ *
+ * OFFSET_GAIN: calibrated = raw * gain + offset.
+ * PIECEWISE: linear interpolation between (raw, reference) points, the end
+ * segments extended past the first and last point.
+ * PH_TWO_POINT: the line through the readings of two pH buffers.
+ *
+ * Profiles are versioned: a new one closes the validity of the previous
+ * version at its validFrom, and at any time the highest valid version wins.
+ * Guided sessions capture reference points from live readings and create
+ * the profile when completed.
+ */
+class SensorCalibrationService {
+  constructor() {
+    this.methods = METHODS;
+    this.rawMetricSuffix = RAW_METRIC_SUFFIX;
+    // hardware_id -> profiles valid now or later, highest version first
+    this.profiles = null;
+    this.loading = null;
+    this.subscribed = false;
+  }
+
+  /**
+   * Load the profiles valid now or later into memory
+   * @returns {Promise<Map>} hardware_id -> profiles
+   */
+  async loadProfiles() {
+    const result = await query(
+      `SELECT * FROM sensor_calibrations
+       WHERE valid_to IS NULL OR valid_to > NOW()
+       ORDER BY sensor_id, field, version DESC`
+    );
+
+    const profiles = new Map();
+    for (const row of result.rows) {
+      if (!profiles.has(row.sensor_id)) {
+        profiles.set(row.sensor_id, []);
+      }
+      profiles.get(row.sensor_id).push(row);
+    }
+    this.profiles = profiles;
+
+    // Profiles edited on another instance are reloaded here too
+    if (!this.subscribed) {
+      this.subscribed = true;
+      try {
+        await pubsub.subscribe(EVENTS.SENSOR_CALIBRATIONS_CHANGED, () => {
+          this.loadProfiles().catch(error => console.error('❌ Error reloading sensor calibrations:', error));
+        });
+      } catch (error) {
+        console.error('❌ Error subscribing to sensor calibration changes:', error);
+      }
+    }
+
+    console.log(`🎯 Loaded ${result.rows.length} sensor calibration profiles`);
+    return profiles;
+  }
+
+  /**
+   * Profiles in memory, loading them on first use
+   * @returns {Promise<Map>} hardware_id -> profiles
+   */
+  async getLoadedProfiles() {
+    if (this.profiles) {
+      return this.profiles;
+    }
+    if (!this.loading) {
+      this.loading = this.loadProfiles().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Reload the profiles here and on every other instance
+   */
+  async calibrationsChanged() {
+    await this.loadProfiles();
+    await pubsub.publish(EVENTS.SENSOR_CALIBRATIONS_CHANGED, { sensorCalibrationsChanged: true });
+  }
+
+  /**
+   * Profile in force for each field of a sensor at a time
+   * @param {string} hardwareId - Sensor hardware ID
+   * @param {Date} at - Reading time
+   * @returns {Promise<Array>} One profile per calibrated field
+   */
+  async getActiveProfiles(hardwareId, at = new Date()) {
+    const profiles = (await this.getLoadedProfiles()).get(hardwareId) || [];
+    const active = new Map();
+
+    for (const profile of profiles) {
+      const inForce = new Date(profile.valid_from) <= at && (!profile.valid_to || at < new Date(profile.valid_to));
+      if (inForce && !active.has(profile.field)) {
+        active.set(profile.field, profile);
+      }
+    }
+    return [...active.values()];
+  }
+
+  /**
+   * Calibrate the fields of a payload that have a profile in force. The
+   * result keeps the payload shape, so everything downstream sees calibrated
+   * values under the usual keys.
+   * @param {Object} sensor - Sensor row
+   * @param {Object} payload - Raw payload
+   * @param {Date} at - Reading time
+   * @returns {Promise<Object>} { payload, applied: [{ field, calibrationId, version, method }] }
+   */
+  async calibratePayload(sensor, payload, at = new Date()) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return { payload, applied: [] };
+    }
+
+    const profiles = await this.getActiveProfiles(sensor.hardware_id, at);
+    const calibrated = { ...payload };
+    const applied = [];
+
+    for (const profile of profiles) {
+      const keys = (FIELD_PAYLOAD_KEYS[profile.field] || [profile.field])
+        .filter(key => toNumber(payload[key]) !== null);
+      if (keys.length === 0) {
+        continue;
+      }
+
+      for (const key of keys) {
+        calibrated[key] = this.calibrate(profile, toNumber(payload[key]));
+      }
+      applied.push({ field: profile.field, calibrationId: profile.id, version: profile.version, method: profile.method });
+    }
+
+    return { payload: applied.length > 0 ? calibrated : payload, applied };
+  }
+
+  /**
+   * Apply a profile to a raw value
+   * @param {Object} profile - { method, parameters }
+   * @param {number} raw - Raw value
+   * @returns {number} Calibrated value
+   */
+  calibrate({ method, parameters }, raw) {
+    if (method !== 'PIECEWISE') {
+      return round(raw * parameters.gain + parameters.offset);
+    }
+
+    const points = parameters.points;
+    let segment = 0;
+    while (segment < points.length - 2 && raw > points[segment + 1].raw) {
+      segment++;
+    }
+    const start = points[segment];
+    const end = points[segment + 1];
+    return round(start.reference + (raw - start.raw) * (end.reference - start.reference) / (end.raw - start.raw));
+  }
+
+  /**
+   * Parameters of a method from (raw, reference) points
+   * @param {string} method - Calibration method
+   * @param {Array} points - [{ raw, reference }]
+   * @returns {Object} Parameters
+   */
+  fitParameters(method, points) {
+    const valid = (points || []).map(point => ({ raw: toNumber(point.raw), reference: toNumber(point.reference) }));
+    if (valid.some(point => point.raw === null || point.reference === null)) {
+      throw new Error('Calibration points need numeric raw and reference values');
+    }
+    if (valid.length < REQUIRED_POINTS[method]) {
+      throw new Error(`${method} calibration needs at least ${REQUIRED_POINTS[method]} point(s)`);
+    }
+
+    if (method === 'PIECEWISE') {
+      const sorted = [...valid].sort((a, b) => a.raw - b.raw);
+      if (sorted.some((point, index) => index > 0 && point.raw === sorted[index - 1].raw)) {
+        throw new Error('Piecewise calibration points need distinct raw values');
+      }
+      return { points: sorted };
+    }
+
+    if (method === 'PH_TWO_POINT') {
+      if (valid.length !== 2) {
+        throw new Error('pH two-point calibration takes exactly two buffers');
+      }
+      const [first, second] = valid;
+      if ([first, second].some(point => point.reference < 0 || point.reference > 14)) {
+        throw new Error('pH buffers must be between 0 and 14');
+      }
+      if (Math.abs(first.reference - second.reference) < 1) {
+        throw new Error('pH buffers must be at least 1 pH apart');
+      }
+      if (first.raw === second.raw) {
+        throw new Error('Both buffers gave the same raw reading; check that the probe responds');
+      }
+
+      const gain = (second.reference - first.reference) / (second.raw - first.raw);
+      return {
+        buffers: valid.map(point => ({ raw: point.raw, ph: point.reference })),
+        gain,
+        offset: first.reference - gain * first.raw,
+        // Response of the probe relative to a perfect one, for raw values in pH units
+        slopePercent: Math.round(10000 / gain) / 100
+      };
+    }
+
+    // OFFSET_GAIN: a single point shifts, more points fit a least-squares line
+    if (valid.length === 1) {
+      return { offset: valid[0].reference - valid[0].raw, gain: 1 };
+    }
+    const meanRaw = valid.reduce((sum, point) => sum + point.raw, 0) / valid.length;
+    const meanReference = valid.reduce((sum, point) => sum + point.reference, 0) / valid.length;
+    const spread = valid.reduce((sum, point) => sum + (point.raw - meanRaw) ** 2, 0);
+    if (spread === 0) {
+      throw new Error('Calibration points need different raw values to fit a gain');
+    }
+    const gain = valid.reduce((sum, point) => sum + (point.raw - meanRaw) * (point.reference - meanReference), 0) / spread;
+    return { offset: meanReference - gain * meanRaw, gain };
+  }
+
+  /**
+   * Parameters of a calibration input: explicit offset/gain, or fitted from points
+   * @param {Object} input - { method, offset, gain, points }
+   * @returns {Object} Parameters
+   */
+  resolveParameters({ method, offset = null, gain = null, points = null }) {
+    if (!this.methods.includes(method)) {
+      throw new Error(`Invalid calibration method: ${method}`);
+    }
+
+    if (method === 'OFFSET_GAIN' && !(points && points.length > 0)) {
+      const parameters = { offset: offset === null ? 0 : toNumber(offset), gain: gain === null ? 1 : toNumber(gain) };
+      if (parameters.offset === null || parameters.gain === null) {
+        throw new Error('Offset and gain must be numbers');
+      }
+      if (parameters.gain === 0) {
+        throw new Error('Gain cannot be 0');
+      }
+      return parameters;
+    }
+
+    const parameters = this.fitParameters(method, points);
+    if (parameters.gain === 0) {
+      throw new Error('The points give a gain of 0; check the raw values');
+    }
+    return parameters;
+  }
+
+  /**
+   * How well parameters fit their points, and what looks suspicious
+   * @param {string} method - Calibration method
+   * @param {Object} parameters - Parameters
+   * @param {Array} points - [{ raw, reference }]
+   * @returns {Object} { parameters, maxError, warnings }
+   */
+  evaluate(method, parameters, points = []) {
+    const warnings = [];
+    const maxError = points.reduce(
+      (max, point) => Math.max(max, Math.abs(this.calibrate({ method, parameters }, point.raw) - point.reference)),
+      0
+    );
+
+    if (method === 'PH_TWO_POINT') {
+      const [low, high] = PH_SLOPE_RANGE;
+      if (parameters.slopePercent < low || parameters.slopePercent > high) {
+        warnings.push(`Electrode slope is ${parameters.slopePercent}% (expected ${low}-${high}%): clean or replace the probe`);
+      }
+    }
+    if (method === 'OFFSET_GAIN' && (Math.abs(parameters.gain) < 0.5 || Math.abs(parameters.gain) > 2)) {
+      warnings.push(`Gain ${round(parameters.gain)} is far from 1: check the reference values`);
+    }
+    if (method === 'PIECEWISE' && parameters.points.some((point, index) => index > 0 && point.reference < parameters.points[index - 1].reference)) {
+      warnings.push('The curve is not monotonic: higher raw values give lower readings in places');
+    }
+
+    return { parameters, maxError: round(maxError), warnings };
+  }
+
+  /**
+   * Check a field name and resolve the sensor it belongs to
+   * @param {string} sensorId - Sensor ID or hardware ID
+   * @param {string} field - Metric name
+   * @returns {Promise<Object>} { hardwareId, field }
+   */
+  async resolveTarget(sensorId, field) {
+    const name = typeof field === 'string' ? field.trim() : '';
+    if (!name) {
+      throw new Error('Calibration field is required');
+    }
+    if (NON_CALIBRATABLE_FIELDS.includes(name) || name.endsWith(RAW_METRIC_SUFFIX)) {
+      throw new Error(`Field cannot be calibrated: ${name}`);
+    }
+
+    const result = await query(
+      'SELECT hardware_id FROM sensors WHERE hardware_id = $1 OR id::text = $1',
+      [String(sensorId)]
+    );
+    if (result.rows.length === 0) {
+      throw new Error(`Sensor not found: ${sensorId}`);
+    }
+    return { hardwareId: result.rows[0].hardware_id, field: name };
+  }
+
+  /**
+   * Profiles of a sensor
+   * @param {string} sensorId - Sensor ID or hardware ID
+   * @param {Object} options - { field, includeHistory: also expired profiles }
+   * @returns {Promise<Array>} Profile rows, newest version first
+   */
+  async getCalibrations(sensorId, { field = null, includeHistory = false } = {}) {
+    const result = await query(
+      `SELECT c.* FROM sensor_calibrations c
+       WHERE (c.sensor_id = $1 OR c.sensor_id IN (SELECT hardware_id FROM sensors WHERE id::text = $1))
+         AND ($2::text IS NULL OR c.field = $2)
+         AND ($3::boolean OR c.valid_to IS NULL OR c.valid_to > NOW())
+       ORDER BY c.field, c.version DESC`,
+      [String(sensorId), field, includeHistory]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a profile by ID
+   * @param {string|number} id - Profile ID
+   * @returns {Promise<Object|null>} Profile row
+   */
+  async getCalibration(id) {
+    const result = await query('SELECT * FROM sensor_calibrations WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create the next version of a sensor field's profile
+   * @param {Object} input - SensorCalibrationInput
+   * @param {Object} user - Creating user
+   * @returns {Promise<Object>} Created profile
+   */
+  async createCalibration(input, user) {
+    const target = await this.resolveTarget(input.sensorId, input.field);
+    const parameters = this.resolveParameters(input);
+
+    const calibration = await withTransaction(client => this.insertCalibration(client, {
+      ...target,
+      method: input.method,
+      parameters,
+      validFrom: input.validFrom,
+      validTo: input.validTo,
+      notes: input.notes,
+      userId: user?.id || null
+    }));
+
+    await this.calibrationsChanged();
+    return calibration;
+  }
+
+  /**
+   * Insert a profile version, closing the validity of the versions it replaces
+   * @param {Object} client - Transaction client
+   * @param {Object} calibration - { hardwareId, field, method, parameters, validFrom, validTo, notes, userId }
+   * @returns {Promise<Object>} Created profile
+   */
+  async insertCalibration(client, { hardwareId, field, method, parameters, validFrom, validTo, notes, userId }) {
+    const from = validFrom ? new Date(validFrom) : new Date();
+    if (isNaN(from.getTime()) || (validTo && !(new Date(validTo) > from))) {
+      throw new Error('validTo must be after validFrom');
+    }
+
+    // Versions of one field are numbered one at a time
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`sensor_calibration:${hardwareId}:${field}`]);
+    const versionResult = await client.query(
+      'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM sensor_calibrations WHERE sensor_id = $1 AND field = $2',
+      [hardwareId, field]
+    );
+
+    await client.query(
+      `UPDATE sensor_calibrations SET valid_to = $3
+       WHERE sensor_id = $1 AND field = $2 AND valid_from < $3 AND (valid_to IS NULL OR valid_to > $3)`,
+      [hardwareId, field, from]
+    );
+
+    const result = await client.query(
+      `INSERT INTO sensor_calibrations
+         (sensor_id, field, version, method, parameters, valid_from, valid_to, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [hardwareId, field, versionResult.rows[0].version, method, JSON.stringify(parameters), from, validTo || null, notes || null, userId]
+    );
+
+    const calibration = result.rows[0];
+    console.log(`🎯 Calibration v${calibration.version} of ${hardwareId}.${field} created (${method})`);
+    return calibration;
+  }
+
+  /**
+   * End the validity of a profile; readings after validTo are stored raw
+   * unless another version is in force
+   * @param {string|number} id - Profile ID
+   * @param {Date} validTo - End of validity (defaults to now)
+   * @returns {Promise<Object>} Updated profile
+   */
+  async retireCalibration(id, validTo = null) {
+    const calibration = await this.getCalibration(id);
+    if (!calibration) {
+      throw new Error('Calibration not found');
+    }
+
+    const end = validTo ? new Date(validTo) : new Date();
+    if (!(end > new Date(calibration.valid_from))) {
+      throw new Error('validTo must be after the calibration validFrom');
+    }
+    if (calibration.valid_to && new Date(calibration.valid_to) <= end) {
+      throw new Error('Calibration is already retired by then');
+    }
+
+    const result = await query(
+      'UPDATE sensor_calibrations SET valid_to = $2 WHERE id = $1 RETURNING *',
+      [id, end]
+    );
+
+    await this.calibrationsChanged();
+    return result.rows[0];
+  }
+
+  /**
+   * Whether a profile is in force now
+   * @param {Object} calibration - Profile row
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} In force
+   */
+  async isActive(calibration, now = new Date()) {
+    const active = await this.getActiveProfiles(calibration.sensor_id, now);
+    return active.some(profile => profile.id === calibration.id);
+  }
+
+  /**
+   * Guided sessions
+   */
+
+  /**
+   * Get a session by ID
+   * @param {string|number} id - Session ID
+   * @returns {Promise<Object|null>} Session row
+   */
+  async getSession(id) {
+    const result = await query('SELECT * FROM sensor_calibration_sessions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get sessions, newest first
+   * @param {Object} filters - { sensorId, status }
+   * @returns {Promise<Array>} Session rows
+   */
+  async getSessions({ sensorId = null, status = null } = {}) {
+    const result = await query(
+      `SELECT * FROM sensor_calibration_sessions
+       WHERE ($1::text IS NULL OR sensor_id = $1 OR sensor_id IN (SELECT hardware_id FROM sensors WHERE id::text = $1))
+         AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC`,
+      [sensorId === null ? null : String(sensorId), status]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Open session, or an error saying why it cannot be changed
+   * @param {string|number} id - Session ID
+   * @returns {Promise<Object>} Session row
+   */
+  async getOpenSession(id) {
+    const session = await this.getSession(id);
+    if (!session) {
+      throw new Error('Calibration session not found');
+    }
+    if (session.status !== 'OPEN') {
+      throw new Error(`Calibration session is ${session.status.toLowerCase()}`);
+    }
+    return session;
+  }
+
+  /**
+   * Start a guided calibration of a sensor field
+   * @param {Object} input - { sensorId, field, method, references }
+   * @param {Object} user - Calibrating user
+   * @returns {Promise<Object>} Session row
+   */
+  async startSession(input, user) {
+    if (!this.methods.includes(input.method)) {
+      throw new Error(`Invalid calibration method: ${input.method}`);
+    }
+    const target = await this.resolveTarget(input.sensorId, input.field);
+
+    const references = input.references && input.references.length > 0
+      ? input.references
+      : (input.method === 'PH_TWO_POINT' ? DEFAULT_PH_BUFFERS : []);
+    if (references.some(reference => toNumber(reference) === null)) {
+      throw new Error('Reference values must be numbers');
+    }
+    if (input.method === 'PH_TWO_POINT' && references.length !== 2) {
+      throw new Error('pH two-point calibration takes exactly two buffers');
+    }
+
+    const result = await query(
+      `INSERT INTO sensor_calibration_sessions (sensor_id, field, method, reference_values, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [target.hardwareId, target.field, input.method, references, user?.id || null]
+    );
+
+    console.log(`🎯 Calibration session ${result.rows[0].id} started for ${target.hardwareId}.${target.field}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Capture a reference point. Without rawValue the raw readings of the last
+   * sampleSeconds are averaged; without reference the next planned one is used.
+   * @param {string|number} sessionId - Session ID
+   * @param {Object} point - { reference, rawValue, sampleSeconds }
+   * @returns {Promise<Object>} Updated session
+   */
+  async capturePoint(sessionId, { reference = null, rawValue = null, sampleSeconds = 30 } = {}) {
+    const session = await this.getOpenSession(sessionId);
+    const points = session.points || [];
+
+    if (session.method === 'PH_TWO_POINT' && points.length >= 2) {
+      throw new Error('Both buffers are captured; remove one to capture it again');
+    }
+
+    const planned = session.reference_values || [];
+    const target = reference !== null ? toNumber(reference) : toNumber(planned[points.length]);
+    if (target === null) {
+      throw new Error('A reference value is required');
+    }
+
+    let raw = rawValue !== null ? toNumber(rawValue) : null;
+    let samples = rawValue !== null ? null : 0;
+    if (rawValue !== null && raw === null) {
+      throw new Error('rawValue must be a number');
+    }
+    if (raw === null) {
+      ({ raw, samples } = await this.sampleRawValue(session.sensor_id, session.field, sampleSeconds));
+    }
+
+    const result = await query(
+      `UPDATE sensor_calibration_sessions
+       SET points = points || $2::jsonb, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [session.id, JSON.stringify([{ raw, reference: target, samples, capturedAt: new Date().toISOString() }])]
+    );
+
+    console.log(`🎯 Calibration session ${session.id}: raw ${raw} -> ${target}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Average raw value of a field over the last seconds: the stored raw metric
+   * where a calibration was in force, the reading itself otherwise
+   * @param {string} hardwareId - Sensor hardware ID
+   * @param {string} field - Metric name
+   * @param {number} seconds - Sampling window
+   * @returns {Promise<Object>} { raw, samples }
+   */
+  async sampleRawValue(hardwareId, field, seconds) {
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      throw new Error('sampleSeconds must be a positive integer');
+    }
+
+    const result = await query(
+      `SELECT AVG(COALESCE(r.value, c.value)) AS raw, COUNT(*) AS samples
+       FROM sensor_readings c
+       LEFT JOIN sensor_readings r ON r.sensor_id = c.sensor_id AND r.ts = c.ts AND r.metric = $3
+       WHERE c.sensor_id = $1 AND c.metric = $2 AND c.ts >= NOW() - make_interval(secs => $4)`,
+      [hardwareId, field, `${field}${RAW_METRIC_SUFFIX}`, seconds]
+    );
+
+    const samples = parseInt(result.rows[0].samples);
+    if (samples === 0) {
+      throw new Error(`No ${field} readings from ${hardwareId} in the last ${seconds} seconds`);
+    }
+    return { raw: round(parseFloat(result.rows[0].raw)), samples };
+  }
+
+  /**
+   * Remove a captured point
+   * @param {string|number} sessionId - Session ID
+   * @param {number} index - Point index
+   * @returns {Promise<Object>} Updated session
+   */
+  async removePoint(sessionId, index) {
+    const session = await this.getOpenSession(sessionId);
+    if (!Number.isInteger(index) || index < 0 || index >= session.points.length) {
+      throw new Error(`No calibration point at index ${index}`);
+    }
+
+    const result = await query(
+      `UPDATE sensor_calibration_sessions
+       SET points = points - $2::integer, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [session.id, index]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Fit of the captured points, once there are enough of them
+   * @param {Object} session - Session row
+   * @returns {Object|null} { parameters, maxError, warnings }, null while points are missing;
+   *   points that cannot be fitted give null parameters and the reason as a warning
+   */
+  previewSession(session) {
+    const points = session.points || [];
+    if (points.length < REQUIRED_POINTS[session.method]) {
+      return null;
+    }
+
+    try {
+      return this.evaluate(session.method, this.resolveParameters({ method: session.method, points }), points);
+    } catch (error) {
+      return { parameters: null, maxError: null, warnings: [error.message] };
+    }
+  }
+
+  /**
+   * What the operator should do next in a session
+   * @param {Object} session - Session row
+   * @returns {string} Instruction
+   */
+  describeNextStep(session) {
+    if (session.status === 'COMPLETED') {
+      return 'Calibration completed';
+    }
+    if (session.status === 'CANCELLED') {
+      return 'Calibration cancelled';
+    }
+
+    const points = session.points || [];
+    const required = REQUIRED_POINTS[session.method];
+    const planned = (session.reference_values || [])[points.length];
+
+    if (session.method === 'PH_TWO_POINT' && points.length < 2) {
+      return `Rinse the probe, place it in the pH ${Number(planned).toFixed(2)} buffer, wait for the reading to settle and capture it`;
+    }
+    if (points.length < required || planned !== undefined) {
+      const reference = planned !== undefined ? ` (reference ${planned})` : '';
+      return `Expose the sensor to a known ${session.field} value${reference}, wait for the reading to settle and capture it`;
+    }
+    return session.method === 'PH_TWO_POINT'
+      ? 'Review the electrode slope and complete the calibration'
+      : 'Capture more points or complete the calibration';
+  }
+
+  /**
+   * Points a session needs before it can be completed
+   * @param {Object} session - Session row
+   * @returns {number} Required points
+   */
+  getRequiredPoints(session) {
+    return REQUIRED_POINTS[session.method];
+  }
+
+  /**
+   * Complete a session: fit the captured points and create the profile
+   * @param {string|number} sessionId - Session ID
+   * @param {Object} options - { validFrom, notes }
+   * @param {Object} user - Calibrating user
+   * @returns {Promise<Object>} Created profile
+   */
+  async completeSession(sessionId, { validFrom = null, notes = null } = {}, user) {
+    const session = await this.getOpenSession(sessionId);
+    const parameters = this.resolveParameters({ method: session.method, points: session.points });
+
+    const calibration = await withTransaction(async(client) => {
+      const created = await this.insertCalibration(client, {
+        hardwareId: session.sensor_id,
+        field: session.field,
+        method: session.method,
+        parameters,
+        validFrom,
+        notes,
+        userId: user?.id || null
+      });
+
+      await client.query(
+        `UPDATE sensor_calibration_sessions
+         SET status = 'COMPLETED', calibration_id = $2, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [session.id, created.id]
+      );
+      return created;
+    });
+
+    await this.calibrationsChanged();
+    return calibration;
+  }
+
+  /**
+   * Cancel a session
+   * @param {string|number} sessionId - Session ID
+   * @returns {Promise<Object>} Updated session
+   */
+  async cancelSession(sessionId) {
+    const session = await this.getOpenSession(sessionId);
+    const result = await query(
+      `UPDATE sensor_calibration_sessions
+       SET status = 'CANCELLED', completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [session.id]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = new SensorCalibrationService();
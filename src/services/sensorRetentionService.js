@@ -0,0 +1,328 @@
+const { query, withTransaction } = require('../config/database');
+
+// Storage tiers, finest first. Rollup tiers keep min/max/avg/count per bucket
+// and are built from the tier before them.
+const TIERS = {
+  RAW: { name: 'RAW', seconds: 0 },
+  MINUTE: { name: 'MINUTE', seconds: 60, unit: 'minute', table: 'sensor_readings_1m', source: 'RAW' },
+  HOUR: { name: 'HOUR', seconds: 3600, unit: 'hour', table: 'sensor_readings_1h', source: 'MINUTE' }
+};
+const TIER_ORDER = ['RAW', 'MINUTE', 'HOUR'];
+
+// Monthly partitions of the raw tier (see ensure_sensor_readings_partition)
+const RAW_PARTITION_PATTERN = /^sensor_readings_(\d{4})_(\d{2})$/;
+
+// UTC bucket start of a timestamp column
+const bucketSql = (unit, column) => `date_trunc('${unit}', ${column} AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`;
+
+// Rollup watermark: buckets before it are complete in the tier's table
+const watermarkSql = tier => `(SELECT COALESCE(MAX(rolled_up_to), '-infinity') FROM sensor_rollup_state WHERE tier = '${tier}')`;
+
+/**
+ * Sensor Retention Service
+ * Raw readings (sensor_readings) are kept for SENSOR_RAW_RETENTION_DAYS,
+ * 1-minute rollups for SENSOR_MINUTE_RETENTION_MONTHS and hourly rollups
+ * forever. The leader rolls each tier up from the previous one and prunes
+ * what fell out of retention; data is never pruned before it was rolled up.
+ * Reads pick the coarsest tier fine enough for the requested resolution that
+ * still covers the range, and fill the stretch past a tier's watermark by
+ * aggregating the finer tier on the fly.
+ */
+class SensorRetentionService {
+  constructor() {
+    this.rawRetentionDays = this.parseRetention(process.env.SENSOR_RAW_RETENTION_DAYS, 30);
+    this.minuteRetentionMonths = this.parseRetention(process.env.SENSOR_MINUTE_RETENTION_MONTHS, 6);
+    this.jobInterval = parseInt(process.env.SENSOR_ROLLUP_INTERVAL_MS, 10) || 5 * 60 * 1000;
+    // Readings newer than this may still be arriving and are not rolled up yet
+    this.settleSeconds = 30;
+    // Largest span aggregated in one statement while catching up
+    this.batchHours = 24;
+    this.intervalId = null;
+    this.running = false;
+  }
+
+  /**
+   * Retention setting: a positive number, 0 to keep the tier forever
+   * @param {string} value - Environment value
+   * @param {number} fallback - Default
+   * @returns {number} Retention
+   */
+  parseRetention(value, fallback) {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  }
+
+  /**
+   * Oldest time a tier still holds, by its retention setting
+   * @param {string} tier - Tier name
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Retention start, null when the tier is kept forever
+   */
+  getRetentionStart(tier, now = new Date()) {
+    if (tier === 'RAW' && this.rawRetentionDays > 0) {
+      return new Date(now.getTime() - this.rawRetentionDays * 24 * 60 * 60 * 1000);
+    }
+    if (tier === 'MINUTE' && this.minuteRetentionMonths > 0) {
+      const start = new Date(now);
+      start.setUTCMonth(start.getUTCMonth() - this.minuteRetentionMonths);
+      return start;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the tier answering a read: the coarsest one whose buckets are at
+   * least as fine as the resolution and that still covers `from`. When no
+   * tier that fine covers the range, the finest tier covering it answers.
+   * @param {Object} options - { resolution (seconds between points, default finest), from }
+   * @returns {string} Tier name
+   */
+  selectTier({ resolution = null, from = null } = {}) {
+    const seconds = resolution === null || resolution === undefined ? 0 : Number(resolution);
+    const covers = tier => {
+      const start = this.getRetentionStart(tier);
+      return !from || !start || new Date(from) >= start;
+    };
+
+    const fineEnough = TIER_ORDER.filter(tier => TIERS[tier].seconds <= seconds).reverse();
+    return fineEnough.find(covers) || TIER_ORDER.find(covers);
+  }
+
+  /**
+   * SQL source of a tier with columns (sensor_id, metric, ts, value, min, max,
+   * count); value is the bucket average for rollup tiers. Filter it from the
+   * outside: the planner pushes sensor and time conditions down.
+   * @param {string} tier - Tier name
+   * @returns {string} Subquery SQL
+   */
+  tierSource(tier) {
+    const config = TIERS[tier];
+    if (!config.table) {
+      return 'SELECT sensor_id, metric, ts, value, value AS min, value AS max, 1 AS count FROM sensor_readings';
+    }
+
+    return `
+      SELECT sensor_id, metric, bucket AS ts, avg AS value, min, max, count
+      FROM ${config.table}
+      WHERE bucket < ${watermarkSql(tier)}
+      UNION ALL
+      SELECT sensor_id, metric, ${bucketSql(config.unit, 'ts')} AS ts,
+             SUM(value * count) / SUM(count), MIN(min), MAX(max), SUM(count)
+      FROM (${this.tierSource(config.source)}) finer
+      WHERE ts >= ${watermarkSql(tier)}
+      GROUP BY 1, 2, 3
+    `;
+  }
+
+  /**
+   * Roll up every tier and prune what fell out of retention
+   * @returns {Promise<Object>} { rolledUp: { tier: buckets }, pruned: { tier: rows } }
+   */
+  async runMaintenance() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const rolledUp = {};
+      for (const tier of TIER_ORDER.filter(name => TIERS[name].table)) {
+        rolledUp[tier] = await this.rollUp(tier);
+      }
+
+      const pruned = {
+        RAW: await this.pruneRaw(),
+        MINUTE: await this.pruneMinute()
+      };
+
+      if (Object.values(rolledUp).some(Boolean) || Object.values(pruned).some(Boolean)) {
+        console.log('📉 Sensor rollups updated:', JSON.stringify({ rolledUp, pruned }));
+      }
+      return { rolledUp, pruned };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Aggregate the source tier into a rollup tier up to the last complete
+   * bucket, in batches; each batch moves the watermark in the same transaction
+   * @param {string} tier - Rollup tier name
+   * @returns {Promise<number>} Buckets written
+   */
+  async rollUp(tier) {
+    const config = TIERS[tier];
+    const source = TIERS[config.source];
+    const sourceTable = source.table || 'sensor_readings';
+    const sourceTime = source.table ? 'bucket' : 'ts';
+
+    // A bucket is complete once its source is: settled raw data, or the source watermark
+    const limitResult = source.table
+      ? await query(`SELECT ${bucketSql(config.unit, watermarkSql(config.source))} AS target`)
+      : await query(`SELECT ${bucketSql(config.unit, `NOW() - INTERVAL '${this.settleSeconds} seconds'`)} AS target`);
+    const target = limitResult.rows[0].target;
+
+    let watermark = await this.getWatermark(tier);
+    if (!watermark) {
+      const first = await query(`SELECT ${bucketSql(config.unit, `MIN(${sourceTime})`)} AS first FROM ${sourceTable}`);
+      watermark = first.rows[0].first;
+    }
+    if (!watermark || !target || !(new Date(target) > new Date(watermark))) {
+      return 0;
+    }
+
+    const aggregates = source.table
+      ? 'MIN(min), MAX(max), SUM(avg * count) / SUM(count), SUM(count)'
+      : 'MIN(value), MAX(value), AVG(value), COUNT(*)';
+    let written = 0;
+    let batchStart = new Date(watermark);
+    const end = new Date(target);
+
+    while (batchStart < end) {
+      const batchEnd = new Date(Math.min(batchStart.getTime() + this.batchHours * 60 * 60 * 1000, end.getTime()));
+
+      written += await withTransaction(async(client) => {
+        const result = await client.query(
+          `INSERT INTO ${config.table} (sensor_id, metric, bucket, min, max, avg, count)
+           SELECT sensor_id, metric, ${bucketSql(config.unit, sourceTime)}, ${aggregates}
+           FROM ${sourceTable}
+           WHERE ${sourceTime} >= $1 AND ${sourceTime} < $2
+           GROUP BY 1, 2, 3
+           ON CONFLICT (sensor_id, metric, bucket) DO UPDATE
+           SET min = EXCLUDED.min, max = EXCLUDED.max, avg = EXCLUDED.avg, count = EXCLUDED.count`,
+          [batchStart, batchEnd]
+        );
+        await client.query(
+          `INSERT INTO sensor_rollup_state (tier, rolled_up_to, updated_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (tier) DO UPDATE SET rolled_up_to = EXCLUDED.rolled_up_to, updated_at = NOW()`,
+          [tier, batchEnd]
+        );
+        return result.rowCount;
+      });
+
+      batchStart = batchEnd;
+    }
+
+    return written;
+  }
+
+  /**
+   * Drop raw readings older than the raw retention, never past the minute
+   * watermark. Whole monthly partitions are dropped, the rest deleted.
+   * @returns {Promise<number>} Rows deleted (dropped partitions not counted)
+   */
+  async pruneRaw() {
+    const cutoff = await this.getPruneCutoff('RAW', 'MINUTE');
+    if (!cutoff) {
+      return 0;
+    }
+
+    const partitions = await query(
+      `SELECT c.relname FROM pg_inherits i JOIN pg_class c ON c.oid = i.inhrelid
+       WHERE i.inhparent = 'sensor_readings'::regclass`
+    );
+    for (const { relname } of partitions.rows) {
+      const match = relname.match(RAW_PARTITION_PATTERN);
+      if (match && new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10), 1)) <= cutoff) {
+        await query(`DROP TABLE IF EXISTS ${relname}`);
+        console.log(`🗑️ Dropped raw readings partition ${relname}`);
+      }
+    }
+
+    const readings = await query('DELETE FROM sensor_readings WHERE ts < $1', [cutoff]);
+    // Raw payload log of dynamic sensors, same retention
+    const payloads = await query('DELETE FROM sensor_data_generic WHERE received_at < $1', [cutoff]);
+    return readings.rowCount + payloads.rowCount;
+  }
+
+  /**
+   * Delete 1-minute rollups older than their retention, never past the hour watermark
+   * @returns {Promise<number>} Rows deleted
+   */
+  async pruneMinute() {
+    const cutoff = await this.getPruneCutoff('MINUTE', 'HOUR');
+    if (!cutoff) {
+      return 0;
+    }
+
+    const result = await query('DELETE FROM sensor_readings_1m WHERE bucket < $1', [cutoff]);
+    return result.rowCount;
+  }
+
+  /**
+   * Retention cutoff of a tier, held back to what the next tier has rolled up
+   * @param {string} tier - Tier to prune
+   * @param {string} nextTier - Tier built from it
+   * @returns {Promise<Date|null>} Cutoff, null when nothing may be pruned
+   */
+  async getPruneCutoff(tier, nextTier) {
+    const retentionStart = this.getRetentionStart(tier);
+    const watermark = await this.getWatermark(nextTier);
+    if (!retentionStart || !watermark) {
+      return null;
+    }
+    return new Date(Math.min(retentionStart.getTime(), new Date(watermark).getTime()));
+  }
+
+  /**
+   * Time up to which a rollup tier is complete
+   * @param {string} tier - Rollup tier name
+   * @returns {Promise<Date|null>} Watermark
+   */
+  async getWatermark(tier) {
+    const result = await query('SELECT rolled_up_to FROM sensor_rollup_state WHERE tier = $1', [tier]);
+    return result.rows[0] ? result.rows[0].rolled_up_to : null;
+  }
+
+  /**
+   * Describe the tiers for clients
+   * @returns {Promise<Array>} [{ tier, resolutionSeconds, retentionStart, rolledUpTo }]
+   */
+  async getTierStatus() {
+    const result = await query('SELECT tier, rolled_up_to FROM sensor_rollup_state');
+    const watermarks = Object.fromEntries(result.rows.map(row => [row.tier, row.rolled_up_to]));
+
+    return TIER_ORDER.map(tier => ({
+      tier,
+      resolutionSeconds: TIERS[tier].seconds,
+      retentionStart: this.getRetentionStart(tier),
+      rolledUpTo: watermarks[tier] || null
+    }));
+  }
+
+  /**
+   * Start the periodic rollup and retention job (leader only)
+   */
+  startScheduler() {
+    if (this.intervalId) {
+      console.log('⚡ Sensor rollup job is already running');
+      return;
+    }
+
+    const run = async() => {
+      try {
+        await this.runMaintenance();
+      } catch (error) {
+        console.error('❌ Error maintaining sensor rollups:', error);
+      }
+    };
+
+    run();
+    this.intervalId = setInterval(run, this.jobInterval);
+    console.log('✅ Sensor rollup job started');
+  }
+
+  /**
+   * Stop the rollup and retention job
+   */
+  stopScheduler() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      console.log('✅ Sensor rollup job stopped');
+    }
+  }
+}
+
+module.exports = new SensorRetentionService();
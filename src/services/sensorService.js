@@ -1,7 +1,79 @@
+const moment = require('moment-timezone');
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
 const { pubsub, SENSOR_EVENTS } = require('../utils/pubsub');
 const mqttService = require('./mqttService');
+const sensorRetentionService = require('./sensorRetentionService');
+const weatherService = require('./weatherService');
+const { isValidTimezone } = require('../utils/cron');
+
+// Device diagnostics stored next to the measurements in sensor_readings
+const DIAGNOSTIC_METRICS = ['rssi', 'boot', 'mem', 'errors'];
+
+// sensor_readings metric -> SensorReading field
+const READING_FIELDS = {
+  temperature: 'temperatura',
+  temperatura: 'temperatura',
+  humidity: 'humedad',
+  humedad: 'humedad',
+  heat_index: 'heatIndex',
+  dew_point: 'dewPoint',
+  pressure: 'presion',
+  altitude: 'altitude',
+  ph: 'ph',
+  ec: 'ec',
+  ppm: 'ppm',
+  water_temperature: 'temperaturaAgua',
+  light: 'light',
+  white_light: 'whiteLight',
+  raw_light: 'rawLight',
+  power: 'watts',
+  voltage: 'voltage',
+  current: 'current',
+  frequency: 'frequency',
+  power_factor: 'powerFactor',
+  rssi: 'rssi',
+  mem: 'memoryUsage',
+  boot: 'bootCount',
+  errors: 'errorCount'
+};
+
+// sensor_readings metric -> SensorStatistics field
+const STATS_FIELDS = {
+  temperature: 'temperaturaStats',
+  temperatura: 'temperaturaStats',
+  humidity: 'humedadStats',
+  humedad: 'humedadStats',
+  pressure: 'presionStats',
+  altitude: 'altitudeStats',
+  ph: 'phStats',
+  ec: 'ecStats',
+  ppm: 'ppmStats',
+  light: 'lightStats',
+  white_light: 'whiteLightStats',
+  raw_light: 'rawLightStats',
+  power: 'wattsStats',
+  voltage: 'voltageStats',
+  current: 'currentStats'
+};
+
+// Series buckets of fixed length, aligned to the Unix epoch (UTC)
+const FIXED_BUCKET_SECONDS = { MINUTE: 60, HOUR: 3600 };
+
+// Series buckets following the calendar of the requested timezone:
+// [date_trunc field, moment unit]; weeks start on Monday in both
+const CALENDAR_BUCKETS = {
+  DAY: ['day', 'day'],
+  WEEK: ['week', 'isoWeek'],
+  MONTH: ['month', 'month']
+};
+
+// Nominal length of calendar buckets, for tier selection and size limits
+const CALENDAR_BUCKET_SECONDS = { DAY: 86400, WEEK: 604800, MONTH: 2678400 };
+
+const MAX_SERIES_BUCKETS = 5000;
+const SERIES_AGGREGATIONS = ['AVG', 'MIN', 'MAX', 'SUM', 'COUNT'];
+const SERIES_FILLS = ['NULL', 'PREVIOUS', 'LINEAR'];
 
 /**
  * Sensor Service for GraphQL Backend
@@ -17,6 +89,8 @@ class SensorService {
       LUXOMETRO: 'luxometro',
       POWER_MONITOR: 'power_monitor_logs'
     };
+    // Months whose sensor_readings partition is known to exist
+    this.readingPartitions = new Set();
   }
 
   /**
@@ -145,238 +219,252 @@ class SensorService {
   /**
    * Get sensor readings with pagination
    * @param {string} sensorId - Sensor ID
-   * @param {Object} options - Query options
-   * @returns {Object} Paginated sensor readings
+   * @param {Object} options - Query options; resolution (seconds) picks the storage tier
+   * @returns {Object} Paginated sensor readings with the tier that answered
    */
   async getSensorReadings(sensorId, options = {}) {
-    const { limit = 100, offset = 0, from, to } = options;
+    const { limit = 100, offset = 0, from, to, resolution } = options;
     console.log(`[SensorService] Getting readings for sensor ${sensorId}`, options);
 
     try {
-      let tableName, conditions = [], values = [], paramCount = 1;
+      const readingSensorId = await this.resolveReadingSensorId(sensorId);
+      const { readings, totalCount, tier } = await this.getReadings(readingSensorId, { from, to, limit, offset, resolution });
+
+      return {
+        ...this.buildPaginatedResponse(
+          readings.map(reading => this.formatReading(sensorId, reading, tier)),
+          totalCount,
+          limit,
+          offset
+        ),
+        tier
+      };
+    } catch (error) {
+      console.error(`[SensorService] Error getting readings for sensor ${sensorId}:`, error);
+      throw error;
+    }
+  }
 
-      // Determine table and build query based on sensor type
-      if (sensorId === 'temhum1' || sensorId === 'temhum2') {
-        tableName = sensorId;
+  /**
+   * Readings from the unified store, one point per timestamp (or bucket), newest first
+   * @param {string} sensorId - Sensor key in sensor_readings (hardware ID)
+   * @param {Object} options - { from, to, metrics, limit (null for all), offset, resolution }
+   * @returns {Object} { readings: [{ timestamp, values, min, max, count }], totalCount, tier }
+   */
+  async getReadings(sensorId, options = {}) {
+    const { from = null, to = null, metrics = null, limit = 100, offset = 0, resolution = null } = options;
+    const tier = sensorRetentionService.selectTier({ resolution, from });
+    const source = `
+      FROM (${sensorRetentionService.tierSource(tier)}) readings
+      WHERE sensor_id = $1
+        AND ($2::timestamptz IS NULL OR ts >= $2)
+        AND ($3::timestamptz IS NULL OR ts <= $3)
+        AND ($4::text[] IS NULL OR metric = ANY($4))
+    `;
+    const values = [sensorId, from, to, metrics];
+
+    // Without a limit every point is returned and counting them is free
+    const [countResult, dataResult] = await Promise.all([
+      limit === null ? null : query(`SELECT COUNT(DISTINCT ts) AS count ${source}`, values),
+      query(`
+        SELECT ts,
+               jsonb_object_agg(metric, value) AS values,
+               jsonb_object_agg(metric, min) AS min,
+               jsonb_object_agg(metric, max) AS max,
+               jsonb_object_agg(metric, count) AS count
+        ${source}
+        GROUP BY ts
+        ORDER BY ts DESC
+        LIMIT $5 OFFSET $6
+      `, [...values, limit, offset])
+    ]);
 
-        if (from) {
-          conditions.push(`received_at >= $${paramCount++}`);
-          values.push(from);
-        }
-        if (to) {
-          conditions.push(`received_at <= $${paramCount++}`);
-          values.push(to);
-        }
+    return {
+      readings: dataResult.rows.map(row => ({
+        timestamp: row.ts,
+        values: row.values,
+        min: row.min,
+        max: row.max,
+        count: row.count
+      })),
+      totalCount: countResult ? parseInt(countResult.rows[0].count) : dataResult.rows.length,
+      tier
+    };
+  }
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-        const countQuery = `SELECT COUNT(*) FROM ${tableName} ${whereClause}`;
-        const dataQuery = `
-          SELECT id, temperatura, humedad, heatindex, dewpoint, rssi, boot, mem, 
-                 tmin, tmax, tavg, hmin, hmax, havg, total, errors, received_at
-          FROM ${tableName} ${whereClause}
-          ORDER BY received_at DESC
-          LIMIT $${paramCount++} OFFSET $${paramCount++}
-        `;
-
-        values.push(limit, offset);
-
-        const [countResult, dataResult] = await Promise.all([
-          query(countQuery, values.slice(0, -2)), // Remove limit/offset for count
-          query(dataQuery, values)
-        ]);
-
-        const totalCount = parseInt(countResult.rows[0].count);
-        const readings = dataResult.rows.map(row => ({
-          id: `${sensorId}_${row.id}`,
-          sensorId,
-          timestamp: row.received_at,
-          temperatura: row.temperatura,
-          humedad: row.humedad,
-          heatIndex: row.heatindex,
-          dewPoint: row.dewpoint,
-          rssi: row.rssi,
-          memoryUsage: row.mem,
-          bootCount: row.boot,
-          errorCount: row.errors,
-          rawData: {
-            stats: {
-              tmin: row.tmin,
-              tmax: row.tmax,
-              tavg: row.tavg,
-              hmin: row.hmin,
-              hmax: row.hmax,
-              havg: row.havg,
-              total: row.total,
-              errors: row.errors
-            }
-          }
-        }));
+  /**
+   * Readings of every sensor, one point per sensor and timestamp (or bucket), newest first
+   * @param {Object} options - { from, to, types, limit, offset, resolution }
+   * @returns {Object} { readings: [{ sensorId, sensorName, sensorType, timestamp, values }], totalCount, tier }
+   */
+  async getReadingHistory(options = {}) {
+    const { from = null, to = null, types = null, limit = 100, offset = 0, resolution = null } = options;
+    const tier = sensorRetentionService.selectTier({ resolution, from });
+
+    const result = await query(`
+      WITH points AS (
+        SELECT sensor_id, ts, jsonb_object_agg(metric, value) AS values
+        FROM (${sensorRetentionService.tierSource(tier)}) readings
+        WHERE ($1::timestamptz IS NULL OR ts >= $1)
+          AND ($2::timestamptz IS NULL OR ts <= $2)
+        GROUP BY sensor_id, ts
+      )
+      SELECT p.sensor_id, p.ts, p.values, s.name AS sensor_name, t.sensor_type,
+             COUNT(*) OVER () AS total_count
+      FROM points p
+      LEFT JOIN sensors s ON s.hardware_id = p.sensor_id
+      CROSS JOIN LATERAL (
+        SELECT COALESCE(s.sensor_type, CASE
+          WHEN p.sensor_id IN ('temhum1', 'temhum2', 'calidad_agua', 'luxometro') THEN UPPER(p.sensor_id)
+          WHEN p.sensor_id LIKE 'power\\_%' THEN 'POWER_MONITOR'
+          ELSE 'CUSTOM'
+        END) AS sensor_type
+      ) t
+      WHERE $3::text[] IS NULL OR t.sensor_type = ANY($3)
+      ORDER BY p.ts DESC, p.sensor_id
+      LIMIT $4 OFFSET $5
+    `, [from, to, types, limit, offset]);
 
-        return this.buildPaginatedResponse(readings, totalCount, limit, offset);
+    return {
+      readings: result.rows.map(row => ({
+        sensorId: row.sensor_id,
+        sensorName: row.sensor_name || `Sensor ${row.sensor_id}`,
+        sensorType: row.sensor_type,
+        timestamp: row.ts,
+        values: row.values
+      })),
+      totalCount: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+      tier
+    };
+  }
 
-      } else if (sensorId === 'calidad_agua') {
-        tableName = 'calidad_agua';
+  /**
+   * Store readings in the unified store, creating the month partition if needed
+   * @param {string} sensorId - Sensor key (hardware ID)
+   * @param {Object} values - { metric: value }; non-numeric values are skipped
+   * @param {Date} timestamp - Reading time
+   * @returns {number} Metrics stored
+   */
+  async storeReadings(sensorId, values, timestamp = new Date()) {
+    const entries = Object.entries(values)
+      .map(([metric, value]) => [metric, this.toReadingValue(value)])
+      .filter(([, value]) => value !== null);
 
-        if (from) {
-          conditions.push(`received_at >= $${paramCount++}`);
-          values.push(from);
-        }
-        if (to) {
-          conditions.push(`received_at <= $${paramCount++}`);
-          values.push(to);
-        }
+    if (entries.length === 0) {
+      return 0;
+    }
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-        const countQuery = `SELECT COUNT(*) FROM ${tableName} ${whereClause}`;
-        const dataQuery = `
-          SELECT id, ph, ec, ppm, temperatura_agua, rssi, boot, mem, received_at
-          FROM ${tableName} ${whereClause}
-          ORDER BY received_at DESC
-          LIMIT $${paramCount++} OFFSET $${paramCount++}
-        `;
-
-        values.push(limit, offset);
-
-        const [countResult, dataResult] = await Promise.all([
-          query(countQuery, values.slice(0, -2)),
-          query(dataQuery, values)
-        ]);
-
-        const totalCount = parseInt(countResult.rows[0].count);
-        const readings = dataResult.rows.map(row => ({
-          id: `calidad_agua_${row.id}`,
-          sensorId,
-          timestamp: row.received_at,
-          ph: row.ph,
-          ec: row.ec,
-          ppm: row.ppm,
-          temperaturaAgua: row.temperatura_agua,
-          rssi: row.rssi,
-          memoryUsage: row.mem,
-          bootCount: row.boot,
-          rawData: {}
-        }));
-
-        return this.buildPaginatedResponse(readings, totalCount, limit, offset);
-
-      } else if (sensorId === 'luxometro') {
-        tableName = 'luxometro';
-
-        if (from) {
-          conditions.push(`received_at >= $${paramCount++}`);
-          values.push(from);
-        }
-        if (to) {
-          conditions.push(`received_at <= $${paramCount++}`);
-          values.push(to);
-        }
+    await this.ensureReadingPartition(timestamp);
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-        const countQuery = `SELECT COUNT(*) FROM ${tableName} ${whereClause}`;
-        const dataQuery = `
-          SELECT id, light, white_light, raw_light, rssi, boot, mem, 
-                 lmin, lmax, lavg, wmin, wmax, wavg, total, errors, received_at
-          FROM ${tableName} ${whereClause}
-          ORDER BY received_at DESC
-          LIMIT $${paramCount++} OFFSET $${paramCount++}
-        `;
-
-        values.push(limit, offset);
-
-        const [countResult, dataResult] = await Promise.all([
-          query(countQuery, values.slice(0, -2)),
-          query(dataQuery, values)
-        ]);
-
-        const totalCount = parseInt(countResult.rows[0].count);
-        const readings = dataResult.rows.map(row => ({
-          id: `luxometro_${row.id}`,
-          sensorId,
-          timestamp: row.received_at,
-          light: row.light,
-          whiteLight: row.white_light,
-          rawLight: row.raw_light,
-          rssi: row.rssi,
-          memoryUsage: row.mem,
-          bootCount: row.boot,
-          errorCount: row.errors,
-          rawData: {
-            stats: {
-              lmin: row.lmin,
-              lmax: row.lmax,
-              lavg: row.lavg,
-              wmin: row.wmin,
-              wmax: row.wmax,
-              wavg: row.wavg,
-              total: row.total,
-              errors: row.errors
-            }
-          }
-        }));
+    const params = [sensorId, timestamp];
+    const rows = entries.map(([metric, value]) => {
+      params.push(metric, value);
+      return `($1, $${params.length - 1}, $2, $${params.length})`;
+    });
 
-        return this.buildPaginatedResponse(readings, totalCount, limit, offset);
+    await query(`
+      INSERT INTO sensor_readings (sensor_id, metric, ts, value)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (sensor_id, metric, ts) DO NOTHING
+    `, params);
 
-      } else if (sensorId.startsWith('power_')) {
-        const deviceId = sensorId.replace('power_', '');
-        tableName = 'power_monitor_logs';
+    return entries.length;
+  }
 
-        conditions.push(`device_hardware_id = $${paramCount++}`);
-        values.push(deviceId);
+  /**
+   * Metrics of a normalized dynamic sensor payload (see
+   * dynamicSensorService.normalizePayload) plus the device diagnostics
+   * @param {string} sensorType - Dynamic sensor type
+   * @param {Object} normalizedPayload - { rssi, boot, mem, data }
+   * @returns {Object} { metric: value }
+   */
+  getReadingValues(sensorType, normalizedPayload) {
+    const values = { ...normalizedPayload.data };
 
-        if (from) {
-          conditions.push(`received_at >= $${paramCount++}`);
-          values.push(from);
-        }
-        if (to) {
-          conditions.push(`received_at <= $${paramCount++}`);
-          values.push(to);
-        }
+    // Water temperature is its own metric, apart from the air temperature
+    if (sensorType?.startsWith('WATER') && values.temperature !== undefined) {
+      values.water_temperature = values.temperature;
+      delete values.temperature;
+    }
 
-        const whereClause = `WHERE ${conditions.join(' AND ')}`;
-        const countQuery = `SELECT COUNT(*) FROM ${tableName} ${whereClause}`;
-        const dataQuery = `
-          SELECT id, device_hardware_id, watts, voltage, current, frequency, power_factor, 
-                 rssi, mem, boot, received_at, device_id
-          FROM ${tableName} ${whereClause}
-          ORDER BY received_at DESC
-          LIMIT $${paramCount++} OFFSET $${paramCount++}
-        `;
-
-        values.push(limit, offset);
-
-        const [countResult, dataResult] = await Promise.all([
-          query(countQuery, values.slice(0, -2)),
-          query(dataQuery, values)
-        ]);
-
-        const totalCount = parseInt(countResult.rows[0].count);
-        const readings = dataResult.rows.map(row => ({
-          id: `power_${row.id}`,
-          sensorId,
-          timestamp: row.received_at,
-          watts: row.watts,
-          voltage: row.voltage,
-          current: row.current,
-          frequency: row.frequency,
-          powerFactor: row.power_factor,
-          rssi: row.rssi,
-          memoryUsage: row.mem,
-          bootCount: row.boot,
-          rawData: {
-            deviceId: row.device_id,
-            hardwareId: row.device_hardware_id
-          }
-        }));
+    for (const field of DIAGNOSTIC_METRICS) {
+      if (normalizedPayload[field] !== null && normalizedPayload[field] !== undefined) {
+        values[field] = normalizedPayload[field];
+      }
+    }
 
-        return this.buildPaginatedResponse(readings, totalCount, limit, offset);
+    return values;
+  }
+
+  /**
+   * Make sure the month partition of a timestamp exists (once per month and process)
+   * @param {Date} timestamp - Reading time
+   */
+  async ensureReadingPartition(timestamp) {
+    const date = new Date(timestamp);
+    const month = `${date.getUTCFullYear()}_${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+    if (!this.readingPartitions.has(month)) {
+      await query('SELECT ensure_sensor_readings_partition($1)', [date]);
+      this.readingPartitions.add(month);
+    }
+  }
+
+  /**
+   * Sensor key of the unified store for a sensor ID: numeric IDs are
+   * dynamic sensors and resolve to their hardware ID
+   * @param {string} sensorId - Sensor ID
+   * @returns {string} Sensor key
+   */
+  async resolveReadingSensorId(sensorId) {
+    if (/^\d+$/.test(String(sensorId))) {
+      const result = await query('SELECT hardware_id FROM sensors WHERE id = $1', [parseInt(sensorId)]);
+      if (result.rows.length > 0) {
+        return result.rows[0].hardware_id;
       }
+    }
+    return String(sensorId);
+  }
+
+  /**
+   * Numeric value of a reading: booleans become 1/0, numeric strings numbers
+   * @param {*} value - Raw value
+   * @returns {number|null} Value, or null when not numeric
+   */
+  toReadingValue(value) {
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+      value = Number(value);
+    }
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
 
-      throw new Error(`Unsupported sensor type for ID: ${sensorId}`);
+  /**
+   * Shape a unified store point as a SensorReading; rollup points carry the
+   * bucket average and keep min/max/count in rawData
+   * @param {string} sensorId - Sensor ID requested
+   * @param {Object} point - { timestamp, values, min, max, count }
+   * @param {string} tier - Tier the point comes from
+   * @returns {Object} Sensor reading
+   */
+  formatReading(sensorId, { timestamp, values, min, max, count }, tier = 'RAW') {
+    const reading = {
+      id: `${sensorId}_${new Date(timestamp).getTime()}`,
+      sensorId,
+      timestamp,
+      rawData: tier === 'RAW' ? { values } : { tier, values, min, max, count }
+    };
 
-    } catch (error) {
-      console.error(`[SensorService] Error getting readings for sensor ${sensorId}:`, error);
-      throw error;
+    for (const [metric, value] of Object.entries(values)) {
+      const field = READING_FIELDS[metric];
+      if (field && reading[field] === undefined) {
+        reading[field] = value;
+      }
     }
+
+    return reading;
   }
 
   /**
@@ -514,250 +602,393 @@ class SensorService {
   }
 
   /**
-   * Get sensor statistics for a time range
+   * Get sensor statistics for a time range, from the unified readings store.
+   * Min/max/avg/count are exact on every tier; stdDev needs the raw tier.
    * @param {string} sensorId - Sensor ID
    * @param {Object} timeRange - Time range
-   * @returns {Object} Sensor statistics
+   * @param {number} resolution - Seconds of precision needed; picks the storage tier
+   * @returns {Object} Sensor statistics with the tier that answered
    */
-  async getSensorStats(sensorId, timeRange) {
+  async getSensorStats(sensorId, timeRange = {}, resolution = null) {
     console.log(`[SensorService] Getting stats for sensor ${sensorId}`, timeRange);
 
     try {
-      const { from, to } = timeRange;
-      let tableName, statsQuery, conditions = [], values = [], paramCount = 1;
+      const { from = null, to = null } = timeRange;
+      const readingSensorId = await this.resolveReadingSensorId(sensorId);
+      const tier = sensorRetentionService.selectTier({ resolution, from });
+      const source = `
+        FROM (${sensorRetentionService.tierSource(tier)}) readings
+        WHERE sensor_id = $1
+          AND ($2::timestamptz IS NULL OR ts >= $2)
+          AND ($3::timestamptz IS NULL OR ts <= $3)
+      `;
+
+      const result = await query(`
+        SELECT metric,
+               SUM(count) AS count,
+               MIN(min) AS min,
+               MAX(max) AS max,
+               SUM(value * count) / SUM(count) AS avg,
+               ${tier === 'RAW' ? 'STDDEV(value)' : 'NULL'} AS stddev,
+               SUM(value * count) AS total
+        ${source}
+        GROUP BY metric
+        ORDER BY metric
+      `, [readingSensorId, from, to]);
+
+      // Points per timestamp: 1 for raw readings, the readings in the bucket for rollups
+      const summaryResult = await query(`
+        SELECT COALESCE(SUM(points), 0) AS total_readings,
+               COALESCE(SUM(points) FILTER (WHERE valid), 0) AS valid_readings,
+               MIN(ts) AS first_reading,
+               MAX(ts) AS last_reading
+        FROM (
+          SELECT ts, MAX(count) AS points, bool_or(metric <> ALL($4::text[])) AS valid
+          ${source}
+          GROUP BY ts
+        ) per_ts
+      `, [readingSensorId, from, to, DIAGNOSTIC_METRICS]);
+
+      const summary = summaryResult.rows[0];
+      const totalReadings = parseInt(summary.total_readings);
+      const validReadings = parseInt(summary.valid_readings);
+      const errorRow = result.rows.find(row => row.metric === 'errors');
+
+      const stats = {
+        sensorId,
+        tier,
+        timeRange: { from, to },
+        totalReadings,
+        validReadings,
+        errorReadings: errorRow ? Math.round(parseFloat(errorRow.total)) : 0,
+        dataQualityPercent: totalReadings > 0 ? (validReadings / totalReadings) * 100 : 0,
+        uptimePercent: this.calculateUptimePercent(summary.first_reading, summary.last_reading, from, to),
+        lastOnlineTime: summary.last_reading,
+        averageInterval: this.calculateAverageInterval(summary.first_reading, summary.last_reading, totalReadings),
+        metrics: []
+      };
+
+      for (const row of result.rows) {
+        const fieldStats = {
+          min: parseFloat(row.min) || 0,
+          max: parseFloat(row.max) || 0,
+          avg: parseFloat(row.avg) || 0,
+          stdDev: tier === 'RAW' ? parseFloat(row.stddev) || 0 : null,
+          count: parseInt(row.count),
+          trend: 'STABLE'
+        };
 
-      if (sensorId === 'temhum1' || sensorId === 'temhum2') {
-        tableName = sensorId;
+        stats.metrics.push({ metric: row.metric, ...fieldStats });
 
-        if (from) {
-          conditions.push(`received_at >= $${paramCount++}`);
-          values.push(from);
-        }
-        if (to) {
-          conditions.push(`received_at <= $${paramCount++}`);
-          values.push(to);
+        const field = STATS_FIELDS[row.metric];
+        if (field && !stats[field]) {
+          stats[field] = fieldStats;
         }
+      }
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-        statsQuery = `
-          SELECT 
-            COUNT(*) as total_readings,
-            COUNT(CASE WHEN temperatura IS NOT NULL AND humedad IS NOT NULL THEN 1 END) as valid_readings,
-            SUM(errors) as error_readings,
-            MIN(temperatura) as temp_min,
-            MAX(temperatura) as temp_max,
-            AVG(temperatura) as temp_avg,
-            STDDEV(temperatura) as temp_stddev,
-            MIN(humedad) as hum_min,
-            MAX(humedad) as hum_max,
-            AVG(humedad) as hum_avg,
-            STDDEV(humedad) as hum_stddev,
-            MIN(received_at) as first_reading,
-            MAX(received_at) as last_reading
-          FROM ${tableName} ${whereClause}
-        `;
-
-        const result = await query(statsQuery, values);
-        const stats = result.rows[0];
-
-        const totalReadings = parseInt(stats.total_readings);
-        const validReadings = parseInt(stats.valid_readings);
-        const errorReadings = parseInt(stats.error_readings) || 0;
-
-        return {
-          sensorId,
-          timeRange: { from, to },
-          totalReadings,
-          validReadings,
-          errorReadings,
-          dataQualityPercent: totalReadings > 0 ? (validReadings / totalReadings) * 100 : 0,
-          uptimePercent: this.calculateUptimePercent(stats.first_reading, stats.last_reading, from, to),
-          lastOnlineTime: stats.last_reading,
-          averageInterval: this.calculateAverageInterval(stats.first_reading, stats.last_reading, totalReadings),
-          temperaturaStats: {
-            min: parseFloat(stats.temp_min) || 0,
-            max: parseFloat(stats.temp_max) || 0,
-            avg: parseFloat(stats.temp_avg) || 0,
-            stdDev: parseFloat(stats.temp_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
-          },
-          humedadStats: {
-            min: parseFloat(stats.hum_min) || 0,
-            max: parseFloat(stats.hum_max) || 0,
-            avg: parseFloat(stats.hum_avg) || 0,
-            stdDev: parseFloat(stats.hum_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
-          }
-        };
+      return stats;
+    } catch (error) {
+      console.error(`[SensorService] Error getting stats for sensor ${sensorId}:`, error);
+      throw error;
+    }
+  }
 
-      } else if (sensorId === 'calidad_agua') {
-        tableName = 'calidad_agua';
+  /**
+   * Check the options of a series query
+   * @param {Object} options - { sensorIds, metrics, from, to, bucket, aggregations, fill, timezone }
+   * @returns {Array<string>} Errors (empty when valid)
+   */
+  validateSeriesOptions(options = {}) {
+    const { sensorIds, metrics, from, to, bucket = {}, aggregations = ['AVG'], fill = 'NULL', timezone } = options;
+    const errors = [];
+    const size = bucket.size === undefined || bucket.size === null ? 1 : bucket.size;
+    const unitSeconds = FIXED_BUCKET_SECONDS[bucket.unit] || CALENDAR_BUCKET_SECONDS[bucket.unit];
+
+    if (!Array.isArray(sensorIds) || sensorIds.length === 0) {
+      errors.push('At least one sensor is required');
+    }
+    if (!Array.isArray(metrics) || metrics.length === 0) {
+      errors.push('At least one metric is required');
+    }
+    if (!Array.isArray(aggregations) || aggregations.length === 0) {
+      errors.push('At least one aggregation is required');
+    } else {
+      const unknown = aggregations.filter(aggregation => !SERIES_AGGREGATIONS.includes(aggregation));
+      if (unknown.length > 0) {
+        errors.push(`Unknown aggregations: ${unknown.join(', ')}`);
+      }
+    }
+    if (!SERIES_FILLS.includes(fill)) {
+      errors.push(`Unknown gap fill: ${fill}`);
+    }
+    if (!unitSeconds) {
+      errors.push(`Unknown bucket unit: ${bucket.unit}`);
+    }
+    if (!Number.isInteger(size) || size < 1) {
+      errors.push('Bucket size must be a positive integer');
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      errors.push(`Unknown timezone: ${timezone}`);
+    }
 
-        if (from) {
-          conditions.push(`received_at >= $${paramCount++}`);
-          values.push(from);
-        }
-        if (to) {
-          conditions.push(`received_at <= $${paramCount++}`);
-          values.push(to);
-        }
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      errors.push('A valid time range is required');
+    } else if (fromTime >= toTime) {
+      errors.push('The range must end after it starts');
+    } else if (unitSeconds && Number.isInteger(size) && size >= 1) {
+      const buckets = Math.ceil((toTime - fromTime) / (unitSeconds * size * 1000));
+      if (buckets > MAX_SERIES_BUCKETS) {
+        errors.push(`The range spans about ${buckets} buckets; the limit is ${MAX_SERIES_BUCKETS}`);
+      }
+    }
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-        statsQuery = `
-          SELECT 
-            COUNT(*) as total_readings,
-            COUNT(CASE WHEN ph IS NOT NULL AND ec IS NOT NULL AND ppm IS NOT NULL THEN 1 END) as valid_readings,
-            MIN(ph) as ph_min,
-            MAX(ph) as ph_max,
-            AVG(ph) as ph_avg,
-            STDDEV(ph) as ph_stddev,
-            MIN(ec) as ec_min,
-            MAX(ec) as ec_max,
-            AVG(ec) as ec_avg,
-            STDDEV(ec) as ec_stddev,
-            MIN(ppm) as ppm_min,
-            MAX(ppm) as ppm_max,
-            AVG(ppm) as ppm_avg,
-            STDDEV(ppm) as ppm_stddev,
-            MIN(received_at) as first_reading,
-            MAX(received_at) as last_reading
-          FROM ${tableName} ${whereClause}
-        `;
-
-        const result = await query(statsQuery, values);
-        const stats = result.rows[0];
-
-        const totalReadings = parseInt(stats.total_readings);
-        const validReadings = parseInt(stats.valid_readings);
-
-        return {
-          sensorId,
-          timeRange: { from, to },
-          totalReadings,
-          validReadings,
-          errorReadings: 0,
-          dataQualityPercent: totalReadings > 0 ? (validReadings / totalReadings) * 100 : 0,
-          uptimePercent: this.calculateUptimePercent(stats.first_reading, stats.last_reading, from, to),
-          lastOnlineTime: stats.last_reading,
-          averageInterval: this.calculateAverageInterval(stats.first_reading, stats.last_reading, totalReadings),
-          phStats: {
-            min: parseFloat(stats.ph_min) || 0,
-            max: parseFloat(stats.ph_max) || 0,
-            avg: parseFloat(stats.ph_avg) || 0,
-            stdDev: parseFloat(stats.ph_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
-          },
-          ecStats: {
-            min: parseFloat(stats.ec_min) || 0,
-            max: parseFloat(stats.ec_max) || 0,
-            avg: parseFloat(stats.ec_avg) || 0,
-            stdDev: parseFloat(stats.ec_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
-          },
-          ppmStats: {
-            min: parseFloat(stats.ppm_min) || 0,
-            max: parseFloat(stats.ppm_max) || 0,
-            avg: parseFloat(stats.ppm_avg) || 0,
-            stdDev: parseFloat(stats.ppm_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
-          }
-        };
+    return errors;
+  }
 
-      } else if (sensorId === 'luxometro') {
-        tableName = 'luxometro';
+  /**
+   * Aggregate the readings of several sensors into time buckets shared by every
+   * series, for charts. Minute and hour buckets are aligned to the Unix epoch;
+   * day, week and month buckets follow the calendar of the timezone, so a day
+   * lasts 23 or 25 hours across DST changes. The first bucket starts at `from`
+   * truncated to the bucket, so it is complete.
+   * @param {Object} options - { sensorIds, metrics, from, to, bucket: { unit, size },
+   *   aggregations (AVG, MIN, MAX, SUM, COUNT), fill (NULL, PREVIOUS, LINEAR), timezone }
+   * @returns {Object} { from, to, timezone, tier, timestamps, series: [{ sensorId, metric, aggregation, values }] }
+   */
+  async getSensorSeries(options = {}) {
+    const errors = this.validateSeriesOptions(options);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const { sensorIds, metrics, bucket, aggregations = ['AVG'], fill = 'NULL' } = options;
+    const timezone = options.timezone || weatherService.timezone;
+    const size = bucket.size || 1;
+    const from = new Date(options.from);
+    const to = new Date(options.to);
+    console.log(`[SensorService] Getting series for sensors ${sensorIds.join(', ')}`, { metrics, bucket, timezone });
+
+    try {
+      const timestamps = this.buildSeriesBuckets(from, to, bucket.unit, size, timezone);
+      const bucketTimes = timestamps.map(timestamp => timestamp.getTime());
+      const tier = sensorRetentionService.selectTier({
+        resolution: this.getSeriesResolution(from, to, bucket.unit, size, timezone),
+        from: timestamps[0]
+      });
+      const readingSensorIds = await Promise.all(sensorIds.map(sensorId => this.resolveReadingSensorId(sensorId)));
+
+      const calendar = CALENDAR_BUCKETS[bucket.unit];
+      const step = FIXED_BUCKET_SECONDS[bucket.unit] * size;
+      const bucketSql = calendar
+        ? `date_trunc('${calendar[0]}', ts AT TIME ZONE $5) AT TIME ZONE $5`
+        : `to_timestamp(floor(extract(epoch FROM ts) / ${step}) * ${step})`;
+      const values = [readingSensorIds, metrics, timestamps[0], to];
+      if (calendar) {
+        values.push(timezone);
+      }
+
+      // Calendar buckets are truncated to one unit in SQL; larger sizes are merged below
+      const result = await query(`
+        SELECT sensor_id, metric, ${bucketSql} AS bucket,
+               MIN(min) AS min,
+               MAX(max) AS max,
+               SUM(value * count) AS sum,
+               SUM(count) AS count
+        FROM (${sensorRetentionService.tierSource(tier)}) readings
+        WHERE sensor_id = ANY($1)
+          AND metric = ANY($2)
+          AND ts >= $3
+          AND ts < $4
+        GROUP BY 1, 2, 3
+      `, values);
+
+      // sensor_id -> metric -> per-bucket aggregates
+      const cells = new Map();
+      for (const row of result.rows) {
+        const index = this.findSeriesBucket(bucketTimes, new Date(row.bucket).getTime());
+        if (index < 0) {
+          continue;
+        }
 
-        if (from) {
-          conditions.push(`received_at >= $${paramCount++}`);
-          values.push(from);
+        if (!cells.has(row.sensor_id)) {
+          cells.set(row.sensor_id, new Map());
         }
-        if (to) {
-          conditions.push(`received_at <= $${paramCount++}`);
-          values.push(to);
+        const byMetric = cells.get(row.sensor_id);
+        if (!byMetric.has(row.metric)) {
+          byMetric.set(row.metric, timestamps.map(() => null));
         }
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-        statsQuery = `
-          SELECT 
-            COUNT(*) as total_readings,
-            COUNT(CASE WHEN light IS NOT NULL AND white_light IS NOT NULL THEN 1 END) as valid_readings,
-            SUM(errors) as error_readings,
-            MIN(light) as light_min,
-            MAX(light) as light_max,
-            AVG(light) as light_avg,
-            STDDEV(light) as light_stddev,
-            MIN(white_light) as white_min,
-            MAX(white_light) as white_max,
-            AVG(white_light) as white_avg,
-            STDDEV(white_light) as white_stddev,
-            MIN(raw_light) as raw_min,
-            MAX(raw_light) as raw_max,
-            AVG(raw_light) as raw_avg,
-            STDDEV(raw_light) as raw_stddev,
-            MIN(received_at) as first_reading,
-            MAX(received_at) as last_reading
-          FROM ${tableName} ${whereClause}
-        `;
-
-        const result = await query(statsQuery, values);
-        const stats = result.rows[0];
-
-        const totalReadings = parseInt(stats.total_readings);
-        const validReadings = parseInt(stats.valid_readings);
-        const errorReadings = parseInt(stats.error_readings) || 0;
-
-        return {
-          sensorId,
-          timeRange: { from, to },
-          totalReadings,
-          validReadings,
-          errorReadings,
-          dataQualityPercent: totalReadings > 0 ? (validReadings / totalReadings) * 100 : 0,
-          uptimePercent: this.calculateUptimePercent(stats.first_reading, stats.last_reading, from, to),
-          lastOnlineTime: stats.last_reading,
-          averageInterval: this.calculateAverageInterval(stats.first_reading, stats.last_reading, totalReadings),
-          lightStats: {
-            min: parseFloat(stats.light_min) || 0,
-            max: parseFloat(stats.light_max) || 0,
-            avg: parseFloat(stats.light_avg) || 0,
-            stdDev: parseFloat(stats.light_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
-          },
-          whiteLightStats: {
-            min: parseFloat(stats.white_min) || 0,
-            max: parseFloat(stats.white_max) || 0,
-            avg: parseFloat(stats.white_avg) || 0,
-            stdDev: parseFloat(stats.white_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
-          },
-          rawLightStats: {
-            min: parseFloat(stats.raw_min) || 0,
-            max: parseFloat(stats.raw_max) || 0,
-            avg: parseFloat(stats.raw_avg) || 0,
-            stdDev: parseFloat(stats.raw_stddev) || 0,
-            count: validReadings,
-            trend: 'STABLE'
+        const cell = byMetric.get(row.metric);
+        const min = parseFloat(row.min);
+        const max = parseFloat(row.max);
+        const sum = parseFloat(row.sum);
+        const count = parseInt(row.count);
+        cell[index] = cell[index]
+          ? {
+            min: Math.min(cell[index].min, min),
+            max: Math.max(cell[index].max, max),
+            sum: cell[index].sum + sum,
+            count: cell[index].count + count
           }
-        };
+          : { min, max, sum, count };
       }
 
-      throw new Error(`Statistics not supported for sensor: ${sensorId}`);
+      const series = [];
+      sensorIds.forEach((sensorId, position) => {
+        const byMetric = cells.get(readingSensorIds[position]) || new Map();
+        for (const metric of metrics) {
+          const cell = byMetric.get(metric) || timestamps.map(() => null);
+          for (const aggregation of aggregations) {
+            series.push({
+              sensorId,
+              metric,
+              aggregation,
+              values: aggregation === 'COUNT'
+                ? cell.map(entry => (entry ? entry.count : 0))
+                : this.fillSeriesGaps(cell.map(entry => this.aggregateSeriesCell(entry, aggregation)), bucketTimes, fill)
+            });
+          }
+        }
+      });
 
+      return { from, to, timezone, tier, timestamps, series };
     } catch (error) {
-      console.error(`[SensorService] Error getting stats for sensor ${sensorId}:`, error);
+      console.error(`[SensorService] Error getting series for sensors ${sensorIds.join(', ')}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Start of every bucket overlapping [from, to)
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {string} unit - Bucket unit
+   * @param {number} size - Units per bucket
+   * @param {string} timezone - Timezone of calendar buckets
+   * @returns {Array<Date>} Bucket starts, ascending
+   */
+  buildSeriesBuckets(from, to, unit, size, timezone) {
+    const starts = [];
+
+    if (FIXED_BUCKET_SECONDS[unit]) {
+      const step = FIXED_BUCKET_SECONDS[unit] * size * 1000;
+      for (let time = Math.floor(from.getTime() / step) * step; time < to.getTime(); time += step) {
+        starts.push(new Date(time));
+      }
+      return starts;
+    }
+
+    // Adding calendar units to the origin keeps local midnight across DST changes
+    const origin = moment.tz(from, timezone).startOf(CALENDAR_BUCKETS[unit][1]);
+    const addUnit = unit === 'WEEK' ? 'week' : CALENDAR_BUCKETS[unit][1];
+    for (let i = 0; ; i++) {
+      const start = origin.clone().add(i * size, addUnit);
+      if (start.valueOf() >= to.getTime()) {
+        return starts;
+      }
+      starts.push(start.toDate());
+    }
+  }
+
+  /**
+   * Resolution a series needs from the storage tiers: its bucket length, except
+   * that hourly rollups cannot split days of zones with a sub-hour UTC offset
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {string} unit - Bucket unit
+   * @param {number} size - Units per bucket
+   * @param {string} timezone - Timezone of calendar buckets
+   * @returns {number} Seconds
+   */
+  getSeriesResolution(from, to, unit, size, timezone) {
+    if (FIXED_BUCKET_SECONDS[unit]) {
+      return FIXED_BUCKET_SECONDS[unit] * size;
+    }
+
+    const subHourOffset = [from, to].some(time => moment.tz(time, timezone).utcOffset() % 60 !== 0);
+    return subHourOffset ? FIXED_BUCKET_SECONDS.MINUTE : CALENDAR_BUCKET_SECONDS[unit] * size;
+  }
+
+  /**
+   * Index of the bucket containing a time
+   * @param {Array<number>} bucketTimes - Bucket starts (ms), ascending
+   * @param {number} time - Time (ms)
+   * @returns {number} Bucket index, or -1 before the first bucket
+   */
+  findSeriesBucket(bucketTimes, time) {
+    let low = 0;
+    let high = bucketTimes.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (bucketTimes[middle] <= time) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Value of a series bucket for an aggregation
+   * @param {Object|null} cell - { min, max, sum, count }, null for an empty bucket
+   * @param {string} aggregation - AVG, MIN, MAX or SUM
+   * @returns {number|null} Value
+   */
+  aggregateSeriesCell(cell, aggregation) {
+    if (!cell || cell.count === 0) {
+      return null;
+    }
+    switch (aggregation) {
+    case 'MIN':
+      return cell.min;
+    case 'MAX':
+      return cell.max;
+    case 'SUM':
+      return cell.sum;
+    default:
+      return cell.sum / cell.count;
+    }
+  }
+
+  /**
+   * Fill empty buckets: PREVIOUS carries the last value forward, LINEAR
+   * interpolates in time between the surrounding values. Buckets before the
+   * first value, and after the last one with LINEAR, stay empty.
+   * @param {Array<number|null>} values - Bucket values
+   * @param {Array<number>} bucketTimes - Bucket starts (ms)
+   * @param {string} fill - NULL, PREVIOUS or LINEAR
+   * @returns {Array<number|null>} Filled values
+   */
+  fillSeriesGaps(values, bucketTimes, fill) {
+    if (fill === 'PREVIOUS') {
+      let last = null;
+      return values.map(value => (value === null ? last : (last = value)));
+    }
+
+    if (fill !== 'LINEAR') {
+      return values;
+    }
+
+    const filled = [...values];
+    let previous = -1;
+    values.forEach((value, index) => {
+      if (value === null) {
+        return;
+      }
+      for (let gap = previous + 1; previous >= 0 && gap < index; gap++) {
+        const ratio = (bucketTimes[gap] - bucketTimes[previous]) / (bucketTimes[index] - bucketTimes[previous]);
+        filled[gap] = values[previous] + (value - values[previous]) * ratio;
+      }
+      previous = index;
+    });
+    return filled;
+  }
+
   /**
    * Helper methods
    */
@@ -8,6 +8,8 @@ class WeatherService {
     this.apiKey = process.env.WEATHER_API_KEY;
     this.baseUrl = 'http://api.weatherapi.com/v1';
     this.location = process.env.WEATHER_LOCATION || 'las chilcas,Villarrica,Chile';
+    this.timezone = process.env.WEATHER_TIMEZONE || 'America/Santiago';
+    this.coordinates = null; // Resolved lazily for offline sun calculations
 
     if (!this.apiKey) {
       console.warn('[WeatherService] WEATHER_API_KEY not configured. Service disabled.');
@@ -158,6 +160,15 @@ class WeatherService {
 
       const result = await pool.query(query, values);
       console.log(`[WeatherService] Weather data saved to DB with ID: ${result.rows[0].id}`);
+
+      // Follow the reported location for sunrise/sunset unless it is configured explicitly
+      if (!this.getEnvCoordinates() && weatherData.location.latitude !== null && weatherData.location.longitude !== null) {
+        this.coordinates = {
+          latitude: parseFloat(weatherData.location.latitude),
+          longitude: parseFloat(weatherData.location.longitude),
+          timezone: weatherData.location.timezone || this.timezone
+        };
+      }
       return result.rows[0];
     } catch (error) {
       console.error('[WeatherService] Error saving weather data to DB:', error.message);
@@ -426,6 +437,62 @@ class WeatherService {
     }
   }
 
+  /**
+   * Greenhouse coordinates configured through WEATHER_LATITUDE/WEATHER_LONGITUDE
+   * @returns {Object|null} { latitude, longitude, timezone } or null if unset
+   */
+  getEnvCoordinates() {
+    const latitude = parseFloat(process.env.WEATHER_LATITUDE);
+    const longitude = parseFloat(process.env.WEATHER_LONGITUDE);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return null;
+    }
+    return { latitude, longitude, timezone: this.timezone };
+  }
+
+  /**
+   * Get greenhouse coordinates for offline astronomical calculations.
+   * WEATHER_LATITUDE/WEATHER_LONGITUDE take precedence, otherwise the
+   * coordinates of the last stored weather observation are used.
+   * @returns {Promise<Object|null>} { latitude, longitude, timezone } or null if unknown
+   */
+  async getCoordinates() {
+    if (this.coordinates) {
+      return this.coordinates;
+    }
+
+    const envCoordinates = this.getEnvCoordinates();
+    if (envCoordinates) {
+      this.coordinates = envCoordinates;
+      return this.coordinates;
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT location_lat, location_lon
+        FROM weather_current
+        WHERE location_lat IS NOT NULL AND location_lon IS NOT NULL
+        ORDER BY received_at DESC
+        LIMIT 1
+      `);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      this.coordinates = {
+        latitude: parseFloat(result.rows[0].location_lat),
+        longitude: parseFloat(result.rows[0].location_lon),
+        timezone: this.timezone
+      };
+      return this.coordinates;
+    } catch (error) {
+      console.error('[WeatherService] Error resolving coordinates:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get weather service configuration
    * @returns {Object} Configuration info
@@ -633,6 +700,7 @@ class WeatherService {
     const cleanLocation = newLocation.trim();
     console.log(`[WeatherService] Updating location from '${this.location}' to '${cleanLocation}'`);
     this.location = cleanLocation;
+    this.coordinates = null;
     console.log(`[WeatherService] Location updated successfully to: ${this.location}`);
   }
 
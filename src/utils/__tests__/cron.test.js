@@ -0,0 +1,105 @@
+/**
+ * Cron Tests
+ * Parsing, matching and cycle generation of 5-field cron expressions
+ */
+const { parseCron, validateCron, matchesCron, nextCronMatch, isValidTimezone, buildCycleCron } = require('../cron');
+
+describe('parseCron', () => {
+  test('expands lists, ranges and steps', () => {
+    const cron = parseCron('0-10/5,30 8-9 * JAN-MAR MON-FRI');
+
+    expect(Array.from(cron.minute)).toEqual([0, 5, 10, 30]);
+    expect(Array.from(cron.hour)).toEqual([8, 9]);
+    expect(Array.from(cron.month)).toEqual([1, 2, 3]);
+    expect(Array.from(cron.dayOfWeek)).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.dayOfMonthRestricted).toBe(false);
+    expect(cron.dayOfWeekRestricted).toBe(true);
+  });
+
+  test('reads "5/15" as every 15 from 5 and 7 as Sunday', () => {
+    expect(Array.from(parseCron('5/15 * * * 7').minute)).toEqual([5, 20, 35, 50]);
+    expect(Array.from(parseCron('5/15 * * * 7').dayOfWeek)).toEqual([0]);
+  });
+
+  test('expands macros', () => {
+    expect(parseCron('@hourly').expression).toBe('0 * * * *');
+    expect(parseCron('@Daily').expression).toBe('0 0 * * *');
+  });
+});
+
+describe('validateCron', () => {
+  test.each([
+    ['', 'non-empty string'],
+    ['* * * *', 'must have 5 fields, got 4'],
+    ['60 * * * *', 'minute value 60 out of range (0-59)'],
+    ['* 24 * * *', 'hour value 24 out of range'],
+    ['*/0 * * * *', 'Invalid step'],
+    ['10-5 * * * *', 'Invalid range'],
+    ['* * * FOO *', 'Invalid month value "FOO"']
+  ])('rejects "%s"', (expression, message) => {
+    expect(validateCron(expression)).toContain(message);
+  });
+
+  test('accepts valid expressions', () => {
+    expect(validateCron('*/15 6-18 * * MON-SAT')).toBeNull();
+  });
+});
+
+describe('matchesCron', () => {
+  test('matches the minute in the given timezone', () => {
+    // 12:30 UTC is 08:30 in Santiago (UTC-4 in June)
+    const date = new Date('2024-06-12T12:30:45Z');
+
+    expect(matchesCron('30 8 * * *', date, 'America/Santiago')).toBe(true);
+    expect(matchesCron('30 12 * * *', date, 'UTC')).toBe(true);
+    expect(matchesCron('30 12 * * *', date, 'America/Santiago')).toBe(false);
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // Wednesday 12 June 2024
+    const date = new Date('2024-06-12T00:00:00Z');
+
+    expect(matchesCron('0 0 1 * WED', date, 'UTC')).toBe(true);
+    expect(matchesCron('0 0 12 * MON', date, 'UTC')).toBe(true);
+    expect(matchesCron('0 0 1 * MON', date, 'UTC')).toBe(false);
+    expect(matchesCron('0 0 * * MON', date, 'UTC')).toBe(false);
+  });
+});
+
+describe('nextCronMatch', () => {
+  test('finds the next matching minute after the start', () => {
+    expect(nextCronMatch('0 6 * * *', new Date('2024-06-12T06:00:00Z'), 'UTC')).toEqual(new Date('2024-06-13T06:00:00Z'));
+    expect(nextCronMatch('*/15 * * * *', new Date('2024-06-12T06:07:30Z'), 'UTC')).toEqual(new Date('2024-06-12T06:15:00Z'));
+  });
+
+  test('returns null past the search horizon', () => {
+    expect(nextCronMatch('0 0 29 2 *', new Date('2024-03-01T00:00:00Z'), 'UTC', 31)).toBeNull();
+  });
+});
+
+describe('isValidTimezone', () => {
+  test.each([
+    ['America/Santiago', true],
+    ['UTC', true],
+    ['Mars/Olympus', false],
+    [null, false]
+  ])('%s is %p', (timezone, expected) => {
+    expect(isValidTimezone(timezone)).toBe(expected);
+  });
+});
+
+describe('buildCycleCron', () => {
+  test('splits a 15/15 cycle into ON and OFF halves of each hour', () => {
+    expect(buildCycleCron(15, 15)).toEqual({
+      on: ['0-14,30-44 * * * *'],
+      off: ['15-29,45-59 * * * *']
+    });
+  });
+
+  test('groups hours sharing a minute pattern when the cycle spans hours', () => {
+    const { on, off } = buildCycleCron(60, 60);
+
+    expect(on).toEqual(['* 0,2,4,6,8,10,12,14,16,18,20,22 * * *']);
+    expect(off).toEqual(['* 1,3,5,7,9,11,13,15,17,19,21,23 * * *']);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Expression Tests
+ * Grammar, evaluation and validation of EXPRESSION rule conditions
+ */
+const {
+  parseExpression,
+  getExpressionReferences,
+  evaluateExpression,
+  renameExpressionSensors,
+  validateExpression
+} = require('../expression');
+
+const evaluate = (source, values = {}) => evaluateExpression(parseExpression(source), values);
+
+describe('evaluateExpression', () => {
+  test.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['10 - 4 - 3', 3],
+    ['7 % 4', 3],
+    ['-2^2', -4],
+    ['2^3^2', 512],
+    ['--3', 3],
+    ['1.5e2 / 3', 50],
+    ['max(1, 5, 3)', 5],
+    ['avg(2, 4)', 3],
+    ['clamp(12, 0, 10)', 10],
+    ['round(3.14159, 2)', 3.14],
+    ['ROUND(2.5)', 3]
+  ])('%s = %p', (source, expected) => {
+    expect(evaluate(source)).toBeCloseTo(expected, 10);
+  });
+
+  test('reads references case-insensitively by sensor', () => {
+    expect(evaluate('TemHum1.temperatura - "sensor 2".temperatura', { 'temhum1.temperatura': 25, 'sensor 2.temperatura': 20 })).toBe(5);
+  });
+
+  test('computes horticulture helpers', () => {
+    expect(evaluate('svp(25)')).toBeCloseTo(3.168, 3);
+    expect(evaluate('vpd(25, 60)')).toBeCloseTo(1.267, 3);
+    expect(evaluate('dewpoint(25, 60)')).toBeCloseTo(16.69, 2);
+  });
+
+  test('returns null for missing references and non-finite results', () => {
+    expect(evaluate('a.x + 1', {})).toBeNull();
+    expect(evaluate('a.x + 1', { 'a.x': null })).toBeNull();
+    expect(evaluate('1 / 0')).toBeNull();
+    expect(evaluate('sqrt(-1)')).toBeNull();
+  });
+});
+
+describe('getExpressionReferences', () => {
+  test('lists sensor and history references once', () => {
+    const references = getExpressionReferences(parseExpression('vpd(t.temperatura, t.humedad) + t.temperatura + dli(lux.light)'));
+
+    expect(references).toEqual([
+      { key: 't.temperatura', sensor: 't', field: 'temperatura', history: null },
+      { key: 't.humedad', sensor: 't', field: 'humedad', history: null },
+      { key: 'dli:lux.light', sensor: 'lux', field: 'light', history: 'dli' }
+    ]);
+  });
+});
+
+describe('validateExpression', () => {
+  test.each([
+    ['1 +', 'Unexpected end of expression'],
+    ['(1', 'Expected ")"'],
+    ['1 2', 'Unexpected "2"'],
+    ['a.', 'Expected a field name'],
+    ['max()', 'max() takes 1-20 arguments, got 0'],
+    ['round(1, 2, 3)', 'round() takes 1-2 arguments, got 3'],
+    ['dli(5)', 'dli() takes a single sensor reference'],
+    ['foo(1)', 'Unknown function "foo"']
+  ])('rejects "%s"', (source, message) => {
+    expect(validateExpression(source)).toContain(message);
+  });
+
+  test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf'])('rejects inherited name %s()', (name) => {
+    expect(validateExpression(`${name}(1)`)).toBe(`Unknown function "${name}"`);
+    expect(validateExpression(`${name}(a.b)`)).toBe(`Unknown function "${name}"`);
+  });
+
+  test('rejects overlong expressions', () => {
+    expect(validateExpression('1+'.repeat(250) + '1')).toBe('Expression is longer than 500 characters');
+  });
+
+  test('accepts valid expressions', () => {
+    expect(validateExpression('vpd(temhum1.temperatura, temhum1.humedad) - dli(luxometro.light) / 10')).toBeNull();
+  });
+});
+
+describe('renameExpressionSensors', () => {
+  test('rewrites references only, quoting names that need it', () => {
+    const renamed = renameExpressionSensors('max(a.x,  b.y) + a.z * 2', sensor => (sensor === 'a' ? 'new sensor' : sensor));
+
+    expect(renamed).toBe('max("new sensor".x,  b.y) + "new sensor".z * 2');
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * LRU Cache Tests
+ */
+const { LruCache } = require('../lruCache');
+
+describe('LruCache', () => {
+  test('evicts the least recently used entry', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.get('c')).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+
+  test('refreshes recency when an entry is overwritten', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(10);
+    expect(cache.has('b')).toBe(false);
+  });
+
+  test('returns undefined for missing keys and empties on clear', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.clear();
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+});
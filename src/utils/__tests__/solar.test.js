@@ -0,0 +1,52 @@
+/**
+ * Solar Tests
+ * Sun event times against published almanac values (within a few minutes)
+ */
+const { getSolarTimes, getSolarEventTime } = require('../solar');
+
+const TOLERANCE_MS = 3 * 60 * 1000;
+
+const expectNear = (actual, expected) => {
+  expect(Math.abs(actual.getTime() - new Date(expected).getTime())).toBeLessThan(TOLERANCE_MS);
+};
+
+describe('getSolarTimes', () => {
+  test('London on the March equinox', () => {
+    const times = getSolarTimes(new Date('2024-03-20T12:00:00Z'), 51.5074, -0.1278);
+
+    expectNear(times.SUNRISE, '2024-03-20T06:02:00Z');
+    expectNear(times.SUNSET, '2024-03-20T18:14:00Z');
+    expectNear(times.SOLAR_NOON, '2024-03-20T12:08:00Z');
+  });
+
+  test('orders dawn, sunrise, noon, sunset and dusk', () => {
+    const times = getSolarTimes(new Date('2024-06-21T16:00:00Z'), -33.45, -70.67);
+    const order = ['DAWN', 'SUNRISE', 'SOLAR_NOON', 'SUNSET', 'DUSK'].map(event => times[event].getTime());
+
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+  });
+
+  test('has no sunrise or sunset during the polar day', () => {
+    const times = getSolarTimes(new Date('2024-06-21T12:00:00Z'), 69.65, 18.96);
+
+    expect(times.SUNRISE).toBeNull();
+    expect(times.SUNSET).toBeNull();
+    expect(times.SOLAR_NOON).toBeInstanceOf(Date);
+  });
+});
+
+describe('getSolarEventTime', () => {
+  test('uses the local calendar day of the timezone', () => {
+    // 22:00 on 21 June in Santiago is already 22 June in UTC
+    const date = new Date('2024-06-22T02:00:00Z');
+    const local = getSolarEventTime('sunset', date, -33.45, -70.67, 'America/Santiago');
+    const utc = getSolarEventTime('SUNSET', date, -33.45, -70.67, 'UTC');
+
+    expect(local.toISOString().slice(0, 10)).toBe('2024-06-21');
+    expect(utc.toISOString().slice(0, 10)).toBe('2024-06-22');
+  });
+
+  test('rejects unknown events', () => {
+    expect(() => getSolarEventTime('moonrise', new Date(), 0, 0)).toThrow('Unknown solar event "moonrise"');
+  });
+});
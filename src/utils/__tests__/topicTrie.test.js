@@ -0,0 +1,70 @@
+/**
+ * Topic Trie Tests
+ * MQTT filter matching, captures and specificity ordering
+ */
+const { TopicTrie, validateTopicFilter, countWildcards } = require('../topicTrie');
+
+const buildTrie = (filters) => {
+  const trie = new TopicTrie();
+  filters.forEach(filter => trie.insert(filter, filter));
+  return trie;
+};
+
+describe('TopicTrie.match', () => {
+  const trie = buildTrie(['greenhouse/+/temperature', 'greenhouse/#', 'greenhouse/zone1/temperature', '#', '+/+/+']);
+
+  test('returns every match, most specific first', () => {
+    expect(trie.match('greenhouse/zone1/temperature').map(match => match.value)).toEqual([
+      'greenhouse/zone1/temperature',
+      'greenhouse/+/temperature',
+      'greenhouse/#',
+      '+/+/+',
+      '#'
+    ]);
+  });
+
+  test('captures the levels matched by wildcards', () => {
+    const [plus, hash] = trie.match('greenhouse/zone2/temperature').slice(0, 2);
+
+    expect(plus).toMatchObject({ filter: 'greenhouse/+/temperature', captures: ['zone2'] });
+    expect(hash).toMatchObject({ filter: 'greenhouse/#', captures: ['zone2/temperature'] });
+  });
+
+  test('lets "#" match the parent level itself', () => {
+    expect(trie.match('greenhouse').map(match => match.value)).toEqual(['greenhouse/#', '#']);
+  });
+
+  test('matches levels case-insensitively', () => {
+    expect(trie.match('Greenhouse/Zone1/Temperature')[0].value).toBe('greenhouse/zone1/temperature');
+  });
+
+  test('keeps wildcards away from broker topics', () => {
+    expect(trie.match('$SYS/broker/uptime')).toEqual([]);
+    expect(buildTrie(['$SYS/#']).match('$SYS/broker/uptime')).toHaveLength(1);
+  });
+
+  test('counts inserted filters', () => {
+    expect(trie.size).toBe(5);
+  });
+});
+
+describe('validateTopicFilter', () => {
+  test.each([
+    ['', 'Topic filter is required'],
+    ['a/#/b', '"#" is only allowed as the last level'],
+    ['a/b+/c', 'Wildcards must take a whole level: "b+"']
+  ])('rejects "%s"', (filter, message) => {
+    expect(validateTopicFilter(filter)).toEqual([message]);
+  });
+
+  test('rejects inserting an invalid filter', () => {
+    expect(() => new TopicTrie().insert('a/#/b', 1)).toThrow('Invalid topic filter "a/#/b"');
+  });
+});
+
+describe('countWildcards', () => {
+  test('counts "+" and "#" levels', () => {
+    expect(countWildcards('a/+/b/+/#')).toBe(3);
+    expect(countWildcards('a/b')).toBe(0);
+  });
+});
@@ -0,0 +1,274 @@
+const moment = require('moment-timezone');
+const { LruCache } = require('./lruCache');
+
+// Field definitions for standard 5-field cron expressions
+// (minute hour day-of-month month day-of-week)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Parsed expressions are immutable, so they can be shared between evaluations
+const MAX_CACHED = 200;
+const parsedCache = new LruCache(MAX_CACHED);
+
+/**
+ * Resolve a single cron token (number or month/day name) to a number
+ * @param {string} token - Raw token
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ */
+function parseCronValue(token, field) {
+  const upper = token.toUpperCase();
+
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+  }
+
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${field.name} value "${token}"`);
+  }
+
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} out of range (${field.min}-${field.max})`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} expression - Field expression, e.g. "0-14,30-44" or "*\/5"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Allowed values
+ */
+function parseCronField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+    } else {
+      start = parseCronValue(rangePart, field);
+      // "5/15" means "from 5 every 15"
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range "${rangePart}" in ${field.name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Both 0 and 7 mean Sunday
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - Cron expression (or macro such as @hourly)
+ * @returns {Object} Parsed expression with one value set per field
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+
+  const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+
+  if (parsedCache.has(normalized)) {
+    return parsedCache.get(normalized);
+  }
+
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression must have ${CRON_FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const parsed = { expression: normalized };
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(parts[index], field);
+  });
+
+  // Standard cron semantics: when both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  parsedCache.set(normalized, parsed);
+  return parsed;
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check whether the minute containing `date` matches a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} date - Instant to test
+ * @param {string} timezone - IANA timezone the expression is written in (defaults to server time)
+ * @returns {boolean} Whether the expression matches
+ */
+function matchesCron(expression, date = new Date(), timezone = null) {
+  const cron = parseCron(expression);
+  const local = timezone ? moment.tz(date, timezone) : moment(date);
+
+  if (!cron.minute.has(local.minute()) || !cron.hour.has(local.hour()) || !cron.month.has(local.month() + 1)) {
+    return false;
+  }
+
+  const dayOfMonthMatch = cron.dayOfMonth.has(local.date());
+  const dayOfWeekMatch = cron.dayOfWeek.has(local.day());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+/**
+ * Find the next minute matching a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start searching after this instant
+ * @param {string} timezone - IANA timezone the expression is written in
+ * @param {number} maxDays - Search horizon in days
+ * @returns {Date|null} Next matching minute, or null if none within the horizon
+ */
+function nextCronMatch(expression, from = new Date(), timezone = null, maxDays = 31) {
+  const candidate = moment(from).startOf('minute').add(1, 'minute');
+  const limit = maxDays * 24 * 60;
+
+  for (let i = 0; i < limit; i++) {
+    if (matchesCron(expression, candidate.toDate(), timezone)) {
+      return candidate.toDate();
+    }
+    candidate.add(1, 'minute');
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a timezone name is a known IANA zone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} Whether the zone is known
+ */
+function isValidTimezone(timezone) {
+  return Boolean(timezone && moment.tz.zone(timezone));
+}
+
+/**
+ * Compress a sorted list of values into a cron field ("0-14,30-44")
+ * @param {Array<number>} values - Sorted values
+ * @param {number} min - Field minimum
+ * @param {number} max - Field maximum
+ * @returns {string} Cron field
+ */
+function toCronField(values, min, max) {
+  if (values.length === max - min + 1) {
+    return '*';
+  }
+
+  const ranges = [];
+  let start = values[0];
+  let previous = values[0];
+
+  for (const value of values.slice(1).concat([null])) {
+    if (value !== previous + 1) {
+      ranges.push(start === previous ? `${start}` : `${start}-${previous}`);
+      start = value;
+    }
+    previous = value;
+  }
+
+  return ranges.join(',');
+}
+
+/**
+ * Build cron expressions for a repeating ON/OFF cycle that starts at midnight,
+ * e.g. 15/15 gives ON "0-14,30-44 * * * *" and OFF "15-29,45-59 * * * *".
+ * Hours sharing the same minute pattern are grouped into one expression.
+ * @param {number} onMinutes - Minutes in the ON phase
+ * @param {number} offMinutes - Minutes in the OFF phase
+ * @returns {Object} { on: [cron], off: [cron] }
+ */
+function buildCycleCron(onMinutes, offMinutes) {
+  const totalCycle = onMinutes + offMinutes;
+  const patterns = { on: new Map(), off: new Map() };
+
+  for (let hour = 0; hour < 24; hour++) {
+    const minutes = { on: [], off: [] };
+
+    for (let minute = 0; minute < 60; minute++) {
+      const phase = (hour * 60 + minute) % totalCycle < onMinutes ? 'on' : 'off';
+      minutes[phase].push(minute);
+    }
+
+    for (const phase of ['on', 'off']) {
+      if (minutes[phase].length === 0) {
+        continue;
+      }
+      const minuteField = toCronField(minutes[phase], 0, 59);
+      const hours = patterns[phase].get(minuteField) || [];
+      hours.push(hour);
+      patterns[phase].set(minuteField, hours);
+    }
+  }
+
+  const toExpressions = phasePatterns => Array.from(phasePatterns.entries())
+    .map(([minuteField, hours]) => `${minuteField} ${toCronField(hours, 0, 23)} * * *`);
+
+  return { on: toExpressions(patterns.on), off: toExpressions(patterns.off) };
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  matchesCron,
+  nextCronMatch,
+  isValidTimezone,
+  buildCycleCron
+};
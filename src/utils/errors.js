@@ -0,0 +1,25 @@
+const { ApolloError } = require('apollo-server-express');
+
+/**
+ * Device command rejected by an interlock constraint. Thrown from the device
+ * service, so GraphQL clients get code INTERLOCK_VIOLATION and internal callers
+ * (rules engine, queue actions) can tell it apart with instanceof.
+ */
+class InterlockViolationError extends ApolloError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { interlockId, interlockName, deviceId, reason }
+   */
+  constructor(message, { interlockId, interlockName, deviceId, reason } = {}) {
+    super(message, 'INTERLOCK_VIOLATION', { interlockId, interlockName, deviceId, reason });
+    Object.defineProperty(this, 'name', { value: 'InterlockViolationError' });
+    this.interlockId = interlockId;
+    this.interlockName = interlockName;
+    this.deviceId = deviceId;
+    this.reason = reason;
+  }
+}
+
+module.exports = {
+  InterlockViolationError
+};
@@ -0,0 +1,450 @@
+// Sandboxed arithmetic expressions for EXPRESSION rule conditions.
+// Expressions are tokenized and parsed into an AST that is walked by a small
+// interpreter - nothing is ever passed to eval/Function, and only the
+// whitelisted functions below can be called.
+//
+// Grammar:
+//   expression := term (('+' | '-') term)*
+//   term       := unary (('*' | '/' | '%') unary)*
+//   unary      := '-' unary | power
+//   power      := primary ('^' unary)?                        (-2^2 is -4)
+//   primary    := number | reference | call | '(' expression ')'
+//   reference  := (identifier | "quoted id") '.' identifier    e.g. temhum1.temperatura
+//   call       := identifier '(' [expression (',' expression)*] ')'
+//
+// The reserved reference prefix "weather" reads the latest weather_current row.
+
+const { LruCache } = require('./lruCache');
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 32;
+const MAX_NODES = 200;
+const MAX_CACHED = 500;
+
+// Parsed expressions are immutable, so they can be shared between evaluations.
+// Bounded: validation parses whatever users type, not only saved rules
+const parsedCache = new LruCache(MAX_CACHED);
+
+// Saturated vapour pressure in kPa (Tetens)
+const saturationVapourPressure = tempC => 0.6108 * Math.exp((17.27 * tempC) / (tempC + 237.3));
+
+const FUNCTIONS = {
+  abs: { args: [1, 1], fn: Math.abs },
+  sqrt: { args: [1, 1], fn: Math.sqrt },
+  exp: { args: [1, 1], fn: Math.exp },
+  ln: { args: [1, 1], fn: Math.log },
+  log10: { args: [1, 1], fn: Math.log10 },
+  floor: { args: [1, 1], fn: Math.floor },
+  ceil: { args: [1, 1], fn: Math.ceil },
+  pow: { args: [2, 2], fn: Math.pow },
+  min: { args: [1, 20], fn: Math.min },
+  max: { args: [1, 20], fn: Math.max },
+  avg: { args: [1, 20], fn: (...values) => values.reduce((sum, value) => sum + value, 0) / values.length },
+  clamp: { args: [3, 3], fn: (value, low, high) => Math.min(Math.max(value, low), high) },
+  round: {
+    args: [1, 2],
+    fn: (value, digits = 0) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(value * factor) / factor;
+    }
+  },
+  // Horticulture helpers
+  svp: { args: [1, 1], fn: saturationVapourPressure },
+  vpd: { args: [2, 2], fn: (tempC, humidity) => saturationVapourPressure(tempC) * (1 - humidity / 100) },
+  dewpoint: {
+    args: [2, 2],
+    fn: (tempC, humidity) => {
+      const gamma = Math.log(humidity / 100) + (17.62 * tempC) / (243.12 + tempC);
+      return (243.12 * gamma) / (17.62 - gamma);
+    }
+  }
+};
+
+// Functions computed from sensor history by the rules engine; their single
+// argument must be a sensor reference
+const HISTORY_FUNCTIONS = {
+  // Daily light integral (mol/m²/day) accumulated since local midnight from a lux reading
+  dli: { description: 'Daily light integral since midnight from a lux reference' }
+};
+
+/**
+ * Look up a function by name. Own properties only, so names such as
+ * "constructor" or "__proto__" don't resolve to Object.prototype members
+ * @param {Object} table - FUNCTIONS or HISTORY_FUNCTIONS
+ * @param {string} name - Lowercased function name
+ * @returns {Object|null} Definition, or null when unknown
+ */
+function lookupFunction(table, name) {
+  return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<Object>} Tokens ({ type, value, position })
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[position + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(source.slice(position));
+      if (!match) {
+        throw new Error(`Invalid number at position ${position + 1}`);
+      }
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position });
+      position += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(position));
+      tokens.push({ type: 'identifier', value: match[0], position });
+      position += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      const end = source.indexOf(char, position + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated quoted identifier at position ${position + 1}`);
+      }
+      tokens.push({ type: 'identifier', value: source.slice(position + 1, end), quoted: true, position });
+      position = end + 1;
+      continue;
+    }
+
+    if ('+-*/%^(),.'.includes(char)) {
+      tokens.push({ type: 'symbol', value: char, position });
+      position++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" at position ${position + 1}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST
+ * @param {string} source - Expression source
+ * @returns {Object} AST root node
+ */
+function parseExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  if (parsedCache.has(source)) {
+    return parsedCache.get(source);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+  let nodes = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = value => peek() && peek().type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      const token = peek();
+      throw new Error(token ? `Expected "${value}" at position ${token.position + 1}` : `Expected "${value}" at end of expression`);
+    }
+    index++;
+  };
+  const node = (data, depth) => {
+    nodes++;
+    if (nodes > MAX_NODES) {
+      throw new Error(`Expression has more than ${MAX_NODES} terms`);
+    }
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Expression is nested deeper than ${MAX_DEPTH} levels`);
+    }
+    return data;
+  };
+
+  const parsePrimary = (depth) => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      index++;
+      return node({ type: 'number', value: token.value }, depth);
+    }
+
+    if (isSymbol('(')) {
+      index++;
+      const inner = parseAdditive(depth + 1);
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      index++;
+
+      if (isSymbol('.')) {
+        index++;
+        const field = peek();
+        if (!field || field.type !== 'identifier' || field.quoted) {
+          throw new Error(`Expected a field name after "${token.value}."`);
+        }
+        index++;
+        return node({ type: 'reference', sensor: token.value, field: field.value }, depth);
+      }
+
+      if (isSymbol('(') && !token.quoted) {
+        index++;
+        const args = [];
+        if (!isSymbol(')')) {
+          args.push(parseAdditive(depth + 1));
+          while (isSymbol(',')) {
+            index++;
+            args.push(parseAdditive(depth + 1));
+          }
+        }
+        expect(')');
+        return node(buildCall(token, args), depth);
+      }
+
+      throw new Error(`"${token.value}" must be a sensor reference (hardwareId.field) or a function call`);
+    }
+
+    throw new Error(`Unexpected "${token.value}" at position ${token.position + 1}`);
+  };
+
+  const parsePower = (depth) => {
+    const base = parsePrimary(depth);
+    if (isSymbol('^')) {
+      index++;
+      return node({ type: 'binary', operator: '^', left: base, right: parseUnary(depth + 1) }, depth);
+    }
+    return base;
+  };
+
+  const parseUnary = (depth) => {
+    if (isSymbol('-')) {
+      index++;
+      return node({ type: 'negate', operand: parseUnary(depth + 1) }, depth);
+    }
+    return parsePower(depth);
+  };
+
+  const parseTerm = (depth) => {
+    let left = parseUnary(depth);
+    while (isSymbol('*') || isSymbol('/') || isSymbol('%')) {
+      const operator = peek().value;
+      index++;
+      left = node({ type: 'binary', operator, left, right: parseUnary(depth) }, depth);
+    }
+    return left;
+  };
+
+  // Declared as a function so parsePrimary can recurse into it
+  function parseAdditive(depth) {
+    let left = parseTerm(depth);
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = peek().value;
+      index++;
+      left = node({ type: 'binary', operator, left, right: parseTerm(depth) }, depth);
+    }
+    return left;
+  }
+
+  const ast = parseAdditive(0);
+
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" at position ${peek().position + 1}`);
+  }
+
+  parsedCache.set(source, ast);
+  return ast;
+}
+
+/**
+ * Build a function call node, checking the function and its arity
+ * @param {Object} token - Function name token
+ * @param {Array} args - Argument nodes
+ * @returns {Object} Call node
+ */
+function buildCall(token, args) {
+  const name = token.value.toLowerCase();
+
+  if (lookupFunction(HISTORY_FUNCTIONS, name)) {
+    if (args.length !== 1 || args[0].type !== 'reference') {
+      throw new Error(`${name}() takes a single sensor reference, e.g. ${name}(luxometro.light)`);
+    }
+    return { type: 'history', name, sensor: args[0].sensor, field: args[0].field };
+  }
+
+  const definition = lookupFunction(FUNCTIONS, name);
+  if (!definition) {
+    throw new Error(`Unknown function "${token.value}"`);
+  }
+
+  const [minArgs, maxArgs] = definition.args;
+  if (args.length < minArgs || args.length > maxArgs) {
+    const expected = minArgs === maxArgs ? `${minArgs}` : `${minArgs}-${maxArgs}`;
+    throw new Error(`${name}() takes ${expected} arguments, got ${args.length}`);
+  }
+
+  return { type: 'call', name, args };
+}
+
+/**
+ * List the sensor fields an expression reads
+ * @param {Object} ast - Parsed expression
+ * @returns {Array<Object>} References ({ key, sensor, field, history }) without duplicates
+ */
+function getExpressionReferences(ast) {
+  const references = new Map();
+
+  const visit = (node) => {
+    switch (node.type) {
+    case 'reference':
+    case 'history': {
+      const key = referenceKey(node);
+      references.set(key, { key, sensor: node.sensor, field: node.field, history: node.type === 'history' ? node.name : null });
+      break;
+    }
+    case 'negate':
+      visit(node.operand);
+      break;
+    case 'binary':
+      visit(node.left);
+      visit(node.right);
+      break;
+    case 'call':
+      node.args.forEach(visit);
+      break;
+    default:
+      break;
+    }
+  };
+
+  visit(ast);
+  return Array.from(references.values());
+}
+
+/**
+ * Key under which a reference's value is looked up during evaluation
+ * @param {Object} node - Reference or history node
+ * @returns {string} Key, e.g. "temhum1.temperatura" or "dli:luxometro.light"
+ */
+function referenceKey(node) {
+  const reference = `${String(node.sensor).toLowerCase()}.${node.field}`;
+  return node.type === 'history' ? `${node.name}:${reference}` : reference;
+}
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} ast - Parsed expression
+ * @param {Object} values - Reference values by key (see referenceKey)
+ * @returns {number|null} Result, or null when a reference is missing or the result isn't finite
+ */
+function evaluateExpression(ast, values) {
+  const evaluate = (node) => {
+    switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'reference':
+    case 'history': {
+      const value = values[referenceKey(node)];
+      return value === undefined || value === null ? NaN : Number(value);
+    }
+    case 'negate':
+      return -evaluate(node.operand);
+    case 'binary': {
+      const left = evaluate(node.left);
+      const right = evaluate(node.right);
+      switch (node.operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case '^': return Math.pow(left, right);
+      default: return NaN;
+      }
+    }
+    case 'call': {
+      const definition = lookupFunction(FUNCTIONS, node.name);
+      return definition ? definition.fn(...node.args.map(evaluate)) : NaN;
+    }
+    default:
+      return NaN;
+    }
+  };
+
+  const result = evaluate(ast);
+  return Number.isFinite(result) ? result : null;
+}
+
+/**
+ * Rewrite the sensor part of every reference in an expression, keeping the
+ * rest of the source (spacing, functions, numbers) untouched
+ * @param {string} source - Expression source
+ * @param {Function} rename - Maps a sensor identifier to its replacement
+ * @returns {string} Rewritten expression
+ */
+function renameExpressionSensors(source, rename) {
+  const tokens = tokenize(source);
+  let result = '';
+  let copied = 0;
+
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    if (token.type !== 'identifier' || !next || next.type !== 'symbol' || next.value !== '.') {
+      return;
+    }
+
+    const replacement = rename(token.value);
+    if (replacement === token.value) {
+      return;
+    }
+
+    const length = token.quoted ? token.value.length + 2 : token.value.length;
+    const quoted = /^[A-Za-z_][A-Za-z0-9_]*$/.test(replacement) ? replacement : `"${replacement}"`;
+    result += source.slice(copied, token.position) + quoted;
+    copied = token.position + length;
+  });
+
+  return result + source.slice(copied);
+}
+
+/**
+ * Check whether an expression is valid
+ * @param {string} source - Expression source
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateExpression(source) {
+  try {
+    parseExpression(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+module.exports = {
+  FUNCTIONS,
+  HISTORY_FUNCTIONS,
+  parseExpression,
+  getExpressionReferences,
+  evaluateExpression,
+  renameExpressionSensors,
+  validateExpression
+};
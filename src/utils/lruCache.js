@@ -0,0 +1,58 @@
+// Size-bounded cache that evicts the least recently used entry. Keys are kept
+// in a Map, whose insertion order doubles as the recency order.
+
+class LruCache {
+  /**
+   * @param {number} maxSize - Entries kept before the oldest is evicted
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Get an entry, marking it as the most recently used
+   * @param {*} key - Cache key
+   * @returns {*} Cached value, or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones over maxSize
+   * @param {*} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  LruCache
+};
@@ -16,6 +16,8 @@ const EVENTS = {
   // Sensor events
   SENSOR_DATA_UPDATED: 'SENSOR_DATA_UPDATED',
   SENSOR_STATUS_CHANGED: 'SENSOR_STATUS_CHANGED',
+  TOPIC_ROUTES_CHANGED: 'TOPIC_ROUTES_CHANGED',
+  SENSOR_CALIBRATIONS_CHANGED: 'SENSOR_CALIBRATIONS_CHANGED',
 
   // Device events
   DEVICE_STATUS_CHANGED: 'DEVICE_STATUS_CHANGED',
@@ -26,6 +28,10 @@ const EVENTS = {
   RULE_UPDATED: 'RULE_UPDATED',
   RULE_ENGINE_STATUS: 'RULE_ENGINE_STATUS',
   RULE_EXECUTION_STREAM: 'RULE_EXECUTION_STREAM',
+  RULE_INDEX_INVALIDATED: 'RULE_INDEX_INVALIDATED',
+  RULE_MANUAL_TRIGGER: 'RULE_MANUAL_TRIGGER',
+  RULE_MANUAL_TRIGGER_RESULT: 'RULE_MANUAL_TRIGGER_RESULT',
+  ACTIVE_MODE_CHANGED: 'ACTIVE_MODE_CHANGED',
 
   // Notification events
   NEW_NOTIFICATION: 'NEW_NOTIFICATION',
@@ -0,0 +1,105 @@
+const moment = require('moment-timezone');
+
+// Astronomical sun position calculations (simplified NOAA/suncalc approach),
+// accurate to about a minute - plenty for greenhouse lighting and shading rules.
+const RAD = Math.PI / 180;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const EARTH_OBLIQUITY = RAD * 23.4397;
+
+// Sun altitude (degrees) defining each event
+const SOLAR_EVENT_ANGLES = {
+  SUNRISE: -0.833,
+  SUNSET: -0.833,
+  DAWN: -6,
+  DUSK: -6
+};
+
+const SOLAR_EVENTS = ['SUNRISE', 'SUNSET', 'DAWN', 'DUSK', 'SOLAR_NOON'];
+
+const toJulian = date => date.valueOf() / DAY_MS - 0.5 + J1970;
+const fromJulian = julian => new Date((julian + 0.5 - J1970) * DAY_MS);
+const toDays = date => toJulian(date) - J2000;
+
+const solarMeanAnomaly = days => RAD * (357.5291 + 0.98560028 * days);
+
+function eclipticLongitude(meanAnomaly) {
+  const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+  const perihelion = RAD * 102.9372;
+  return meanAnomaly + center + perihelion + Math.PI;
+}
+
+const declination = longitude => Math.asin(Math.sin(EARTH_OBLIQUITY) * Math.sin(longitude));
+const julianCycle = (days, lw) => Math.round(days - J0 - lw / (2 * Math.PI));
+const approxTransit = (hourAngle, lw, cycle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+const solarTransitJ = (ds, meanAnomaly, longitude) => J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+
+/**
+ * Calculate sun event times for the given calendar day
+ * @param {Date} date - Any instant within the day of interest (noon is safest)
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} Map of event name to Date (null when the sun never reaches that altitude)
+ */
+function getSolarTimes(date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const days = toDays(date);
+  const cycle = julianCycle(days, lw);
+  const ds = approxTransit(0, lw, cycle);
+  const meanAnomaly = solarMeanAnomaly(ds);
+  const eclipticLong = eclipticLongitude(meanAnomaly);
+  const dec = declination(eclipticLong);
+  const noon = solarTransitJ(ds, meanAnomaly, eclipticLong);
+
+  const times = { SOLAR_NOON: fromJulian(noon) };
+
+  const crossing = angle => {
+    const cosHourAngle = (Math.sin(angle * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+      // Polar day or night: the sun never crosses this altitude today
+      return null;
+    }
+    const setJulian = solarTransitJ(approxTransit(Math.acos(cosHourAngle), lw, cycle), meanAnomaly, eclipticLong);
+    return { rise: fromJulian(noon - (setJulian - noon)), set: fromJulian(setJulian) };
+  };
+
+  const horizon = crossing(SOLAR_EVENT_ANGLES.SUNRISE);
+  const civil = crossing(SOLAR_EVENT_ANGLES.DAWN);
+
+  times.SUNRISE = horizon ? horizon.rise : null;
+  times.SUNSET = horizon ? horizon.set : null;
+  times.DAWN = civil ? civil.rise : null;
+  times.DUSK = civil ? civil.set : null;
+
+  return times;
+}
+
+/**
+ * Get the time of a sun event on the local calendar day containing `date`
+ * @param {string} event - One of SOLAR_EVENTS
+ * @param {Date} date - Reference instant
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {string} timezone - IANA timezone used to decide which day `date` falls on
+ * @returns {Date|null} Event time
+ */
+function getSolarEventTime(event, date, latitude, longitude, timezone = null) {
+  const key = String(event).toUpperCase();
+  if (!SOLAR_EVENTS.includes(key)) {
+    throw new Error(`Unknown solar event "${event}"`);
+  }
+
+  const local = timezone ? moment.tz(date, timezone) : moment(date);
+  const localNoon = local.clone().startOf('day').add(12, 'hours').toDate();
+
+  return getSolarTimes(localNoon, latitude, longitude)[key];
+}
+
+module.exports = {
+  SOLAR_EVENTS,
+  getSolarTimes,
+  getSolarEventTime
+};
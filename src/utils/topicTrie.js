@@ -0,0 +1,153 @@
+// Level kinds, ordered from least to most specific
+const LEVEL_HASH = 0;
+const LEVEL_PLUS = 1;
+const LEVEL_LITERAL = 2;
+
+/**
+ * Validate an MQTT topic filter: `+` must be a whole level, `#` a whole level
+ * and the last one
+ * @param {string} filter - Topic filter
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+const validateTopicFilter = (filter) => {
+  if (typeof filter !== 'string' || filter.trim() === '') {
+    return ['Topic filter is required'];
+  }
+
+  const errors = [];
+  const levels = filter.split('/');
+  levels.forEach((level, index) => {
+    if (level === '#' && index !== levels.length - 1) {
+      errors.push('"#" is only allowed as the last level');
+    } else if (level !== '+' && level !== '#' && /[+#]/.test(level)) {
+      errors.push(`Wildcards must take a whole level: "${level}"`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Count the wildcards of a topic filter (the captures a match yields)
+ * @param {string} filter - Topic filter
+ * @returns {number} Wildcard count
+ */
+const countWildcards = (filter) => filter.split('/').filter(level => level === '+' || level === '#').length;
+
+/**
+ * Compare the specificity of two matches level by level: a literal level
+ * beats `+`, which beats `#`; the first differing level decides, and a longer
+ * path of equal levels wins
+ * @param {Array<number>} a - Level kinds of the first match
+ * @param {Array<number>} b - Level kinds of the second match
+ * @returns {number} Negative when a is more specific
+ */
+const compareSpecificity = (a, b) => {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      return b[i] - a[i];
+    }
+  }
+  return b.length - a.length;
+};
+
+const createNode = () => ({ children: new Map(), plus: null, hash: [], entries: [] });
+
+/**
+ * Trie of MQTT topic filters. Levels match case-insensitively; `+` matches
+ * one level and `#` the remaining levels (zero or more). A lookup follows at
+ * most the literal, `+` and `#` branches of each level, so its cost depends
+ * on the topic depth rather than on the number of filters. Wildcards never
+ * match a first level starting with `$` (broker topics).
+ */
+class TopicTrie {
+  constructor() {
+    this.root = createNode();
+    this.size = 0;
+  }
+
+  /**
+   * Add a filter
+   * @param {string} filter - Topic filter
+   * @param {*} value - Value returned by matching lookups
+   */
+  insert(filter, value) {
+    const errors = validateTopicFilter(filter);
+    if (errors.length > 0) {
+      throw new Error(`Invalid topic filter "${filter}": ${errors.join('; ')}`);
+    }
+
+    let node = this.root;
+    const kinds = [];
+    for (const level of filter.split('/')) {
+      if (level === '#') {
+        kinds.push(LEVEL_HASH);
+        node.hash.push({ filter, value, kinds });
+        this.size++;
+        return;
+      }
+
+      if (level === '+') {
+        kinds.push(LEVEL_PLUS);
+        node.plus = node.plus || createNode();
+        node = node.plus;
+      } else {
+        kinds.push(LEVEL_LITERAL);
+        const key = level.toLowerCase();
+        if (!node.children.has(key)) {
+          node.children.set(key, createNode());
+        }
+        node = node.children.get(key);
+      }
+    }
+
+    node.entries.push({ filter, value, kinds });
+    this.size++;
+  }
+
+  /**
+   * Find every filter matching a topic, most specific first
+   * @param {string} topic - Topic name
+   * @returns {Array<Object>} [{ filter, value, captures, specificity }]
+   */
+  match(topic) {
+    const levels = topic.split('/');
+    const matches = [];
+    const systemTopic = levels[0].startsWith('$');
+
+    const walk = (node, index, captures) => {
+      if (!(systemTopic && index === 0)) {
+        for (const entry of node.hash) {
+          matches.push({ ...entry, captures: [...captures, levels.slice(index).join('/')] });
+        }
+      }
+
+      if (index === levels.length) {
+        for (const entry of node.entries) {
+          matches.push({ ...entry, captures });
+        }
+        return;
+      }
+
+      const literal = node.children.get(levels[index].toLowerCase());
+      if (literal) {
+        walk(literal, index + 1, captures);
+      }
+      if (node.plus && !(systemTopic && index === 0)) {
+        walk(node.plus, index + 1, [...captures, levels[index]]);
+      }
+    };
+
+    walk(this.root, 0, []);
+
+    return matches
+      .map(({ filter, value, kinds, captures }) => ({ filter, value, captures, specificity: kinds }))
+      .sort((a, b) => compareSpecificity(a.specificity, b.specificity));
+  }
+}
+
+module.exports = {
+  TopicTrie,
+  validateTopicFilter,
+  countWildcards,
+  compareSpecificity
+};